@@ -0,0 +1,146 @@
+/**
+ * build-basemaps.js
+ * ---------------------------------------------------------------------------
+ * Builds the offline TopoJSON basemaps used by the map chart components.
+ *
+ * Usage:
+ *   node scripts/build-basemaps.js
+ *
+ * Output (written to public/data/geo/):
+ *   - tx-mx-border.json — Texas + neighbouring U.S. states and Mexico,
+ *                         used by PortMap (TX Border Ports page).
+ *                         Objects: `states` (name, code), `mexico`.
+ *   - us-states.json    — The 50 states + DC, used by ChoroplethMap
+ *                         (Trade by State page). Objects: `states` (name, code).
+ *
+ * Sources (devDependencies, no network access needed at build or run time):
+ *   - us-atlas    — U.S. Census cartographic boundaries (states-10m.json)
+ *   - world-atlas — Natural Earth country boundaries (countries-10m.json)
+ *
+ * BOILERPLATE NOTE:
+ *   Edit BORDER_STATES to change which U.S. states surround the border map.
+ *   The generated files are committed so the dashboard works offline; rerun
+ *   this script only when the selection or source packages change.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises'
+import { join, dirname } from 'path'
+import { createRequire } from 'module'
+import process from 'process'
+import { fileURLToPath } from 'url'
+import { feature } from 'topojson-client'
+import { topology } from 'topojson-server'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const require = createRequire(import.meta.url)
+const OUT_DIR = join(__dirname, '..', 'public', 'data', 'geo')
+
+/**
+ * FIPS code → postal code for the 50 states + DC. Territories in us-atlas
+ * (PR, GU, VI, …) are left out because d3.geoAlbersUsa cannot place them.
+ */
+const STATE_CODES = {
+  '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO',
+  '09': 'CT', '10': 'DE', '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI',
+  '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY',
+  '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+  '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH',
+  '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH',
+  '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD',
+  '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+  '54': 'WV', '55': 'WI', '56': 'WY',
+}
+
+/** Postal codes of the states drawn around the border map. */
+const BORDER_STATES = ['AZ', 'AR', 'CO', 'KS', 'LA', 'NM', 'OK', 'TX']
+
+/** Mexico's ISO 3166-1 numeric code in world-atlas. */
+const MEXICO_ID = '484'
+
+/** Quantization keeps the output small while staying crisp at dashboard zoom. */
+const QUANTIZATION = 1e5
+
+async function readAtlas(pkgPath) {
+  return JSON.parse(await readFile(require.resolve(pkgPath), 'utf8'))
+}
+
+/** Round coordinates to ~10 m precision before re-topologizing. */
+function roundGeometry(geometry, digits = 4) {
+  const round = (coords) =>
+    typeof coords[0] === 'number'
+      ? coords.map((c) => Number(c.toFixed(digits)))
+      : coords.map(round)
+  return { ...geometry, coordinates: round(geometry.coordinates) }
+}
+
+/** U.S. state features tagged with `name` and postal `code`. */
+async function readStates() {
+  const us = await readAtlas('us-atlas/states-10m.json')
+  return feature(us, us.objects.states).features
+    .filter((f) => STATE_CODES[f.id])
+    .map((f) => ({
+      type: 'Feature',
+      id: f.id,
+      properties: { name: f.properties.name, code: STATE_CODES[f.id] },
+      geometry: roundGeometry(f.geometry),
+    }))
+}
+
+async function buildBorderMap() {
+  const world = await readAtlas('world-atlas/countries-10m.json')
+
+  const states = (await readStates())
+    .filter((f) => BORDER_STATES.includes(f.properties.code))
+
+  const mexico = feature(world, world.objects.countries).features
+    .filter((f) => f.id === MEXICO_ID)
+    .map((f) => ({
+      type: 'Feature',
+      id: f.id,
+      properties: { name: 'Mexico' },
+      geometry: roundGeometry(f.geometry),
+    }))
+
+  if (!states.length || !mexico.length) {
+    throw new Error('Expected border states and Mexico in the source atlases')
+  }
+
+  return topology(
+    {
+      states: { type: 'FeatureCollection', features: states },
+      mexico: { type: 'FeatureCollection', features: mexico },
+    },
+    QUANTIZATION,
+  )
+}
+
+async function buildUsStates() {
+  const states = await readStates()
+  if (states.length !== Object.keys(STATE_CODES).length) {
+    throw new Error(`Expected ${Object.keys(STATE_CODES).length} states, found ${states.length}`)
+  }
+  return topology({ states: { type: 'FeatureCollection', features: states } }, QUANTIZATION)
+}
+
+async function main() {
+  await mkdir(OUT_DIR, { recursive: true })
+
+  const outputs = [
+    { file: 'tx-mx-border.json', build: buildBorderMap },
+    { file: 'us-states.json', build: buildUsStates },
+  ]
+
+  for (const out of outputs) {
+    const topo = await out.build()
+    const json = JSON.stringify(topo)
+    await writeFile(join(OUT_DIR, out.file), json, 'utf8')
+    console.log(`  → Written: geo/${out.file} (${(json.length / 1024).toFixed(0)} KB)`)
+  }
+
+  console.log('\nDone! Basemaps are in public/data/geo/')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exitCode = 1
+})
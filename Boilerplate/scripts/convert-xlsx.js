@@ -1,15 +1,23 @@
 /**
  * Convert XLSX sample data files to CSV for browser consumption.
  * Run: node scripts/convert-xlsx.js
+ *
+ * Add `--arrow` to also write an Apache Arrow IPC file next to each CSV
+ * (e.g. us_aggregated.arrow). Arrow keeps column types and is much smaller;
+ * the dashboard loads it when present and falls back to the CSV otherwise
+ * (see `arrowFile` in src/lib/datasets.js).
  */
 import { readFile, writeFile, mkdir } from 'fs/promises'
 import { join, dirname } from 'path'
+import process from 'process'
 import { fileURLToPath } from 'url'
 import XLSX from 'xlsx'
+import { Table, vectorFromArray, tableToIPC, Dictionary, Utf8, Int32, Float64 } from 'apache-arrow'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const SAMPLE_DIR = join(__dirname, '..', '..', 'Sample_data')
 const OUT_DIR = join(__dirname, '..', 'public', 'data')
+const WRITE_ARROW = process.argv.includes('--arrow')
 
 const FILES = [
   {
@@ -74,6 +82,35 @@ const FILES = [
   },
 ]
 
+/**
+ * Pick an Arrow type for one column from its values: whole numbers that fit
+ * in 32 bits → Int32, other numbers → Float64, anything else → dictionary-
+ * encoded strings (labels like Mode or State repeat on every row).
+ */
+function arrowType(values) {
+  const present = values.filter((v) => v != null && v !== '')
+  if (present.length && present.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+    const int32 = present.every((v) => Number.isInteger(v) && Math.abs(v) < 2 ** 31)
+    return int32 ? new Int32() : new Float64()
+  }
+  return new Dictionary(new Utf8(), new Int32())
+}
+
+/** Rows → Arrow IPC file bytes, one typed column per key. */
+function toArrow(rows) {
+  const names = [...new Set(rows.flatMap((row) => Object.keys(row)))]
+  const vectors = {}
+  for (const name of names) {
+    const values = rows.map((row) => (row[name] === '' ? null : row[name] ?? null))
+    const type = arrowType(values)
+    vectors[name] = vectorFromArray(
+      type instanceof Dictionary ? values.map((v) => (v == null ? null : String(v))) : values,
+      type,
+    )
+  }
+  return tableToIPC(new Table(vectors), 'file')
+}
+
 async function main() {
   await mkdir(OUT_DIR, { recursive: true })
 
@@ -100,12 +137,19 @@ async function main() {
       const outputPath = join(OUT_DIR, file.output)
       await writeFile(outputPath, csv, 'utf8')
       console.log(`  → Written: ${file.output} (${(csv.length / 1024).toFixed(0)} KB)`)
+
+      if (WRITE_ARROW) {
+        const arrow = toArrow(data)
+        const arrowName = file.output.replace(/\.csv$/, '.arrow')
+        await writeFile(join(OUT_DIR, arrowName), arrow)
+        console.log(`  → Written: ${arrowName} (${(arrow.byteLength / 1024).toFixed(0)} KB)`)
+      }
     } catch (err) {
       console.error(`  ✗ Error processing ${file.input}:`, err.message)
     }
   }
 
-  console.log('\nDone! CSV files are in public/data/')
+  console.log(`\nDone! ${WRITE_ARROW ? 'CSV and Arrow' : 'CSV'} files are in public/data/`)
 }
 
 main()
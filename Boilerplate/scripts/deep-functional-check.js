@@ -139,7 +139,8 @@ async function testHomeDownloadsAndFullscreen(page, results) {
   // ----- Card PNG export
   const [cardPngDownload] = await Promise.all([
     page.waitForEvent('download', { timeout: 15000 }),
-    trendsCard.locator('button[title="Export as PNG"]').click(),
+    trendsCard.locator('button[title="Export image"]').click()
+      .then(() => trendsCard.getByRole('menuitem', { name: 'Download PNG' }).click()),
   ])
   const cardPngInfo = await saveDownload(cardPngDownload, 'card-png')
   assert(cardPngInfo.suggested.endsWith('.png'), 'Card export did not produce PNG')
@@ -160,7 +161,7 @@ async function testHomeDownloadsAndFullscreen(page, results) {
   await trendsCard.locator('button[title="Full screen"]').click()
   await fullscreenOverlay.waitFor({ state: 'visible', timeout: 10000 })
 
-  const fsDownloadBtn = fullscreenOverlay.getByRole('button', { name: 'Download CSV' })
+  const fsDownloadBtn = fullscreenOverlay.getByRole('button', { name: 'Download data' })
   await fsDownloadBtn.click()
   const [fsSummaryDownload] = await Promise.all([
     page.waitForEvent('download', { timeout: 15000 }),
@@ -173,7 +174,8 @@ async function testHomeDownloadsAndFullscreen(page, results) {
 
   const [fsPngDownload] = await Promise.all([
     page.waitForEvent('download', { timeout: 15000 }),
-    fullscreenOverlay.getByRole('button', { name: 'Export PNG' }).click(),
+    fullscreenOverlay.locator('button[title="Export image"]').click()
+      .then(() => fullscreenOverlay.getByRole('menuitem', { name: 'Download PNG' }).click()),
   ])
   const fsPngInfo = await saveDownload(fsPngDownload, 'fullscreen-png')
   assert(fsPngInfo.suggested.endsWith('.png'), 'Fullscreen export did not produce PNG')
@@ -288,7 +290,7 @@ async function testStatePageFiltersTable(page, results) {
   results.push('Sidebar reset-all behavior ok')
 
   // Table sort behavior (click "Total Trade" header and verify first row changes when possible).
-  const table = page.locator('table').last()
+  const table = page.locator('table', { has: page.locator('th:has-text("Total Trade")') }).first()
   await table.waitFor({ timeout: 10000 })
   const firstRowBefore = await table.locator('tbody tr').first().innerText()
   await table.locator('th:has-text("Total Trade")').click()
@@ -322,7 +324,8 @@ async function testTreemapExport(page, results) {
 
   const [treemapPngDownload] = await Promise.all([
     page.waitForEvent('download', { timeout: 15000 }),
-    commodityGroupsCard.locator('button[title="Export as PNG"]').click(),
+    commodityGroupsCard.locator('button[title="Export image"]').click()
+      .then(() => commodityGroupsCard.getByRole('menuitem', { name: 'Download PNG' }).click()),
   ])
   const treemapPngInfo = await saveDownload(treemapPngDownload, 'treemap-png')
   assert(treemapPngInfo.suggested.endsWith('.png'), 'Treemap card export did not produce PNG')
@@ -0,0 +1,233 @@
+/**
+ * mock-ai-server.js
+ * ---------------------------------------------------------------------------
+ * Local stand-in for an OpenAI-compatible chat completions API, so the Ask AI
+ * drawer's HTTP provider can be developed and tested offline.
+ *
+ * Usage:
+ *   npm run ai:mock                       # http://localhost:8787
+ *   node scripts/mock-ai-server.js --port=9000 --delay=40 --format=ndjson
+ *
+ * Then run the dashboard with:
+ *   VITE_AI_ENDPOINT=http://localhost:8787/v1/chat/completions npm run dev
+ * (or put it in .env.local — see .env.example)
+ *
+ * Options:
+ *   --port=8787     listen port (or AI_MOCK_PORT)
+ *   --delay=25      ms between streamed words
+ *   --format=sse    response shape: sse | ndjson | json (non-streamed)
+ *   --fail=500      answer every request with this HTTP status (to exercise
+ *                   the client's fallback to the offline answers)
+ *
+ * Routes:
+ *   POST /v1/chat/completions   OpenAI request body; honours `stream: false`
+ *   GET  /health                { ok: true }
+ *
+ * Replies are canned but grounded: the server reads the data digest the
+ * dashboard puts in the system prompt (see buildSystemPrompt in
+ * src/lib/aiClient.js) and quotes the line whose column the question names.
+ *
+ * Tool calls: when the request offers the `apply_dashboard_view` tool
+ * (src/lib/chatActions.js) and the question asks to open a page or filter
+ * ("open border ports for 2023 rail"), the reply also calls that tool, the
+ * way a real model would.
+ * ---------------------------------------------------------------------------
+ */
+import http from 'http'
+import process from 'process'
+
+function option(name, fallback) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`))
+  return arg ? arg.slice(name.length + 3) : fallback
+}
+
+const PORT = Number(option('port', process.env.AI_MOCK_PORT || 8787))
+const DELAY_MS = Number(option('delay', 25))
+const FORMAT = option('format', 'sse')
+const FAIL_STATUS = Number(option('fail', 0))
+const MODEL = 'mock-dashboard-assistant'
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept',
+}
+
+const TREND_WORDS = /\b(trends?|over time|grow\w*|chang(?:e|es|ed)|history|by year|20\d\d)\b/
+const words = (text) => (text.toLowerCase().match(/[a-z]+/g) || []).map((w) => w.replace(/ies$/, 'y').replace(/(?<=\w{3})s$/, ''))
+
+/**
+ * Digest line from the system prompt that best matches the question. The
+ * digest has one "By <column>: …" line per column (see buildSystemPrompt in
+ * src/lib/aiClient.js); a line matches when the question contains every word
+ * of its label, longest label first. Trend questions fall back to the year
+ * line, everything else to the first "Total …" line.
+ */
+function findFact(lines, question) {
+  const asked = new Set(words(question))
+  const byLines = lines
+    .filter((l) => l.startsWith('By '))
+    .map((line) => ({ line, label: words(line.slice(3).split(/[(:,]/)[0]) }))
+    .sort((a, b) => b.label.length - a.label.length)
+  const topic = byLines.find(({ label }) => label.length && label.every((w) => asked.has(w)))
+    || (TREND_WORDS.test(question.toLowerCase()) && byLines.find(({ label }) => label.includes('year')))
+  return topic?.line || lines.find((l) => l.startsWith('Total '))
+}
+
+function composeAnswer(messages) {
+  const system = messages.find((m) => m.role === 'system')?.content || ''
+  const question = [...messages].reverse().find((m) => m.role === 'user')?.content || ''
+  const lines = system.split('\n')
+  const find = (prefix) => lines.find((l) => l.startsWith(prefix))
+
+  const page = find('Page:')?.replace('Page: ', '') || 'the dashboard'
+  const fact = findFact(lines, question)
+
+  const parts = [`(Local mock server) You asked: "${question}".`, `You're on ${page}.`]
+  if (fact) parts.push(`From the dashboard data — ${fact}`)
+  else parts.push('The dashboard did not send any data with this question.')
+  const filters = find('Active filters:')
+  if (filters) parts.push(filters + '.')
+  return parts.join('\n\n')
+}
+
+const TOOL_NAME = 'apply_dashboard_view'
+const ACTION_INTENT = /\b(open|go to|take me|navigate|switch to|filter|set|only)\b/
+const PAGE_WORDS = [
+  ['border', /\b(border|ports?)\b/],
+  ['commodit', /\bcommodit/],
+  ['state', /\bstates?\b/],
+  ['mode', /\bmodes?\b/],
+]
+const MODE_WORDS = { truck: 'Truck', rail: 'Rail', vessel: 'Vessel', air: 'Air', pipeline: 'Pipeline' }
+
+/**
+ * Tool call for an "open …" / "filter …" question, or null. The page comes
+ * from the tool's own `page` enum, so the mock stays in step with the app.
+ */
+function composeToolCall(messages, tools) {
+  const tool = tools?.find((t) => t.function?.name === TOOL_NAME)
+  const question = ([...messages].reverse().find((m) => m.role === 'user')?.content || '').toLowerCase()
+  if (!tool || !ACTION_INTENT.test(question)) return null
+
+  const pages = tool.function.parameters?.properties?.page?.enum || []
+  const system = messages.find((m) => m.role === 'system')?.content || ''
+  const currentPage = system.match(/^Page: .*\((\/[^)]*)\)$/m)?.[1] || '/'
+  const named = PAGE_WORDS.find(([, pattern]) => pattern.test(question))?.[0]
+  const page = (named && pages.find((p) => p.includes(named))) || currentPage
+
+  const filters = {}
+  const years = question.match(/\b20\d\d\b/g)
+  if (years) filters.year = years
+  const modes = Object.keys(MODE_WORDS).filter((w) => new RegExp(`\\b${w}\\b`).test(question))
+  if (modes.length) filters.mode = modes.map((w) => MODE_WORDS[w])
+  if (/\bexports?\b/.test(question) && !/\bimports?\b/.test(question)) filters.tradeType = 'Export'
+  if (/\bimports?\b/.test(question) && !/\bexports?\b/.test(question)) filters.tradeType = 'Import'
+  if (!named && !Object.keys(filters).length) return null
+
+  return {
+    id: `call_mock_${Date.now()}`,
+    type: 'function',
+    function: { name: TOOL_NAME, arguments: JSON.stringify({ page, filters }) },
+  }
+}
+
+function completionChunk(id, content, finishReason = null, toolCall = null) {
+  const delta = {}
+  if (content) delta.content = content
+  if (toolCall) delta.tool_calls = [{ index: 0, ...toolCall }]
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: MODEL,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  }
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms))
+
+async function streamAnswer(res, answer, toolCall, format) {
+  const id = `chatcmpl-mock-${Date.now()}`
+  const write = (payload) => res.write(format === 'ndjson'
+    ? `${JSON.stringify(payload)}\n`
+    : `data: ${JSON.stringify(payload)}\n\n`)
+
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': format === 'ndjson' ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  })
+  // Words keep their trailing whitespace so the client can concatenate chunks
+  for (const token of answer.match(/\S+\s*|\s+/g) || []) {
+    if (res.destroyed) return
+    write(completionChunk(id, token))
+    await wait(DELAY_MS)
+  }
+  if (toolCall) write(completionChunk(id, '', null, toolCall))
+  write(completionChunk(id, '', toolCall ? 'tool_calls' : 'stop'))
+  if (format !== 'ndjson') res.write('data: [DONE]\n\n')
+  res.end()
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS)
+    return res.end()
+  }
+  if (req.method === 'GET' && req.url === '/health') return sendJson(res, 200, { ok: true })
+  if (req.method !== 'POST' || !req.url.startsWith('/v1/chat/completions')) {
+    return sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } })
+  }
+  if (FAIL_STATUS) {
+    return sendJson(res, FAIL_STATUS, { error: { message: `Simulated failure (--fail=${FAIL_STATUS})` } })
+  }
+
+  let request
+  try {
+    request = JSON.parse(await readBody(req))
+  } catch {
+    return sendJson(res, 400, { error: { message: 'Request body is not valid JSON' } })
+  }
+  if (!Array.isArray(request.messages)) {
+    return sendJson(res, 400, { error: { message: '`messages` must be an array' } })
+  }
+
+  const answer = composeAnswer(request.messages)
+  const toolCall = composeToolCall(request.messages, request.tools)
+  console.log(`[mock-ai] ${request.messages.length} messages → ${answer.length} chars${toolCall ? `, ${TOOL_NAME}` : ''}`)
+
+  if (request.stream === false || FORMAT === 'json') {
+    return sendJson(res, 200, {
+      id: `chatcmpl-mock-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: MODEL,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: answer, ...(toolCall ? { tool_calls: [toolCall] } : {}) },
+        finish_reason: toolCall ? 'tool_calls' : 'stop',
+      }],
+    })
+  }
+  return streamAnswer(res, answer, toolCall, FORMAT)
+})
+
+server.listen(PORT, () => {
+  console.log(`[mock-ai] OpenAI-compatible mock listening on http://localhost:${PORT}/v1/chat/completions (${FORMAT})`)
+})
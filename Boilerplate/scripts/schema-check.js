@@ -10,68 +10,45 @@
  * Usage:
  *   node scripts/schema-check.js
  *
+ * Arrow files (`arrowFile`) are not parsed here; they are written from the
+ * same rows as the CSV by `convert-xlsx.js --arrow`.
+ *
  * What it validates:
  *   1) CSV file exists and has rows
  *   2) Required columns for each dataset are present
- *   3) Example type checks for core fields (Year, TradeValue)
+ *   3) Type checks for every 'year' / 'number' column in the registry
+ *
+ * Contracts (files, required columns, header aliases, types) are read from
+ * `src/lib/datasets.js`. Datasets marked `optional` are skipped when their
+ * file is absent.
  *
  * Important:
  *   - This is a guardrail script, not a strict parser for every edge case.
  *   - Failures here do not auto-fix code; they tell future agents/users what
- *     mappings in `src/stores/tradeStore.js` and `src/pages/*` need updates.
+ *     entries in `src/lib/datasets.js` and `src/pages/*` need updates.
  */
 
 import fs from 'fs/promises'
 import path from 'path'
 import process from 'process'
 import { fileURLToPath } from 'url'
+import { DATASETS, headerAliases } from '../src/lib/datasets.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const DATA_DIR = path.join(__dirname, '..', 'public', 'data')
 
 /**
- * Expected contracts for the current boilerplate pages.
- * Update this map first when onboarding a new project schema.
- */
-const CONTRACTS = [
-  {
-    file: 'us_aggregated.csv',
-    dataset: 'usAggregated',
-    required: ['Year', 'TradeType', 'TradeValue'],
-    optional: ['Mode', 'State', 'Commodity', 'CommodityGroup'],
-  },
-  {
-    file: 'tx_border_ports.csv',
-    dataset: 'txBorderPorts',
-    required: ['Year', 'POE', 'Region', 'Mode', 'TradeType', 'TradeValue'],
-    optional: ['Commodity', 'CommodityGroup', 'Lat', 'Lon'],
-  },
-  {
-    file: 'bts_us_state.csv',
-    dataset: 'btsUsState',
-    required: ['Year', 'State', 'Mode', 'TradeType', 'TradeValue'],
-    optional: ['StateCode'],
-  },
-  {
-    file: 'master_data.csv',
-    dataset: 'masterData',
-    required: ['Year', 'TradeType', 'TradeValue'],
-    optional: ['Port', 'Region', 'Mode', 'CommodityGroup'],
-  },
-]
-
-/**
- * Header aliases accepted as equivalent to canonical field names.
- * This mirrors tradeStore normalization where spaced headers are mapped.
+ * Contracts come straight from the dataset registry, so this script checks
+ * exactly what tradeStore.loadData() expects at runtime.
  */
-const HEADER_ALIASES = {
-  Year: ['Year'],
-  TradeType: ['TradeType', 'Trade Type'],
-  TradeValue: ['TradeValue', 'Trade Value'],
-  CommodityGroup: ['CommodityGroup', 'Commodity Group'],
-  POE: ['POE', 'Port of Entry'],
-  State: ['State', 'USASTATE_NAME'],
-}
+const CONTRACTS = Object.entries(DATASETS).map(([dataset, config]) => ({
+  dataset,
+  config,
+  file: config.file,
+  required: config.requiredColumns || [],
+  optional: config.optionalColumns || [],
+  optionalFile: Boolean(config.optional),
+}))
 
 function splitCsvLine(line) {
   // Minimal CSV splitter with quote support (sufficient for header/data checks).
@@ -122,17 +99,24 @@ async function inspectContract(contract) {
   const report = {
     ...contract,
     exists: false,
+    skipped: false,
+    hasArrow: false,
     rowCount: 0,
     missingRequired: [],
     warnings: [],
   }
 
+  if (contract.config.arrowFile) {
+    report.hasArrow = await fs.access(path.join(DATA_DIR, contract.config.arrowFile)).then(() => true, () => false)
+  }
+
   let raw
   try {
     raw = await fs.readFile(filePath, 'utf8')
     report.exists = true
   } catch {
-    report.warnings.push(`File not found: ${contract.file}`)
+    if (contract.optionalFile) report.skipped = true
+    else report.warnings.push(`File not found: ${contract.file}`)
     return report
   }
 
@@ -145,15 +129,10 @@ async function inspectContract(contract) {
   const headers = splitCsvLine(lines[0])
   const headerSet = new Set(headers)
   report.rowCount = Math.max(0, lines.length - 1)
-  report.missingRequired = contract.required.filter((canonical) => {
-    const aliases = HEADER_ALIASES[canonical] || [canonical]
-    return !aliases.some((alias) => headerSet.has(alias))
-  })
-
-  const resolveHeader = (canonical) => {
-    const aliases = HEADER_ALIASES[canonical] || [canonical]
-    return aliases.find((alias) => headerSet.has(alias)) || null
-  }
+  const resolveHeader = (canonical) => (
+    headerAliases(contract.config, canonical).find((alias) => headerSet.has(alias)) || null
+  )
+  report.missingRequired = contract.required.filter((canonical) => !resolveHeader(canonical))
 
   // Sample first 50 rows for lightweight type heuristics.
   const sampleRows = lines.slice(1, 51).map((line) => {
@@ -165,21 +144,16 @@ async function inspectContract(contract) {
     return row
   })
 
-  const yearHeader = resolveHeader('Year')
-  if (yearHeader) {
-    const invalidYearCount = sampleRows.filter((r) => parseLooseYear(r[yearHeader]) == null).length
-    if (invalidYearCount > 0) {
-      report.warnings.push(`Sample has ${invalidYearCount} rows with non-parseable Year values`)
+  const TYPE_CHECKS = { year: parseLooseYear, number: parseLooseNumber }
+  Object.entries(contract.config.types || {}).forEach(([canonical, type]) => {
+    const parse = TYPE_CHECKS[type]
+    const header = parse && resolveHeader(canonical)
+    if (!header) return
+    const invalidCount = sampleRows.filter((r) => parse(r[header]) == null).length
+    if (invalidCount > 0) {
+      report.warnings.push(`Sample has ${invalidCount} rows with non-parseable ${canonical} values`)
     }
-  }
-
-  const tradeValueHeader = resolveHeader('TradeValue')
-  if (tradeValueHeader) {
-    const invalidTradeValueCount = sampleRows.filter((r) => parseLooseNumber(r[tradeValueHeader]) == null).length
-    if (invalidTradeValueCount > 0) {
-      report.warnings.push(`Sample has ${invalidTradeValueCount} rows with non-parseable TradeValue values`)
-    }
-  }
+  })
 
   return report
 }
@@ -192,11 +166,20 @@ async function main() {
   console.log('='.repeat(72))
 
   for (const r of reports) {
+    if (r.skipped) {
+      console.log(`\nSKIP  ${r.dataset} (${r.file})`)
+      console.log('  Optional dataset; file not present')
+      continue
+    }
+
     const hardFail = !r.exists || r.missingRequired.length > 0
     if (hardFail) failCount++
 
     console.log(`\n${hardFail ? 'FAIL' : 'PASS'}  ${r.dataset} (${r.file})`)
     console.log(`  Rows: ${r.rowCount}`)
+    if (r.hasArrow) {
+      console.log(`  Note: ${r.config.arrowFile} is loaded instead of the CSV; regenerate both together`)
+    }
 
     if (r.missingRequired.length > 0) {
       console.log(`  Missing required: ${r.missingRequired.join(', ')}`)
@@ -214,7 +197,7 @@ async function main() {
     console.log('Result: PASS (all dataset contracts satisfied)')
   } else {
     console.log(`Result: FAIL (${failCount} dataset contract issue(s))`)
-    console.log('Next step: update `tradeStore.normalize()` and page-level mappings.')
+    console.log('Next step: update the dataset entries in `src/lib/datasets.js` and page-level mappings.')
   }
   console.log('-'.repeat(72) + '\n')
 
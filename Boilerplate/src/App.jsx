@@ -15,7 +15,7 @@
  *   2. Import it here (add an import statement below)
  *   3. Add a <Route path="/your-path" element={<YourPage />} /> inside <Routes>
  *   4. Add a matching entry in MainNav's navItems array so users can navigate to it
- *   5. If the page needs a new dataset, add its loader to tradeStore.loadData()
+ *   5. If the page needs a new dataset, register it in src/lib/datasets.js
  *
  * When removing a page:
  *   1. Delete its <Route> entry below
@@ -0,0 +1,43 @@
+/**
+ * ActionChips.jsx — Confirmable dashboard actions under an assistant message
+ * ---------------------------------------------------------------------------
+ * One chip per action the assistant proposed (lib/chatActions.js). Clicking
+ * a chip is the confirmation: it opens the page and/or sets its URL filters,
+ * then shows as applied. Applied chips can be clicked again to re-apply.
+ */
+import { useLocation, useNavigate } from 'react-router-dom'
+import { Check, SlidersHorizontal } from 'lucide-react'
+import { useChatStore } from '@/stores/chatStore'
+import { actionTarget } from '@/lib/chatActions'
+
+export default function ActionChips({ messageId, actions }) {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const markActionApplied = useChatStore((s) => s.markActionApplied)
+
+  const apply = (action) => {
+    const target = actionTarget(action, location.pathname, location.search)
+    if (target.pathname !== location.pathname || target.search !== location.search) navigate(target)
+    markActionApplied(messageId, action.id)
+  }
+
+  return (
+    <div className="flex flex-col items-start gap-1.5 px-5 py-2">
+      {actions.map((action) => (
+        <button
+          key={action.id}
+          onClick={() => apply(action)}
+          className={`inline-flex items-center gap-2 px-3 py-1.5 text-base rounded-lg border
+                      text-left transition-all duration-150 cursor-pointer
+            ${action.applied
+              ? 'text-text-secondary bg-surface-alt border-border-light'
+              : 'text-white bg-brand-blue border-brand-blue hover:bg-brand-blue/90'}`}
+          title={action.applied ? 'Applied — click to apply again' : 'Apply to the dashboard'}
+        >
+          {action.applied ? <Check size={16} className="shrink-0" /> : <SlidersHorizontal size={16} className="shrink-0" />}
+          {action.label}
+        </button>
+      ))}
+    </div>
+  )
+}
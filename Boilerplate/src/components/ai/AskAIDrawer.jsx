@@ -1,17 +1,25 @@
-import { useEffect } from 'react'
-import { X, Sparkles, Trash2 } from 'lucide-react'
-import { useChatStore } from '@/stores/chatStore'
+import { useEffect, useState } from 'react'
+import { X, Sparkles, SquarePen, History } from 'lucide-react'
+import { useChatStore, selectMessages } from '@/stores/chatStore'
 import ChatMessageList from './ChatMessageList'
 import ChatInput from './ChatInput'
 import SuggestedQuestions from './SuggestedQuestions'
+import ConversationList from './ConversationList'
+import ConversationExportMenu from './ConversationExportMenu'
 
 export default function AskAIDrawer() {
   const isOpen = useChatStore((s) => s.isOpen)
-  const messages = useChatStore((s) => s.messages)
+  const messages = useChatStore(selectMessages)
+  const conversation = useChatStore((s) => s.conversations.find((c) => c.id === s.activeId))
+  const hasHistory = useChatStore((s) => s.conversations.length > 0)
   const isLoading = useChatStore((s) => s.isLoading)
   const close = useChatStore((s) => s.close)
   const sendMessage = useChatStore((s) => s.sendMessage)
-  const clearChat = useChatStore((s) => s.clearChat)
+  const newConversation = useChatStore((s) => s.newConversation)
+  const [showHistory, setShowHistory] = useState(false)
+
+  const iconButton = `p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+    hover:bg-surface-alt transition-all duration-150`
 
   // Close on Escape key
   useEffect(() => {
@@ -49,19 +57,39 @@ export default function AskAIDrawer() {
       >
         {/* Header */}
         <div className="flex items-center justify-between px-5 py-4 border-b border-border-light">
-          <div className="flex items-center gap-2">
-            <Sparkles size={18} className="text-brand-blue" />
-            <h2 className="text-lg font-semibold text-text-primary">Ask AI</h2>
+          <div className="flex items-center gap-2 min-w-0">
+            <Sparkles size={18} className="text-brand-blue shrink-0" />
+            <h2 className="text-lg font-semibold text-text-primary truncate">
+              {showHistory ? 'Conversations' : conversation?.title || 'Ask AI'}
+            </h2>
           </div>
-          <div className="flex items-center gap-1">
-            {messages.length > 0 && (
+          <div className="flex items-center gap-1 shrink-0">
+            {!showHistory && messages.length > 0 && !isLoading && (
+              <ConversationExportMenu conversation={conversation} />
+            )}
+            {hasHistory && (
+              <button
+                onClick={() => setShowHistory((v) => !v)}
+                disabled={isLoading}
+                className={`${iconButton} ${showHistory ? 'text-brand-blue bg-brand-blue/5' : ''}
+                  disabled:opacity-40 disabled:cursor-not-allowed`}
+                aria-pressed={showHistory}
+                title={showHistory ? 'Back to chat' : 'Conversation history'}
+              >
+                <History size={16} />
+              </button>
+            )}
+            {(messages.length > 0 || showHistory) && (
               <button
-                onClick={clearChat}
-                className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
-                           hover:bg-surface-alt transition-all duration-150"
-                title="Clear chat"
+                onClick={() => {
+                  newConversation()
+                  setShowHistory(false)
+                }}
+                disabled={isLoading}
+                className={`${iconButton} disabled:opacity-40 disabled:cursor-not-allowed`}
+                title="New conversation"
               >
-                <Trash2 size={16} />
+                <SquarePen size={16} />
               </button>
             )}
             <button
@@ -75,15 +103,17 @@ export default function AskAIDrawer() {
           </div>
         </div>
 
-        {/* Messages or empty state */}
-        {messages.length === 0 ? (
+        {/* Conversation history, messages, or empty state */}
+        {showHistory ? (
+          <ConversationList onSelect={() => setShowHistory(false)} />
+        ) : messages.length === 0 ? (
           <SuggestedQuestions onSelect={sendMessage} />
         ) : (
           <ChatMessageList messages={messages} isLoading={isLoading} onSend={sendMessage} />
         )}
 
         {/* Input */}
-        <ChatInput onSend={sendMessage} disabled={isLoading} />
+        {!showHistory && <ChatInput onSend={sendMessage} disabled={isLoading} />}
       </aside>
     </>
   )
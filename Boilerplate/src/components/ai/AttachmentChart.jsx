@@ -0,0 +1,47 @@
+/**
+ * AttachmentChart.jsx — Renders one chat attachment with the dashboard charts
+ * ---------------------------------------------------------------------------
+ * Maps an attachment spec from lib/chatAttachments.js to BarChart, LineChart,
+ * DonutChart or DataTable. Used in the Ask AI drawer (ChatAttachment) and for
+ * pinned answers on the page (PinnedCharts).
+ *
+ * Props
+ *   @param {object} attachment — { type, data, format, columns?, horizontal? }
+ */
+import BarChart from '@/components/charts/BarChart'
+import LineChart from '@/components/charts/LineChart'
+import DonutChart from '@/components/charts/DonutChart'
+import DataTable from '@/components/ui/DataTable'
+import { ATTACHMENT_FORMATS } from '@/lib/chatAttachments'
+import { UNITS } from '@/lib/chartColors'
+
+export default function AttachmentChart({ attachment }) {
+  const { type, data } = attachment
+  const formatValue = ATTACHMENT_FORMATS[attachment.format] || ATTACHMENT_FORMATS.currency
+
+  if (type === 'table') {
+    const columns = (attachment.columns || []).map(({ key, label, format }) => {
+      const fmt = ATTACHMENT_FORMATS[format]
+      return fmt ? { key, label, render: (v) => fmt(v) } : { key, label }
+    })
+    return <DataTable columns={columns} data={data} pageSize={5} controls={false} />
+  }
+
+  return (
+    <>
+      {type === 'bar' && (
+        <BarChart data={data} horizontal={attachment.horizontal} formatValue={formatValue} animate={false} />
+      )}
+      {type === 'line' && (
+        <LineChart
+          data={data}
+          seriesKey={data.some((d) => d.series) ? 'series' : undefined}
+          formatValue={formatValue}
+          unit={attachment.format in UNITS ? attachment.format : undefined}
+          animate={false}
+        />
+      )}
+      {type === 'donut' && <DonutChart data={data} formatValue={formatValue} animate={false} />}
+    </>
+  )
+}
@@ -0,0 +1,59 @@
+/**
+ * ChatAttachment.jsx — Inline chart/table card under an assistant message
+ * ------------------------------------------------------------------------
+ * Shows one attachment (lib/chatAttachments.js) in the Ask AI drawer with
+ * two actions:
+ *   - Pin to page   — saves it to pinStore against the current route, where
+ *                     PinnedCharts shows it below the page content
+ *   - Download CSV  — the attachment's rows via downloadCsv
+ */
+import { useLocation } from 'react-router-dom'
+import { Pin, PinOff, Download } from 'lucide-react'
+import { usePinStore } from '@/stores/pinStore'
+import { downloadCsv } from '@/lib/downloadCsv'
+import { attachmentFilename } from '@/lib/chatAttachments'
+import AttachmentChart from './AttachmentChart'
+
+export default function ChatAttachment({ attachment }) {
+  const { pathname } = useLocation()
+  const pins = usePinStore((s) => s.pins)
+  const pin = usePinStore((s) => s.pin)
+  const unpin = usePinStore((s) => s.unpin)
+  const pinned = pins.find((p) => p.path === pathname && p.attachment.id === attachment.id)
+
+  const actionClass = `p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+    hover:bg-surface-alt transition-all duration-150`
+
+  return (
+    <div className="mx-5 my-2 rounded-xl border border-border-light bg-white overflow-hidden">
+      <div className="flex items-start justify-between gap-2 px-3 pt-3">
+        <div className="min-w-0">
+          <p className="text-base font-semibold text-text-primary truncate">{attachment.title}</p>
+          {attachment.subtitle && (
+            <p className="text-base text-text-secondary truncate">{attachment.subtitle}</p>
+          )}
+        </div>
+        <div className="flex items-center gap-0.5 shrink-0">
+          <button
+            onClick={() => (pinned ? unpin(pinned.id) : pin(pathname, attachment))}
+            className={actionClass}
+            aria-pressed={!!pinned}
+            title={pinned ? 'Unpin from this page' : 'Pin to this page'}
+          >
+            {pinned ? <PinOff size={16} /> : <Pin size={16} />}
+          </button>
+          <button
+            onClick={() => downloadCsv(attachment.data, attachmentFilename(attachment))}
+            className={actionClass}
+            title="Download CSV"
+          >
+            <Download size={16} />
+          </button>
+        </div>
+      </div>
+      <div className="p-3">
+        <AttachmentChart attachment={attachment} />
+      </div>
+    </div>
+  )
+}
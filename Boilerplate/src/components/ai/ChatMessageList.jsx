@@ -1,6 +1,8 @@
 import { useRef, useEffect } from 'react'
 import ChatMessage from './ChatMessage'
 import FollowUpChips from './FollowUpChips'
+import ActionChips from './ActionChips'
+import ProvenanceBlock from './ProvenanceBlock'
 
 export default function ChatMessageList({ messages, isLoading, onSend }) {
   const bottomRef = useRef(null)
@@ -22,10 +24,15 @@ export default function ChatMessageList({ messages, isLoading, onSend }) {
             <ChatMessage
               role={msg.role}
               content={msg.content}
+              attachments={msg.attachments}
               isStreaming={
                 isLoading && i === messages.length - 1 && msg.role === 'assistant'
               }
             />
+            {msg.provenance && <ProvenanceBlock provenance={msg.provenance} />}
+            {msg.actions?.length > 0 && (
+              <ActionChips messageId={msg.id} actions={msg.actions} />
+            )}
             {showChips && (
               <FollowUpChips suggestions={msg.suggestions} onSelect={onSend} />
             )}
@@ -0,0 +1,68 @@
+/**
+ * ConversationExportMenu.jsx — Export the open conversation
+ * ----------------------------------------------------------
+ * Download icon in the Ask AI drawer header with a Markdown / JSON choice
+ * (see lib/chatExport.js). Closes on outside click, like DownloadButton.
+ *
+ * Props
+ *   @param {object} conversation — the conversation to export
+ */
+import { useState, useRef, useEffect } from 'react'
+import { Download } from 'lucide-react'
+import { downloadConversation } from '@/lib/chatExport'
+
+export default function ConversationExportMenu({ conversation }) {
+  const [open, setOpen] = useState(false)
+  const ref = useRef(null)
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return
+    const handler = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('pointerdown', handler)
+    return () => document.removeEventListener('pointerdown', handler)
+  }, [open])
+
+  const handleClick = (format) => {
+    downloadConversation(conversation, format)
+    setOpen(false)
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+                   hover:bg-surface-alt transition-all duration-150"
+        title="Export conversation"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download size={16} />
+      </button>
+
+      {open && (
+        <div role="menu" className="absolute right-0 top-full mt-1 z-50 bg-white rounded-lg shadow-lg border border-border-light py-1 min-w-[180px]">
+          <button
+            role="menuitem"
+            onClick={() => handleClick('markdown')}
+            className="w-full text-left px-3 py-1.5 text-base text-text-primary hover:bg-surface-alt transition-colors"
+            title="Transcript with tables and quoted figures, for reports"
+          >
+            Markdown (.md)
+          </button>
+          <button
+            role="menuitem"
+            onClick={() => handleClick('json')}
+            className="w-full text-left px-3 py-1.5 text-base text-text-primary hover:bg-surface-alt transition-colors"
+            title="Full record including chart data and actions"
+          >
+            JSON (.json)
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,122 @@
+/**
+ * ConversationList.jsx — Saved Ask AI conversations
+ * --------------------------------------------------
+ * Shown in the drawer in place of the messages when the history button is
+ * active. Newest activity first; each row shows the page and filters the
+ * conversation started on. Rows can be opened, renamed inline (Enter saves,
+ * Escape cancels) and deleted (with an inline confirm).
+ *
+ * Props
+ *   @param {Function} onSelect — called after a conversation is opened
+ */
+import { useState } from 'react'
+import { Pencil, Trash2, Check, X, MessageSquare } from 'lucide-react'
+import { useChatStore } from '@/stores/chatStore'
+import { describeFilterValues } from '@/lib/labels'
+
+const iconButton = `p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+  hover:bg-surface-alt transition-all duration-150`
+
+function ConversationRow({ conversation, active, onSelect }) {
+  const renameConversation = useChatStore((s) => s.renameConversation)
+  const deleteConversation = useChatStore((s) => s.deleteConversation)
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(conversation.title)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+  const { startedOn } = conversation
+
+  const save = () => {
+    renameConversation(conversation.id, draft)
+    setEditing(false)
+  }
+
+  return (
+    <li className={`group flex items-start gap-2 px-5 py-3 border-b border-border-light
+      ${active ? 'bg-brand-blue/5' : 'hover:bg-surface-alt'}`}>
+      <MessageSquare size={16} className="mt-1 shrink-0 text-text-secondary" />
+      <div className="flex-1 min-w-0">
+        {editing ? (
+          <input
+            autoFocus
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') save()
+              if (e.key === 'Escape') {
+                e.stopPropagation()
+                setDraft(conversation.title)
+                setEditing(false)
+              }
+            }}
+            onBlur={save}
+            aria-label="Conversation name"
+            className="w-full px-2 py-1 rounded-md border border-brand-blue/50 text-base
+                       focus:outline-none focus:ring-2 focus:ring-brand-blue/10"
+          />
+        ) : (
+          <button onClick={() => onSelect(conversation.id)} className="block w-full text-left cursor-pointer">
+            <p className="text-base font-medium text-text-primary truncate">{conversation.title}</p>
+          </button>
+        )}
+        <p className="text-base text-text-secondary truncate">
+          {startedOn?.page || 'Dashboard'} · {new Date(conversation.updatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+          {' · '}{conversation.messages.filter((m) => m.role === 'user').length} questions
+        </p>
+        <p className="text-base text-text-secondary/80 truncate" title="Filters when the conversation started">
+          Filters: {describeFilterValues(startedOn?.filters)}
+        </p>
+      </div>
+      {confirmDelete ? (
+        <div className="flex items-center gap-0.5 shrink-0">
+          <span className="text-base text-text-secondary mr-1">Delete?</span>
+          <button onClick={() => deleteConversation(conversation.id)} className={iconButton} title="Delete conversation">
+            <Check size={16} />
+          </button>
+          <button onClick={() => setConfirmDelete(false)} className={iconButton} title="Keep conversation">
+            <X size={16} />
+          </button>
+        </div>
+      ) : !editing && (
+        <div className="flex items-center gap-0.5 shrink-0">
+          <button onClick={() => setEditing(true)} className={iconButton} title="Rename">
+            <Pencil size={16} />
+          </button>
+          <button onClick={() => setConfirmDelete(true)} className={iconButton} title="Delete">
+            <Trash2 size={16} />
+          </button>
+        </div>
+      )}
+    </li>
+  )
+}
+
+export default function ConversationList({ onSelect }) {
+  const conversations = useChatStore((s) => s.conversations)
+  const activeId = useChatStore((s) => s.activeId)
+  const selectConversation = useChatStore((s) => s.selectConversation)
+
+  if (!conversations.length) {
+    return (
+      <div className="flex-1 flex items-center justify-center px-6 text-base text-text-secondary">
+        No saved conversations yet.
+      </div>
+    )
+  }
+
+  const sorted = [...conversations].sort((a, b) => b.updatedAt - a.updatedAt)
+  return (
+    <ul className="flex-1 overflow-y-auto">
+      {sorted.map((c) => (
+        <ConversationRow
+          key={c.id}
+          conversation={c}
+          active={c.id === activeId}
+          onSelect={(id) => {
+            selectConversation(id)
+            onSelect?.()
+          }}
+        />
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,51 @@
+/**
+ * PinnedCharts.jsx — Ask AI answers pinned to the current page
+ * -------------------------------------------------------------
+ * Renders the current route's pins (stores/pinStore.js) as ChartCards below
+ * the page content, each with an unpin button. Renders nothing when the page
+ * has no pins. Mounted once in PageWrapper.
+ */
+import { useLocation } from 'react-router-dom'
+import { PinOff } from 'lucide-react'
+import { usePinStore } from '@/stores/pinStore'
+import { attachmentFilename } from '@/lib/chatAttachments'
+import ChartCard from '@/components/ui/ChartCard'
+import SectionBlock from '@/components/ui/SectionBlock'
+import AttachmentChart from './AttachmentChart'
+
+export default function PinnedCharts() {
+  const { pathname } = useLocation()
+  const allPins = usePinStore((s) => s.pins)
+  const unpin = usePinStore((s) => s.unpin)
+  const pins = allPins.filter((p) => p.path === pathname)
+
+  if (!pins.length) return null
+
+  return (
+    <SectionBlock>
+      <h2 className="text-xl font-bold text-text-primary mb-4">Pinned from Ask AI</h2>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {pins.map(({ id, attachment }) => (
+          <ChartCard
+            key={id}
+            title={attachment.title}
+            subtitle={attachment.subtitle}
+            downloadData={{ summary: { data: attachment.data, filename: attachmentFilename(attachment) } }}
+            headerRight={
+              <button
+                onClick={() => unpin(id)}
+                className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+                           hover:bg-surface-alt transition-all duration-150 export-ignore"
+                title="Unpin"
+              >
+                <PinOff size={16} />
+              </button>
+            }
+          >
+            <AttachmentChart attachment={attachment} />
+          </ChartCard>
+        ))}
+      </div>
+    </SectionBlock>
+  )
+}
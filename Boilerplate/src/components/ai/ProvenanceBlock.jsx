@@ -0,0 +1,81 @@
+/**
+ * ProvenanceBlock.jsx — Where an answer's numbers came from
+ * ----------------------------------------------------------
+ * Compact block under an assistant message: dataset key, the filters the
+ * answer applied, the aggregation it performed and how many rows it read
+ * (see lib/provenance.js). "Show the rows" re-selects those records in the
+ * data worker and opens them in a full-screen DataTable with a CSV
+ * download, so reviewers can audit any quoted figure.
+ */
+import { useMemo, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { Database, Table2 } from 'lucide-react'
+import FullscreenChart from '@/components/ui/FullscreenChart'
+import DataTable from '@/components/ui/DataTable'
+import { provenanceQuery } from '@/lib/provenance'
+import { useDataQuery } from '@/lib/useDataQuery'
+import { describeFilterValues } from '@/lib/labels'
+
+function RowsOverlay({ provenance, onClose }) {
+  const { data: rows, loading } = useDataQuery(provenance.dataset, provenanceQuery(provenance))
+  const columns = useMemo(
+    () => Object.keys(rows[0] || {}).map((key) => ({ key, label: key })),
+    [rows],
+  )
+
+  return (
+    <FullscreenChart
+      title={`Rows behind this answer — ${provenance.dataset}`}
+      subtitle={`${rows.length.toLocaleString()} rows · Filters: ${describeFilterValues(provenance.filters)} · ${provenance.aggregation}`}
+      downloadData={{ detail: { data: rows, filename: `ai-provenance-${provenance.dataset}` } }}
+      onClose={onClose}
+    >
+      {loading ? (
+        <p className="text-base text-text-secondary">Loading the rows…</p>
+      ) : rows.length ? (
+        <DataTable columns={columns} data={rows} />
+      ) : (
+        <p className="text-base text-text-secondary">
+          The {provenance.dataset} data isn&apos;t loaded, so the rows can&apos;t be shown.
+        </p>
+      )}
+    </FullscreenChart>
+  )
+}
+
+export default function ProvenanceBlock({ provenance }) {
+  const [showRows, setShowRows] = useState(false)
+  const { dataset, datasetLabel, filters, aggregation, rowCount } = provenance
+
+  return (
+    <div className="mx-5 my-1 px-3 py-2 rounded-lg border border-border-light bg-surface-alt/50 text-base text-text-secondary">
+      <div className="flex items-center gap-1.5 font-medium text-text-primary">
+        <Database size={14} className="shrink-0" />
+        <span>Source</span>
+      </div>
+      <dl className="mt-1 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5">
+        <dt>Dataset</dt>
+        <dd className="min-w-0 break-words">
+          <code>{dataset}</code>{datasetLabel && datasetLabel !== dataset && ` — ${datasetLabel}`}
+        </dd>
+        <dt>Filters</dt>
+        <dd className="min-w-0 break-words">{describeFilterValues(filters)}</dd>
+        <dt>Aggregation</dt>
+        <dd className="min-w-0 break-words">{aggregation}</dd>
+        <dt>Rows</dt>
+        <dd>{rowCount.toLocaleString()}</dd>
+      </dl>
+      <button
+        onClick={() => setShowRows(true)}
+        className="mt-1.5 inline-flex items-center gap-1.5 text-brand-blue hover:underline cursor-pointer"
+      >
+        <Table2 size={14} />
+        Show the rows
+      </button>
+      {showRows && createPortal(
+        <RowsOverlay provenance={provenance} onClose={() => setShowRows(false)} />,
+        document.body,
+      )}
+    </div>
+  )
+}
@@ -47,6 +47,11 @@
  *   Value of `xKey` for the currently selected bar. Non-selected bars are
  *   dimmed. Pass `null`/`undefined` to show all bars at full opacity.
  *
+ * @param {Function} [onDrillDown]
+ *   Optional callback invoked with a bar's datum to show the records behind
+ *   it (see lib/useDrillDown.js). A click drills down; with `onBarClick`
+ *   too, a plain click selects and shift-click drills down.
+ *
  * @param {number} [maxBars=15]
  *   Maximum number of bars displayed. Data beyond this limit is sliced off.
  *   NOTE: This is a visual cap — the parent should pre-sort data by
@@ -68,6 +73,7 @@ import { useRef, useEffect } from 'react'
 import * as d3 from 'd3'
 import { useChartResize, getResponsiveFontSize } from '@/lib/useChartResize'
 import { CHART_COLORS, formatCurrency } from '@/lib/chartColors'
+import { chartClick, drillHint } from '@/lib/drillDown'
 
 /** Half-length of axis tick marks (extends TICK_HALF px above and below the axis line). */
 const TICK_HALF = 5
@@ -81,6 +87,7 @@ export default function BarChart({
   formatValue = formatCurrency,
   onBarClick,
   selectedBar,
+  onDrillDown,
   maxBars = 15,
   animate = true,
 }) {
@@ -94,6 +101,12 @@ export default function BarChart({
     const FS = getResponsiveFontSize(width, isFullscreen)
     const charW = FS * 0.55
 
+    // Drillable bars say how on hover
+    const titleBars = (bars) => {
+      if (!onDrillDown) return
+      bars.append('title').text((d) => `${d[xKey]}: ${formatValue(d[yKey])}\n${drillHint(Boolean(onBarClick))}`)
+    }
+
     // Enforce maxBars cap — only the first `maxBars` items are rendered.
     const displayData = data.slice(0, maxBars)
     const maxLabelLen = d3.max(displayData, (d) => (d[xKey] || '').length) || 0
@@ -152,9 +165,10 @@ export default function BarChart({
         .attr('rx', 3)
         // Dim non-selected bars to 25% opacity via hex alpha suffix
         .attr('fill', (d) => (selectedBar && d[xKey] !== selectedBar ? `${color}40` : color))
-        .attr('cursor', onBarClick ? 'pointer' : 'default')
+        .attr('cursor', onBarClick || onDrillDown ? 'pointer' : 'default')
         .attr('width', 0)
-        .on('click', (e, d) => onBarClick?.(d))
+        .on('click', chartClick(onBarClick, onDrillDown))
+        .call(titleBars)
         .transition()
         .duration(animate ? 600 : 0)
         .delay((d, i) => (animate ? i * 30 : 0))
@@ -233,10 +247,11 @@ export default function BarChart({
         .attr('width', x.bandwidth())
         .attr('rx', 3)
         .attr('fill', (d) => (selectedBar && d[xKey] !== selectedBar ? `${color}40` : color))
-        .attr('cursor', onBarClick ? 'pointer' : 'default')
+        .attr('cursor', onBarClick || onDrillDown ? 'pointer' : 'default')
         .attr('y', innerH)
         .attr('height', 0)
-        .on('click', (e, d) => onBarClick?.(d))
+        .on('click', chartClick(onBarClick, onDrillDown))
+        .call(titleBars)
         .transition()
         .duration(animate ? 600 : 0)
         .delay((d, i) => (animate ? i * 30 : 0))
@@ -0,0 +1,319 @@
+/**
+ * ChoroplethMap — U.S. state choropleth drawn over an offline basemap.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Chart components are data-agnostic — they render whatever data array is
+ * passed via props. When swapping datasets, update the page components
+ * (src/pages/) that prepare and pass data to these charts, not the charts
+ * themselves. The only reason to modify a chart is to change its visual
+ * style or add new interactive features.
+ * ────────────────────────────────────────────────────────────────────────────
+ *
+ * WHAT IT DOES
+ * Shades each U.S. state by a numeric value using the bundled basemap
+ * `public/data/geo/us-states.json` (50 states + DC, built by
+ * scripts/build-basemaps.js) and a d3.geoAlbersUsa projection.
+ *   - Rows are joined to states by postal code (`codeKey`, e.g. 'TX') and,
+ *     failing that, by state name (`nameKey`, case-insensitive).
+ *   - `scaleType="quantize"` splits the value range into equal-width
+ *     classes; `"quantile"` puts the same number of states in each class
+ *     (better when one state dwarfs the rest, as Texas does here).
+ *   - A stepped legend is drawn inside the SVG so PNG exports include it.
+ *   - Hovering shows an HTML tooltip (safe DOM APIs, no innerHTML).
+ *   - Scroll to zoom, drag to pan; a "Reset zoom" button appears when
+ *     zoomed in (hidden from PNG exports via `export-ignore`).
+ *   - Clicking a state calls `onStateClick(datum)`; together with
+ *     `selectedStates` this gives click-to-filter (other states dim).
+ *
+ * PROPS
+ * @param {Array<Object>} data
+ *   One object per state.
+ *   Example: [{ label: 'Texas', code: 'TX', value: 4.5e11 }]
+ *
+ * @param {string} [nameKey='label']  — Property with the state name
+ * @param {string} [codeKey='code']   — Property with the 2-letter postal code
+ * @param {string} [valueKey='value'] — Numeric property that drives the shading
+ *
+ * @param {'quantize'|'quantile'} [scaleType='quantize']
+ *   How values are binned into color classes.
+ *
+ * @param {number} [steps=5] — Number of color classes (3–9 reads best)
+ *
+ * @param {Function} [formatValue=formatCurrency]
+ *   Formatter for tooltip and legend values.
+ *
+ * @param {Function} [onStateClick]
+ *   Optional callback invoked with the clicked state's datum. States with
+ *   no data row receive `{ [nameKey]: name, [codeKey]: code }`.
+ *
+ * @param {Array<string>|string} [selectedStates]
+ *   `nameKey` value(s) of the selected states. Other states are dimmed.
+ *
+ * @param {string} [basemap='us-states.json']
+ *   Basemap file in public/data/geo/. Features need `name` and `code`
+ *   properties in a `states` object.
+ *
+ * @param {boolean} [animate=true] — Fade the fills in on render
+ *
+ * EDGE CASES & LIMITATIONS
+ * - Rows that match no state (e.g. "State Unknown") are ignored; states
+ *   with no matching row are drawn in a neutral gray as "No data".
+ * - Territories are not in the basemap because geoAlbersUsa can't place them.
+ * - Quantile classes collapse when many states share a value; the legend
+ *   only shows the classes that the scale actually produces.
+ * - Zoom resets whenever the chart redraws (resize, data or filter change).
+ */
+import { useRef, useEffect, useMemo } from 'react'
+import * as d3 from 'd3'
+import { feature } from 'topojson-client'
+import { useChartResize, getResponsiveFontSize } from '@/lib/useChartResize'
+import { useBasemap } from '@/lib/useBasemap'
+import { formatCurrency } from '@/lib/chartColors'
+
+/** Light → dark ramp ending in the brand's dark blue. */
+const RAMP = d3.interpolateRgb('#dbe7f3', '#002e69')
+const NO_DATA_FILL = '#eef0f3'
+
+export default function ChoroplethMap({
+  data = [],
+  nameKey = 'label',
+  codeKey = 'code',
+  valueKey = 'value',
+  scaleType = 'quantize',
+  steps = 5,
+  formatValue = formatCurrency,
+  onStateClick,
+  selectedStates,
+  basemap = 'us-states.json',
+  animate = true,
+}) {
+  const containerRef = useRef(null)
+  const svgRef = useRef(null)
+  const { width, height: containerHeight, isFullscreen } = useChartResize(containerRef)
+  const topology = useBasemap(basemap)
+
+  // Convert the states object to GeoJSON once per basemap
+  const geo = useMemo(() => {
+    if (!topology?.objects.states) return null
+    return { features: feature(topology, topology.objects.states).features }
+  }, [topology])
+
+  useEffect(() => {
+    if (!geo || !width) return
+
+    const FS = getResponsiveFontSize(width, isFullscreen)
+    const height = Math.max(360, containerHeight > 100 ? containerHeight : 360)
+    const pad = 16
+    const legendH = Math.round(FS * 3)
+
+    // ── Join rows to features (postal code first, then name) ──
+    const byCode = new Map()
+    const byName = new Map()
+    data.forEach((d) => {
+      if (d[codeKey]) byCode.set(String(d[codeKey]).toUpperCase(), d)
+      if (d[nameKey]) byName.set(String(d[nameKey]).toLowerCase(), d)
+    })
+    const rowFor = (f) =>
+      byCode.get(f.properties.code) || byName.get(f.properties.name.toLowerCase()) || null
+
+    const selected = new Set(
+      [].concat(selectedStates || []).map((s) => String(s).toLowerCase()),
+    )
+    const isDimmed = (f) => {
+      if (!selected.size) return false
+      const row = rowFor(f)
+      const name = row ? String(row[nameKey]).toLowerCase() : f.properties.name.toLowerCase()
+      return !selected.has(name) && !selected.has(f.properties.code.toLowerCase())
+    }
+
+    const values = geo.features
+      .map((f) => rowFor(f)?.[valueKey])
+      .filter((v) => Number.isFinite(v))
+
+    const colors = d3.quantize(RAMP, Math.max(2, steps))
+    const color = scaleType === 'quantile'
+      ? d3.scaleQuantile().domain(values).range(colors)
+      : d3.scaleQuantize().domain(d3.extent(values).map((v) => v ?? 0)).range(colors).nice()
+    const fillFor = (f) => {
+      const v = rowFor(f)?.[valueKey]
+      return Number.isFinite(v) ? color(v) : NO_DATA_FILL
+    }
+
+    const svg = d3.select(svgRef.current)
+    svg.selectAll('*').remove()
+    svg.attr('width', width).attr('height', height)
+
+    const projection = d3.geoAlbersUsa().fitExtent(
+      [[pad, pad], [width - pad, height - pad - legendH]],
+      { type: 'FeatureCollection', features: geo.features },
+    )
+    const path = d3.geoPath(projection)
+
+    // Background catches pan/zoom gestures outside the states
+    svg.append('rect')
+      .attr('width', width).attr('height', height)
+      .attr('fill', 'white')
+
+    const mapG = svg.append('g')
+
+    // ── HTML Tooltip (fixed to viewport, escapes overflow-hidden) ──
+    const tipId = `choropleth-tooltip-${Math.random().toString(36).slice(2, 9)}`
+    const tipDiv = document.createElement('div')
+    tipDiv.id = tipId
+    Object.assign(tipDiv.style, {
+      position: 'fixed', pointerEvents: 'none', display: 'none',
+      background: 'white', border: '1px solid #e2e5e9', borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.10)', padding: '12px 14px',
+      fontSize: '16px', lineHeight: '1.6', zIndex: '9999', whiteSpace: 'nowrap',
+      fontFamily: 'inherit', color: '#333f48', maxWidth: '360px',
+    })
+    document.body.appendChild(tipDiv)
+
+    mapG.append('g')
+      .selectAll('path')
+      .data(geo.features)
+      .enter()
+      .append('path')
+      .attr('d', path)
+      .attr('fill', fillFor)
+      .attr('stroke', 'white')
+      .attr('stroke-width', 0.75)
+      .attr('vector-effect', 'non-scaling-stroke')
+      .attr('cursor', onStateClick ? 'pointer' : 'default')
+      .on('click', (e, f) => {
+        e.stopPropagation()
+        onStateClick?.(rowFor(f) || { [nameKey]: f.properties.name, [codeKey]: f.properties.code })
+      })
+      .on('mouseenter', function (event, f) {
+        d3.select(this).attr('stroke', '#333f48').attr('stroke-width', 1.5).raise()
+        const row = rowFor(f)
+        // Build tooltip using safe DOM APIs (no innerHTML — prevents XSS if
+        // data values contain HTML-like strings)
+        tipDiv.textContent = ''
+        const nameDiv = document.createElement('div')
+        Object.assign(nameDiv.style, { fontWeight: '700', fontSize: '16px', marginBottom: '6px' })
+        nameDiv.textContent = row?.[nameKey] || f.properties.name
+        tipDiv.appendChild(nameDiv)
+        const body = document.createElement('div')
+        Object.assign(body.style, {
+          borderTop: '1px solid #e5e7eb', paddingTop: '6px',
+          display: 'flex', alignItems: 'center', gap: '8px',
+        })
+        const swatch = document.createElement('span')
+        Object.assign(swatch.style, { width: '12px', height: '12px', borderRadius: '2px', background: fillFor(f), flexShrink: '0' })
+        const valSpan = document.createElement('span')
+        const v = row?.[valueKey]
+        valSpan.style.fontWeight = Number.isFinite(v) ? '600' : '400'
+        valSpan.textContent = Number.isFinite(v) ? formatValue(v) : 'No data'
+        body.appendChild(swatch)
+        body.appendChild(valSpan)
+        tipDiv.appendChild(body)
+        tipDiv.style.display = 'block'
+      })
+      .on('mousemove', function (event) {
+        const tipW = tipDiv.offsetWidth
+        const tipH = tipDiv.offsetHeight
+        const tipPad = 12
+        let tx = event.clientX + 16
+        if (tx + tipW + tipPad > window.innerWidth) tx = event.clientX - tipW - 16
+        let ty = event.clientY - tipH - 10
+        if (ty < tipPad) ty = event.clientY + 16
+        tx = Math.max(tipPad, Math.min(tx, window.innerWidth - tipW - tipPad))
+        ty = Math.max(tipPad, Math.min(ty, window.innerHeight - tipH - tipPad))
+        tipDiv.style.left = `${tx}px`
+        tipDiv.style.top = `${ty}px`
+      })
+      .on('mouseleave', function () {
+        d3.select(this).attr('stroke', 'white').attr('stroke-width', 0.75)
+        tipDiv.style.display = 'none'
+      })
+      .attr('fill-opacity', animate ? 0 : (f) => (isDimmed(f) ? 0.25 : 1))
+      .transition()
+      .duration(animate ? 500 : 0)
+      .attr('fill-opacity', (f) => (isDimmed(f) ? 0.25 : 1))
+
+    // Selected states get a dark outline on top of the interior borders
+    if (selected.size) {
+      mapG.append('g')
+        .selectAll('path')
+        .data(geo.features.filter((f) => !isDimmed(f)))
+        .enter()
+        .append('path')
+        .attr('d', path)
+        .attr('fill', 'none')
+        .attr('stroke', '#333f48')
+        .attr('stroke-width', 1.5)
+        .attr('vector-effect', 'non-scaling-stroke')
+        .attr('pointer-events', 'none')
+    }
+
+    // ── Stepped legend (bottom-left, inside SVG so PNG export includes it) ──
+    const classes = color.range()
+      .map((c) => ({ color: c, extent: color.invertExtent(c) }))
+      .filter((d) => Number.isFinite(d.extent[0]) && Number.isFinite(d.extent[1]))
+    if (values.length && classes.length) {
+      const swatchW = Math.min(72, (width - pad * 2) / (classes.length + 1))
+      const legendG = svg.append('g')
+        .attr('transform', `translate(${pad}, ${height - legendH})`)
+      classes.forEach((d, i) => {
+        legendG.append('rect')
+          .attr('x', i * swatchW).attr('width', swatchW - 2).attr('height', 10)
+          .attr('fill', d.color)
+        legendG.append('text')
+          .attr('x', i * swatchW).attr('y', 10 + FS + 2)
+          .attr('font-size', `${FS * 0.85}px`)
+          .attr('fill', 'var(--color-text-secondary)')
+          .text(formatValue(d.extent[0]))
+      })
+      legendG.append('rect')
+        .attr('x', classes.length * swatchW + 8).attr('width', swatchW - 2).attr('height', 10)
+        .attr('fill', NO_DATA_FILL)
+      legendG.append('text')
+        .attr('x', classes.length * swatchW + 8).attr('y', 10 + FS + 2)
+        .attr('font-size', `${FS * 0.85}px`)
+        .attr('fill', 'var(--color-text-secondary)')
+        .text('No data')
+    }
+
+    // ── Zoom behavior ────────────────────────────────────────────
+    const resetBtn = svg.append('g')
+      .attr('class', 'export-ignore')
+      .attr('transform', `translate(${width - pad - 100}, ${pad / 2})`)
+      .attr('cursor', 'pointer')
+      .style('display', 'none')
+    resetBtn.append('rect')
+      .attr('rx', 4).attr('width', 100).attr('height', 28)
+      .attr('fill', '#f3f4f6').attr('stroke', '#d1d5db')
+    resetBtn.append('text')
+      .attr('x', 50).attr('y', 19)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', `${FS}px`).attr('fill', '#6b7280')
+      .text('Reset zoom')
+
+    const zoom = d3.zoom()
+      .scaleExtent([1, 8])
+      .translateExtent([[0, 0], [width, height]])
+      .on('zoom', (event) => {
+        tipDiv.style.display = 'none'
+        mapG.attr('transform', event.transform)
+        resetBtn.style('display', event.transform.k > 1 ? null : 'none')
+      })
+
+    resetBtn.on('click', (e) => {
+      e.stopPropagation()
+      svg.transition().duration(300).call(zoom.transform, d3.zoomIdentity)
+    })
+    svg.call(zoom).on('dblclick.zoom', null)
+
+    return () => {
+      svg.on('.zoom', null)
+      document.getElementById(tipId)?.remove()
+    }
+  }, [geo, data, width, containerHeight, isFullscreen, nameKey, codeKey, valueKey, scaleType, steps, selectedStates, animate])
+
+  return (
+    <div ref={containerRef} className="w-full" style={{ minHeight: 360 }}>
+      <svg ref={svgRef} className="w-full" />
+    </div>
+  )
+}
@@ -17,7 +17,8 @@
  *     default, or the hovered/selected slice's name and value.
  *   - Clicking a slice "selects" it — the slice explodes outward slightly,
  *     non-selected slices are dimmed, and the center text updates.
- *   - Clicking outside the chart (anywhere on the page) deselects.
+ *   - Clicking outside the chart (anywhere on the page) deselects, unless
+ *     `clearOnOutsideClick` is false.
  *   - A right-side legend is shown when width > 500px and there are <= 10
  *     items. Legend items are also clickable for selection.
  *   - Hover expands the slice arc (arcHover vs arc).
@@ -44,6 +45,16 @@
  *   The `nameKey` value of the currently selected slice. Non-selected
  *   slices render at reduced opacity. Pass `null`/`undefined` to clear.
  *
+ * @param {Function} [onDrillDown]
+ *   Optional callback invoked with a slice's datum to show the records
+ *   behind it (see lib/useDrillDown.js). A click drills down; with
+ *   `onSliceClick` too, a plain click selects and shift-click drills down.
+ *
+ * @param {boolean} [clearOnOutsideClick=true]
+ *   Call `onSliceClick(null)` when the user clicks elsewhere on the page.
+ *   Turn off on crossfilter pages (see useCrossfilter), where clicks on
+ *   sibling charts select other dimensions and must not clear this one.
+ *
  * @param {boolean} [animate=true]
  *   Whether slices fade in on first render. Animation only runs once
  *   (tracked by `hasAnimated` ref) to avoid replaying on selection changes.
@@ -61,6 +72,7 @@ import { useRef, useEffect } from 'react'
 import * as d3 from 'd3'
 import { useChartResize, getResponsiveFontSize } from '@/lib/useChartResize'
 import { CHART_COLORS, formatCurrency } from '@/lib/chartColors'
+import { chartClick, drillHint } from '@/lib/drillDown'
 
 export default function DonutChart({
   data = [],
@@ -69,6 +81,8 @@ export default function DonutChart({
   formatValue = formatCurrency,
   onSliceClick,
   selectedSlice,
+  onDrillDown,
+  clearOnOutsideClick = true,
   animate = true,
 }) {
   const containerRef = useRef(null)
@@ -78,7 +92,7 @@ export default function DonutChart({
 
   // Click-outside handler: deselect when clicking anywhere outside the chart container
   useEffect(() => {
-    if (!onSliceClick || !selectedSlice) return
+    if (!onSliceClick || !selectedSlice || !clearOnOutsideClick) return
 
     const handleClickOutside = (e) => {
       if (containerRef.current && !containerRef.current.contains(e.target)) {
@@ -87,7 +101,7 @@ export default function DonutChart({
     }
     document.addEventListener('click', handleClickOutside)
     return () => document.removeEventListener('click', handleClickOutside)
-  }, [onSliceClick, selectedSlice])
+  }, [onSliceClick, selectedSlice, clearOnOutsideClick])
 
   useEffect(() => {
     if (!data.length || !width) return
@@ -127,6 +141,8 @@ export default function DonutChart({
     const arc = d3.arc().innerRadius(innerRadius).outerRadius(radius - 4)
     const arcHover = d3.arc().innerRadius(innerRadius).outerRadius(radius)
 
+    const handleClick = chartClick(onSliceClick, onDrillDown)
+
     const explodeOffset = 6
     const slices = g.selectAll('.slice').data(pie(data)).enter()
       .append('g')
@@ -169,10 +185,10 @@ export default function DonutChart({
       })
       .attr('stroke', 'white')
       .attr('stroke-width', 2)
-      .attr('cursor', onSliceClick ? 'pointer' : 'default')
+      .attr('cursor', onSliceClick || onDrillDown ? 'pointer' : 'default')
       .on('click', (e, d) => {
         e.stopPropagation()
-        onSliceClick?.(d.data)
+        handleClick(e, d.data)
       })
       .on('mouseenter', function (e, d) {
         if (!selectedSlice || d.data[nameKey] !== selectedSlice) {
@@ -195,6 +211,12 @@ export default function DonutChart({
         }
       })
 
+    // Drillable slices say how on hover
+    if (onDrillDown) {
+      slices.append('title')
+        .text((d) => `${d.data[nameKey]}: ${formatValue(d.data[valueKey])}\n${drillHint(Boolean(onSliceClick))}`)
+    }
+
     // Only animate on first render, not on selection changes
     if (shouldAnimate) {
       slices.selectAll('path')
@@ -221,10 +243,10 @@ export default function DonutChart({
         const item = legendG.append('g')
           .attr('transform', `translate(0, ${i * rowH})`)
           .attr('opacity', isDimmed ? 0.4 : 1)
-          .attr('cursor', onSliceClick ? 'pointer' : 'default')
+          .attr('cursor', onSliceClick || onDrillDown ? 'pointer' : 'default')
           .on('click', (e) => {
             e.stopPropagation()
-            onSliceClick?.(d)
+            handleClick(e, d)
           })
         item.append('circle')
           .attr('cx', dotR).attr('cy', 5).attr('r', dotR)
@@ -18,6 +18,7 @@
  *   - Optional gradient area fill for single-series charts
  *   - Animated line-drawing entrance effect (stroke-dashoffset trick)
  *   - A "Reset zoom" button that appears when zoomed in
+ *   - Optional x-range brushing (drag across the plot) via `onBrush`
  *
  * ZOOM & ZoomRangeContext
  * When the user zooms, the component reports the visible x-domain range to
@@ -26,6 +27,20 @@
  * not provided (chart not inside a ChartCard), zoom still works visually
  * but the range isn't reported anywhere.
  *
+ * SAVED VIEWS
+ * Opening a saved view passes its zoom range through the card's
+ * `CardViewContext` (lib/cardView.js). The chart zooms to it and keeps it across redraws
+ * (e.g. when the view's filters load new data) until the user zooms or
+ * resets.
+ *
+ * BRUSHING
+ * When `onBrush` is provided, dragging across the plot selects an x-range
+ * instead of panning (scroll still zooms). The brush snaps to whole x
+ * values and reports `[min, max]`, or `null` when the user clicks to clear.
+ * `brushRange` draws the current selection so the parent (e.g. a
+ * useCrossfilter page) stays the source of truth. Updating `brushRange`
+ * only moves the brush — the chart is not redrawn or re-animated.
+ *
  * CLIP PATH
  * All line paths, dots, and area fills are rendered inside a `<g>` with a
  * `clip-path` so that when the user zooms/pans, geometry outside the plot
@@ -48,12 +63,23 @@
  *   line series. If omitted, a single line is drawn.
  *
  * @param {Function} [formatValue=formatCurrency]
- *   Formatter for tooltip values and y-axis labels.
+ *   Formatter for tooltip values.
+ *
+ * @param {string} [unit='usd']
+ *   UNITS key (chartColors.js) for the y-axis labels — pass `measure.unit`
+ *   with `formatValue={measure.format}` so axis and tooltips agree.
  *
  * @param {boolean} [showArea=false]
  *   If true AND there is only one series, a subtle gradient area fill is
  *   rendered below the line.
  *
+ * @param {Function} [onBrush]
+ *   Optional. Enables brushing; called with `[min, max]` (inclusive x
+ *   values) when a brush ends, or `null` when it is cleared.
+ *
+ * @param {Array<number>} [brushRange]
+ *   The `[min, max]` range to show as brushed. Pass `null` to clear.
+ *
  * @param {boolean} [animate=true]
  *   Whether lines animate in via stroke-dashoffset on first render.
  *
@@ -71,6 +97,7 @@ import * as d3 from 'd3'
 import { useChartResize, getResponsiveFontSize } from '@/lib/useChartResize'
 import { CHART_COLORS, formatCurrency, getAxisFormatter } from '@/lib/chartColors'
 import { ZoomRangeContext } from '@/components/ui/ChartCard'
+import { CardViewContext } from '@/lib/cardView'
 
 export default function LineChart({
   data = [],
@@ -78,13 +105,27 @@ export default function LineChart({
   yKey = 'value',
   seriesKey,
   formatValue = formatCurrency,
+  unit = 'usd',
   showArea = false,
+  onBrush,
+  brushRange,
   animate = true,
 }) {
   const containerRef = useRef(null)
   const svgRef = useRef(null)
   const { width, height: containerHeight, isFullscreen } = useChartResize(containerRef)
   const setZoomRange = useContext(ZoomRangeContext)
+  const cardView = useContext(CardViewContext)
+  // Saved-view zoom held across redraws, and a function (set by the draw
+  // effect) that zooms the current drawing to an x-range.
+  const heldZoomRef = useRef(null)
+  const zoomToRef = useRef(null)
+  // Latest brushRange, and a function (set by the draw effect) that moves
+  // the brush without redrawing the chart.
+  const brushRangeRef = useRef(brushRange)
+  const syncBrushRef = useRef(null)
+  const onBrushRef = useRef(onBrush)
+  const brushable = Boolean(onBrush)
 
   useEffect(() => {
     if (!data.length || !width) return
@@ -317,87 +358,126 @@ export default function LineChart({
       .style('display', 'none')
     const highlightDots = g.append('g').style('display', 'none')
 
+    const showTooltip = function (event) {
+      const [mx] = d3.pointer(event)
+      const xVal = Math.round(currentX.invert(mx))
+      const xPos = currentX(xVal)
+
+      guideLine.attr('x1', xPos).attr('x2', xPos).style('display', null)
+      highlightDots.selectAll('*').remove()
+      highlightDots.style('display', null)
+
+      const points = []
+      series.forEach((s) => {
+        const point = s.values.find((d) => d[xKey] === xVal)
+        if (point) points.push({ point, name: s.name, color: colorScale(s.name) })
+      })
+      if (!points.length) { tipDiv.style.display = 'none'; return }
+
+      // Highlight dots on chart
+      points.forEach((p) => {
+        highlightDots.append('circle')
+          .attr('cx', xPos)
+          .attr('cy', y(p.point[yKey]))
+          .attr('r', 6)
+          .attr('fill', p.color)
+          .attr('stroke', 'white')
+          .attr('stroke-width', 2.5)
+      })
+
+      // Build tooltip using safe DOM APIs — textContent and createElement
+      // only. Never use innerHTML to prevent XSS from data values.
+      tipDiv.textContent = ''
+      const header = document.createElement('div')
+      Object.assign(header.style, { fontWeight: '700', fontSize: '16px', marginBottom: '6px' })
+      header.textContent = xVal
+      tipDiv.appendChild(header)
+
+      const body = document.createElement('div')
+      Object.assign(body.style, { borderTop: '1px solid #e5e7eb', paddingTop: '6px' })
+      points.forEach((p) => {
+        const label = p.name !== 'default' ? p.name : ''
+        const row = document.createElement('div')
+        Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'space-between' })
+        const left = document.createElement('span')
+        Object.assign(left.style, { display: 'flex', alignItems: 'center', gap: '6px' })
+        const dot = document.createElement('span')
+        Object.assign(dot.style, { width: '10px', height: '10px', borderRadius: '50%', background: p.color, flexShrink: '0' })
+        const labelSpan = document.createElement('span')
+        labelSpan.style.color = '#6b7280'
+        labelSpan.textContent = label
+        left.appendChild(dot)
+        left.appendChild(labelSpan)
+        const valSpan = document.createElement('span')
+        Object.assign(valSpan.style, { fontWeight: '600', marginLeft: '16px' })
+        valSpan.textContent = formatValue(p.point[yKey])
+        row.appendChild(left)
+        row.appendChild(valSpan)
+        body.appendChild(row)
+      })
+      tipDiv.appendChild(body)
+      tipDiv.style.display = 'block'
+
+      // Position using viewport coordinates, clamped to stay on-screen
+      const tipW = tipDiv.offsetWidth
+      const tipH = tipDiv.offsetHeight
+      const pad = 12
+      let tx = event.clientX + 16
+      if (tx + tipW + pad > window.innerWidth) tx = event.clientX - tipW - 16
+      let ty = event.clientY - tipH - 10
+      if (ty < pad) ty = event.clientY + 16
+      tx = Math.max(pad, Math.min(tx, window.innerWidth - tipW - pad))
+      ty = Math.max(pad, Math.min(ty, window.innerHeight - tipH - pad))
+      tipDiv.style.left = `${tx}px`
+      tipDiv.style.top = `${ty}px`
+    }
+    const hideTooltip = () => {
+      tipDiv.style.display = 'none'
+      guideLine.style('display', 'none')
+      highlightDots.style('display', 'none')
+    }
+
     const overlay = g.append('rect')
       .attr('width', innerW).attr('height', innerH)
       .attr('fill', 'transparent')
-      .on('mousemove', function(event) {
-        const [mx] = d3.pointer(event)
-        const xVal = Math.round(currentX.invert(mx))
-        const xPos = currentX(xVal)
-
-        guideLine.attr('x1', xPos).attr('x2', xPos).style('display', null)
-        highlightDots.selectAll('*').remove()
-        highlightDots.style('display', null)
-
-        const points = []
-        series.forEach((s) => {
-          const point = s.values.find((d) => d[xKey] === xVal)
-          if (point) points.push({ point, name: s.name, color: colorScale(s.name) })
-        })
-        if (!points.length) { tipDiv.style.display = 'none'; return }
-
-        // Highlight dots on chart
-        points.forEach((p) => {
-          highlightDots.append('circle')
-            .attr('cx', xPos)
-            .attr('cy', y(p.point[yKey]))
-            .attr('r', 6)
-            .attr('fill', p.color)
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2.5)
-        })
-
-        // Build tooltip using safe DOM APIs — textContent and createElement
-        // only. Never use innerHTML to prevent XSS from data values.
-        tipDiv.textContent = ''
-        const header = document.createElement('div')
-        Object.assign(header.style, { fontWeight: '700', fontSize: '16px', marginBottom: '6px' })
-        header.textContent = xVal
-        tipDiv.appendChild(header)
-
-        const body = document.createElement('div')
-        Object.assign(body.style, { borderTop: '1px solid #e5e7eb', paddingTop: '6px' })
-        points.forEach((p) => {
-          const label = p.name !== 'default' ? p.name : ''
-          const row = document.createElement('div')
-          Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'space-between' })
-          const left = document.createElement('span')
-          Object.assign(left.style, { display: 'flex', alignItems: 'center', gap: '6px' })
-          const dot = document.createElement('span')
-          Object.assign(dot.style, { width: '10px', height: '10px', borderRadius: '50%', background: p.color, flexShrink: '0' })
-          const labelSpan = document.createElement('span')
-          labelSpan.style.color = '#6b7280'
-          labelSpan.textContent = label
-          left.appendChild(dot)
-          left.appendChild(labelSpan)
-          const valSpan = document.createElement('span')
-          Object.assign(valSpan.style, { fontWeight: '600', marginLeft: '16px' })
-          valSpan.textContent = formatValue(p.point[yKey])
-          row.appendChild(left)
-          row.appendChild(valSpan)
-          body.appendChild(row)
+      .on('mousemove', showTooltip)
+      .on('mouseleave', hideTooltip)
+
+    // ── X-range brush (optional) ─────────────────────────────────
+    // Sits above the tooltip overlay, so it forwards hover events to the
+    // same tooltip handlers.
+    let brush = null
+    let brushG = null
+    if (brushable) {
+      brush = d3.brushX()
+        .extent([[0, 0], [innerW, innerH]])
+        .on('end', (event) => {
+          if (!event.sourceEvent) return // programmatic move (snap / zoom sync)
+          if (!event.selection) { onBrushRef.current?.(null); return }
+          const [a, b] = event.selection.map((px) => currentX.invert(px))
+          let min = Math.ceil(a)
+          let max = Math.floor(b)
+          // A brush between two x values selects the nearest one
+          if (min > max) min = max = Math.round((a + b) / 2)
+          onBrushRef.current?.([min, max])
+          syncBrushRef.current?.([min, max])
         })
-        tipDiv.appendChild(body)
-        tipDiv.style.display = 'block'
-
-        // Position using viewport coordinates, clamped to stay on-screen
-        const tipW = tipDiv.offsetWidth
-        const tipH = tipDiv.offsetHeight
-        const pad = 12
-        let tx = event.clientX + 16
-        if (tx + tipW + pad > window.innerWidth) tx = event.clientX - tipW - 16
-        let ty = event.clientY - tipH - 10
-        if (ty < pad) ty = event.clientY + 16
-        tx = Math.max(pad, Math.min(tx, window.innerWidth - tipW - pad))
-        ty = Math.max(pad, Math.min(ty, window.innerHeight - tipH - pad))
-        tipDiv.style.left = `${tx}px`
-        tipDiv.style.top = `${ty}px`
-      })
-      .on('mouseleave', () => {
-        tipDiv.style.display = 'none'
-        guideLine.style('display', 'none')
-        highlightDots.style('display', 'none')
-      })
+      brushG = g.append('g').attr('class', 'x-brush').call(brush)
+      brushG.select('.selection')
+        .attr('fill', CHART_COLORS[0]).attr('fill-opacity', 0.12)
+        .attr('stroke', CHART_COLORS[0])
+      brushG.on('mousemove.tooltip', showTooltip).on('mouseleave.tooltip', hideTooltip)
+
+      // Draw a [min, max] range as a band reaching half a step past each end
+      syncBrushRef.current = (range) => {
+        if (!range) { brushG.call(brush.move, null); return }
+        const half = Math.abs(currentX(1) - currentX(0)) / 2
+        const x0px = Math.max(0, currentX(range[0]) - half)
+        const x1px = Math.min(innerW, currentX(range[1]) + half)
+        brushG.call(brush.move, x1px > x0px ? [x0px, x1px] : null)
+      }
+      syncBrushRef.current(brushRangeRef.current)
+    }
 
     // ── X-Axis helper ────────────────────────────────────────────
     const TICK_HALF = 5
@@ -431,7 +511,7 @@ export default function LineChart({
     styleXAxis(x)
 
     // ── Y-Axis (tick marks span both sides, skip zero) ──────────
-    const axisFormat = getAxisFormatter(yMax)
+    const axisFormat = getAxisFormatter(yMax, unit)
     const yAxisG = g.append('g')
       .call(
         d3.axisLeft(y)
@@ -474,12 +554,18 @@ export default function LineChart({
         .attr('font-size', `${FS}px`).attr('fill', '#6b7280')
         .text('Reset zoom')
 
+      // With brushing on, drag belongs to the brush and only the wheel zooms
+      const zoomTarget = brushG || overlay
       const zoom = d3.zoom()
+        .filter((event) => (brushG
+          ? event.type === 'wheel'
+          : (!event.ctrlKey || event.type === 'wheel') && !event.button))
         .scaleExtent([1, maxZoom])
         .translateExtent([[0, 0], [innerW, innerH]])
         .extent([[0, 0], [innerW, innerH]])
         .on('zoom', (event) => {
           const t = event.transform
+          if (event.sourceEvent) heldZoomRef.current = null
           currentX = t.rescaleX(x0)
 
           // Hide tooltip during zoom
@@ -521,6 +607,9 @@ export default function LineChart({
           // Update x-axis
           styleXAxis(currentX)
 
+          // Keep the brushed range aligned with the zoomed axis
+          if (brushG) syncBrushRef.current?.(brushRangeRef.current)
+
           resetBtn.style('display', t.k > 1 ? null : 'none')
 
           // Report the visible x-domain to ChartCard via ZoomRangeContext so
@@ -536,9 +625,19 @@ export default function LineChart({
         })
 
       resetBtn.on('click', () => {
-        overlay.transition().duration(300).call(zoom.transform, d3.zoomIdentity)
+        heldZoomRef.current = null
+        zoomTarget.transition().duration(300).call(zoom.transform, d3.zoomIdentity)
       })
-      overlay.call(zoom)
+      zoomTarget.call(zoom)
+
+      zoomToRef.current = ({ min, max }) => {
+        const x1 = x0(Math.max(min, x0.domain()[0]))
+        const x2 = x0(Math.min(max, x0.domain()[1]))
+        if (!(x2 > x1)) return
+        const k = Math.min(maxZoom, innerW / (x2 - x1))
+        zoomTarget.call(zoom.transform, d3.zoomIdentity.scale(k).translate(-x1, 0))
+      }
+      if (heldZoomRef.current) zoomToRef.current(heldZoomRef.current)
     }
 
     // ── Legend (line + hollow marker, centered below x-axis) ────────
@@ -607,8 +706,32 @@ export default function LineChart({
       }
     }
 
-    return () => { document.getElementById(tipId)?.remove() }
-  }, [data, width, containerHeight, isFullscreen, xKey, yKey, seriesKey, showArea, animate])
+    return () => {
+      syncBrushRef.current = null
+      zoomToRef.current = null
+      document.getElementById(tipId)?.remove()
+    }
+  }, [data, width, containerHeight, isFullscreen, xKey, yKey, seriesKey, showArea, animate, unit, brushable])
+
+  // Zoom to a saved view's range when one is opened (token changes per open)
+  const restoreZoom = cardView?.restore?.zoom
+  const restoreToken = cardView?.restore?.token
+  useEffect(() => {
+    if (!restoreZoom) return
+    heldZoomRef.current = restoreZoom
+    zoomToRef.current?.(restoreZoom)
+  }, [restoreZoom, restoreToken])
+
+  // Latest callback without redrawing when the parent passes a new function
+  useEffect(() => {
+    onBrushRef.current = onBrush
+  }, [onBrush])
+
+  // Move the brush when the parent's selection changes (no redraw)
+  useEffect(() => {
+    brushRangeRef.current = brushRange
+    syncBrushRef.current?.(brushRange)
+  }, [brushRange])
 
   // Ensure container expands for legend rows
   const seriesCount = seriesKey ? new Set(data.map(d => d[seriesKey])).size : 0
@@ -0,0 +1,308 @@
+/**
+ * PortMap — Proportional-symbol point map drawn over an offline basemap.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Chart components are data-agnostic — they render whatever data array is
+ * passed via props. When swapping datasets, update the page components
+ * (src/pages/) that prepare and pass data to these charts, not the charts
+ * themselves. The only reason to modify a chart is to change its visual
+ * style or add new interactive features.
+ * ────────────────────────────────────────────────────────────────────────────
+ *
+ * WHAT IT DOES
+ * Renders one circle per location on top of a bundled TopoJSON basemap
+ * (default: Texas, neighbouring states and Mexico from
+ * `public/data/geo/tx-mx-border.json`, built by scripts/build-basemaps.js).
+ *   - Circle AREA is proportional to `valueKey` (d3.scaleSqrt).
+ *   - Circles are colored by `groupKey` (e.g. border region) and a legend
+ *     is drawn inside the SVG so it is included in PNG exports.
+ *   - Hovering shows an HTML tooltip (safe DOM APIs, no innerHTML).
+ *   - Clicking a circle calls `onPointClick(datum)`; together with
+ *     `selectedPoint` this gives click-to-filter (non-selected points dim).
+ *   - The projection is fitted to the points so the map zooms to wherever
+ *     the data is; with no points it fits the first basemap layer.
+ *
+ * PROPS
+ * @param {Array<Object>} data
+ *   One object per location with name, value, group and coordinates.
+ *   Example: [{ label: 'Laredo', value: 2.1e11, group: 'Laredo', lat: 27.5, lon: -99.5 }]
+ *
+ * @param {string} [nameKey='label']   — Property for the location name
+ * @param {string} [valueKey='value']  — Numeric property that sizes circles
+ * @param {string} [groupKey='group']  — Categorical property that colors circles
+ * @param {string} [latKey='lat']      — Latitude property (decimal degrees)
+ * @param {string} [lonKey='lon']      — Longitude property (decimal degrees)
+ *
+ * @param {Function} [formatValue=formatCurrency]
+ *   Formatter for tooltip values.
+ *
+ * @param {Function} [onPointClick]
+ *   Optional callback invoked with the clicked datum.
+ *
+ * @param {string} [selectedPoint]
+ *   `nameKey` value of the selected location. Other points are dimmed.
+ *
+ * @param {string} [basemap='tx-mx-border.json']
+ *   Basemap file in public/data/geo/. Every object in the topology is drawn
+ *   as a light land layer; features with a `code` property get a label.
+ *
+ * @param {number} [maxRadius=28]  — Radius (px) of the largest circle
+ * @param {number} [labelCount=5]  — Label the N largest locations on the map
+ * @param {boolean} [animate=true] — Grow circles in on render
+ *
+ * EDGE CASES & LIMITATIONS
+ * - Rows without finite lat/lon are skipped (they can't be placed).
+ * - Until the basemap loads, nothing renders; a failed basemap load is
+ *   logged by useBasemap and leaves the chart empty.
+ * - Circles are drawn largest-first so small ports stay clickable on top.
+ */
+import { useRef, useEffect, useMemo } from 'react'
+import * as d3 from 'd3'
+import { feature } from 'topojson-client'
+import { useChartResize, getResponsiveFontSize } from '@/lib/useChartResize'
+import { useBasemap } from '@/lib/useBasemap'
+import { CHART_COLORS, formatCurrency } from '@/lib/chartColors'
+
+/** A lat/lon cell as a number; null and '' are missing, not 0. */
+const coordinate = (value) => (value == null || value === '' ? NaN : Number(value))
+
+export default function PortMap({
+  data = [],
+  nameKey = 'label',
+  valueKey = 'value',
+  groupKey = 'group',
+  latKey = 'lat',
+  lonKey = 'lon',
+  formatValue = formatCurrency,
+  onPointClick,
+  selectedPoint,
+  basemap = 'tx-mx-border.json',
+  maxRadius = 28,
+  labelCount = 5,
+  animate = true,
+}) {
+  const containerRef = useRef(null)
+  const svgRef = useRef(null)
+  const { width, height: containerHeight, isFullscreen } = useChartResize(containerRef)
+  const topology = useBasemap(basemap)
+
+  // Convert every topology object to GeoJSON once per basemap
+  const layers = useMemo(() => {
+    if (!topology) return []
+    return Object.keys(topology.objects).map((name) => ({
+      name,
+      features: feature(topology, topology.objects[name]).features,
+    }))
+  }, [topology])
+
+  useEffect(() => {
+    if (!layers.length || !width) return
+
+    const FS = getResponsiveFontSize(width, isFullscreen)
+    const height = Math.max(360, containerHeight > 100 ? containerHeight : 360)
+    const pad = 24
+
+    const points = data
+      .map((d) => ({ ...d, _lat: coordinate(d[latKey]), _lon: coordinate(d[lonKey]) }))
+      .filter((d) => Number.isFinite(d._lat) && Number.isFinite(d._lon))
+      .sort((a, b) => (b[valueKey] || 0) - (a[valueKey] || 0))
+
+    const svg = d3.select(svgRef.current)
+    svg.selectAll('*').remove()
+    svg.attr('width', width).attr('height', height)
+
+    // Fit to the points (with room for the biggest circles), or fall back
+    // to the first basemap layer when there is nothing to plot.
+    const projection = d3.geoMercator()
+    if (points.length) {
+      projection.fitExtent(
+        [[pad + maxRadius, pad + maxRadius], [width - pad - maxRadius, height - pad - maxRadius]],
+        { type: 'MultiPoint', coordinates: points.map((d) => [d._lon, d._lat]) },
+      )
+      // A single point (or a tight cluster) would zoom in absurdly far
+      const MAX_SCALE = 6000
+      if (projection.scale() > MAX_SCALE) {
+        const center = d3.geoCentroid({ type: 'MultiPoint', coordinates: points.map((d) => [d._lon, d._lat]) })
+        projection.scale(MAX_SCALE).center(center).translate([width / 2, height / 2])
+      }
+    } else {
+      projection.fitExtent([[pad, pad], [width - pad, height - pad]], { type: 'FeatureCollection', features: layers[0].features })
+    }
+    const path = d3.geoPath(projection)
+
+    // Water background, then land layers
+    svg.append('rect')
+      .attr('width', width).attr('height', height)
+      .attr('fill', '#eef3f8')
+
+    const landG = svg.append('g')
+    layers.forEach((layer, li) => {
+      landG.append('g')
+        .selectAll('path')
+        .data(layer.features)
+        .enter()
+        .append('path')
+        .attr('d', path)
+        .attr('fill', li === 0 ? '#ffffff' : '#f5f7f9')
+        .attr('stroke', '#c5ccd6')
+        .attr('stroke-width', 1)
+    })
+
+    // Feature labels (state codes / country name) when inside the view
+    layers.forEach((layer) => {
+      layer.features.forEach((f) => {
+        const label = f.properties?.code || f.properties?.name
+        if (!label) return
+        const [cx, cy] = path.centroid(f)
+        if (!(cx > pad && cx < width - pad && cy > pad && cy < height - pad)) return
+        landG.append('text')
+          .attr('x', cx).attr('y', cy)
+          .attr('text-anchor', 'middle')
+          .attr('font-size', `${FS}px`)
+          .attr('font-weight', '600')
+          .attr('letter-spacing', '0.08em')
+          .attr('fill', '#aab3bf')
+          .attr('pointer-events', 'none')
+          .text(label.toUpperCase())
+      })
+    })
+
+    if (!points.length) return
+
+    const r = d3.scaleSqrt()
+      .domain([0, d3.max(points, (d) => d[valueKey]) || 1])
+      .range([0, maxRadius])
+    const groups = [...new Set(points.map((d) => d[groupKey]).filter(Boolean))].sort()
+    const colorScale = d3.scaleOrdinal().domain(groups).range(CHART_COLORS)
+    const fillFor = (d) => (d[groupKey] ? colorScale(d[groupKey]) : CHART_COLORS[0])
+
+    // ── HTML Tooltip (fixed to viewport, escapes overflow-hidden) ──
+    const tipId = `port-map-tooltip-${Math.random().toString(36).slice(2, 9)}`
+    const tipDiv = document.createElement('div')
+    tipDiv.id = tipId
+    Object.assign(tipDiv.style, {
+      position: 'fixed', pointerEvents: 'none', display: 'none',
+      background: 'white', border: '1px solid #e2e5e9', borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.10)', padding: '12px 14px',
+      fontSize: '16px', lineHeight: '1.6', zIndex: '9999', whiteSpace: 'nowrap',
+      fontFamily: 'inherit', color: '#333f48', maxWidth: '360px',
+    })
+    document.body.appendChild(tipDiv)
+
+    const pointG = svg.append('g')
+    pointG.selectAll('circle')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('cx', (d) => projection([d._lon, d._lat])[0])
+      .attr('cy', (d) => projection([d._lon, d._lat])[1])
+      .attr('fill', fillFor)
+      .attr('fill-opacity', (d) => (selectedPoint && d[nameKey] !== selectedPoint ? 0.2 : 0.75))
+      .attr('stroke', 'white')
+      .attr('stroke-width', 1.5)
+      .attr('cursor', onPointClick ? 'pointer' : 'default')
+      .on('click', (e, d) => {
+        e.stopPropagation()
+        onPointClick?.(d)
+      })
+      .on('mouseenter', function (event, d) {
+        d3.select(this).attr('stroke', '#333f48')
+        // Build tooltip using safe DOM APIs (no innerHTML — prevents XSS if
+        // data values contain HTML-like strings)
+        tipDiv.textContent = ''
+        const nameDiv = document.createElement('div')
+        Object.assign(nameDiv.style, { fontWeight: '700', fontSize: '16px', marginBottom: '6px' })
+        nameDiv.textContent = d[nameKey]
+        tipDiv.appendChild(nameDiv)
+        const body = document.createElement('div')
+        Object.assign(body.style, { borderTop: '1px solid #e5e7eb', paddingTop: '6px' })
+        if (d[groupKey]) {
+          const groupRow = document.createElement('div')
+          Object.assign(groupRow.style, { display: 'flex', alignItems: 'center', gap: '6px', color: '#6b7280' })
+          const dot = document.createElement('span')
+          Object.assign(dot.style, { width: '10px', height: '10px', borderRadius: '50%', background: fillFor(d), flexShrink: '0' })
+          const groupSpan = document.createElement('span')
+          groupSpan.textContent = d[groupKey]
+          groupRow.appendChild(dot)
+          groupRow.appendChild(groupSpan)
+          body.appendChild(groupRow)
+        }
+        const valDiv = document.createElement('div')
+        valDiv.style.fontWeight = '600'
+        valDiv.textContent = formatValue(d[valueKey])
+        body.appendChild(valDiv)
+        tipDiv.appendChild(body)
+        tipDiv.style.display = 'block'
+      })
+      .on('mousemove', function (event) {
+        const tipW = tipDiv.offsetWidth
+        const tipH = tipDiv.offsetHeight
+        const tipPad = 12
+        let tx = event.clientX + 16
+        if (tx + tipW + tipPad > window.innerWidth) tx = event.clientX - tipW - 16
+        let ty = event.clientY - tipH - 10
+        if (ty < tipPad) ty = event.clientY + 16
+        tx = Math.max(tipPad, Math.min(tx, window.innerWidth - tipW - tipPad))
+        ty = Math.max(tipPad, Math.min(ty, window.innerHeight - tipH - tipPad))
+        tipDiv.style.left = `${tx}px`
+        tipDiv.style.top = `${ty}px`
+      })
+      .on('mouseleave', function () {
+        d3.select(this).attr('stroke', 'white')
+        tipDiv.style.display = 'none'
+      })
+      .attr('r', animate ? 0 : (d) => r(d[valueKey] || 0))
+      .transition()
+      .duration(animate ? 600 : 0)
+      .delay((d, i) => (animate ? i * 15 : 0))
+      .attr('r', (d) => Math.max(3, r(d[valueKey] || 0)))
+
+    // Labels for the largest locations (halo keeps them legible over land)
+    points.slice(0, labelCount).forEach((d) => {
+      const [px, py] = projection([d._lon, d._lat])
+      const dimmed = selectedPoint && d[nameKey] !== selectedPoint
+      pointG.append('text')
+        .attr('x', px + Math.max(3, r(d[valueKey] || 0)) + 4)
+        .attr('y', py)
+        .attr('dy', '0.35em')
+        .attr('font-size', `${FS}px`)
+        .attr('font-weight', '600')
+        .attr('fill', 'var(--color-text-primary)')
+        .attr('stroke', 'white')
+        .attr('stroke-width', 3)
+        .attr('paint-order', 'stroke')
+        .attr('opacity', dimmed ? 0.35 : 1)
+        .attr('pointer-events', 'none')
+        .text(d[nameKey])
+    })
+
+    // Region legend (top-left, inside SVG so PNG export includes it)
+    if (groups.length > 1) {
+      const rowH = Math.round(FS * 1.5)
+      const legendW = (d3.max(groups, (g) => g.length) || 0) * FS * 0.55 + 36
+      const legendG = svg.append('g').attr('transform', `translate(${pad / 2}, ${pad / 2})`)
+      legendG.append('rect')
+        .attr('width', legendW).attr('height', groups.length * rowH + 12)
+        .attr('rx', 6)
+        .attr('fill', 'white').attr('fill-opacity', 0.85)
+        .attr('stroke', '#e5e7eb')
+      groups.forEach((g, i) => {
+        const item = legendG.append('g').attr('transform', `translate(10, ${6 + i * rowH + rowH / 2})`)
+        item.append('circle').attr('r', 6).attr('cx', 6).attr('fill', colorScale(g)).attr('fill-opacity', 0.75)
+        item.append('text')
+          .attr('x', 18).attr('dy', '0.35em')
+          .attr('font-size', `${FS}px`)
+          .attr('fill', 'var(--color-text-primary)')
+          .text(g)
+      })
+    }
+
+    return () => { document.getElementById(tipId)?.remove() }
+  }, [layers, data, width, containerHeight, isFullscreen, nameKey, valueKey, groupKey, latKey, lonKey, selectedPoint, maxRadius, labelCount, animate])
+
+  return (
+    <div ref={containerRef} className="w-full" style={{ minHeight: 360 }}>
+      <svg ref={svgRef} className="w-full" />
+    </div>
+  )
+}
@@ -0,0 +1,184 @@
+/**
+ * Sparkline.jsx — Tiny axis-free trend line (data-agnostic)
+ * ----------------------------------------------------------
+ * A D3 mini-chart for StatCards and DataTable cells:
+ *   - One line across the series, drawn at the container's pixel width
+ *   - Min and max points marked with dots (`markers`)
+ *   - Hover shows a focus dot and an "x: value" tooltip (fixed to the
+ *     viewport so it escapes table overflow and card transforms)
+ *   - Optional shaded x ranges (`bands`), e.g. the base and comparison
+ *     periods from usePeriodComparison
+ *
+ * The line uses `currentColor` by default, so it inherits the text color of
+ * its parent (white on highlight cards, brand blue elsewhere).
+ *
+ * Props
+ *   @param {Object[]} data          — rows, one per x value
+ *   @param {string}   [xKey='year'] — numeric x column
+ *   @param {string}   [yKey='value']
+ *   @param {number}   [width]       — fixed px width; omit to fill the container
+ *   @param {number}   [height=32]
+ *   @param {string}   [color='currentColor']
+ *   @param {Array}    [bands=[]]    — shaded x ranges: [{ from, to, strong? }]
+ *   @param {boolean}  [markers=true] — mark the min and max points
+ *   @param {Function} [formatValue=formatCurrency] — tooltip value formatter
+ *   @param {string}   [ariaLabel]
+ *
+ * Usage in a DataTable column (keep the series out of the row data so it
+ * doesn't end up in CSV downloads):
+ *   { key: 'Trend', label: 'Trend', sortable: false,
+ *     render: (_, row) => <Sparkline data={trendByState.get(row.State)} width={120} height={20} /> }
+ */
+import { useRef, useEffect } from 'react'
+import * as d3 from 'd3'
+import { useChartResize } from '@/lib/useChartResize'
+import { formatCurrency } from '@/lib/chartColors'
+
+const TOOLTIP_ID = 'sparkline-tooltip'
+const NO_BANDS = []
+
+/** One tooltip div shared by every sparkline on the page. */
+function getTooltip() {
+  let tip = document.getElementById(TOOLTIP_ID)
+  if (!tip) {
+    tip = document.createElement('div')
+    tip.id = TOOLTIP_ID
+    Object.assign(tip.style, {
+      position: 'fixed', pointerEvents: 'none', display: 'none',
+      background: 'white', border: '1px solid #e2e5e9', borderRadius: '6px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.10)', padding: '4px 8px',
+      fontSize: '14px', lineHeight: '1.4', zIndex: '9999', whiteSpace: 'nowrap',
+      fontFamily: 'inherit', color: '#333f48', fontWeight: '600',
+    })
+    document.body.appendChild(tip)
+  }
+  return tip
+}
+
+export default function Sparkline({
+  data = [],
+  xKey = 'year',
+  yKey = 'value',
+  width: fixedWidth,
+  height = 32,
+  color = 'currentColor',
+  bands = NO_BANDS,
+  markers = true,
+  formatValue = formatCurrency,
+  ariaLabel,
+  className = '',
+}) {
+  const containerRef = useRef(null)
+  const svgRef = useRef(null)
+  const { width: containerWidth } = useChartResize(containerRef)
+  const width = fixedWidth || containerWidth
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current)
+    svg.selectAll('*').remove()
+
+    const points = (data || [])
+      .filter((d) => Number.isFinite(d[xKey]) && Number.isFinite(d[yKey]))
+      .sort((a, b) => a[xKey] - b[xKey])
+    if (points.length < 2 || !width) return
+
+    svg.attr('width', width).attr('height', height)
+
+    // Leave room for the marker dots at the edges
+    const pad = 3
+    const [x0, x1] = d3.extent(points, (d) => d[xKey])
+    const [y0, y1] = d3.extent(points, (d) => d[yKey])
+    const x = d3.scaleLinear().domain([x0, x1]).range([pad, width - pad])
+    // A flat series sits mid-height instead of on the bottom edge
+    const y = d3.scaleLinear()
+      .domain(y0 === y1 ? [y0 - 1, y1 + 1] : [y0, y1])
+      .range([height - pad, pad])
+
+    // ── Period bands (a one-year band still gets half a step each side) ──
+    const halfStep = (width - pad * 2) / (points.length - 1) / 2
+    bands.forEach((band) => {
+      const left = Math.max(0, x(Math.max(band.from, x0)) - halfStep)
+      const right = Math.min(width, x(Math.min(band.to, x1)) + halfStep)
+      if (right <= left) return
+      svg.append('rect')
+        .attr('x', left).attr('y', 0)
+        .attr('width', right - left).attr('height', height)
+        .attr('fill', color)
+        .attr('opacity', band.strong ? 0.22 : 0.1)
+    })
+
+    svg.append('path')
+      .datum(points)
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 1.75)
+      .attr('stroke-linejoin', 'round')
+      .attr('stroke-linecap', 'round')
+      .attr('d', d3.line().x((d) => x(d[xKey])).y((d) => y(d[yKey])))
+
+    // ── Min / max markers (first occurrence of each) ──
+    if (markers && y0 !== y1) {
+      const extremes = [
+        points.find((d) => d[yKey] === y0),
+        points.find((d) => d[yKey] === y1),
+      ]
+      svg.selectAll('.spark-extreme')
+        .data(extremes)
+        .enter()
+        .append('circle')
+        .attr('class', 'spark-extreme')
+        .attr('cx', (d) => x(d[xKey]))
+        .attr('cy', (d) => y(d[yKey]))
+        .attr('r', 2.5)
+        .attr('fill', color)
+    }
+
+    // ── Hover: focus dot + shared tooltip ──
+    const focus = svg.append('circle')
+      .attr('r', 3.5)
+      .attr('fill', 'white')
+      .attr('stroke', color)
+      .attr('stroke-width', 1.5)
+      .style('display', 'none')
+      .style('pointer-events', 'none')
+
+    const tip = getTooltip()
+    const bisect = d3.bisector((d) => d[xKey]).center
+
+    svg.append('rect')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('fill', 'transparent')
+      .on('mousemove', (event) => {
+        const [mx] = d3.pointer(event)
+        const d = points[bisect(points, x.invert(mx))]
+        focus.style('display', null).attr('cx', x(d[xKey])).attr('cy', y(d[yKey]))
+        tip.textContent = `${d[xKey]}: ${formatValue(d[yKey])}`
+        tip.style.display = 'block'
+        const edge = 8
+        let tx = event.clientX - tip.offsetWidth / 2
+        tx = Math.max(edge, Math.min(tx, window.innerWidth - tip.offsetWidth - edge))
+        let ty = event.clientY - tip.offsetHeight - 12
+        if (ty < edge) ty = event.clientY + 16
+        tip.style.left = `${tx}px`
+        tip.style.top = `${ty}px`
+      })
+      .on('mouseleave', () => {
+        focus.style('display', 'none')
+        tip.style.display = 'none'
+      })
+
+    // Other sparklines share the tooltip, so hide it rather than remove it
+    return () => { tip.style.display = 'none' }
+  }, [data, xKey, yKey, width, height, color, bands, markers, formatValue])
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative ${fixedWidth ? 'inline-block align-middle' : 'w-full'} ${className}`}
+      style={{ height, width: fixedWidth }}
+    >
+      <svg ref={svgRef} className="block" role="img" aria-label={ariaLabel} />
+    </div>
+  )
+}
@@ -18,6 +18,10 @@
  * per-layer breakdown and total. The tooltip is built with safe DOM APIs
  * (no innerHTML) to prevent XSS from data values.
  *
+ * Clicking a segment calls `onSegmentClick` with the column and layer under
+ * the cursor; together with `selectedKey` this gives click-to-filter on the
+ * stack dimension (non-selected layers are dimmed).
+ *
  * DATA FORMAT
  * The `data` array must be "wide-format" — one object per x-category, with
  * each `stackKeys` value as a numeric property:
@@ -41,7 +45,18 @@
  *   stacking order — first key is the bottom layer.
  *
  * @param {Function} [formatValue=formatCurrency]
- *   Formatter for tooltip values and y-axis labels.
+ *   Formatter for tooltip values.
+ *
+ * @param {string} [unit='usd']
+ *   UNITS key (chartColors.js) for the y-axis labels — pass `measure.unit`
+ *   with `formatValue={measure.format}` so axis and tooltips agree.
+ *
+ * @param {Function} [onSegmentClick]
+ *   Optional callback invoked with `{ [xKey], key, value }` for the clicked
+ *   segment — `key` is the stack layer (e.g. 'Truck'), `value` its amount.
+ *
+ * @param {string} [selectedKey]
+ *   Stack key of the selected layer. Other layers render dimmed.
  *
  * @param {boolean} [animate=true]
  *   Whether bars animate in with a staggered grow-up transition.
@@ -65,6 +80,9 @@ export default function StackedBarChart({
   xKey = 'year',
   stackKeys = [],
   formatValue = formatCurrency,
+  unit = 'usd',
+  onSegmentClick,
+  selectedKey,
   animate = true,
 }) {
   const containerRef = useRef(null)
@@ -149,6 +167,12 @@ export default function StackedBarChart({
       .attr('x1', 0).attr('x2', 0).attr('y1', 0).attr('y2', innerH)
       .attr('stroke', '#9ca3af')
 
+    // Dim non-selected layers (click-to-filter)
+    const restOpacity = (key) => (selectedKey && key !== selectedKey ? 0.3 : 1)
+    const restoreLayers = () => {
+      stacked.forEach((layer, li) => g.selectAll(`.bar-layer-${li}`).attr('opacity', restOpacity(layer.key)))
+    }
+
     // Render each stacked layer as a set of rects. Only the topmost layer
     // (last in the array) gets rounded corners so the bar column looks clean.
     stacked.forEach((layer, li) => {
@@ -159,6 +183,7 @@ export default function StackedBarChart({
         .attr('width', x.bandwidth())
         .attr('rx', li === stacked.length - 1 ? 3 : 0)
         .attr('fill', colorScale(layer.key))
+        .attr('opacity', restOpacity(layer.key))
         .attr('y', innerH)
         .attr('height', 0)
         .transition()
@@ -195,6 +220,18 @@ export default function StackedBarChart({
       .attr('y', 0)
       .attr('height', innerH)
       .attr('fill', 'transparent')
+      .attr('cursor', onSegmentClick ? 'pointer' : 'default')
+      .on('click', function (event, d) {
+        if (!onSegmentClick) return
+        // The overlay spans the whole column, so find the layer whose
+        // [y0, y1] band contains the cursor.
+        const v = y.invert(d3.pointer(event)[1])
+        const layer = stacked.find((l) => {
+          const p = l.find((pt) => pt.data[xKey] === d[xKey])
+          return p && v >= p[0] && v <= p[1] && p[1] > p[0]
+        })
+        if (layer) onSegmentClick({ [xKey]: d[xKey], key: layer.key, value: d[layer.key] })
+      })
       .on('mouseenter', function (_event, d) {
         tipDiv.style.display = 'block'
         g.selectAll('.bar-layer').attr('opacity', (bd) => bd.data[xKey] === d[xKey] ? 1 : 0.3)
@@ -265,7 +302,7 @@ export default function StackedBarChart({
       })
       .on('mouseleave', function () {
         tipDiv.style.display = 'none'
-        g.selectAll('.bar-layer').attr('opacity', 1)
+        restoreLayers()
       })
 
     // X Axis (centered tick marks)
@@ -285,7 +322,7 @@ export default function StackedBarChart({
 
     // Y Axis — dynamic unit (centered tick marks, skip zero)
     const yMax = d3.max(stacked, (layer) => d3.max(layer, (d) => d[1])) || 1
-    const axisFormat = getAxisFormatter(yMax)
+    const axisFormat = getAxisFormatter(yMax, unit)
     const yAxisG = g.append('g')
       .call(d3.axisLeft(y).ticks(5).tickFormat(axisFormat).tickSize(0))
     yAxisG.select('.domain').remove()
@@ -340,7 +377,7 @@ export default function StackedBarChart({
     }
 
     return () => { document.getElementById(tipId)?.remove() }
-  }, [data, width, containerHeight, isFullscreen, xKey, stackKeys, animate])
+  }, [data, width, containerHeight, isFullscreen, xKey, stackKeys, selectedKey, animate, unit])
 
   // Ensure container expands for legend rows
   const estLegendRows = stackKeys.length > 0 ? Math.max(1, Math.ceil(stackKeys.length / 4)) : 0
@@ -2,12 +2,16 @@ import { useRef, useEffect } from 'react'
 import * as d3 from 'd3'
 import { useChartResize, getResponsiveFontSize } from '@/lib/useChartResize'
 import { CHART_COLORS, formatCurrency } from '@/lib/chartColors'
+import { chartClick, drillHint } from '@/lib/drillDown'
 
 export default function TreemapChart({
   data = [],
   nameKey = 'label',
   valueKey = 'value',
   formatValue = formatCurrency,
+  onCellClick,
+  selectedCell,
+  onDrillDown,
   animate = true,
 }) {
   const containerRef = useRef(null)
@@ -28,7 +32,8 @@ export default function TreemapChart({
 
     const colorScale = d3.scaleOrdinal().range(CHART_COLORS)
 
-    const root = d3.hierarchy({ children: data.map((d) => ({ name: d[nameKey], value: d[valueKey] })) })
+    // Keep the source row on each leaf so clicks report the caller's datum
+    const root = d3.hierarchy({ children: data.map((d) => ({ name: d[nameKey], value: d[valueKey], datum: d })) })
       .sum((d) => d.value)
       .sort((a, b) => b.value - a.value)
 
@@ -43,17 +48,22 @@ export default function TreemapChart({
       .append('g')
       .attr('class', 'cell')
       .attr('transform', (d) => `translate(${d.x0},${d.y0})`)
+      .attr('cursor', onCellClick || onDrillDown ? 'pointer' : 'default')
+      .on('click', (e, d) => chartClick(onCellClick, onDrillDown)(e, d.data.datum))
+
+    // Dim non-selected cells (click-to-filter)
+    const restOpacity = (d) => (selectedCell && d.data.name !== selectedCell ? 0.25 : 0.85)
 
     cell.append('rect')
       .attr('width', (d) => Math.max(0, d.x1 - d.x0))
       .attr('height', (d) => Math.max(0, d.y1 - d.y0))
       .attr('rx', 4)
       .attr('fill', (d) => colorScale(d.data.name))
-      .attr('opacity', animate ? 0 : 0.85)
+      .attr('opacity', animate ? 0 : restOpacity)
       .transition()
       .duration(animate ? 500 : 0)
       .delay((d, i) => (animate ? i * 30 : 0))
-      .attr('opacity', 0.85)
+      .attr('opacity', restOpacity)
 
     // Labels via foreignObject for proper CSS text-overflow
     cell.each(function (d) {
@@ -126,6 +136,12 @@ export default function TreemapChart({
         Object.assign(valDiv.style, { borderTop: '1px solid #e5e7eb', paddingTop: '6px', fontWeight: '600', fontSize: '16px' })
         valDiv.textContent = formatValue(d.data.value)
         tipDiv.appendChild(valDiv)
+        if (onDrillDown) {
+          const hintDiv = document.createElement('div')
+          Object.assign(hintDiv.style, { marginTop: '4px', fontSize: '14px', color: '#6b7280' })
+          hintDiv.textContent = drillHint(Boolean(onCellClick))
+          tipDiv.appendChild(hintDiv)
+        }
         tipDiv.style.display = 'block'
       })
       .on('mousemove', function (event) {
@@ -141,13 +157,13 @@ export default function TreemapChart({
         tipDiv.style.left = `${tx}px`
         tipDiv.style.top = `${ty}px`
       })
-      .on('mouseleave', function () {
-        d3.select(this).select('rect').attr('opacity', 0.85)
+      .on('mouseleave', function (event, d) {
+        d3.select(this).select('rect').attr('opacity', restOpacity(d))
         tipDiv.style.display = 'none'
       })
 
     return () => { document.getElementById('treemap-tooltip')?.remove() }
-  }, [data, width, containerHeight, isFullscreen, nameKey, valueKey, animate])
+  }, [data, width, containerHeight, isFullscreen, nameKey, valueKey, selectedCell, animate])
 
   return (
     <div ref={containerRef} className="w-full relative" style={{ minHeight: 320 }}>
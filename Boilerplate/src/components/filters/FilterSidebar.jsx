@@ -10,6 +10,10 @@
  *   - Active filter tags — grouped by filter category with individual
  *     remove buttons (X) for each selected value
  *   - "Reset all filters" button — visible when any filters are active
+ *   - "Save view" button — names and saves the page, its filters,
+ *     crossfilter selections, chart zoom and table sort
+ *     (stores/viewStore.js); saved views open from the header's Saved
+ *     views menu
  *   - "Back to top" button — appears after scrolling past 300px
  *   - "Ask AI" button — pinned to bottom of sidebar, appears when the
  *     header's Ask AI button has scrolled out of view
@@ -31,8 +35,89 @@
  * layout, styling, collapse behavior, or add/remove global sidebar features.
  */
 import { useState, useEffect, useRef } from 'react'
-import { Filter, RotateCcw, PanelRightClose, PanelRightOpen, ArrowUp, Sparkles, X } from 'lucide-react'
+import { useLocation } from 'react-router-dom'
+import { Filter, RotateCcw, PanelRightClose, PanelRightOpen, ArrowUp, Sparkles, X, BookmarkPlus, Check } from 'lucide-react'
 import { useChatStore } from '@/stores/chatStore'
+import { useViewStore } from '@/stores/viewStore'
+
+const SAVED_NOTICE_MS = 2000
+
+/** "Save view" button that turns into a name field (Enter saves, Escape cancels). */
+function SaveViewControl() {
+  const { pathname, search } = useLocation()
+  const [naming, setNaming] = useState(false)
+  const [name, setName] = useState('')
+  const [saved, setSaved] = useState(false)
+
+  useEffect(() => {
+    if (!saved) return
+    const timer = setTimeout(() => setSaved(false), SAVED_NOTICE_MS)
+    return () => clearTimeout(timer)
+  }, [saved])
+
+  const save = () => {
+    const view = useViewStore.getState().saveView(name, pathname, search)
+    if (!view) return
+    setNaming(false)
+    setName('')
+    setSaved(true)
+  }
+
+  if (naming) {
+    return (
+      <div className="flex items-center gap-1.5">
+        <input
+          autoFocus
+          value={name}
+          maxLength={60}
+          placeholder="Name this view"
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') save()
+            if (e.key === 'Escape') setNaming(false)
+          }}
+          className="flex-1 min-w-0 px-2 py-1.5 text-base text-text-primary bg-white border border-border-light
+                     rounded-lg focus:outline-none focus:border-brand-blue/50"
+          aria-label="View name"
+        />
+        <button
+          onClick={save}
+          disabled={!name.trim()}
+          className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue hover:bg-surface-alt
+                     disabled:opacity-40 disabled:pointer-events-none transition-all duration-150"
+          title="Save view"
+        >
+          <Check size={16} />
+        </button>
+        <button
+          onClick={() => setNaming(false)}
+          className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue hover:bg-surface-alt
+                     transition-all duration-150"
+          title="Cancel"
+        >
+          <X size={16} />
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <button
+      onClick={() => {
+        setNaming(true)
+        setSaved(false)
+      }}
+      className="flex items-center justify-center gap-1.5 w-full px-3 py-2 text-base font-medium
+                 text-text-secondary border border-border-light rounded-lg
+                 hover:text-brand-blue hover:border-brand-blue/30 hover:bg-brand-blue/5
+                 transition-all duration-200"
+      title="Save this page with its filters, chart zoom and table sort"
+    >
+      {saved ? <Check size={12} /> : <BookmarkPlus size={12} />}
+      {saved ? 'View saved' : 'Save view'}
+    </button>
+  )
+}
 
 export default function FilterSidebar({ children, onResetAll, activeCount = 0, activeTags = [], title = 'Filters' }) {
   const toggleDrawer = useChatStore((s) => s.toggle)
@@ -187,6 +272,8 @@ export default function FilterSidebar({ children, onResetAll, activeCount = 0, a
                 {children}
               </div>
 
+              <SaveViewControl />
+
               {/* Scroll to top */}
               {showScrollTop && (
                 <button
@@ -0,0 +1,64 @@
+/**
+ * MeasureToggle.jsx — Global measure switcher for the filter sidebar
+ * ------------------------------------------------------------------
+ * Segmented buttons for the measure every aggregation, axis and tooltip
+ * uses: trade value, metric tons, pounds, or value per ton (see
+ * lib/measures.js). The choice is global (tradeStore.measure), so it
+ * carries across pages and isn't cleared by "Reset all".
+ *
+ * Measures the page's dataset has no columns for are disabled; when the
+ * global choice is one of them, a note says the page is showing trade
+ * value instead.
+ *
+ * Props
+ *   @param {string} dataset — registry key the page aggregates (e.g. 'usAggregated')
+ *
+ * BOILERPLATE NOTE:
+ *   No changes needed — measures come from MEASURES in lib/measures.js.
+ */
+import { useTradeStore } from '@/stores/tradeStore'
+import { MEASURES, MEASURE_KEYS, datasetMeasures } from '@/lib/measures'
+import { useMeasure } from '@/lib/useMeasure'
+
+export default function MeasureToggle({ dataset }) {
+  const setMeasure = useTradeStore((s) => s.setMeasure)
+  const measure = useMeasure(dataset)
+  const available = datasetMeasures(dataset)
+
+  return (
+    <div className="flex flex-col gap-1 min-w-0 w-full">
+      <span className="text-base font-medium text-text-secondary uppercase tracking-wider">
+        Measure
+      </span>
+      <div role="radiogroup" aria-label="Measure" className="grid grid-cols-2 gap-1 p-1 rounded-lg border border-border bg-surface-alt">
+        {MEASURE_KEYS.map((key) => {
+          const enabled = available.includes(key)
+          const active = measure.requested === key
+          return (
+            <button
+              key={key}
+              type="button"
+              role="radio"
+              aria-checked={active}
+              disabled={!enabled}
+              title={enabled ? MEASURES[key].label : `${MEASURES[key].label} isn't available for this data`}
+              onClick={() => setMeasure(key)}
+              className={`px-2 py-1.5 rounded-md text-base font-medium transition-all duration-150
+                ${active
+                  ? 'bg-white text-brand-blue shadow-xs'
+                  : 'text-text-secondary hover:text-text-primary'}
+                disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:text-text-secondary`}
+            >
+              {MEASURES[key].short}
+            </button>
+          )
+        })}
+      </div>
+      {measure.fallback && (
+        <p className="text-base text-text-secondary/80 leading-snug">
+          This data has no {MEASURES[measure.requested].label.toLowerCase()}, so it shows trade value.
+        </p>
+      )}
+    </div>
+  )
+}
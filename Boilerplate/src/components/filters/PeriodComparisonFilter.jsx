@@ -0,0 +1,87 @@
+/**
+ * PeriodComparisonFilter.jsx — Base vs comparison period picker (data-agnostic)
+ * ------------------------------------------------------------------------------
+ * Two rows of From/To year selects for the sidebar. Each period is a single
+ * year (leave "To" empty) or an inclusive range, stored as a URL string
+ * ("2024" or "2019-2021") under the COMPARISON_DEFAULTS keys from
+ * usePeriodComparison. KPI StatCards switch to comparison mode once both
+ * periods are set.
+ *
+ * Props
+ *   @param {Array<number|string>} years — available years (any order)
+ *   @param {string} base                — filters.compareBase
+ *   @param {string} compare             — filters.compareTo
+ *   @param {Function} onChange          — (key, value) => void, e.g. setFilter
+ *
+ * BOILERPLATE NOTE:
+ *   No changes needed — pass the page's year options and setFilter.
+ */
+import { ChevronDown } from 'lucide-react'
+import { parsePeriod, serializePeriod } from '@/lib/usePeriodComparison'
+
+function YearSelect({ value, years, onChange, placeholder, ariaLabel }) {
+  return (
+    <div className="relative flex-1 min-w-0">
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={ariaLabel}
+        className="appearance-none w-full px-3 py-2 pr-7 rounded-lg border border-border
+                   bg-white text-base text-text-primary
+                   focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue
+                   transition-all duration-150 cursor-pointer"
+      >
+        <option value="">{placeholder}</option>
+        {years.map((y) => (
+          <option key={y} value={String(y)}>{y}</option>
+        ))}
+      </select>
+      <ChevronDown
+        size={14}
+        className="absolute right-2 top-1/2 -translate-y-1/2 text-text-secondary pointer-events-none"
+      />
+    </div>
+  )
+}
+
+function PeriodRow({ label, value, years, onChange }) {
+  const period = parsePeriod(value)
+  const from = period ? String(period[0]) : ''
+  const to = period && period[1] !== period[0] ? String(period[1]) : ''
+
+  // Clearing "From" clears the period; "To" is optional (single year)
+  const update = (nextFrom, nextTo) => {
+    if (!nextFrom) return onChange('')
+    onChange(serializePeriod(parsePeriod(nextTo ? `${nextFrom}-${nextTo}` : nextFrom)))
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <span className="text-base text-text-secondary">{label}</span>
+      <div className="flex items-center gap-2">
+        <YearSelect value={from} years={years} placeholder="—" ariaLabel={`${label} from`}
+          onChange={(v) => update(v, to)} />
+        <span className="text-text-secondary">–</span>
+        <YearSelect value={to} years={years} placeholder={from || '—'} ariaLabel={`${label} to`}
+          onChange={(v) => update(from || v, v)} />
+      </div>
+    </div>
+  )
+}
+
+export default function PeriodComparisonFilter({ years = [], base, compare, onChange }) {
+  const sorted = [...years].map(Number).filter(Number.isFinite).sort((a, b) => a - b)
+
+  return (
+    <div className="flex flex-col gap-2 min-w-0 w-full">
+      <span className="text-base font-medium text-text-secondary uppercase tracking-wider">
+        Compare Periods
+      </span>
+      <PeriodRow label="Base" value={base} years={sorted} onChange={(v) => onChange('compareBase', v)} />
+      <PeriodRow label="Compare to" value={compare} years={sorted} onChange={(v) => onChange('compareTo', v)} />
+      <p className="text-base text-text-secondary/80 leading-snug">
+        KPI cards compare these periods and ignore the Year filter.
+      </p>
+    </div>
+  )
+}
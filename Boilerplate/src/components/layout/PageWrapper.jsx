@@ -2,14 +2,20 @@ import SiteHeader from './SiteHeader'
 import MainNav from './MainNav'
 import Footer from './Footer'
 import AskAIDrawer from '@/components/ai/AskAIDrawer'
+import PinnedCharts from '@/components/ai/PinnedCharts'
+import ReportPanel from '@/components/report/ReportPanel'
 
 export default function PageWrapper({ children }) {
   return (
     <div className="min-h-screen flex flex-col">
       <SiteHeader />
       <MainNav />
-      <main className="flex-1">{children}</main>
+      <main className="flex-1">
+        {children}
+        <PinnedCharts />
+      </main>
       <Footer />
+      <ReportPanel />
       <AskAIDrawer />
     </div>
   )
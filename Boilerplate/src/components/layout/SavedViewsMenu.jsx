@@ -0,0 +1,163 @@
+/**
+ * SavedViewsMenu.jsx — Saved views in the site header
+ * ----------------------------------------------------
+ * Bookmark button with a dropdown of the views saved from FilterSidebar
+ * (stores/viewStore.js). Clicking a view opens its page with its filters,
+ * crossfilter selections, chart zoom and table sort. Views can be deleted (with an inline confirm),
+ * exported to a JSON file and imported from one, so a team can share them.
+ *
+ * Also clears a restored view's chart state and selections once the user leaves its page,
+ * so coming back later starts from the page defaults.
+ */
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { Bookmark, Trash2, Check, X, Download, Upload } from 'lucide-react'
+import { useViewStore } from '@/stores/viewStore'
+import { describeViewFilters, downloadViews, parseViewsJson, viewPageLabel } from '@/lib/savedViews'
+
+const iconButton = `p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+  hover:bg-surface-alt transition-all duration-150`
+
+/** Open a saved view: hand its chart state to the page, then navigate. */
+function useOpenView() {
+  const navigate = useNavigate()
+  const openView = useViewStore((s) => s.openView)
+  return useCallback((view) => {
+    openView(view)
+    navigate({ pathname: view.path, search: view.search })
+  }, [navigate, openView])
+}
+
+function ViewRow({ view, onOpen }) {
+  const deleteView = useViewStore((s) => s.deleteView)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+
+  return (
+    <li className="flex items-start gap-2 px-3 py-2 border-b border-border-light last:border-b-0 hover:bg-surface-alt">
+      <button role="menuitem" onClick={() => onOpen(view)} className="flex-1 min-w-0 text-left cursor-pointer">
+        <p className="text-base font-medium text-text-primary truncate">{view.name}</p>
+        <p className="text-base text-text-secondary truncate">
+          {viewPageLabel(view.path)} · {new Date(view.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+        </p>
+        <p className="text-base text-text-secondary/80 truncate">Filters: {describeViewFilters(view.search)}</p>
+      </button>
+      {confirmDelete ? (
+        <div className="flex items-center gap-0.5 shrink-0">
+          <button onClick={() => deleteView(view.id)} className={iconButton} title="Delete view">
+            <Check size={16} />
+          </button>
+          <button onClick={() => setConfirmDelete(false)} className={iconButton} title="Keep view">
+            <X size={16} />
+          </button>
+        </div>
+      ) : (
+        <button onClick={() => setConfirmDelete(true)} className={`${iconButton} shrink-0`} title="Delete">
+          <Trash2 size={16} />
+        </button>
+      )}
+    </li>
+  )
+}
+
+export default function SavedViewsMenu() {
+  const views = useViewStore((s) => s.views)
+  const importViews = useViewStore((s) => s.importViews)
+  const restorePath = useViewStore((s) => s.restore?.path)
+  const { pathname } = useLocation()
+  const openView = useOpenView()
+  const [open, setOpen] = useState(false)
+  const [message, setMessage] = useState(null)
+  const ref = useRef(null)
+  const fileRef = useRef(null)
+
+  // A restored view applies to its own page only
+  useEffect(() => {
+    if (restorePath && restorePath !== pathname) useViewStore.setState({ restore: null })
+  }, [pathname, restorePath])
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return
+    const handler = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('pointerdown', handler)
+    return () => document.removeEventListener('pointerdown', handler)
+  }, [open])
+
+  const handleOpen = (view) => {
+    openView(view)
+    setOpen(false)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { views: imported, skipped } = parseViewsJson(await file.text())
+      importViews(imported)
+      setMessage(`Imported ${imported.length} view${imported.length === 1 ? '' : 's'}`
+        + (skipped ? ` (${skipped} skipped)` : '') + '.')
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }
+
+  return (
+    <div className="relative hidden md:block" ref={ref}>
+      <button
+        onClick={() => {
+          setOpen((o) => !o)
+          setMessage(null)
+        }}
+        className="flex items-center gap-2 px-4 py-2 rounded-full
+                   border border-border-light text-base text-text-secondary
+                   hover:text-brand-blue hover:border-brand-blue/30 hover:bg-brand-blue/5
+                   transition-all duration-200 cursor-pointer"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Bookmark size={16} />
+        <span>Saved views</span>
+        {views.length > 0 && <span className="text-text-secondary/80">({views.length})</span>}
+      </button>
+
+      {open && (
+        <div role="menu" className="absolute right-0 top-full mt-2 z-50 w-80 bg-white rounded-lg shadow-lg border border-border-light">
+          {views.length ? (
+            <ul className="max-h-96 overflow-y-auto">
+              {views.map((view) => <ViewRow key={view.id} view={view} onOpen={handleOpen} />)}
+            </ul>
+          ) : (
+            <p className="px-3 py-4 text-base text-text-secondary">
+              No saved views yet. Use “Save view” in a page’s filter panel.
+            </p>
+          )}
+
+          <div className="flex items-center gap-2 px-3 py-2 border-t border-border-light bg-surface-alt/50">
+            <button
+              onClick={() => downloadViews(views)}
+              disabled={!views.length}
+              className="flex items-center gap-1.5 px-2 py-1 rounded-md text-base text-text-secondary
+                         hover:text-brand-blue disabled:opacity-40 disabled:pointer-events-none transition-colors"
+              title="Download all views as JSON to share"
+            >
+              <Download size={14} /> Export
+            </button>
+            <button
+              onClick={() => fileRef.current?.click()}
+              className="flex items-center gap-1.5 px-2 py-1 rounded-md text-base text-text-secondary
+                         hover:text-brand-blue transition-colors"
+              title="Add views from a JSON export"
+            >
+              <Upload size={14} /> Import
+            </button>
+            <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+          </div>
+          {message && <p className="px-3 pb-2 text-base text-text-secondary">{message}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -5,6 +5,10 @@
  *   - Logo image (left side) — loads from /assets/Logos/ with graceful
  *     error handling (hides if image fails to load)
  *   - Dashboard title (h1) and subtitle text
+ *   - "Saved views" menu (right side, desktop only) — open, delete, import
+ *     and export views saved from the FilterSidebar (SavedViewsMenu.jsx)
+ *   - "Build report" button (right side, desktop only) — toggles report
+ *     builder mode (ReportPanel, stores/reportStore.js)
  *   - "Ask AI" button (right side, desktop only) — opens the AI chat drawer
  *
  * Layout: Uses container-chrome (max-width 1280px centered) for consistent
@@ -20,11 +24,14 @@
  * The "Ask AI" button connects to the chatStore. If your project doesn't
  * need an AI chat feature, remove the button and the chatStore import.
  */
-import { Sparkles } from 'lucide-react'
+import { Sparkles, FileText } from 'lucide-react'
 import { useChatStore } from '@/stores/chatStore'
+import { useReportStore } from '@/stores/reportStore'
+import SavedViewsMenu from './SavedViewsMenu'
 
 export default function SiteHeader() {
   const toggleDrawer = useChatStore((s) => s.toggle)
+  const building = useReportStore((s) => s.building)
 
   return (
     <header className="bg-white border-b border-border-light">
@@ -49,17 +56,35 @@ export default function SiteHeader() {
           </div>
         </div>
 
-        {/* Ask AI */}
-        <button
-          onClick={toggleDrawer}
-          className="hidden md:flex items-center gap-2 px-4 py-2 rounded-full
-                     bg-brand-blue/5 border border-brand-blue/20 text-base text-brand-blue
-                     hover:bg-brand-blue/10 hover:border-brand-blue/30
-                     transition-all duration-200 cursor-pointer"
-        >
-          <Sparkles size={16} />
-          <span>Ask AI</span>
-        </button>
+        <div className="flex items-center gap-3">
+          <SavedViewsMenu />
+
+          {/* Build report */}
+          <button
+            onClick={() => (building ? useReportStore.getState().stop() : useReportStore.getState().start())}
+            className={`hidden md:flex items-center gap-2 px-4 py-2 rounded-full border text-base
+                       transition-all duration-200 cursor-pointer
+                       ${building
+                         ? 'bg-brand-blue text-white border-brand-blue hover:bg-brand-blue/90'
+                         : 'border-border-light text-text-secondary hover:text-brand-blue hover:border-brand-blue/30 hover:bg-brand-blue/5'}`}
+            aria-pressed={building}
+          >
+            <FileText size={16} />
+            <span>Build report</span>
+          </button>
+
+          {/* Ask AI */}
+          <button
+            onClick={toggleDrawer}
+            className="hidden md:flex items-center gap-2 px-4 py-2 rounded-full
+                       bg-brand-blue/5 border border-brand-blue/20 text-base text-brand-blue
+                       hover:bg-brand-blue/10 hover:border-brand-blue/30
+                       transition-all duration-200 cursor-pointer"
+          >
+            <Sparkles size={16} />
+            <span>Ask AI</span>
+          </button>
+        </div>
       </div>
     </header>
   )
@@ -0,0 +1,167 @@
+/**
+ * ReportPanel.jsx — Report builder panel
+ * ---------------------------------------
+ * Floating panel shown in "Build report" mode (stores/reportStore.js). While
+ * it is open every ChartCard shows an "Add to report" toggle; the panel lists
+ * what has been added across pages, lets the user reorder and remove items,
+ * add text notes and name the report, then exports it (lib/report.js):
+ *   - Print / PDF — opens the print-ready report and the print dialog
+ *                   ("Save as PDF" gives a paginated PDF)
+ *   - HTML        — downloads the same report as a standalone .html file
+ *
+ * Rendered once by PageWrapper, so it stays open while moving between pages.
+ */
+import { useState } from 'react'
+import { useLocation } from 'react-router-dom'
+import { FileText, X, ChevronUp, ChevronDown, Trash2, StickyNote, Printer, Download, BarChart3, Table2 } from 'lucide-react'
+import { useReportStore } from '@/stores/reportStore'
+import { printReport, downloadReport } from '@/lib/report'
+import { viewPageLabel } from '@/lib/savedViews'
+
+const iconButton = `p-1 rounded-md text-text-secondary hover:text-brand-blue
+  hover:bg-surface-alt disabled:opacity-30 disabled:pointer-events-none transition-all duration-150`
+
+const actionButton = `flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-base font-medium
+  border transition-all duration-150 disabled:opacity-40 disabled:pointer-events-none`
+
+function ReportItem({ item, first, last }) {
+  const move = useReportStore((s) => s.move)
+  const remove = useReportStore((s) => s.remove)
+  const updateNote = useReportStore((s) => s.updateNote)
+  const Icon = item.type === 'note' ? StickyNote : item.chart ? BarChart3 : Table2
+
+  return (
+    <li className="flex items-start gap-2 px-3 py-2 border-b border-border-light last:border-b-0">
+      <Icon size={14} className="text-brand-blue mt-1.5 shrink-0" />
+      <div className="flex-1 min-w-0">
+        {item.type === 'note' ? (
+          <textarea
+            value={item.text}
+            rows={3}
+            placeholder="Write a note…"
+            onChange={(e) => updateNote(item.id, e.target.value)}
+            className="w-full px-2 py-1 text-base text-text-primary border border-border-light rounded-md
+                       resize-y focus:outline-none focus:border-brand-blue/50"
+            aria-label="Note text"
+          />
+        ) : (
+          <>
+            <p className="text-base font-medium text-text-primary truncate">{item.title}</p>
+            <p className="text-base text-text-secondary truncate">{viewPageLabel(item.path)}</p>
+          </>
+        )}
+      </div>
+      <div className="flex items-center shrink-0">
+        <button onClick={() => move(item.id, -1)} disabled={first} className={iconButton} title="Move up">
+          <ChevronUp size={16} />
+        </button>
+        <button onClick={() => move(item.id, 1)} disabled={last} className={iconButton} title="Move down">
+          <ChevronDown size={16} />
+        </button>
+        <button onClick={() => remove(item.id)} className={iconButton} title="Remove from report">
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </li>
+  )
+}
+
+export default function ReportPanel() {
+  const building = useReportStore((s) => s.building)
+  const title = useReportStore((s) => s.title)
+  const items = useReportStore((s) => s.items)
+  const { setTitle, addNote, stop, clear } = useReportStore.getState()
+  const { pathname } = useLocation()
+  const [message, setMessage] = useState(null)
+
+  if (!building) return null
+
+  const report = { title, items: items.filter((i) => i.type === 'card' || i.text.trim()) }
+  const hasCards = items.some((i) => i.type === 'card')
+
+  const handlePrint = () => {
+    setMessage(printReport(report) ? null : 'Allow pop-ups for this site to print the report.')
+  }
+
+  return (
+    <aside
+      className="fixed bottom-4 left-4 z-40 w-96 max-w-[calc(100vw-2rem)] max-h-[70vh] flex flex-col
+                 bg-white rounded-xl border border-border-light shadow-xl animate-fade-in"
+      aria-label="Report builder"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-border-light bg-surface-alt/60 rounded-t-xl">
+        <div className="flex items-center gap-2">
+          <FileText size={16} className="text-brand-blue" />
+          <span className="text-base font-semibold text-text-primary">Build report</span>
+          {items.length > 0 && <span className="text-base text-text-secondary">({items.length})</span>}
+        </div>
+        <button onClick={stop} className={iconButton} title="Close (the report is kept)">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="px-4 pt-3">
+        <input
+          value={title}
+          maxLength={120}
+          placeholder="Report title"
+          onChange={(e) => setTitle(e.target.value)}
+          className="w-full px-2 py-1.5 text-base text-text-primary border border-border-light rounded-lg
+                     focus:outline-none focus:border-brand-blue/50"
+          aria-label="Report title"
+        />
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-y-auto mt-3 border-y border-border-light">
+        {items.length ? (
+          <ul>
+            {items.map((item, i) => (
+              <ReportItem key={item.id} item={item} first={i === 0} last={i === items.length - 1} />
+            ))}
+          </ul>
+        ) : (
+          <p className="px-4 py-4 text-base text-text-secondary">
+            Use “Add to report” on any chart or table — here on {viewPageLabel(pathname)} or on other pages.
+          </p>
+        )}
+      </div>
+
+      <div className="px-4 py-3 space-y-2">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={addNote}
+            className={`${actionButton} text-text-secondary border-border-light hover:text-brand-blue hover:border-brand-blue/30`}
+          >
+            <StickyNote size={14} /> Add note
+          </button>
+          <button
+            onClick={clear}
+            disabled={!items.length && !title}
+            className={`${actionButton} text-text-secondary border-border-light hover:text-brand-blue hover:border-brand-blue/30`}
+          >
+            <Trash2 size={14} /> Clear
+          </button>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handlePrint}
+            disabled={!hasCards}
+            className={`${actionButton} flex-1 bg-brand-blue text-white border-brand-blue hover:bg-brand-blue/90`}
+            title="Open the report and print it, or save it as PDF"
+          >
+            <Printer size={14} /> Print / PDF
+          </button>
+          <button
+            onClick={() => downloadReport(report)}
+            disabled={!hasCards}
+            className={`${actionButton} text-brand-blue border-brand-blue/30 hover:bg-brand-blue/5`}
+            title="Download a print-ready HTML file"
+          >
+            <Download size={14} /> HTML
+          </button>
+        </div>
+        {message && <p className="text-base text-text-secondary">{message}</p>}
+      </div>
+    </aside>
+  )
+}
@@ -3,8 +3,9 @@
  * -------------------------------------------------------
  * Wraps every chart in the dashboard with a consistent card UI that includes:
  *   - Title and optional subtitle
- *   - Action buttons: CSV download (via DownloadButton), PNG export, fullscreen toggle,
- *     and an optional reset-filter button
+ *   - Action buttons: data download (CSV / Excel / JSON via DownloadButton),
+ *     image export (PNG / SVG via ExportMenu), fullscreen toggle, and an
+ *     optional reset-filter button
  *   - A slot (`headerRight`) for custom controls injected by the parent
  *
  * ZoomRangeContext
@@ -13,9 +14,32 @@
  *     setZoomRange({ xKey, min, max })
  *   to report the currently visible data range. ChartCard then uses that range
  *   to filter the `downloadData` before passing it to DownloadButton, so the
- *   exported CSV only contains the rows visible in the zoomed view.
+ *   exported file only contains the rows visible in the zoomed view (and its
+ *   metadata records the range). A detail fetched from the data worker
+ *   ({ dataset, where }) gets the range as one more `where` on the
+ *   capitalized xKey column (year → Year).
  *   Call setZoomRange(null) on reset to revert to the full dataset.
  *
+ * CardViewContext (lib/cardView.js)
+ *   Saved views (stores/viewStore.js) keep each card's chart state by title.
+ *   ChartCard records the zoom range above and the DataTable sort (reported
+ *   through setSort) as the card's live state, and passes a view being opened
+ *   down as `restore` for LineChart and DataTable to apply. `cardId` (route +
+ *   title) keys the DataTable's search, filters and layout (stores/tableStore.js).
+ *
+ * DataTable view
+ *   A DataTable shares the table as it shows it through setTable. Once it is
+ *   searched, filtered, sorted or has hidden columns, the download whose
+ *   rows are the table's `data` (usually the summary; the detail for a
+ *   row-level table) holds those rows and columns instead, here and in
+ *   fullscreen.
+ *
+ * Report builder (stores/reportStore.js)
+ *   In "Build report" mode the header shows an "Add to report" toggle. Adding
+ *   captures the chart as SVG, or the DataTable's matching rows in sorted
+ *   order (shared via setTable), together with the route and its filters
+ *   (lib/report.js). Cards are identified by route + title.
+ *
  * Fullscreen
  *   When the user clicks the expand button, ChartCard portals a <FullscreenChart>
  *   overlay to document.body, passing the same children and download data.
@@ -28,19 +52,25 @@
  *   @param {string}     [className]     — Additional CSS classes for the outer card
  *   @param {number}     [minHeight=320] — Minimum height for the chart area (px)
  *   @param {ReactNode}  [headerRight]   — Extra controls rendered in the header row
- *   @param {object}     [downloadData]  — { summary?: { data, filename }, detail?: { data, filename } }
+ *   @param {object}     [downloadData]  — { summary?: { data, filename }, detail?: { data, filename }
+ *                                         or { dataset, where, filename } } (see DownloadButton)
  *
  * BOILERPLATE NOTE:
  *   This component is fully data-agnostic. When adapting this boilerplate for a
  *   new project/dataset, you should NOT need to modify this file. Instead, pass
  *   different props from the parent page components.
  */
-import { useRef, useState, useMemo, createContext } from 'react'
+import { useRef, useState, useMemo, useEffect, createContext } from 'react'
 import { createPortal } from 'react-dom'
-import { RotateCcw, Image as ImageIcon, Maximize2 } from 'lucide-react'
+import { useLocation } from 'react-router-dom'
+import { RotateCcw, Maximize2, FilePlus, FileCheck } from 'lucide-react'
 import DownloadButton from '@/components/ui/DownloadButton'
 import FullscreenChart from '@/components/ui/FullscreenChart'
-import { exportChartPng } from '@/lib/exportPng'
+import ExportMenu from '@/components/ui/ExportMenu'
+import { CardViewContext } from '@/lib/cardView'
+import { useViewStore } from '@/stores/viewStore'
+import { useReportStore } from '@/stores/reportStore'
+import { captureCard, reportCardKey } from '@/lib/report'
 
 /** Child charts (e.g. LineChart) call setZoomRange({ xKey, min, max }) during zoom
  *  and setZoomRange(null) on reset so ChartCard can filter download data. */
@@ -59,19 +89,71 @@ export default function ChartCard({
   const chartAreaRef = useRef(null)
   const [zoomRange, setZoomRange] = useState(null)
   const [isFullscreen, setIsFullscreen] = useState(false)
+  const [sort, setSort] = useState(null)
+  const [tableView, setTableView] = useState(null)
+  const tableRef = useRef(null)
+  const { pathname, search } = useLocation()
+  const setCardState = useViewStore((s) => s.setCardState)
+  const restore = useViewStore((s) => (s.restore?.path === pathname ? s.restore : null))
+
+  // Keep this card's zoom and sort available to "Save view"
+  useEffect(() => {
+    if (!title) return
+    const state = {
+      ...(zoomRange ? { zoom: { min: zoomRange.min, max: zoomRange.max } } : {}),
+      ...(sort ? { sort } : {}),
+    }
+    setCardState(title, Object.keys(state).length ? state : null)
+  }, [title, zoomRange, sort, setCardState])
+  useEffect(() => () => setCardState(title, null), [title, setCardState])
 
-  const handleExportPng = () => {
-    exportChartPng(
-      chartAreaRef.current,
-      title?.replace(/\s+/g, '-').toLowerCase() || 'chart',
+  const cardView = useMemo(() => ({
+    restore: restore?.cards[title] ? { ...restore.cards[title], token: restore.token } : null,
+    cardId: reportCardKey(pathname, title),
+    setSort,
+    setTable: (table) => {
+      tableRef.current = table
+      setTableView(table?.customized ? table : null)
+    },
+  }), [restore, pathname, title])
+
+  // Report builder: tick the card to add a snapshot of it as it looks now
+  const building = useReportStore((s) => s.building)
+  const inReport = useReportStore((s) => s.items.some((i) => i.key === reportCardKey(pathname, title)))
+  const [captureFailed, setCaptureFailed] = useState(false)
+
+  const handleToggleReport = () => {
+    const { addCard, removeCard } = useReportStore.getState()
+    if (inReport) {
+      removeCard(reportCardKey(pathname, title))
+      return
+    }
+    const item = captureCard({
+      container: chartAreaRef.current,
+      table: tableRef.current,
       title,
       subtitle,
-    )
+      path: pathname,
+      search,
+    })
+    setCaptureFailed(!item)
+    if (item) addCard(item)
   }
 
+  // A searched, filtered, sorted or trimmed table downloads its rows as
+  // shown: matching rows in table order, visible columns only
+  const tableDownloadData = useMemo(() => {
+    if (!downloadData || !tableView) return downloadData
+    const keys = tableView.columns.map((c) => c.key).filter((key) => tableView.rows.some((row) => key in row))
+    const asShown = (src) => (src?.data === tableView.data
+      ? { ...src, data: tableView.rows.map((row) => Object.fromEntries(keys.map((key) => [key, row[key]]))) }
+      : src)
+    return { ...downloadData, summary: asShown(downloadData.summary), detail: asShown(downloadData.detail) }
+  }, [downloadData, tableView])
+
   // Filter download data to the visible zoom range
   const effectiveDownloadData = useMemo(() => {
-    if (!downloadData || !zoomRange) return downloadData
+    if (!tableDownloadData || !zoomRange) return tableDownloadData
     const { xKey, min, max } = zoomRange
 
     const filterArr = (arr) => {
@@ -82,93 +164,106 @@ export default function ChartCard({
       if (!key) return arr
       return arr.filter((d) => d[key] >= min && d[key] <= max)
     }
+    const withRange = (src) => (src.data
+      ? { ...src, data: filterArr(src.data) }
+      : { ...src, where: [...[].concat(src.where || []), { [xKey.charAt(0).toUpperCase() + xKey.slice(1)]: { min, max } }] })
 
     return {
-      ...downloadData,
-      summary: downloadData.summary
-        ? { ...downloadData.summary, data: filterArr(downloadData.summary.data) }
-        : undefined,
-      detail: downloadData.detail
-        ? { ...downloadData.detail, data: filterArr(downloadData.detail.data) }
+      ...tableDownloadData,
+      zoom: { min, max },
+      summary: tableDownloadData.summary
+        ? { ...tableDownloadData.summary, data: filterArr(tableDownloadData.summary.data) }
         : undefined,
+      detail: tableDownloadData.detail && withRange(tableDownloadData.detail),
     }
-  }, [downloadData, zoomRange])
+  }, [tableDownloadData, zoomRange])
 
   return (
     <ZoomRangeContext.Provider value={setZoomRange}>
-      <div
-        className={`bg-white rounded-xl border border-border-light shadow-xs min-w-0
-                    hover:shadow-sm transition-shadow duration-300 overflow-hidden
-                    h-full flex flex-col ${className}`}
-      >
-        {/* Header */}
-        <div className="flex items-start justify-between gap-3 px-5 pt-5 pb-3">
-          <div className="min-w-0">
-            <h3 className="text-xl font-semibold text-text-primary leading-snug">
-              {title}
-            </h3>
-            {subtitle && (
-              <p className="text-base text-text-secondary mt-0.5">{subtitle}</p>
-            )}
-          </div>
-          <div className="flex items-center gap-2 flex-shrink-0">
-            {headerRight}
-            {effectiveDownloadData && (
-              <DownloadButton
-                summary={effectiveDownloadData.summary}
-                detail={effectiveDownloadData.detail}
-              />
-            )}
-            <button
-              onClick={handleExportPng}
-              className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
-                         hover:bg-surface-alt transition-all duration-150"
-              title="Export as PNG"
-            >
-              <ImageIcon size={14} />
-            </button>
-            <button
-              onClick={() => setIsFullscreen(true)}
-              className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
-                         hover:bg-surface-alt transition-all duration-150"
-              title="Full screen"
-            >
-              <Maximize2 size={14} />
-            </button>
-            {onReset && (
+      <CardViewContext.Provider value={cardView}>
+        <div
+          className={`bg-white rounded-xl border border-border-light shadow-xs min-w-0
+                      hover:shadow-sm transition-shadow duration-300 overflow-hidden
+                      h-full flex flex-col ${className}`}
+        >
+          {/* Header */}
+          <div className="flex items-start justify-between gap-3 px-5 pt-5 pb-3">
+            <div className="min-w-0">
+              <h3 className="text-xl font-semibold text-text-primary leading-snug">
+                {title}
+              </h3>
+              {subtitle && (
+                <p className="text-base text-text-secondary mt-0.5">{subtitle}</p>
+              )}
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              {building && (
+                <button
+                  onClick={handleToggleReport}
+                  className={`flex items-center gap-1.5 px-2 py-1 rounded-md text-base border transition-all duration-150
+                    ${inReport
+                      ? 'bg-brand-blue text-white border-brand-blue hover:bg-brand-blue/90'
+                      : 'text-brand-blue border-brand-blue/30 hover:bg-brand-blue/5'}`}
+                  title={captureFailed ? 'Nothing to capture yet — wait for the chart to load' : inReport ? 'Remove from report' : 'Add to report'}
+                  aria-pressed={inReport}
+                >
+                  {inReport ? <FileCheck size={14} /> : <FilePlus size={14} />}
+                  {inReport ? 'In report' : 'Add to report'}
+                </button>
+              )}
+              {headerRight}
+              {effectiveDownloadData && (
+                <DownloadButton
+                  summary={effectiveDownloadData.summary}
+                  detail={effectiveDownloadData.detail}
+                  title={title}
+                  zoom={effectiveDownloadData.zoom}
+                />
+              )}
+              <ExportMenu targetRef={chartAreaRef} title={title} subtitle={subtitle} />
               <button
-                onClick={onReset}
+                onClick={() => setIsFullscreen(true)}
                 className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
                            hover:bg-surface-alt transition-all duration-150"
-                title="Reset filter"
+                title="Full screen"
               >
-                <RotateCcw size={14} />
+                <Maximize2 size={14} />
               </button>
-            )}
+              {onReset && (
+                <button
+                  onClick={onReset}
+                  className="p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+                             hover:bg-surface-alt transition-all duration-150"
+                  title="Reset filter"
+                >
+                  <RotateCcw size={14} />
+                </button>
+              )}
+            </div>
           </div>
-        </div>
 
-        {/* Chart Area — DO NOT add fixed height or max-height here.
-            Chart components set their own minHeight based on data/legend needs.
-            The flex-1 lets this area grow; the chart's inline minHeight drives expansion. */}
-        <div ref={chartAreaRef} className="px-5 pb-5 flex-1" style={{ minHeight }}>
-          {children}
+          {/* Chart Area — DO NOT add fixed height or max-height here.
+              Chart components set their own minHeight based on data/legend needs.
+              The flex-1 lets this area grow; the chart's inline minHeight drives expansion. */}
+          <div ref={chartAreaRef} className="px-5 pb-5 flex-1" style={{ minHeight }}>
+            {children}
+          </div>
         </div>
-      </div>
 
-      {/* Fullscreen overlay (portalled to body) */}
-      {isFullscreen &&
-        createPortal(
-          <FullscreenChart
-            title={title}
-            subtitle={subtitle}
-            downloadData={effectiveDownloadData}
-            onClose={() => setIsFullscreen(false)}
-          >
-            {children}
-          </FullscreenChart>,
-          document.body,
-        )}
+        {/* Fullscreen overlay (portalled to body) */}
+        {isFullscreen &&
+          createPortal(
+            <FullscreenChart
+              title={title}
+              subtitle={subtitle}
+              downloadData={effectiveDownloadData}
+              onClose={() => setIsFullscreen(false)}
+            >
+              {children}
+            </FullscreenChart>,
+            document.body,
+          )}
+      </CardViewContext.Provider>
     </ZoomRangeContext.Provider>
   )
 }
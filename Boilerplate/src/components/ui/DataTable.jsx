@@ -1,9 +1,23 @@
 /**
- * DataTable.jsx — Sortable, paginated data table (data-agnostic)
- * ---------------------------------------------------------------
+ * DataTable.jsx — Sortable, filterable, paginated data table (data-agnostic)
+ * -------------------------------------------------------------------------
  * A generic table component that supports:
- *   - Click-to-sort on any column (ascending / descending toggle)
- *   - Pagination with Prev/Next controls and a "Showing X-Y of Z" indicator
+ *   - Click-to-sort on any column (ascending / descending toggle);
+ *     shift-click adds a column as a further sort (again to flip it, a
+ *     third time to drop it), with numbered badges for the sort order
+ *   - Typed columns (currency / number / percent): right-aligned and
+ *     formatted for you, and an optional summary footer per column
+ *     (see Typed Columns and Footers)
+ *   - A search box over the visible columns, and per-column filters from the
+ *     filter icon in each header: "contains" for text, a min / max range for
+ *     numbers, a value checklist for columns with few distinct values
+ *     (DataTableControls + lib/tableFilters.js)
+ *   - Showing / hiding columns ("Columns" button) and resizing them by
+ *     dragging a header's right edge (double-click resets); both are kept
+ *     in localStorage per table (stores/tableStore.js)
+ *   - Pagination with Prev/Next controls and a "Showing X-Y of Z" indicator,
+ *     or, with `virtual`, one scrolling body for tens of thousands of rows
+ *     (see Virtual Mode)
  *   - Dynamic page size in fullscreen mode: a ResizeObserver measures the
  *     available container height and calculates how many rows fit, so the
  *     table fills the viewport without scrolling
@@ -11,17 +25,57 @@
  *
  * Column Definition
  *   Columns are defined by the parent via the `columns` prop — an array of:
- *     { key: string, label: string, render?: (cellValue, row) => ReactNode }
+ *     { key: string, label: string, render?: (cellValue, row) => ReactNode, sortable?: boolean,
+ *       filter?: 'text' | 'number' | 'category' | false, type?: 'currency' | 'number' | 'percent',
+ *       format?: (value) => string, footer?: 'sum' | 'avg' | 'min' | 'max' | 'range' | 'count' }
  *   - `key`    — Property name on each data row object
  *   - `label`  — Display text for the column header
  *   - `render` — Optional custom render function for the cell content;
  *                receives the cell value and the full row object.
  *                If omitted, the raw cell value is displayed as-is.
+ *   - `sortable` — Set to false for columns without a sortable value, e.g. a
+ *                  Sparkline column whose `render` looks the series up by row.
+ *   - `filter` — Overrides the filter kind detected from the values (false
+ *                for none). Columns without plain values get no filter.
+ *   - `type` / `format` / `footer` — see Typed Columns and Footers.
  *
  * Props
  *   @param {Array<{ key: string, label: string, render?: Function }>} columns — Column definitions
  *   @param {object[]}  data                — Array of row objects to display
- *   @param {number}   [pageSize]           — Fixed page size (overrides dynamic sizing)
+ *   @param {number}   [pageSize]           — Fixed page size (overrides dynamic sizing);
+ *                                            rows in view in virtual mode
+ *   @param {boolean}  [controls=true]      — Show search, filters, column picker and resizing
+ *   @param {boolean}  [virtual=false]      — Virtual scrolling instead of pages
+ *
+ * Typed Columns and Footers
+ *   A column with a `type` shows its values through formatCurrency,
+ *   formatNumber or formatPercent unless it has its own `render` (`format`
+ *   swaps in another formatter, e.g. `measure.format`). Typed columns and
+ *   columns whose values are all numbers are right-aligned. A `footer` adds
+ *   a summary row under the table — sum, average, min, max, min–max range
+ *   or count — over every row matching the search and filters, not just
+ *   the page shown (lib/columnTypes.js).
+ *
+ * Virtual Mode
+ *   For row-level data (e.g. a whole dataset), `virtual` swaps pagination for
+ *   a scrolling body under a sticky header that renders only the rows in view
+ *   (plus a few either side) as fixed ROW_HEIGHT rows. Search, filters and
+ *   sorting run in the table worker (lib/useTableQuery.js), so typing and
+ *   sorting don't block the page; with none of them active the rows show
+ *   as given, without waiting for the worker (a pivot's rows change on
+ *   every expand and keep their place). Keep `columns` memoized in this mode — the
+ *   rows are indexed for the worker whenever `data` or `columns` change.
+ *   Columns are sized to their longest text up front so they don't jump
+ *   while scrolling.
+ *
+ * Saved Views, Reports and Downloads
+ *   Inside a ChartCard, the sort is reported to the card (CardViewContext) so
+ *   "Save view" can store it, and opening a saved view restores it. The
+ *   table as shown — visible columns, matching rows in sorted order — is
+ *   shared the same way, so a report includes every matching row and the
+ *   card's download of the same rows matches what the table shows. Search, filters
+ *   and layout are keyed by the card (route + title), so the fullscreen copy
+ *   shows the same view; outside a card, by the column keys.
  *
  * Fullscreen Detection
  *   The component checks whether it is inside a `.fullscreen-chart-area` ancestor
@@ -33,20 +87,50 @@
  *   this boilerplate for a new project or dataset. Simply pass different `columns`
  *   and `data` from the parent.
  */
-import { useState, useMemo, useRef, useCallback, useLayoutEffect } from 'react'
-import { ChevronUp, ChevronDown, ChevronsUpDown } from 'lucide-react'
+import { useState, useMemo, useRef, useCallback, useLayoutEffect, useEffect, useContext } from 'react'
+import { ChevronUp, ChevronDown, ChevronsUpDown, Filter } from 'lucide-react'
+import DataTableControls from '@/components/ui/DataTableControls'
+import { CardViewContext } from '@/lib/cardView'
+import { COLUMN_TYPES, columnFooter, typedColumn } from '@/lib/columnTypes'
+import { columnKind, filterRows, isActiveFilter, normalizeSorts, sortComparator } from '@/lib/tableFilters'
+import { useTableQuery } from '@/lib/useTableQuery'
+import { useTableStore, selectTable } from '@/stores/tableStore'
 
 const DEFAULT_PAGE_SIZE = 10
 const HEADER_HEIGHT = 45   // thead row height (px)
 const ROW_HEIGHT = 41      // tbody row height (px)
 const FOOTER_HEIGHT = 49   // pagination bar height (px)
+const MIN_COLUMN_WIDTH = 60
+const CELL_PADDING_X = 32  // px-4 on both sides
+const OVERSCAN = 8         // virtual mode: rows rendered beyond the viewport
+
+/** Table state when the controls are off. */
+const PLAIN_TABLE = { search: '', filters: {}, hidden: [], widths: {} }
+
+const EMPTY_ROWS = []
+
+const rowValue = (row, key) => row[key]
 
-export default function DataTable({ columns, data, pageSize: fixedPageSize }) {
-  const [sortKey, setSortKey] = useState(null)
-  const [sortDir, setSortDir] = useState('asc')
+export default function DataTable({ columns: columnDefs, data, pageSize: fixedPageSize, controls = true, virtual = false }) {
+  // [{ key, dir }], primary sort first
+  const [sorts, setSorts] = useState([])
   const [page, setPage] = useState(0)
   const [dynamicPageSize, setDynamicPageSize] = useState(fixedPageSize || DEFAULT_PAGE_SIZE)
+  const [panel, setPanel] = useState(null)
+  const [drag, setDrag] = useState(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const scrollRef = useRef(null)
+  const dragStart = useRef(null)
   const rootRef = useRef(null)
+  const controlsRef = useRef(null)
+  const cardView = useContext(CardViewContext)
+  const columns = useMemo(() => columnDefs.map(typedColumn), [columnDefs])
+
+  const tableId = cardView?.cardId ?? columns.map((c) => c.key).join('|')
+  const storedTable = useTableStore(selectTable(tableId))
+  const setWidth = useTableStore((s) => s.setWidth)
+  const { search, filters, hidden, widths } = controls ? storedTable : PLAIN_TABLE
+  const hasFooter = columns.some((col) => col.footer && !hidden.includes(col.key))
 
   // In fullscreen, fit as many rows as the viewport allows (using the
   // fullscreen overlay's height, not the table's own auto-height).
@@ -62,16 +146,18 @@ export default function DataTable({ columns, data, pageSize: fixedPageSize }) {
       return
     }
 
-    // Subtract the fullscreen area's padding so we only count usable space
+    // Subtract the fullscreen area's padding and the toolbar so we only
+    // count usable space
     const style = getComputedStyle(fsArea)
     const padY = (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0)
-    const available = fsArea.clientHeight - padY
+    const available = fsArea.clientHeight - padY - (controlsRef.current?.offsetHeight || 0)
     if (available <= 0) return
     // 2 extra px for the DataTable's own top+bottom border
-    const bodySpace = available - HEADER_HEIGHT - FOOTER_HEIGHT - 2
+    // (and the summary row, when there is one)
+    const bodySpace = available - HEADER_HEIGHT - FOOTER_HEIGHT - 2 - (hasFooter ? ROW_HEIGHT : 0)
     const rows = Math.max(1, Math.floor(bodySpace / ROW_HEIGHT))
     setDynamicPageSize(rows)
-  }, [fixedPageSize])
+  }, [fixedPageSize, hasFooter])
 
   useLayoutEffect(() => {
     recalcPageSize()
@@ -81,102 +167,338 @@ export default function DataTable({ columns, data, pageSize: fixedPageSize }) {
     ro.observe(el)
     const fsArea = el.closest('.fullscreen-chart-area')
     if (fsArea) ro.observe(fsArea)
+    // The toolbar grows when a filter or column panel opens
+    if (controlsRef.current) ro.observe(controlsRef.current)
     return () => ro.disconnect()
   }, [recalcPageSize])
 
   const pageSize = fixedPageSize || dynamicPageSize
 
   // Reset to page 0 when page size or data changes (e.g. entering/exiting
-  // fullscreen, or applying a filter that reduces available pages)
+  // fullscreen, or applying a filter that reduces available pages). A
+  // virtual body keeps its scroll position, e.g. as pivot groups expand.
   useLayoutEffect(() => {
     setPage(0)
   }, [pageSize, data])
 
-  const sorted = useMemo(() => {
-    if (!sortKey) return data
-    return [...data].sort((a, b) => {
-      const av = a[sortKey]
-      const bv = b[sortKey]
-      if (av == null) return 1
-      if (bv == null) return -1
-      if (typeof av === 'number') return sortDir === 'asc' ? av - bv : bv - av
-      return sortDir === 'asc'
-        ? String(av).localeCompare(String(bv))
-        : String(bv).localeCompare(String(av))
-    })
-  }, [data, sortKey, sortDir])
+  const kinds = useMemo(
+    () => Object.fromEntries(columns.map((col) => [col.key, columnKind(col, data)])),
+    [columns, data],
+  )
 
-  const totalPages = Math.ceil(sorted.length / pageSize)
-  const paged = sorted.slice(page * pageSize, (page + 1) * pageSize)
+  // Never hide every column (e.g. a stale layout from older column keys)
+  const shownColumns = useMemo(() => {
+    const shown = columns.filter((col) => !hidden.includes(col.key))
+    return shown.length ? shown : columns
+  }, [columns, hidden])
 
-  const handleSort = (key) => {
-    if (sortKey === key) {
-      setSortDir((d) => (d === 'asc' ? 'desc' : 'asc'))
-    } else {
-      setSortKey(key)
-      setSortDir('asc')
-    }
+  // Paged tables search, filter and sort here; virtual ones in the worker
+  const pagedRows = useMemo(() => {
+    if (virtual) return null
+    const filtered = filterRows(data, columns, shownColumns, search, filters)
+    if (!sorts.length) return filtered
+    return [...filtered].sort(sortComparator(sorts, rowValue))
+  }, [virtual, data, columns, shownColumns, search, filters, sorts])
+
+  const workerQuery = useTableQuery(data, columns, {
+    shown: shownColumns.map((col) => col.key), search, filters, sorts,
+  }, virtual)
+  // Nothing to search, filter or sort: the rows as given
+  const querying = virtual && Boolean(sorts.length || search.trim() || Object.values(filters).some(isActiveFilter))
+  const sorting = querying && workerQuery.loading
+  const sorted = pagedRows ?? (querying ? workerQuery.rows ?? EMPTY_ROWS : data)
+
+  // Virtual mode: size columns to their longest text so they don't jump
+  // as rows scroll in and out
+  const textWidths = useMemo(() => {
+    const texts = workerQuery.table?.texts
+    if (!texts) return {}
+    return Object.fromEntries(Object.entries(texts).map(([key, values]) => [
+      key,
+      values.reduce((max, text) => Math.max(max, text.length), 0),
+    ]))
+  }, [workerQuery.table])
+
+  // Take on a saved view's sort when one is opened (token changes per open)
+  const restore = cardView?.restore
+  const [restoredToken, setRestoredToken] = useState(null)
+  if (restore?.token && restore.token !== restoredToken) {
+    setRestoredToken(restore.token)
+    const restored = normalizeSorts(restore.sort).filter((sort) => columns.some((c) => c.key === sort.key))
+    if (restored.length) setSorts(restored)
+  }
+
+  // Report the sorts to the card for "Save view" (the card's own table
+  // only — the fullscreen copy would overwrite the card's sort)
+  const setCardSort = cardView?.setSort
+  useEffect(() => {
+    if (!setCardSort || rootRef.current?.closest('.fullscreen-chart-area')) return
+    setCardSort(sorts.length ? sorts : null)
+  }, [setCardSort, sorts])
+
+  // Share the table as shown with the report builder and the card's
+  // download (the card's own table only, as above)
+  const setCardTable = cardView?.setTable
+  const customized = Boolean(
+    sorts.length || search.trim() || hidden.length || Object.values(filters).some(isActiveFilter),
+  )
+  useEffect(() => {
+    if (!setCardTable || rootRef.current?.closest('.fullscreen-chart-area')) return
+    setCardTable({ columns: shownColumns, rows: sorted, data, customized })
+    return () => setCardTable(null)
+  }, [setCardTable, shownColumns, sorted, data, customized])
+
+  // Back to the first page (or the top, in virtual mode) after the rows change
+  const resetPosition = () => {
     setPage(0)
+    if (scrollRef.current) scrollRef.current.scrollTop = 0
+  }
+
+  const totalPages = virtual ? 1 : Math.ceil(sorted.length / pageSize)
+  let firstRow = page * pageSize
+  let visible = sorted.slice(firstRow, firstRow + pageSize)
+  if (virtual) {
+    firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+    visible = sorted.slice(firstRow, firstRow + pageSize + 2 * OVERSCAN)
+  }
+  const inView = Math.min(Math.floor(scrollTop / ROW_HEIGHT), Math.max(0, sorted.length - 1))
+
+  // Click: sort by this column alone (again to flip it). Shift-click: add
+  // it as the next sort, flip it, then drop it.
+  const handleSort = (key, add) => {
+    setSorts((prev) => {
+      const current = prev.find((sort) => sort.key === key)
+      const flipped = { key, dir: current?.dir === 'asc' ? 'desc' : 'asc' }
+      if (!add) return prev.length === 1 && current ? [flipped] : [{ key, dir: 'asc' }]
+      if (!current) return [...prev, { key, dir: 'asc' }]
+      if (current.dir === 'asc') return prev.map((sort) => (sort.key === key ? flipped : sort))
+      return prev.filter((sort) => sort.key !== key)
+    })
+    resetPosition()
+  }
+
+  // Summary row over every matching row
+  const footers = useMemo(
+    () => (hasFooter ? Object.fromEntries(shownColumns.map((col) => [col.key, columnFooter(col, sorted)])) : null),
+    [hasFooter, shownColumns, sorted],
+  )
+
+  const numeric = (col) => (col.type ? col.type in COLUMN_TYPES : kinds[col.key] === 'number')
+  // aria-sort belongs on the primary sort's header only
+  const sortState = (key) => {
+    if (sorts[0]?.key !== key) return undefined
+    return sorts[0].dir === 'asc' ? 'ascending' : 'descending'
+  }
+
+  // Column resizing: drag a header's right edge; the width is saved on release
+  const startResize = (e, key) => {
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    const width = e.currentTarget.parentElement.getBoundingClientRect().width
+    dragStart.current = { key, x: e.clientX, width }
+    setDrag({ key, width })
+  }
+  const moveResize = (e) => {
+    const start = dragStart.current
+    if (!start) return
+    setDrag({ key: start.key, width: Math.max(MIN_COLUMN_WIDTH, start.width + e.clientX - start.x) })
+  }
+  const endResize = () => {
+    if (drag) setWidth(tableId, drag.key, drag.width)
+    dragStart.current = null
+    setDrag(null)
+  }
+  const columnWidth = (key) => (drag?.key === key ? drag.width : widths[key])
+  const headerStyle = (key) => {
+    const width = columnWidth(key)
+    if (width) return { width, minWidth: width, maxWidth: width }
+    return textWidths[key] ? { minWidth: `calc(${textWidths[key]}ch + ${CELL_PADDING_X}px)` } : undefined
   }
 
   const SortIcon = ({ col }) => {
-    if (sortKey !== col) return <ChevronsUpDown size={12} className="text-text-secondary/40" />
-    return sortDir === 'asc' ? (
-      <ChevronUp size={12} className="text-brand-blue" />
-    ) : (
-      <ChevronDown size={12} className="text-brand-blue" />
+    const index = sorts.findIndex((sort) => sort.key === col)
+    if (index < 0) return <ChevronsUpDown size={12} className="text-text-secondary/40" />
+    return (
+      <span className="inline-flex items-center text-brand-blue">
+        {sorts[index].dir === 'asc' ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+        {/* Sort order badge, only when sorting by several columns */}
+        {sorts.length > 1 && (
+          <span className="text-base leading-none font-semibold tabular-nums" title={`Sort ${index + 1} of ${sorts.length}`}>
+            {index + 1}
+          </span>
+        )}
+      </span>
     )
   }
 
   return (
     <div ref={rootRef} className="data-table-root bg-white rounded-xl border border-border-light shadow-xs overflow-hidden flex flex-col mx-auto w-fit max-w-full">
+      {controls && (
+        <div ref={controlsRef} className="flex-shrink-0">
+          <DataTableControls
+            tableId={tableId}
+            columns={columns}
+            kinds={kinds}
+            data={data}
+            matched={sorted.length}
+            panel={panel}
+            setPanel={setPanel}
+            onChange={resetPosition}
+          />
+        </div>
+      )}
       <div
-        className="overflow-x-auto overflow-y-hidden flex-1 min-h-0 data-table-scroll"
-        style={totalPages > 1 ? { minHeight: HEADER_HEIGHT + pageSize * ROW_HEIGHT } : undefined}
+        ref={scrollRef}
+        onScroll={virtual ? (e) => setScrollTop(e.currentTarget.scrollTop) : undefined}
+        className={`${virtual ? 'overflow-auto' : 'overflow-x-auto overflow-y-hidden'} flex-1 min-h-0 data-table-scroll`}
+        style={virtual
+          ? { height: HEADER_HEIGHT + (pageSize + (hasFooter ? 1 : 0)) * ROW_HEIGHT }
+          : totalPages > 1 ? { minHeight: HEADER_HEIGHT + (pageSize + (hasFooter ? 1 : 0)) * ROW_HEIGHT } : undefined}
       >
         <table className="text-base">
           <thead className="sticky top-0 z-10">
             <tr className="bg-surface-alt border-b border-border">
-              {columns.map((col) => (
-                <th
-                  key={col.key}
-                  onClick={() => handleSort(col.key)}
-                  className="px-4 py-3 text-left text-base font-semibold text-text-secondary
-                           uppercase tracking-wider cursor-pointer select-none
-                           hover:text-brand-blue transition-colors whitespace-nowrap"
-                >
-                  <span className="inline-flex items-center gap-1">
-                    {col.label}
-                    <SortIcon col={col.key} />
-                  </span>
-                </th>
-              ))}
+              {shownColumns.map((col) => {
+                const width = columnWidth(col.key)
+                const filterActive = isActiveFilter(filters[col.key])
+                return (
+                  <th
+                    key={col.key}
+                    onClick={col.sortable === false ? undefined : (e) => handleSort(col.key, e.shiftKey)}
+                    title={col.sortable === false ? undefined : 'Click to sort · shift-click to add to the sort'}
+                    aria-sort={sortState(col.key)}
+                    style={headerStyle(col.key)}
+                    className={`relative px-4 py-3 ${numeric(col) ? 'text-right' : 'text-left'} text-base font-semibold text-text-secondary
+                             uppercase tracking-wider select-none whitespace-nowrap ${
+                      col.sortable === false ? '' : 'cursor-pointer hover:text-brand-blue transition-colors'
+                    }`}
+                  >
+                    <span className="inline-flex items-center gap-1 max-w-full">
+                      <span className={width ? 'truncate' : undefined}>{col.label}</span>
+                      {col.sortable !== false && <SortIcon col={col.key} />}
+                      {controls && kinds[col.key] && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            setPanel(panel?.key === col.key ? null : { type: 'filter', key: col.key })
+                          }}
+                          className={`p-0.5 rounded transition-colors ${
+                            filterActive ? 'text-brand-blue' : 'text-text-secondary/40 hover:text-brand-blue'
+                          }`}
+                          title={`Filter ${col.label}`}
+                          aria-pressed={filterActive}
+                        >
+                          <Filter size={12} fill={filterActive ? 'currentColor' : 'none'} />
+                        </button>
+                      )}
+                    </span>
+                    {controls && (
+                      <span
+                        role="separator"
+                        aria-orientation="vertical"
+                        title="Drag to resize · double-click to reset"
+                        onPointerDown={(e) => startResize(e, col.key)}
+                        onPointerMove={moveResize}
+                        onPointerUp={endResize}
+                        onPointerCancel={endResize}
+                        onClick={(e) => e.stopPropagation()}
+                        onDoubleClick={(e) => {
+                          e.stopPropagation()
+                          setWidth(tableId, col.key, null)
+                        }}
+                        className="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-brand-blue/30"
+                      />
+                    )}
+                  </th>
+                )
+              })}
             </tr>
           </thead>
           <tbody>
-            {paged.map((row, i) => (
+            {virtual && firstRow > 0 && <tr aria-hidden style={{ height: firstRow * ROW_HEIGHT }} />}
+            {visible.map((row, i) => (
               <tr
-                key={i}
+                key={firstRow + i}
+                style={virtual ? { height: ROW_HEIGHT } : undefined}
                 className={`border-b border-border-light/60 transition-colors duration-100
-                  ${i % 2 === 0 ? 'bg-white' : 'bg-surface-alt/40'}
+                  ${(firstRow + i) % 2 === 0 ? 'bg-white' : 'bg-surface-alt/40'}
                   hover:bg-brand-blue/[0.03]`}
               >
-                {columns.map((col) => (
-                  <td key={col.key} className="px-4 py-2.5 text-text-primary whitespace-nowrap">
-                    {col.render ? col.render(row[col.key], row) : row[col.key]}
-                  </td>
-                ))}
+                {shownColumns.map((col) => {
+                  const width = columnWidth(col.key)
+                  const content = col.render ? col.render(row[col.key], row) : row[col.key]
+                  return (
+                    <td
+                      key={col.key}
+                      className={`px-4 py-2.5 text-text-primary whitespace-nowrap ${numeric(col) ? 'text-right tabular-nums' : ''}`}
+                    >
+                      {width
+                        ? <div className="truncate" style={{ maxWidth: width - CELL_PADDING_X }}>{content}</div>
+                        : content}
+                    </td>
+                  )
+                })}
               </tr>
             ))}
+            {virtual && firstRow + visible.length < sorted.length && (
+              <tr aria-hidden style={{ height: (sorted.length - firstRow - visible.length) * ROW_HEIGHT }} />
+            )}
+            {!sorted.length && data.length > 0 && !sorting && (
+              <tr>
+                <td colSpan={shownColumns.length} className="px-4 py-6 text-center text-text-secondary">
+                  No rows match the search and filters.
+                </td>
+              </tr>
+            )}
           </tbody>
+          {footers && (
+            <tfoot className={virtual ? 'sticky bottom-0 z-10' : undefined}>
+              <tr className="bg-surface-alt border-t border-border" style={{ height: ROW_HEIGHT }}>
+                {shownColumns.map((col, i) => {
+                  const footer = footers[col.key]
+                  return (
+                    <td
+                      key={col.key}
+                      className={`px-4 py-2.5 font-semibold text-text-primary whitespace-nowrap ${
+                        numeric(col) ? 'text-right tabular-nums' : ''}`}
+                    >
+                      {footer ? (
+                        <>
+                          <span className="font-normal text-text-secondary mr-1.5">{footer.label}</span>
+                          {footer.text}
+                        </>
+                      ) : i === 0 && (
+                        <span className="font-normal text-text-secondary">
+                          {sorted.length.toLocaleString()} {sorted.length === 1 ? 'row' : 'rows'}
+                        </span>
+                      )}
+                    </td>
+                  )
+                })}
+              </tr>
+            </tfoot>
+          )}
         </table>
       </div>
 
+      {/* Virtual mode: position and worker status */}
+      {virtual && (
+        <div className="flex items-center justify-between px-4 py-3 border-t border-border-light bg-surface-alt/30">
+          <p className="text-base text-text-secondary">
+            {sorted.length
+              ? <>Rows {(inView + 1).toLocaleString()}–{Math.min(inView + pageSize, sorted.length).toLocaleString()} of{' '}
+                {sorted.length.toLocaleString()} records</>
+              : '0 records'}
+          </p>
+          {sorting && <p className="text-base text-text-secondary" aria-live="polite">Sorting…</p>}
+        </div>
+      )}
+
       {/* Pagination */}
       {totalPages > 1 && (
         <div className="flex items-center justify-between px-4 py-3 border-t border-border-light bg-surface-alt/30">
           <p className="text-base text-text-secondary">
-            Showing {page * pageSize + 1}–{Math.min((page + 1) * pageSize, sorted.length)} of{' '}
+            Showing {firstRow + 1}–{Math.min(firstRow + pageSize, sorted.length)} of{' '}
             {sorted.length.toLocaleString()} records
           </p>
           <div className="flex items-center gap-1">
@@ -0,0 +1,240 @@
+/**
+ * DataTableControls.jsx — Search, column filter and column picker for DataTable
+ * ----------------------------------------------------------------------------
+ * The toolbar above a DataTable: a search box, the match count, "Clear" for
+ * active filters and a "Columns" button. Below it, one panel at a time:
+ *   - a column's filter (opened from the filter icon in its header):
+ *       text → "contains", number → min / max, category → value checklist
+ *   - the column picker: show / hide columns, reset widths and columns
+ *
+ * Panels render in the table's flow (not as popovers) so the table's
+ * scrolling container can't clip them. State lives in stores/tableStore.js;
+ * matching in lib/tableFilters.js.
+ *
+ * Props
+ *   @param {string}   tableId  — tableStore key
+ *   @param {Object[]} columns  — all column definitions
+ *   @param {Object}   kinds    — { [key]: 'text' | 'number' | 'category' | null }
+ *   @param {Object[]} data     — all rows (for category values)
+ *   @param {number}   matched  — rows matching the search and filters
+ *   @param {Object}   panel    — { type: 'filter', key } | { type: 'columns' } | null
+ *   @param {Function} setPanel
+ *   @param {Function} onChange — called when the search or a filter changes (resets paging)
+ */
+import { Search, X, Columns3, RotateCcw } from 'lucide-react'
+import { useTableStore, selectTable } from '@/stores/tableStore'
+import { categoryValues, isActiveFilter } from '@/lib/tableFilters'
+
+const inputClass = `px-2 py-1 text-base text-text-primary bg-white border border-border-light rounded-md
+  focus:outline-none focus:border-brand-blue/50`
+
+const linkButton = 'text-base text-brand-blue hover:underline disabled:opacity-40 disabled:no-underline'
+
+const iconButton = `p-1 rounded-md text-text-secondary hover:text-brand-blue
+  hover:bg-surface-alt transition-all duration-150`
+
+function FilterPanel({ tableId, column, kind, data, onChange, onClose }) {
+  const filter = useTableStore((s) => selectTable(tableId)(s).filters[column.key])
+  const setFilter = useTableStore((s) => s.setFilter)
+
+  const update = (next) => {
+    setFilter(tableId, column.key, next)
+    onChange()
+  }
+
+  let control
+  if (kind === 'number') {
+    const range = filter && 'min' in filter ? filter : { min: '', max: '' }
+    control = (
+      <div className="flex items-center gap-2">
+        <input
+          value={range.min}
+          onChange={(e) => update({ ...range, min: e.target.value })}
+          placeholder="Min (e.g. 1.5B)"
+          className={`${inputClass} w-36`}
+          aria-label={`${column.label} minimum`}
+        />
+        <span className="text-text-secondary">to</span>
+        <input
+          value={range.max}
+          onChange={(e) => update({ ...range, max: e.target.value })}
+          placeholder="Max"
+          className={`${inputClass} w-36`}
+          aria-label={`${column.label} maximum`}
+        />
+      </div>
+    )
+  } else if (kind === 'category') {
+    const values = categoryValues(column, data)
+    const selected = filter && 'values' in filter ? filter.values : []
+    const toggle = (value) =>
+      update({ values: selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value] })
+    control = (
+      <div>
+        <div className="flex items-center gap-3 mb-1">
+          <button onClick={() => update({ values })} className={linkButton}>All</button>
+          <button onClick={() => update(null)} disabled={!selected.length} className={linkButton}>None</button>
+        </div>
+        <div className="max-h-40 overflow-y-auto grid grid-cols-[repeat(auto-fill,minmax(10rem,1fr))] gap-x-3">
+          {values.map((value) => (
+            <label key={value} className="flex items-center gap-2 py-0.5 text-base text-text-primary cursor-pointer min-w-0">
+              <input
+                type="checkbox"
+                checked={selected.includes(value)}
+                onChange={() => toggle(value)}
+                className="accent-brand-blue"
+              />
+              <span className="truncate" title={value}>{value}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+    )
+  } else {
+    control = (
+      <input
+        autoFocus
+        value={filter && 'value' in filter ? filter.value : ''}
+        onChange={(e) => update({ value: e.target.value })}
+        placeholder="Contains…"
+        className={`${inputClass} w-64 max-w-full`}
+        aria-label={`${column.label} contains`}
+      />
+    )
+  }
+
+  return (
+    <div className="px-4 py-3 border-b border-border-light bg-surface-alt/40">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <p className="text-base font-semibold text-text-primary">Filter: {column.label}</p>
+        <div className="flex items-center gap-2">
+          <button onClick={() => update(null)} disabled={!isActiveFilter(filter)} className={linkButton}>
+            Clear
+          </button>
+          <button onClick={onClose} className={iconButton} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+      {control}
+    </div>
+  )
+}
+
+function ColumnsPanel({ tableId, columns, onClose }) {
+  const { hidden, widths } = useTableStore(selectTable(tableId))
+  const setHidden = useTableStore((s) => s.setHidden)
+  const resetLayout = useTableStore((s) => s.resetLayout)
+  const shownCount = columns.filter((c) => !hidden.includes(c.key)).length
+
+  return (
+    <div className="px-4 py-3 border-b border-border-light bg-surface-alt/40">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <p className="text-base font-semibold text-text-primary">Columns</p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => resetLayout(tableId)}
+            disabled={!hidden.length && !Object.keys(widths).length}
+            className={`${linkButton} inline-flex items-center gap-1`}
+            title="Show every column at its automatic width"
+          >
+            <RotateCcw size={12} /> Reset
+          </button>
+          <button onClick={onClose} className={iconButton} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1">
+        {columns.map((col) => {
+          const shown = !hidden.includes(col.key)
+          return (
+            <label key={col.key} className="flex items-center gap-2 text-base text-text-primary cursor-pointer">
+              <input
+                type="checkbox"
+                checked={shown}
+                // Keep at least one column
+                disabled={shown && shownCount === 1}
+                onChange={() => setHidden(tableId, col.key, shown)}
+                className="accent-brand-blue"
+              />
+              {col.label}
+            </label>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default function DataTableControls({ tableId, columns, kinds, data, matched, panel, setPanel, onChange }) {
+  const { search, filters, hidden } = useTableStore(selectTable(tableId))
+  const setSearch = useTableStore((s) => s.setSearch)
+  const clearFilters = useTableStore((s) => s.clearFilters)
+  const filtering = search.trim() !== '' || Object.values(filters).some(isActiveFilter)
+  const filterColumn = panel?.type === 'filter' && columns.find((c) => c.key === panel.key)
+
+  return (
+    <div className="flex-shrink-0">
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-border-light">
+        <label className="relative flex-1 min-w-[10rem] max-w-xs">
+          <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-text-secondary pointer-events-none" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => {
+              setSearch(tableId, e.target.value)
+              onChange()
+            }}
+            placeholder="Search rows…"
+            className={`${inputClass} w-full pl-7`}
+            aria-label="Search rows"
+          />
+        </label>
+        {filtering && (
+          <>
+            <span className="text-base text-text-secondary">
+              {matched.toLocaleString()} of {data.length.toLocaleString()} rows
+            </span>
+            <button
+              onClick={() => {
+                clearFilters(tableId)
+                onChange()
+              }}
+              className={linkButton}
+            >
+              Clear
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => setPanel(panel?.type === 'columns' ? null : { type: 'columns' })}
+          className={`ml-auto inline-flex items-center gap-1.5 px-2 py-1 rounded-md text-base border transition-colors
+            ${panel?.type === 'columns' || hidden.length
+              ? 'text-brand-blue border-brand-blue/30 bg-brand-blue/5'
+              : 'text-text-secondary border-border-light hover:text-brand-blue'}`}
+          title="Show or hide columns"
+          aria-expanded={panel?.type === 'columns'}
+        >
+          <Columns3 size={14} />
+          Columns{hidden.length ? ` (${columns.length - hidden.length}/${columns.length})` : ''}
+        </button>
+      </div>
+
+      {filterColumn && (
+        <FilterPanel
+          key={filterColumn.key}
+          tableId={tableId}
+          column={filterColumn}
+          kind={kinds[filterColumn.key]}
+          data={data}
+          onChange={onChange}
+          onClose={() => setPanel(null)}
+        />
+      )}
+      {panel?.type === 'columns' && (
+        <ColumnsPanel tableId={tableId} columns={columns} onClose={() => setPanel(null)} />
+      )}
+    </div>
+  )
+}
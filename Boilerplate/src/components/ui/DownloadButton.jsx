@@ -1,24 +1,32 @@
 /**
- * DownloadButton.jsx — CSV download dropdown button (data-agnostic)
- * -----------------------------------------------------------------
- * Renders a small download icon button. When both summary and detail datasets
- * are provided, clicking opens a dropdown menu letting the user choose which
- * CSV to download. When only one option is available, clicking the button
- * triggers an immediate download without showing a dropdown.
+ * DownloadButton.jsx — Data download dropdown button (data-agnostic)
+ * ------------------------------------------------------------------
+ * Renders a small download icon button. Clicking opens a dropdown with the
+ * available datasets (summary and/or detail), each as:
+ *   - CSV   — plain rows (downloadCsv() from `@/lib/downloadCsv`)
+ *   - Excel — .xlsx with numeric columns, $ / unit formatting, a frozen
+ *             header and a Metadata sheet (downloadXlsx() from `@/lib/downloadData`)
+ *   - JSON  — the rows plus the same metadata (downloadJson())
  *
- * The actual CSV generation and browser download is handled by downloadCsv()
- * from `@/lib/downloadCsv`.
+ * The metadata lists the chart title, page, its URL filters, the zoom range
+ * the rows were cut to, the measure, the data source and the export time.
  *
  * Props
- *   @param {object}  [summary]       — { data: object[], filename: string } for aggregated data
- *   @param {object}  [detail]        — { data: object[], filename: string } for row-level data
+ *   @param {object}  [summary]       — { data: object[], filename: string } for aggregated data;
+ *                                      may add `measure`, `unit` and `aggregation` when the rows
+ *                                      aren't totals of the sidebar measure (e.g. a pivot)
+ *   @param {object}  [detail]        — { data: object[], filename: string } for row-level data, or
+ *                                      { dataset, where, filename } to fetch the records from the
+ *                                      data worker only when a format is picked (large datasets)
+ *   @param {string}  [title]         — chart title, recorded in the metadata
+ *   @param {object}  [zoom]          — { min, max } zoom range already applied to the rows
  *   @param {string}  [size='default'] — 'default' for compact icon button (inside ChartCard header),
  *                                       'fullscreen' for a larger labeled button (inside FullscreenChart)
  *
  * Behavior
- *   - Returns null if neither summary nor detail has any data rows
+ *   - Returns null if neither summary nor detail has any data rows (a
+ *     { dataset, where } detail always counts — its rows aren't known yet)
  *   - Dropdown closes on outside click (pointerdown listener)
- *   - Single-option mode: auto-downloads the available CSV without a dropdown
  *
  * BOILERPLATE NOTE:
  *   This component is fully data-agnostic. No changes are needed when adapting
@@ -26,17 +34,35 @@
  *   responsible for assembling the summary/detail data objects.
  */
 import { useState, useRef, useEffect } from 'react'
+import { useLocation } from 'react-router-dom'
 import { Download } from 'lucide-react'
 import { downloadCsv } from '@/lib/downloadCsv'
+import { downloadJson, downloadXlsx, exportMetadata } from '@/lib/downloadData'
+import { queryData } from '@/lib/dataClient'
+import { useTradeStore } from '@/stores/tradeStore'
+
+const FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel' },
+  { key: 'json', label: 'JSON' },
+]
+
+const SOURCES = [
+  { type: 'summary', label: 'Summary', hint: 'Aggregated totals matching the current chart view' },
+  { type: 'detail', label: 'Detail', hint: 'Row-level records with all columns for the current filters' },
+]
 
 /**
- * Small download icon button with a dropdown to choose Summary or Detail CSV.
+ * Small download icon button with a dropdown to choose Summary or Detail data
+ * as CSV, Excel or JSON.
  *
- * @param {{ summary?: { data: object[], filename: string }, detail?: { data: object[], filename: string } }} props
+ * @param {{ summary?: { data: object[], filename: string }, detail?: { data?: object[], dataset?: string, where?: object, filename: string } }} props
  */
-export default function DownloadButton({ summary, detail, size = 'default' }) {
+export default function DownloadButton({ summary, detail, title, zoom, size = 'default' }) {
   const [open, setOpen] = useState(false)
   const ref = useRef(null)
+  const { pathname, search } = useLocation()
+  const measure = useTradeStore((s) => s.measure)
 
   // Close on outside click
   useEffect(() => {
@@ -48,56 +74,78 @@ export default function DownloadButton({ summary, detail, size = 'default' }) {
     return () => document.removeEventListener('pointerdown', handler)
   }, [open])
 
-  const hasSummary = summary?.data?.length > 0
-  const hasDetail = detail?.data?.length > 0
-  if (!hasSummary && !hasDetail) return null
+  const sources = { summary, detail }
+  const available = SOURCES.filter(({ type }) => sources[type]?.data?.length > 0 || sources[type]?.dataset)
+  if (!available.length) return null
 
-  const handleClick = (type) => {
-    const src = type === 'summary' ? summary : detail
-    if (src?.data?.length) downloadCsv(src.data, src.filename)
+  const handleClick = async (type, format) => {
+    const src = sources[type]
     setOpen(false)
+    if (!src) return
+    let data = src.data
+    if (!data) {
+      try {
+        data = await queryData(src.dataset, { rows: true, where: src.where })
+      } catch (err) {
+        console.error('[DownloadButton] Could not fetch the records:', err)
+        return
+      }
+    }
+    if (!data.length) return
+    if (format === 'csv') {
+      downloadCsv(data, src.filename)
+      return
+    }
+    const meta = exportMetadata({
+      title,
+      kind: type,
+      path: pathname,
+      search,
+      zoom,
+      measure: src.measure ?? measure,
+      unit: src.unit,
+      aggregation: src.aggregation,
+      rows: data.length,
+    })
+    if (format === 'xlsx') downloadXlsx(data, src.filename, meta)
+    else downloadJson(data, src.filename, meta)
   }
 
-  // If only one option, download directly without dropdown
-  const singleOption = hasSummary && !hasDetail ? 'summary' : !hasSummary && hasDetail ? 'detail' : null
-
   const isFullscreen = size === 'fullscreen'
 
   return (
     <div className="relative" ref={ref}>
       <button
-        onClick={() => (singleOption ? handleClick(singleOption) : setOpen((o) => !o))}
+        onClick={() => setOpen((o) => !o)}
         className={
           isFullscreen
             ? 'inline-flex items-center gap-2 px-4 py-2.5 rounded-lg text-base font-medium text-text-secondary bg-surface-alt hover:bg-gray-200 border border-border-light transition-all duration-150'
             : 'p-1.5 rounded-md text-text-secondary hover:text-brand-blue hover:bg-surface-alt transition-all duration-150'
         }
         title="Download data"
+        aria-haspopup="menu"
+        aria-expanded={open}
       >
         <Download size={isFullscreen ? 18 : 14} />
-        {isFullscreen && <span>Download CSV</span>}
+        {isFullscreen && <span>Download data</span>}
       </button>
 
-      {open && !singleOption && (
-        <div className="absolute right-0 top-full mt-1 z-50 bg-white rounded-lg shadow-lg border border-border-light py-1 min-w-[160px]">
-          {hasSummary && (
-            <button
-              onClick={() => handleClick('summary')}
-              className="w-full text-left px-3 py-1.5 text-base text-text-primary hover:bg-surface-alt transition-colors"
-              title="Aggregated totals matching the current chart view"
-            >
-              Summary (CSV)
-            </button>
-          )}
-          {hasDetail && (
-            <button
-              onClick={() => handleClick('detail')}
-              className="w-full text-left px-3 py-1.5 text-base text-text-primary hover:bg-surface-alt transition-colors"
-              title="Row-level records with all columns for the current filters"
-            >
-              Detail (CSV)
-            </button>
-          )}
+      {open && (
+        <div role="menu" className="absolute right-0 top-full mt-1 z-50 bg-white rounded-lg shadow-lg border border-border-light py-1 min-w-[160px]">
+          {available.map(({ type, label, hint }, i) => (
+            <div key={type} className={i > 0 ? 'border-t border-border-light mt-1 pt-1' : undefined}>
+              {FORMATS.map((format) => (
+                <button
+                  key={format.key}
+                  onClick={() => handleClick(type, format.key)}
+                  className="w-full text-left px-3 py-1.5 text-base text-text-primary hover:bg-surface-alt transition-colors"
+                  title={hint}
+                >
+                  {label} ({format.label})
+                </button>
+              ))}
+            </div>
+          ))}
         </div>
       )}
     </div>
@@ -0,0 +1,191 @@
+/**
+ * DrillDownDrawer.jsx — Side drawer with the records behind a chart element
+ * ------------------------------------------------------------------------
+ * Opened from a BarChart, DonutChart or TreemapChart (`onDrillDown`) through
+ * useDrillDown (lib/useDrillDown.js). For the records where one column has
+ * the clicked value, under the page's filters, it shows (once the data
+ * worker has sent them — a spinner until then):
+ *   - the record count and the measure's total
+ *   - a mini trend of the measure by year (Sparkline)
+ *   - breakdowns by the page's other dimensions: the largest few values,
+ *     with their share of the total
+ *   - the records themselves (a virtual DataTable, sortable)
+ *   - a download of exactly those records (CSV, Excel, JSON)
+ *
+ * It renders in a portal above everything, full-screen charts included.
+ * Escape, the backdrop and the close button close it.
+ *
+ * Props
+ *   @param {Object} drill — return value of useDrillDown()
+ *
+ * BOILERPLATE NOTE:
+ *   This component is fully data-agnostic. Pages choose the rows,
+ *   dimensions and record columns in useDrillDown.
+ */
+import { useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import { X, Layers } from 'lucide-react'
+import DataTable from '@/components/ui/DataTable'
+import DownloadButton from '@/components/ui/DownloadButton'
+import Sparkline from '@/components/charts/Sparkline'
+import { formatNumber, formatPercent } from '@/lib/chartColors'
+
+const RECORD_ROWS = 10
+
+const iconButton = `p-1.5 rounded-md text-text-secondary hover:text-brand-blue
+  hover:bg-surface-alt transition-all duration-150`
+
+function Breakdown({ breakdown, format }) {
+  const max = Math.max(...breakdown.items.map((item) => item.value), 0)
+  return (
+    <div>
+      <h3 className="text-base font-semibold text-text-primary mb-1.5">By {breakdown.label}</h3>
+      <ul className="space-y-1">
+        {breakdown.items.map((item) => (
+          <li key={item.label} className="grid grid-cols-[minmax(0,9rem)_1fr_auto] items-center gap-2 text-base">
+            <span className="truncate text-text-primary" title={item.label}>{item.label}</span>
+            <span className="h-2 rounded-full bg-surface-alt overflow-hidden">
+              <span
+                className="block h-full rounded-full bg-brand-blue"
+                style={{ width: `${max > 0 ? Math.max(0, item.value / max) * 100 : 0}%` }}
+              />
+            </span>
+            <span className="text-text-secondary tabular-nums text-right whitespace-nowrap">
+              {format(item.value)}
+              {item.share != null && <span className="ml-1.5 text-text-secondary/70">{formatPercent(item.share)}</span>}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {breakdown.more > 0 && (
+        <p className="text-base text-text-secondary/70 mt-1">and {formatNumber(breakdown.more)} more</p>
+      )}
+    </div>
+  )
+}
+
+export default function DrillDownDrawer({ drill }) {
+  const { target, close, loading, fieldLabel, records, total, breakdowns, trend, columns, measure, download } = drill
+  const isOpen = Boolean(target)
+
+  // Close on Escape — in the capture phase, so a full-screen chart under
+  // the drawer stays open
+  useEffect(() => {
+    if (!isOpen) return
+    const handleEsc = (e) => {
+      if (e.key !== 'Escape') return
+      e.stopPropagation()
+      close()
+    }
+    const prev = document.body.style.overflow
+    document.addEventListener('keydown', handleEsc, true)
+    document.body.style.overflow = 'hidden'
+    return () => {
+      document.removeEventListener('keydown', handleEsc, true)
+      document.body.style.overflow = prev
+    }
+  }, [isOpen, close])
+
+  const title = target ? `${fieldLabel}: ${target.value}` : ''
+  const years = trend.length > 1 ? `${trend[0].year}–${trend[trend.length - 1].year}` : ''
+
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className={`fixed inset-0 bg-black/20 z-[110] transition-opacity duration-300
+          ${isOpen ? 'opacity-100' : 'opacity-0 pointer-events-none'}`}
+        onClick={close}
+        aria-hidden="true"
+      />
+
+      {/* Drawer panel */}
+      <aside
+        className={`fixed top-0 right-0 h-full w-full max-w-2xl bg-white shadow-xl z-[110]
+          flex flex-col transform transition-transform duration-300 ease-in-out
+          ${isOpen ? 'translate-x-0' : 'translate-x-full'}`}
+        role="dialog"
+        aria-label={title || 'Records'}
+        aria-hidden={!isOpen}
+      >
+        {target && (
+          <>
+            {/* Header */}
+            <div className="flex items-center justify-between gap-3 px-5 py-4 border-b border-border-light">
+              <div className="flex items-center gap-2 min-w-0">
+                <Layers size={18} className="text-brand-blue shrink-0" />
+                <div className="min-w-0">
+                  <h2 className="text-lg font-semibold text-text-primary truncate">{title}</h2>
+                  {target.source && <p className="text-base text-text-secondary truncate">From {target.source}</p>}
+                </div>
+              </div>
+              <div className="flex items-center gap-1 shrink-0">
+                <DownloadButton detail={download} title={target.source ? `${target.source} · ${title}` : title} />
+                <button onClick={close} className={iconButton} title="Close (Esc)">
+                  <X size={16} />
+                </button>
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-5 py-4 space-y-5">
+              {loading ? (
+                <div className="flex justify-center py-6">
+                  <div className="w-6 h-6 border-3 border-brand-blue border-t-transparent rounded-full animate-spin" />
+                </div>
+              ) : !records.length ? (
+                <p className="text-base text-text-secondary py-6 text-center">
+                  No records match under the current filters.
+                </p>
+              ) : (
+                <>
+                  {/* Totals and trend */}
+                  <div className="grid grid-cols-1 sm:grid-cols-[auto_auto_1fr] items-end gap-x-6 gap-y-3">
+                    <div>
+                      <p className="text-base text-text-secondary">Records</p>
+                      <p className="text-xl font-bold text-text-primary">{formatNumber(records.length)}</p>
+                    </div>
+                    <div>
+                      <p className="text-base text-text-secondary">{measure.totalLabel}</p>
+                      <p className="text-xl font-bold text-text-primary">{measure.format(total)}</p>
+                    </div>
+                    {years && (
+                      <div className="min-w-0">
+                        <p className="text-base text-text-secondary">Trend {years}</p>
+                        <div className="text-brand-blue">
+                          <Sparkline data={trend} height={40} formatValue={measure.format}
+                            ariaLabel={`${title} ${measure.label.toLowerCase()} by year`} />
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Breakdowns by the other dimensions */}
+                  {breakdowns.length > 0 && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-4">
+                      {breakdowns.map((breakdown) => (
+                        <Breakdown key={breakdown.key} breakdown={breakdown} format={measure.format} />
+                      ))}
+                    </div>
+                  )}
+
+                  {/* The records */}
+                  <div>
+                    <h3 className="text-base font-semibold text-text-primary mb-1.5">Records</h3>
+                    <DataTable
+                      columns={columns}
+                      data={records}
+                      pageSize={Math.max(1, Math.min(records.length, RECORD_ROWS))}
+                      controls={false}
+                      virtual
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </aside>
+    </>,
+    document.body,
+  )
+}
@@ -0,0 +1,168 @@
+/**
+ * ExportMenu.jsx — Chart image export dropdown (data-agnostic)
+ * ------------------------------------------------------------
+ * Image button that opens the export options for the chart in `targetRef`
+ * (handled by exportChart() from `@/lib/exportPng`):
+ *   - PNG scale — 1× to 4× (2× is retina quality)
+ *   - Transparent background — no white fill behind the chart
+ *   - Source & filters caption — "Source: … Filters: …" below the chart,
+ *     from the current page (sourceCaption() in `@/lib/report`)
+ *   - Download PNG / Download SVG — SVG is vector, for design tools
+ * Both formats include the title and subtitle above the chart.
+ *
+ * The options are shared by every menu and remembered in localStorage, so
+ * an export set up once applies to each chart that follows.
+ *
+ * Props
+ *   @param {{ current: HTMLElement }} targetRef — element that contains the chart SVG
+ *   @param {string}  [title]          — rendered above the chart, and the file name
+ *   @param {string}  [subtitle]       — rendered below the title
+ *   @param {string}  [size='default'] — 'default' for the compact icon button (ChartCard),
+ *                                       'fullscreen' for a labeled button (FullscreenChart)
+ *
+ * BOILERPLATE NOTE:
+ *   This component is fully data-agnostic. No changes are needed when adapting
+ *   this boilerplate for a new project or dataset.
+ */
+import { useState, useRef, useEffect } from 'react'
+import { useLocation } from 'react-router-dom'
+import { Image as ImageIcon } from 'lucide-react'
+import { exportChart, EXPORT_SCALES } from '@/lib/exportPng'
+import { sourceCaption } from '@/lib/report'
+
+const OPTIONS_KEY = 'dashboard-export-options'
+const DEFAULT_OPTIONS = { scale: 2, transparent: false, caption: false }
+
+/** Last-used options, shared by every menu. */
+function loadOptions() {
+  try {
+    return { ...DEFAULT_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) }
+  } catch {
+    return DEFAULT_OPTIONS
+  }
+}
+
+function saveOptions(options) {
+  try {
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(options))
+  } catch {
+    // Storage full or disabled — the options just aren't remembered
+  }
+}
+
+const menuItem = 'w-full text-left px-3 py-1.5 text-base text-text-primary hover:bg-surface-alt transition-colors'
+
+export default function ExportMenu({ targetRef, title, subtitle, size = 'default' }) {
+  const [open, setOpen] = useState(false)
+  const [options, setOptions] = useState(loadOptions)
+  const { pathname, search } = useLocation()
+  const ref = useRef(null)
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return
+    const handler = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('pointerdown', handler)
+    return () => document.removeEventListener('pointerdown', handler)
+  }, [open])
+
+  const update = (change) => {
+    const next = { ...options, ...change }
+    saveOptions(next)
+    setOptions(next)
+  }
+
+  const handleExport = (format) => {
+    exportChart(targetRef.current, {
+      format,
+      filename: title?.replace(/\s+/g, '-').toLowerCase() || 'chart',
+      title,
+      subtitle,
+      caption: options.caption ? sourceCaption(pathname, search) : undefined,
+      scale: options.scale,
+      transparent: options.transparent,
+    })
+    setOpen(false)
+  }
+
+  const isFullscreen = size === 'fullscreen'
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => {
+          setOptions(loadOptions())
+          setOpen((o) => !o)
+        }}
+        className={
+          isFullscreen
+            ? `inline-flex items-center gap-2 px-3 py-2 md:px-4 md:py-2.5 rounded-lg text-base font-medium
+               text-text-secondary bg-surface-alt hover:bg-gray-200 border border-border-light transition-all duration-150`
+            : 'p-1.5 rounded-md text-text-secondary hover:text-brand-blue hover:bg-surface-alt transition-all duration-150'
+        }
+        title="Export image"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <ImageIcon size={isFullscreen ? 18 : 14} />
+        {isFullscreen && <span className="hidden md:inline">Export image</span>}
+      </button>
+
+      {open && (
+        <div role="menu" className="absolute right-0 top-full mt-1 z-50 bg-white rounded-lg shadow-lg border border-border-light py-1 min-w-[220px]">
+          <div className="px-3 py-1.5">
+            <p className="text-base text-text-secondary mb-1">PNG scale</p>
+            <div className="flex gap-1" role="radiogroup" aria-label="PNG scale">
+              {EXPORT_SCALES.map((scale) => (
+                <button
+                  key={scale}
+                  role="radio"
+                  aria-checked={options.scale === scale}
+                  onClick={() => update({ scale })}
+                  className={`flex-1 px-2 py-1 rounded-md text-base border transition-colors
+                    ${options.scale === scale
+                      ? 'bg-brand-blue text-white border-brand-blue'
+                      : 'text-text-primary border-border-light hover:bg-surface-alt'}`}
+                >
+                  {scale}×
+                </button>
+              ))}
+            </div>
+          </div>
+          <label className="flex items-center gap-2 px-3 py-1.5 text-base text-text-primary cursor-pointer hover:bg-surface-alt">
+            <input
+              type="checkbox"
+              checked={options.transparent}
+              onChange={(e) => update({ transparent: e.target.checked })}
+              className="accent-brand-blue"
+            />
+            Transparent background
+          </label>
+          <label className="flex items-center gap-2 px-3 py-1.5 text-base text-text-primary cursor-pointer hover:bg-surface-alt">
+            <input
+              type="checkbox"
+              checked={options.caption}
+              onChange={(e) => update({ caption: e.target.checked })}
+              className="accent-brand-blue"
+            />
+            Source &amp; filters caption
+          </label>
+          <div className="border-t border-border-light my-1" />
+          <button role="menuitem" onClick={() => handleExport('png')} className={menuItem}>
+            Download PNG
+          </button>
+          <button
+            role="menuitem"
+            onClick={() => handleExport('svg')}
+            className={menuItem}
+            title="Vector image with inlined styles, for design tools"
+          >
+            Download SVG
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -3,7 +3,7 @@
  * -----------------------------------------------------------------
  * Renders a full-screen overlay that is portalled to document.body by ChartCard.
  * It displays the same chart children at full viewport size with enlarged
- * typography and provides its own action buttons (PNG export, CSV download, close).
+ * typography and provides its own action buttons (image export, data download, close).
  *
  * Behavior
  *   - Pressing the Escape key closes the overlay (keydown listener)
@@ -23,9 +23,9 @@
  *   this boilerplate for a new project or dataset.
  */
 import { useEffect, useRef } from 'react'
-import { X, Image as ImageIcon } from 'lucide-react'
+import { X } from 'lucide-react'
 import DownloadButton from '@/components/ui/DownloadButton'
-import { exportChartPng } from '@/lib/exportPng'
+import ExportMenu from '@/components/ui/ExportMenu'
 
 /**
  * Fullscreen overlay for a chart. Renders the chart children at full viewport
@@ -58,15 +58,6 @@ export default function FullscreenChart({
     }
   }, [])
 
-  const handleExportPng = () => {
-    exportChartPng(
-      chartAreaRef.current,
-      title?.replace(/\s+/g, '-').toLowerCase() || 'chart',
-      title,
-      subtitle,
-    )
-  }
-
   return (
     <div className="fixed inset-0 z-[100] flex flex-col bg-white animate-fade-in">
       {/* Header bar */}
@@ -87,19 +78,12 @@ export default function FullscreenChart({
             <DownloadButton
               summary={downloadData.summary}
               detail={downloadData.detail}
+              title={title}
+              zoom={downloadData.zoom}
               size="fullscreen"
             />
           )}
-          <button
-            onClick={handleExportPng}
-            className="inline-flex items-center gap-2 px-3 py-2 md:px-4 md:py-2.5 rounded-lg text-base font-medium
-                       text-text-secondary bg-surface-alt hover:bg-gray-200
-                       border border-border-light transition-all duration-150"
-            title="Export as PNG"
-          >
-            <ImageIcon size={18} />
-            <span className="hidden md:inline">Export PNG</span>
-          </button>
+          <ExportMenu targetRef={chartAreaRef} title={title} subtitle={subtitle} size="fullscreen" />
           <button
             onClick={onClose}
             className="inline-flex items-center gap-2 px-3 py-2 md:px-4 md:py-2.5 rounded-lg text-base font-medium
@@ -0,0 +1,30 @@
+/**
+ * MeasureNotice.jsx — Stand-in for part-of-whole charts under a ratio measure
+ * ---------------------------------------------------------------------------
+ * Donut shares, stacked bars and treemaps only make sense for measures that
+ * add up. Pages render this instead when `measure.additive` is false (e.g.
+ * value per ton — see lib/measures.js).
+ *
+ *   {measure.additive ? <DonutChart … /> : <MeasureNotice measure={measure} />}
+ */
+import { Scale } from 'lucide-react'
+
+export default function MeasureNotice({ measure, height = 300 }) {
+  return (
+    <div
+      className="rounded-xl border-2 border-dashed border-border bg-surface-alt/50
+                 flex flex-col items-center justify-center gap-3 text-text-secondary h-full"
+      style={{ minHeight: height }}
+    >
+      <div className="p-3 rounded-full bg-brand-blue/5">
+        <Scale size={28} className="text-brand-blue/40" />
+      </div>
+      <div className="text-center px-4">
+        <p className="text-base font-medium text-text-primary/60">{measure.label} doesn&apos;t add up across groups</p>
+        <p className="text-base text-text-secondary/60 mt-1">
+          Switch the measure to value or weight to see this chart
+        </p>
+      </div>
+    </div>
+  )
+}
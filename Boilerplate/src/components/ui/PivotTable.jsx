@@ -0,0 +1,274 @@
+/**
+ * PivotTable.jsx — Drag-and-drop pivot table (data-agnostic)
+ * ----------------------------------------------------------
+ * Renders a pivot from usePivotTable (lib/usePivotTable.js):
+ *   - Field chips to drag between "Fields", "Rows" and "Columns" (click a
+ *     field to add it to the rows; ⇄ moves a placed field to the other
+ *     side, × takes it off; drop a chip on another to put it before it)
+ *   - Measure and aggregation pickers (sum, average, min, max, count)
+ *   - Expandable row groups showing subtotals, a Total column and a
+ *     Grand total row; "Expand all" / "Collapse all"
+ *   - Optional heatmap shading of the innermost groups' cells
+ *
+ * The pivoted rows render through DataTable in virtual mode (no paging, so
+ * opening a group keeps its place), without its search / filter controls.
+ * Downloads come from the ChartCard: pass `pivot.download` as its summary.
+ *
+ * Props
+ *   @param {Object} pivot — return value of usePivotTable()
+ *
+ * BOILERPLATE NOTE:
+ *   This component is fully data-agnostic. Pages choose the dataset and the
+ *   dimensions in usePivotTable.
+ */
+import { useState, useMemo } from 'react'
+import * as d3 from 'd3'
+import { ChevronRight, ChevronDown, X, ArrowLeftRight } from 'lucide-react'
+import DataTable from '@/components/ui/DataTable'
+import { AGGREGATIONS, flattenPivot, groupIds } from '@/lib/pivot'
+import { brand } from '@/lib/tokens'
+import { formatNumber } from '@/lib/chartColors'
+
+const VISIBLE_ROWS = 15
+const INDENT = 16          // px per row-group level
+
+const selectClass = `px-2 py-1 text-base text-text-primary bg-white border border-border-light rounded-md
+  focus:outline-none focus:border-brand-blue/50 disabled:opacity-50`
+
+const linkButton = 'text-base text-brand-blue hover:underline disabled:opacity-40 disabled:no-underline'
+
+/** Heatmap fill for a value in [min, max]; dark fills get white text. */
+function shade(value, range) {
+  if (value == null || !range) return null
+  const [min, max] = range
+  const t = max > min ? (value - min) / (max - min) : 1
+  const opacity = 0.08 + t * 0.72
+  return {
+    background: d3.color(brand.primary).copy({ opacity }).formatRgb(),
+    color: opacity > 0.5 ? brand.white : undefined,
+  }
+}
+
+function FieldChip({ label, onDragStart, onDragEnd, onDrop, onClick, onSwap, onRemove, swapLabel }) {
+  return (
+    <span
+      draggable
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onDragOver={onDrop ? (e) => e.preventDefault() : undefined}
+      onDrop={onDrop}
+      className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-md border border-border-light bg-white
+                 text-base text-text-primary cursor-grab active:cursor-grabbing shadow-xs"
+    >
+      {onClick
+        ? <button onClick={onClick} className="hover:text-brand-blue pr-1" title="Add to rows (or drag)">{label}</button>
+        : <span>{label}</span>}
+      {onSwap && (
+        <button onClick={onSwap} className="p-0.5 rounded text-text-secondary hover:text-brand-blue" title={swapLabel}>
+          <ArrowLeftRight size={12} />
+        </button>
+      )}
+      {onRemove && (
+        <button onClick={onRemove} className="p-0.5 rounded text-text-secondary hover:text-brand-red" title="Remove">
+          <X size={12} />
+        </button>
+      )}
+    </span>
+  )
+}
+
+export default function PivotTable({ pivot }) {
+  const { dimensions, layout, moveDimension, measure, measures, setMeasure, aggregation, setAggregation, result, loading } = pivot
+  const [expanded, setExpanded] = useState(() => new Set())
+  const [heatmap, setHeatmap] = useState(true)
+  const [dragKey, setDragKey] = useState(null)
+
+  const labelOf = (key) => dimensions.find((d) => d.key === key)?.label ?? key
+  const placed = new Set([...layout.rows, ...layout.columns])
+
+  const dropOn = (zone, beforeKey) => (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (dragKey) moveDimension(dragKey, zone, beforeKey)
+    setDragKey(null)
+  }
+  const zoneProps = (zone) => ({
+    onDragOver: (e) => {
+      if (dragKey) e.preventDefault()
+    },
+    onDrop: dropOn(zone),
+  })
+  const chipProps = (key, zone) => ({
+    label: labelOf(key),
+    onDragStart: (e) => {
+      e.dataTransfer.setData('text/plain', key)
+      e.dataTransfer.effectAllowed = 'move'
+      setDragKey(key)
+    },
+    onDragEnd: () => setDragKey(null),
+    onDrop: zone ? dropOn(zone, key) : undefined,
+  })
+
+  const zone = (name, label, keys) => (
+    <div
+      {...zoneProps(name)}
+      className={`flex flex-wrap items-center gap-1.5 min-h-[2.25rem] px-2 py-1 rounded-lg border border-dashed
+        ${dragKey ? 'border-brand-blue/50 bg-brand-blue/5' : 'border-border-light'}`}
+    >
+      <span className="text-base font-semibold text-text-secondary mr-1">{label}</span>
+      {keys.map((key) => (
+        <FieldChip
+          key={key}
+          {...chipProps(key, name)}
+          onSwap={() => moveDimension(key, name === 'rows' ? 'columns' : 'rows')}
+          swapLabel={name === 'rows' ? 'Move to columns' : 'Move to rows'}
+          onRemove={() => moveDimension(key, null)}
+        />
+      ))}
+      {!keys.length && <span className="text-base text-text-secondary/70">Drop fields here</span>}
+    </div>
+  )
+
+  const rows = useMemo(() => {
+    if (!result) return []
+    return flattenPivot(result, expanded).map((row) => ({
+      ...row,
+      ...Object.fromEntries(result.columnKeys.map((key, i) => [`c${i}`, row.cells[key.id] ?? null])),
+    }))
+  }, [result, expanded])
+
+  const rowLabel = result ? result.rows.map(labelOf).join(' › ') : ''
+
+  // Not sortable: the groups keep their order under their parents
+  const columns = useMemo(() => {
+    if (!result) return []
+    const toggle = (id) => setExpanded((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+    // Counts are plain numbers, not the measure's unit
+    const format = aggregation === 'count' ? formatNumber : measure.format
+    const valueCell = (v, row, shaded) => {
+      const style = shaded && heatmap && row.leaf ? shade(v, result.range) : null
+      return (
+        <div
+          className={`-mx-4 -my-2.5 px-4 py-2.5 text-right tabular-nums ${row.group || row.grand ? 'font-semibold' : ''}`}
+          style={style || undefined}
+        >
+          {v == null ? '' : format(v)}
+        </div>
+      )
+    }
+    return [
+      {
+        key: 'label',
+        label: rowLabel,
+        sortable: false,
+        render: (v, row) => (
+          <span className="inline-flex items-center gap-1" style={{ paddingLeft: row.depth * INDENT }}>
+            {row.group ? (
+              <button
+                onClick={() => toggle(row.id)}
+                className="p-0.5 rounded text-text-secondary hover:text-brand-blue"
+                aria-expanded={row.open}
+                title={row.open ? 'Collapse' : 'Expand'}
+              >
+                {row.open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+              </button>
+            ) : (
+              <span className="inline-block w-[18px]" />
+            )}
+            <span className={row.group || row.grand ? 'font-semibold' : undefined}>{String(v)}</span>
+          </span>
+        ),
+      },
+      ...result.columnKeys.map((key, i) => ({
+        key: `c${i}`,
+        label: key.label,
+        sortable: false,
+        render: (v, row) => valueCell(v, row, true),
+      })),
+      {
+        key: 'total',
+        label: 'Total',
+        sortable: false,
+        // With no column fields, the totals are the cells
+        render: (v, row) => valueCell(v, row, !result.columnKeys.length),
+      },
+    ]
+  }, [result, rowLabel, heatmap, measure, aggregation])
+
+  const canExpand = result ? groupIds(result) : []
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        <div {...zoneProps(null)} className="flex flex-wrap items-center gap-1.5">
+          <span className="text-base font-semibold text-text-secondary mr-1">Fields</span>
+          {dimensions.filter((d) => !placed.has(d.key)).map((d) => (
+            <FieldChip key={d.key} {...chipProps(d.key, null)} onClick={() => moveDimension(d.key, 'rows')} />
+          ))}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {zone('rows', 'Rows', layout.rows)}
+          {zone('columns', 'Columns', layout.columns)}
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-base text-text-secondary">
+            Measure
+            <select value={measure.key} onChange={(e) => setMeasure(e.target.value)} className={selectClass}>
+              {measures.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+          </label>
+          <label
+            className="flex items-center gap-2 text-base text-text-secondary"
+            title={measure.per ? 'A ratio divides the sums, so it has no other aggregation' : undefined}
+          >
+            Aggregation
+            <select
+              value={aggregation}
+              onChange={(e) => setAggregation(e.target.value)}
+              disabled={Boolean(measure.per)}
+              className={selectClass}
+            >
+              {measure.per
+                ? <option value="ratio">Ratio of sums</option>
+                : Object.entries(AGGREGATIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-base text-text-secondary cursor-pointer">
+            <input type="checkbox" checked={heatmap} onChange={(e) => setHeatmap(e.target.checked)} className="accent-brand-blue" />
+            Heatmap
+          </label>
+          <span className="flex items-center gap-3 ml-auto">
+            <button onClick={() => setExpanded(new Set(canExpand))} disabled={!canExpand.length} className={linkButton}>
+              Expand all
+            </button>
+            <button onClick={() => setExpanded(new Set())} disabled={!expanded.size} className={linkButton}>
+              Collapse all
+            </button>
+          </span>
+        </div>
+      </div>
+
+      {result && result.columnCount > result.columnKeys.length && (
+        <p className="text-base text-text-secondary">
+          Showing the {result.columnKeys.length} largest of {result.columnCount} columns; totals include all of them.
+        </p>
+      )}
+      {!result ? (
+        <p className="text-base text-text-secondary py-6 text-center">{loading ? 'Building pivot…' : 'No data loaded.'}</p>
+      ) : (
+        <DataTable
+          columns={columns}
+          data={rows}
+          pageSize={Math.max(1, Math.min(rows.length, VISIBLE_ROWS))}
+          controls={false}
+          virtual
+        />
+      )}
+    </div>
+  )
+}
@@ -6,6 +6,9 @@
  *   - A large formatted value
  *   - An optional trend indicator (up / down / neutral) with an icon and label
  *   - An optional decorative icon in the top-right corner
+ *   - An optional period comparison (see Comparison below)
+ *   - An optional sparkline under the value (`sparkline`), with min/max
+ *     markers and a hover value
  *
  * Variants & Highlighting
  *   The card supports visual hierarchy through two mechanisms:
@@ -21,6 +24,12 @@
  *   - 'down'    → Red (brand-red)
  *   - 'neutral' → Gray (text-secondary)
  *
+ * Comparison
+ *   Pass one entry of usePeriodComparison() as `comparison` and the card shows
+ *   the comparison-period value instead of `value`, the absolute and percent
+ *   change against the base period, and a sparkline of the metric across all
+ *   years with both periods shaded. `trend`/`trendLabel` are ignored then.
+ *
  * Props
  *   @param {string}       label      — KPI label text (e.g. "Total Trade Value")
  *   @param {string|React} value      — Formatted display value (e.g. "$1.2B")
@@ -30,6 +39,10 @@
  *   @param {string}      [variant='default'] — 'primary' for lead card dark gradient
  *   @param {Component}   [icon]      — Lucide icon component for the corner badge
  *   @param {number}      [delay=0]   — CSS animation delay in ms (for staggered fade-up)
+ *   @param {Object}      [comparison] — usePeriodComparison() result for this KPI
+ *   @param {Object[]}    [sparkline] — [{ year, value }] trend to draw under the value
+ *                                      (a comparison brings its own)
+ *   @param {Function}    [formatSparkline] — hover value formatter (default: currency)
  *
  * BOILERPLATE NOTE:
  *   This component is data-agnostic. When adapting for a new project, change the
@@ -37,6 +50,14 @@
  *   that use StatCard — not here. This file does not need modification.
  */
 import { TrendingUp, TrendingDown, Minus } from 'lucide-react'
+import Sparkline from '@/components/charts/Sparkline'
+import { formatPercent } from '@/lib/chartColors'
+
+/** "+$1.2B" / "-3" — the metric's own formatter with an explicit sign. */
+function signed(value, format) {
+  const text = format(Math.abs(value))
+  return value > 0 ? `+${text}` : value < 0 ? `-${text}` : text
+}
 
 export default function StatCard({
   label,
@@ -47,14 +68,29 @@ export default function StatCard({
   variant = 'default',
   icon: Icon,
   delay = 0,
+  comparison,
+  sparkline,
+  formatSparkline,
 }) {
+  // A comparison replaces the plain value/trend with period-over-period figures
+  let shownValue = value
+  let shownTrend = trend
+  let shownTrendLabel = trendLabel
+  if (comparison) {
+    const { change, pctChange, format } = comparison
+    const pct = pctChange == null ? '' : ` (${pctChange > 0 ? '+' : ''}${formatPercent(pctChange)})`
+    shownValue = format(comparison.value)
+    shownTrend = change > 0 ? 'up' : change < 0 ? 'down' : 'neutral'
+    shownTrendLabel = `${signed(change, format)}${pct} vs ${comparison.baseLabel}`
+  }
+
   const trendIcon =
-    trend === 'up' ? TrendingUp : trend === 'down' ? TrendingDown : Minus
+    shownTrend === 'up' ? TrendingUp : shownTrend === 'down' ? TrendingDown : Minus
   const TrendIcon = trendIcon
   const trendColor =
-    trend === 'up'
+    shownTrend === 'up'
       ? 'text-brand-green'
-      : trend === 'down'
+      : shownTrend === 'down'
       ? 'text-brand-red'
       : 'text-text-secondary'
 
@@ -86,16 +122,33 @@ export default function StatCard({
               highlight ? 'text-white' : 'text-text-primary'
             }`}
           >
-            {value}
+            {shownValue}
           </p>
-          {trendLabel && (
+          {comparison && (
+            <p className={`text-base mt-1 ${highlight ? 'text-white/70' : 'text-text-secondary'}`}>
+              {comparison.label}
+            </p>
+          )}
+          {shownTrendLabel && (
             <div className={`flex items-center gap-1 mt-2 text-base font-medium ${
               highlight ? 'text-white/80' : trendColor
             }`}>
               <TrendIcon size={14} />
-              <span>{trendLabel}</span>
+              <span>{shownTrendLabel}</span>
             </div>
           )}
+          {(comparison || sparkline) && (
+            <Sparkline
+              data={comparison ? comparison.series : sparkline}
+              bands={comparison ? [
+                { from: comparison.basePeriod[0], to: comparison.basePeriod[1] },
+                { from: comparison.period[0], to: comparison.period[1], strong: true },
+              ] : undefined}
+              formatValue={comparison ? comparison.format : formatSparkline}
+              className={`mt-3 ${highlight ? 'text-white/80' : 'text-brand-blue'}`}
+              ariaLabel={`${label} by year`}
+            />
+          )}
         </div>
         {Icon && (
           <div
@@ -1,84 +1,224 @@
+/**
+ * ── aiClient.js ─────────────────────────────────────────────────────────────
+ * Answers for the Ask AI drawer, through a pluggable provider:
+ *   - mock   — answers computed from the loaded data (below): the question
+ *              is parsed against each dataset's columns and values
+ *              (lib/queryParser.js) into a group / filter / sort query;
+ *              no network, always available
+ *   - openai — any OpenAI-compatible chat completions endpoint, streamed
+ *              (lib/llmStream.js). The system prompt carries the page
+ *              context and a digest of the filtered data so the model
+ *              answers from the dashboard's numbers.
+ *
+ * The provider comes from Vite env variables (see .env.example):
+ *   VITE_AI_PROVIDER  'mock' | 'openai' (default: 'openai' when an endpoint
+ *                     is set, else 'mock')
+ *   VITE_AI_ENDPOINT  e.g. http://localhost:8787/v1/chat/completions
+ *   VITE_AI_MODEL     optional model name
+ *   VITE_AI_API_KEY   optional; development only — it ends up in the bundle
+ *
+ * If a remote provider fails before streaming anything (server down, CORS,
+ * 4xx/5xx), the answer falls back to the mock so the drawer keeps working.
+ *
+ * Mock answers also carry attachments — small charts and tables of the
+ * numbers they quote (lib/chatAttachments.js), rendered under the message.
+ *
+ * Both providers can propose dashboard actions — open a page, set its
+ * filters (lib/chatActions.js). The openai provider offers the model a
+ * tool for it; the mock reads "open …" / "filter …" requests from the
+ * question. Actions are shown as chips and only run when the user clicks.
+ *
+ * Every answer also carries its provenance — dataset, filters, aggregation
+ * and row count (lib/provenance.js) — so any quoted number can be audited.
+ *
+ * Answers read every row of a dataset. Datasets kept in the data worker
+ * (`workerOnly` in lib/datasets.js) are fetched from it once, the first
+ * time a question is asked, and kept for the session.
+ * For offline development run `npm run ai:mock` (scripts/mock-ai-server.js).
+ *
+ * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────────
+ * Add a provider by adding a PROVIDERS entry with the same `send` signature.
+ * The mock answers, follow-up suggestions and system-prompt digest read each
+ * dataset's schema, and pages are named by their `pages` labels in
+ * lib/datasets.js, so new datasets need no changes here — only the prompt's
+ * opening line describes this project's data.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
 import { useTradeStore } from '@/stores/tradeStore'
-import { formatCurrency } from '@/lib/chartColors'
+import { queryData } from '@/lib/dataClient'
+import { formatNumber, formatPercent } from '@/lib/chartColors'
+import { DATASETS, DATASET_KEYS, buildPageMap } from '@/lib/datasets'
+import { MEASURES } from '@/lib/measures'
+import { streamChatCompletion } from '@/lib/llmStream'
+import {
+  ATTACHMENT_FORMATS, barAttachment, donutAttachment, lineAttachment, tableAttachment, validAttachments,
+} from '@/lib/chatAttachments'
+import { DASHBOARD_TOOL, actionFromToolCall, createAction, validActions } from '@/lib/chatActions'
+import { columnLabel, describeFilterValues } from '@/lib/labels'
+import { createProvenance, toColumnFilters, toFilterKeys, validProvenance } from '@/lib/provenance'
+import { applyColumnFilters, describeQuery, getSchema, parseQuestion, runQuery } from '@/lib/queryParser'
+
+// Route → { dataset, label, filters } (see `pages` in lib/datasets.js)
+const PAGE_MAP = buildPageMap()
+
+/** Rows listed in a ranking answer without "top N". */
+const DEFAULT_LIST = 10
+/** Breakdowns with up to this many groups are shown as shares (donut). */
+const DONUT_MAX = 12
+
+const env = import.meta.env
+export const AI_CONFIG = {
+  provider: env.VITE_AI_PROVIDER || (env.VITE_AI_ENDPOINT ? 'openai' : 'mock'),
+  endpoint: env.VITE_AI_ENDPOINT || '',
+  model: env.VITE_AI_MODEL || '',
+  apiKey: env.VITE_AI_API_KEY || '',
+}
 
 /**
- * Mock AI responder — computes real answers from dashboard data.
- * When a real backend is ready, replace the body of this function with
- * a fetch('/api/chat', ...) call. The signature stays the same.
+ * Providers: name → { send(question, pageContext, history, onChunk) }.
+ * `history` is the recent conversation ({ role, content }), ending with the
+ * current question. `send` streams the text through `onChunk` and resolves
+ * with `{ attachments, actions, provenance }`.
  */
-export async function sendChatMessage(question, pageContext, history, onChunk) {
-  const answer = generateMockAnswer(question, pageContext)
-  await streamText(answer, onChunk)
+const PROVIDERS = {
+  mock: {
+    send: async (question, pageContext, history, onChunk) => {
+      const actions = proposeActions(question, pageContext)
+      const answer = toAnswer(generateMockAnswer(question, pageContext))
+      await streamText(answer.text, onChunk)
+      return { attachments: answer.attachments, actions, provenance: answer.provenance }
+    },
+  },
+  openai: {
+    send: async (question, pageContext, history, onChunk) => {
+      if (!AI_CONFIG.endpoint) throw new Error('VITE_AI_ENDPOINT is not set')
+      const conversation = history.map(({ role, content }) => ({ role, content }))
+      if (conversation[conversation.length - 1]?.content !== question) {
+        conversation.push({ role: 'user', content: question })
+      }
+      const { content, toolCalls } = await streamChatCompletion({
+        endpoint: AI_CONFIG.endpoint,
+        model: AI_CONFIG.model,
+        apiKey: AI_CONFIG.apiKey,
+        messages: [{ role: 'system', content: buildSystemPrompt(pageContext) }, ...conversation],
+        tools: [DASHBOARD_TOOL],
+        onChunk,
+      })
+      const actions = toolCalls.map(actionFromToolCall).filter(Boolean)
+      // Models often answer a tool call with no text at all
+      if (!content.trim() && actions.length) onChunk(answerActions(actions))
+      // The model only saw the digest, so that is what its numbers can come from
+      const { key, schema, rows } = digestSource(pageContext)
+      const provenance = schema
+        ? createProvenance(key, toColumnFilters(pageContext.activeFilters, schema.columns), digestAggregation(schema), rows)
+        : null
+      return { attachments: [], actions, provenance }
+    },
+  },
+}
+
+// Rows of workerOnly datasets, fetched from the data worker by loadWorkerRows()
+const workerRows = {}
+
+/** Fetch the rows of every workerOnly dataset not fetched yet. */
+async function loadWorkerRows() {
+  const missing = DATASET_KEYS.filter((key) => DATASETS[key].workerOnly && !workerRows[key])
+  await Promise.all(missing.map(async (key) => {
+    try {
+      workerRows[key] = await queryData(key, { rows: true })
+    } catch (err) {
+      // Not loaded yet (or failed to load): answer from the other datasets
+      console.warn(`[aiClient] Could not fetch ${key} rows:`, err.message)
+    }
+  }))
+}
+
+/** A dataset's rows: from the store, or as fetched from the data worker. */
+function datasetRows(key) {
+  return DATASETS[key]?.workerOnly ? workerRows[key] : useTradeStore.getState()[key]
 }
 
 /**
- * Returns 2–3 contextual follow-up questions based on what was just asked.
+ * Stream an answer to `question` through the configured provider, falling
+ * back to the mock when a remote provider fails before its first chunk.
+ * Resolves with `{ attachments, actions, provenance }` for the finished message.
  */
-export function getFollowUpSuggestions(question) {
-  const q = question.toLowerCase()
-
-  if (/\btotal\b/.test(q) && /\btrade\b/.test(q)) {
-    return [
-      'How has this changed over time?',
-      'What are the top states by trade?',
-      'Break this down by transportation mode',
-    ]
-  }
-  if (matchesAny(q, ['top state', 'which state', 'biggest state', 'most trade'])) {
-    return [
-      'Tell me more about Texas trade',
-      'What are the top commodities?',
-      'How has state trade changed over time?',
-    ]
-  }
-  if (matchesAny(q, ['commodit', 'product'])) {
-    return [
-      'Which commodities go by truck?',
-      'What was the total trade in 2024?',
-      'Show me the top border ports',
-    ]
-  }
-  if (matchesAny(q, ['port', 'border', 'laredo', 'el paso', 'pharr'])) {
-    return [
-      'How has Laredo trade changed over time?',
-      'What about El Paso?',
-      'What are the top commodities at this port?',
-    ]
-  }
-  if (matchesAny(q, ['truck', 'rail', 'vessel', 'air', 'mode', 'transport'])) {
-    return [
-      'What are the top commodities by truck?',
-      'How has mode share changed over time?',
-      'Which border ports handle the most rail trade?',
-    ]
+export async function sendChatMessage(question, pageContext, history, onChunk) {
+  const provider = PROVIDERS[AI_CONFIG.provider] || PROVIDERS.mock
+  await loadWorkerRows()
+  let streamed = false
+  let result
+  try {
+    result = await provider.send(question, pageContext, history, (chunk) => {
+      streamed = true
+      onChunk(chunk)
+    })
+  } catch (err) {
+    if (streamed || provider === PROVIDERS.mock) throw err
+    console.warn(`[aiClient] ${AI_CONFIG.provider} provider failed, using the offline answers: ${err.message}`)
+    result = await PROVIDERS.mock.send(question, pageContext, history, onChunk)
   }
-  if (matchesAny(q, ['trend', 'over time', 'growth', 'change'])) {
-    return [
-      'What was the total trade in 2024?',
-      'Which state had the biggest growth?',
-      'Show the export vs import balance',
-    ]
+  return {
+    attachments: validAttachments(result?.attachments),
+    actions: validActions(result?.actions),
+    provenance: validProvenance(result?.provenance),
   }
-  if (matchesAny(q, ['export', 'import', 'balance', 'deficit', 'surplus'])) {
-    return [
-      'How has the balance changed over time?',
-      'Which states export the most?',
-      'What are the top export commodities?',
-    ]
+}
+
+/** Follow-up questions offered under an answer. */
+const FOLLOW_UPS = 3
+
+/**
+ * Returns 2–3 follow-up questions for what was just asked, built from the
+ * dataset it was answered from (lib/queryParser.js): the same scope over
+ * time, its leading value against the runner-up, a breakdown by a column
+ * the question didn't use, or the latest year.
+ */
+export function getFollowUpSuggestions(question, pageContext) {
+  const source = pickDataset(question, pageContext)
+  if (!source) return []
+  const { schema, query, rows } = source
+  const time = schema.time?.column
+  // 'weight', not 'weight (metric tons)'
+  const measureWord = query.measure ? measureLabel(query.measure).toLowerCase().replace(/\s*\(.*\)$/, '') : null
+  const byMeasure = measureWord ? ` by ${measureWord}` : ''
+
+  // What the question named, e.g. " for Laredo Rail in 2023" (leaving out one column)
+  const named = (except) => Object.entries(query.filters)
+    .filter(([column]) => column !== time && column !== except)
+    .flatMap(([, values]) => values)
+  const scope = (except) => {
+    const values = named(except)
+    const years = query.filters[time] || []
+    return `${values.length ? ` for ${values.join(' ')}` : ''}${years.length === 1 ? ` in ${years[0]}` : ''}`
   }
-  if (matchesAny(q, ['texas', 'tx'])) {
-    return [
-      'Which border ports are in Texas?',
-      'What does Texas export the most?',
-      'How has Texas trade changed over time?',
-    ]
+  const used = new Set([query.groupBy, query.distinct, ...Object.keys(query.filters)])
+  // Columns the registry declares first (see queryParser's `rank`)
+  const splits = schema.dimensions
+    .filter((d) => d.cardinality > 2 && !used.has(d.column))
+    .sort((a, b) => b.rank - a.rank)
+  const lastYear = schema.time?.values[schema.time.values.length - 1]
+
+  // Compare the one value named in a column (or the leader of a ranking) with the runner-up
+  const compareColumn = Object.keys(query.filters).find((c) => c !== time && query.filters[c].length === 1)
+    || (query.groupBy !== time ? query.groupBy : null)
+  let comparison = null
+  if (compareColumn) {
+    const filters = Object.fromEntries(Object.entries(query.filters).filter(([c]) => c !== compareColumn))
+    const { groups } = runQuery(rows, { ...query, filters, groupBy: compareColumn, trend: false, order: 'desc', limit: 2 })
+    const first = query.filters[compareColumn]?.[0] ?? groups[0]?.label
+    const other = groups.find((g) => String(g.label) !== String(first))?.label
+    if (first != null && other != null) comparison = `${first} vs ${other}${scope(compareColumn)}`
   }
 
   return [
-    'What was the total U.S.\u2013Mexico trade in 2024?',
-    'Which state trades the most with Mexico?',
-    'Show me the top border ports',
-  ]
+    time && !query.trend && schema.time.values.length > 1
+      && `How has ${named().join(' ') || `total ${measureWord || 'activity'}`} changed over time?`,
+    comparison,
+    splits[0] && `Top 5 ${columnNoun(splits[0].column)}${byMeasure}${scope()}`,
+    lastYear != null && !query.filters[time]?.length && `Total ${measureWord || 'records'}${scope()} in ${lastYear}`,
+    splits[1] && `Top 5 ${columnNoun(splits[1].column)}${byMeasure}${scope()}`,
+  ].filter(Boolean).slice(0, FOLLOW_UPS)
 }
 
 // ---------------------------------------------------------------------------
@@ -93,335 +233,419 @@ async function streamText(text, onChunk, delayMs = 12) {
 }
 
 // ---------------------------------------------------------------------------
-// Mock answer generator — uses real data from the Zustand store
+// System prompt for remote providers — page context + a digest of the data
 // ---------------------------------------------------------------------------
 
-function generateMockAnswer(question, pageContext) {
-  const store = useTradeStore.getState()
-  const q = question.toLowerCase()
-
-  // Pick the right dataset based on question keywords + current page
-  const data = pickDataset(q, pageContext, store)
-  if (!data || data.length === 0) {
-    return "I don't have enough data loaded yet to answer that question. Please wait for the dashboard to finish loading and try again."
-  }
-
-  // Merge active page filters with any year/filters mentioned in the question
-  const questionFilters = extractFiltersFromQuestion(q)
-  const mergedFilters = { ...pageContext.activeFilters }
-  for (const [key, val] of Object.entries(questionFilters)) {
-    if (val) mergedFilters[key] = val
-  }
-  const filtered = applyFilters(data, mergedFilters)
+/** Text columns with more values than this are left out of the digest. */
+const DIGEST_MAX_VALUES = 50
+const DIGEST_TOP = 10
+
+/** The dataset the system-prompt digest is built from: the page's, else usAggregated. */
+function digestSource(pageContext) {
+  const key = (pageContext.datasetKey in DATASETS && datasetRows(pageContext.datasetKey)?.length)
+    ? pageContext.datasetKey
+    : 'usAggregated'
+  const rows = datasetRows(key)
+  const schema = getSchema(key, rows)
+  return { key, schema, rows: schema ? applyColumnFilters(rows, toColumnFilters(pageContext.activeFilters, schema.columns)) : [] }
+}
 
-  // Build a context object with merged filters for answer functions
-  const ctx = { ...pageContext, activeFilters: mergedFilters }
+/** What the digest computes, for the provenance of remote answers. */
+function digestAggregation(schema) {
+  const measure = schema.measures[0]?.column || 'rows'
+  return `Digest sent to the model: sum of ${measure} in total${schema.time ? `, by ${schema.time.column}` : ''} `
+    + `and by each column with up to ${DIGEST_MAX_VALUES} values (top ${DIGEST_TOP} each)`
+}
 
-  // Route to the appropriate answer generator
-  if (matchesAny(q, ['total trade', 'total value', 'how much trade', 'overall trade', 'grand total']) ||
-      (/\btotal\b/.test(q) && /\btrade\b/.test(q))) {
-    return answerTotalTrade(filtered, ctx)
-  }
-  if (matchesAny(q, ['top state', 'which state', 'biggest state', 'leading state']) ||
-      (/\bmost\b/.test(q) && /\btrade\b/.test(q) && /\bstate\b/.test(q))) {
-    return answerTopStates(filtered, store)
-  }
-  if (matchesAny(q, ['top commodit', 'which commodit', 'biggest commodit', 'leading commodit', 'most traded'])) {
-    return answerTopCommodities(filtered, store)
-  }
-  if (matchesAny(q, ['top port', 'which port', 'biggest port', 'leading port', 'busiest port'])) {
-    return answerTopPorts(store)
-  }
-  if (matchesAny(q, ['laredo'])) {
-    return answerPortDetail('Laredo', store)
-  }
-  if (matchesAny(q, ['el paso'])) {
-    return answerPortDetail('El Paso + Ysleta', store)
-  }
-  if (matchesAny(q, ['truck', 'rail', 'vessel', 'air', 'mode', 'transport'])) {
-    return answerByMode(filtered)
-  }
-  if (matchesAny(q, ['export', 'import', 'balance', 'deficit', 'surplus'])) {
-    return answerTradeBalance(filtered, ctx)
-  }
-  if (matchesAny(q, ['trend', 'over time', 'year over year', 'growth', 'change', 'increase', 'decrease'])) {
-    return answerTrend(filtered)
-  }
-  if (matchesAny(q, ['texas', 'tx'])) {
-    return answerTexas(store)
+function buildSystemPrompt(pageContext) {
+  const { key, schema, rows } = digestSource(pageContext)
+  const lines = [
+    'You are the assistant inside a U.S.–Mexico trade dashboard (Bureau of Transportation Statistics data).',
+    'Answer briefly from the figures below; say so when they don\'t cover the question.',
+    `To open a page or change filters, call ${DASHBOARD_TOOL.function.name}; the user confirms before it runs.`,
+    '',
+    `Page: ${pageContext.currentPage} (${pageContext.currentPath})`,
+    `Dataset: ${pageContext.datasetLabel || key}`,
+  ]
+  if (!schema) return [...lines, 'Data: not loaded yet.'].join('\n')
+
+  const query = { measure: schema.measures[0]?.column, unit: schema.measures[0]?.unit, agg: 'sum', filters: {} }
+  const format = valueFormatter(query)
+  const list = (groups) => groups.map((g) => `${g.label} ${format(g.value)}`).join('; ')
+  const digest = [
+    `Columns: ${schema.columns.join(', ')}`,
+    `Active filters: ${describeFilterValues(toColumnFilters(pageContext.activeFilters, schema.columns))}`,
+    `Rows in view: ${rows.length.toLocaleString()}`,
+    ...schema.measures.map((m) => `Total ${measureLabel(m.column)}: ${valueFormatter({ ...query, measure: m.column, unit: m.unit })(runQuery(rows, { ...query, measure: m.column }).total)}`),
+  ]
+  if (schema.time) {
+    const { groups } = runQuery(rows, { ...query, groupBy: schema.time.column, trend: true })
+    digest.push(`By ${columnLabel(schema.time.column)}: ${list(groups)}`)
   }
-
-  // Fallback — give a general summary of the current view
-  return answerGeneralSummary(filtered, ctx)
+  schema.dimensions
+    .filter((dim) => dim.cardinality > 1 && dim.cardinality <= DIGEST_MAX_VALUES)
+    .forEach((dim) => {
+      const { groups } = runQuery(rows, { ...query, groupBy: dim.column, limit: DIGEST_TOP, order: 'desc' })
+      digest.push(`By ${columnLabel(dim.column)} (${dim.column}), top ${DIGEST_TOP}: ${list(groups)}`)
+    })
+  return [...lines, ...digest].join('\n')
 }
 
 // ---------------------------------------------------------------------------
-// Dataset selection
+// Mock answer generator — questions parsed against the loaded data
+// (lib/queryParser.js), so any dataset in the registry can be asked about
 // ---------------------------------------------------------------------------
 
-function pickDataset(q, pageContext, store) {
-  // Keyword overrides
-  if (matchesAny(q, ['port', 'border', 'laredo', 'el paso', 'pharr', 'eagle pass', 'brownsville'])) {
-    return store.txBorderPorts
-  }
-  if (matchesAny(q, ['state', 'california', 'michigan', 'illinois', 'ohio', 'new york'])) {
-    return store.btsUsState
+/** Answer generators return plain text or { text, attachments?, provenance? }. */
+function toAnswer(answer) {
+  const { text, attachments = [], provenance = null } = typeof answer === 'string' ? { text: answer } : answer
+  return { text, attachments, provenance }
+}
+
+function generateMockAnswer(question, pageContext) {
+  const source = pickDataset(question, pageContext)
+  if (!source) {
+    return "I don't have enough data loaded yet to answer that question. Please wait for the dashboard to finish loading and try again."
   }
 
-  // Default to current page's dataset
-  const datasetMap = {
-    usAggregated: store.usAggregated,
-    btsUsState: store.btsUsState,
-    txBorderPorts: store.txBorderPorts,
-    masterData: store.masterData,
+  // Page filters on this dataset's columns, overridden by what the question names
+  const { key, schema } = source
+  const query = {
+    ...source.query,
+    filters: { ...toColumnFilters(pageContext.activeFilters, schema.columns), ...source.query.filters },
   }
-  return datasetMap[pageContext.datasetKey] || store.usAggregated
+  const ctx = { ...pageContext, sourceKey: key, schema, query, result: runQuery(source.rows, query) }
+
+  if (!ctx.result.rows.length) return answerNoMatch(ctx)
+  if (query.distinct) return answerDistinct(ctx)
+  if (query.trend) return answerTrend(ctx)
+  if (query.groupBy) return answerRanking(ctx)
+  if (query.score > 0 || Object.keys(query.filters).length) return answerSummary(ctx)
+  return answerGeneralSummary(ctx)
 }
 
 // ---------------------------------------------------------------------------
-// Filter helper
+// Dataset selection
 // ---------------------------------------------------------------------------
 
-function applyFilters(data, filters) {
-  if (!filters) return data
-  return data.filter((d) => {
-    if (filters.year && d.Year !== +filters.year) return false
-    if (filters.tradeType && d.TradeType !== filters.tradeType) return false
-    if (filters.mode && d.Mode !== filters.mode) return false
-    if (filters.state && d.State !== filters.state) return false
-    if (filters.commodityGroup && d.CommodityGroup !== filters.commodityGroup) return false
-    if (filters.port && d.POE !== filters.port) return false
-    return true
+/**
+ * Parse the question against every loaded dataset and keep the one that
+ * recognises the most of it; ties go to the current page's dataset. A
+ * breakdown into fewer than 3 groups counts against a dataset, so "which
+ * state…" prefers real state rows over a two-value State column.
+ *
+ * @returns {{ key, rows, schema, query } | null} null while nothing is loaded
+ */
+function pickDataset(question, pageContext) {
+  const pageKey = (pageContext.datasetKey in DATASETS && datasetRows(pageContext.datasetKey)?.length)
+    ? pageContext.datasetKey
+    : 'usAggregated'
+  const keys = [pageKey, ...DATASET_KEYS.filter((k) => k !== pageKey)].filter((k) => datasetRows(k)?.length)
+
+  let best = null
+  keys.forEach((key) => {
+    const schema = getSchema(key, datasetRows(key))
+    const query = parseQuestion(question, schema)
+    const groups = schema.dimensions.find((d) => d.column === query.groupBy)?.cardinality
+    const fit = query.score - (groups != null && groups < 3 ? 1 : 0)
+    if (!best || fit > best.fit) best = { key, rows: datasetRows(key), schema, query, fit }
   })
+  return best
 }
 
 // ---------------------------------------------------------------------------
 // Answer generators
 // ---------------------------------------------------------------------------
 
-function answerTotalTrade(data, ctx) {
-  const total = sumTradeValue(data)
-  const exports = sumTradeValue(data.filter((d) => d.TradeType === 'Export'))
-  const imports = sumTradeValue(data.filter((d) => d.TradeType === 'Import'))
-  const filterDesc = describeFilters(ctx.activeFilters)
-
-  return `Based on the ${ctx.currentPage} data${filterDesc}, the total U.S.–Mexico trade is ${formatCurrency(total)}.\n\n` +
-    `• Exports: ${formatCurrency(exports)}\n` +
-    `• Imports: ${formatCurrency(imports)}\n\n` +
-    `The trade balance shows a ${exports > imports ? 'surplus' : 'deficit'} of ${formatCurrency(Math.abs(exports - imports))}.`
+/** 'Trade Value', 'Average Weight (metric tons)', 'Number of records'. */
+function valueLabel(query) {
+  if (query.distinct) return `Number of ${plural(columnLabel(query.distinct).toLowerCase())}`
+  if (query.agg === 'count') return 'Number of records'
+  return `${query.agg === 'avg' ? 'Average ' : ''}${measureLabel(query.measure)}`
 }
 
-function answerTopStates(data, store) {
-  const stateData = store.btsUsState || data
-  const byState = groupAndSum(stateData, 'State')
-  const top10 = byState.slice(0, 10)
+/** Display name of a measure column: its MEASURES label, else the column label. */
+function measureLabel(column) {
+  return Object.values(MEASURES).find((m) => m.column === column && !m.per)?.label || columnLabel(column)
+}
 
-  let response = 'Here are the top 10 states by total trade with Mexico:\n\n'
-  top10.forEach((s, i) => {
-    response += `${i + 1}. ${s.label} — ${formatCurrency(s.value)}\n`
-  })
-  return response
+/** Attachment format name for a query's values (a measure unit, or 'number'). */
+function valueFormat(query) {
+  return query.agg === 'count' || query.distinct || !query.unit ? 'number' : query.unit
 }
 
-function answerTopCommodities(data, store) {
-  const commData = store.usAggregated || data
-  const byComm = groupAndSum(commData, 'CommodityGroup')
-  const top10 = byComm.slice(0, 10)
+/** Format and, when filtered, a subtitle naming the filters. */
+function attachmentExtra(query) {
+  const filtered = Object.keys(query.filters).length > 0
+  return { format: valueFormat(query), ...(filtered ? { subtitle: describeFilterValues(query.filters) } : {}) }
+}
 
-  let response = 'Here are the top 10 commodity groups in U.S.–Mexico trade:\n\n'
-  top10.forEach((c, i) => {
-    response += `${i + 1}. ${c.label} — ${formatCurrency(c.value)}\n`
-  })
-  return response
+function valueFormatter(query) {
+  return ATTACHMENT_FORMATS[valueFormat(query)]
 }
 
-function answerTopPorts(store) {
-  const portData = store.txBorderPorts
-  if (!portData) return 'Border port data is not available.'
+const plural = (word) => (/[^aeiou]y$/.test(word) ? `${word.slice(0, -1)}ies` : /(s|x|ch|sh)$/.test(word) ? `${word}es` : `${word}s`)
 
-  const byPort = groupAndSum(portData, 'POE')
-  const top10 = byPort.slice(0, 10)
+/** " (Year: 2023 · Port: Laredo)" for the filters an answer applied, or "". */
+function describeScope(filters) {
+  return Object.keys(filters).length ? ` (${describeFilterValues(filters)})` : ''
+}
 
-  let response = 'Here are the top Texas border ports by total trade:\n\n'
-  top10.forEach((p, i) => {
-    response += `${i + 1}. ${p.label} — ${formatCurrency(p.value)}\n`
-  })
-  return response
+const percentChange = (from, to) => (from > 0 ? formatPercent((to - from) / from) : 'N/A')
+
+function answerNoMatch(ctx) {
+  const { query, schema, result } = ctx
+  return {
+    text: `No records in the ${schema.label} data match ${describeFilterValues(query.filters)}. `
+      + 'Try removing a filter or asking about a different year.',
+    provenance: createProvenance(ctx.sourceKey, query.filters, describeQuery(query), result.rows),
+  }
 }
 
-function answerPortDetail(portName, store) {
-  const portData = store.txBorderPorts
-  if (!portData) return 'Border port data is not available.'
-
-  const portRows = portData.filter((d) => d.POE === portName)
-  if (portRows.length === 0) return `No data found for port "${portName}".`
-
-  const total = sumTradeValue(portRows)
-  const exports = sumTradeValue(portRows.filter((d) => d.TradeType === 'Export'))
-  const imports = sumTradeValue(portRows.filter((d) => d.TradeType === 'Import'))
-  const byMode = groupAndSum(portRows, 'Mode')
-  const years = [...new Set(portRows.map((d) => d.Year))].sort()
-
-  let response = `${portName} port trade summary (${years[0]}–${years[years.length - 1]}):\n\n`
-  response += `• Total trade: ${formatCurrency(total)}\n`
-  response += `• Exports: ${formatCurrency(exports)}\n`
-  response += `• Imports: ${formatCurrency(imports)}\n\n`
-  response += 'By transportation mode:\n'
-  byMode.forEach((m) => {
-    response += `• ${m.label}: ${formatCurrency(m.value)}\n`
+function answerRanking(ctx) {
+  const { query, result } = ctx
+  const { groups, total } = result
+  const format = valueFormatter(query)
+  const what = valueLabel(query)
+  const by = columnLabel(query.groupBy)
+  const shares = query.agg === 'sum' && !query.distinct && total > 0
+  const share = (g) => (shares ? ` (${formatPercent(g.value / total)})` : '')
+  const listed = groups.slice(0, query.limit || DEFAULT_LIST)
+
+  const rank = query.limit ? `${query.order === 'asc' ? 'Bottom' : 'Top'} ${listed.length} — ` : ''
+  let response = `${rank}${what} by ${by.toLowerCase()}${describeScope(query.filters)}:\n\n`
+  listed.forEach((g, i) => {
+    response += `${i + 1}. ${g.label} — ${format(g.value)}${share(g)}\n`
   })
-  return response
+  if (groups.length > listed.length) response += `…and ${groups.length - listed.length} more\n`
+  response += `\n${listed[0].label} ${query.order === 'asc' ? 'is lowest' : 'leads'} with ${format(listed[0].value)}${share(listed[0])}.`
+
+  const title = `${what} by ${by.toLowerCase()}`
+  const attachments = groups.length <= DONUT_MAX && !query.limit && shares
+    ? [
+        donutAttachment(title, groups, attachmentExtra(query)),
+        tableAttachment(title, groups.map((g) => ({ ...g, share: g.value / total })), [
+          { key: 'label', label: by, format: 'text' },
+          { key: 'value', label: what, format: valueFormat(query) },
+          { key: 'share', label: 'Share', format: 'percent' },
+        ], attachmentExtra(query)),
+      ]
+    : [barAttachment(title, listed, { horizontal: true, ...attachmentExtra(query) })]
+
+  return {
+    text: response,
+    attachments,
+    provenance: createProvenance(ctx.sourceKey, query.filters, describeQuery(query), result.rows),
+  }
 }
 
-function answerByMode(data) {
-  const byMode = groupAndSum(data, 'Mode')
+function answerTrend(ctx) {
+  const { query, result, schema } = ctx
+  const format = valueFormatter(query)
+  const years = result.groups
+  if (years.length < 2) return answerSummary(ctx)
 
-  let response = 'Trade breakdown by transportation mode:\n\n'
-  const total = byMode.reduce((s, m) => s + m.value, 0)
-  byMode.forEach((m) => {
-    const pct = total > 0 ? ((m.value / total) * 100).toFixed(1) : '0.0'
-    response += `• ${m.label}: ${formatCurrency(m.value)} (${pct}%)\n`
+  let response = `${valueLabel(query)} by ${columnLabel(query.groupBy).toLowerCase()}${describeScope(query.filters)}:\n\n`
+  years.forEach((y, i) => {
+    const change = i > 0 ? ` (${y.value >= years[i - 1].value ? '+' : ''}${percentChange(years[i - 1].value, y.value)})` : ''
+    response += `• ${y.label}: ${format(y.value)}${change}\n`
   })
-  return response
+  const first = years[0]
+  const last = years[years.length - 1]
+  response += `\nOverall change from ${first.label} to ${last.label}: ${percentChange(first.value, last.value)}`
+
+  // Several values of one column named ("truck and rail over time") → one line each
+  const compare = Object.keys(query.filters).find((c) => c !== schema.time.column && query.filters[c].length > 1)
+  const data = compare
+    ? query.filters[compare].flatMap((value) =>
+        runQuery(result.rows, { ...query, filters: { [compare]: [value] } }).groups
+          .map((g) => ({ year: g.label, value: g.value, series: String(value) })))
+    : years.map((g) => ({ year: g.label, value: g.value }))
+
+  return {
+    text: response,
+    attachments: [lineAttachment(`${valueLabel(query)} by ${columnLabel(query.groupBy).toLowerCase()}`, data, attachmentExtra(query))],
+    provenance: createProvenance(ctx.sourceKey, query.filters,
+      `${describeQuery(query)}, with year-over-year change${compare ? `, split by ${compare}` : ''}`, result.rows),
+  }
 }
 
-function answerTradeBalance(data, ctx) {
-  const exports = sumTradeValue(data.filter((d) => d.TradeType === 'Export'))
-  const imports = sumTradeValue(data.filter((d) => d.TradeType === 'Import'))
-  const balance = exports - imports
-  const filterDesc = describeFilters(ctx.activeFilters)
-
-  return `Trade balance${filterDesc}:\n\n` +
-    `• Exports: ${formatCurrency(exports)}\n` +
-    `• Imports: ${formatCurrency(imports)}\n` +
-    `• Balance: ${balance >= 0 ? '+' : ''}${formatCurrency(Math.abs(balance))} (${balance >= 0 ? 'surplus' : 'deficit'})\n\n` +
-    `The U.S. ${balance >= 0 ? 'exports more to' : 'imports more from'} Mexico in this view.`
+function answerDistinct(ctx) {
+  const { query, result } = ctx
+  const values = [...new Set(result.rows.map((d) => d[query.distinct]).filter((v) => v != null && v !== ''))].sort()
+  const noun = plural(columnLabel(query.distinct).toLowerCase())
+  let response = `There are ${formatNumber(result.total)} ${noun} in the ${ctx.schema.label} data${describeScope(query.filters)}`
+  response += values.length <= DEFAULT_LIST ? `: ${values.join(', ')}.` : `, including ${values.slice(0, 5).join(', ')}.`
+  return {
+    text: response,
+    provenance: createProvenance(ctx.sourceKey, query.filters, describeQuery(query), result.rows),
+  }
 }
 
-function answerTrend(data) {
-  const byYear = new Map()
-  data.forEach((d) => {
-    if (!d.Year) return
-    byYear.set(d.Year, (byYear.get(d.Year) || 0) + (d.TradeValue || 0))
-  })
-
-  const years = [...byYear.entries()].sort((a, b) => a[0] - b[0])
-  if (years.length < 2) return 'Not enough yearly data to show a trend.'
-
-  let response = 'Year-over-year trade trend:\n\n'
-  years.forEach(([year, value], i) => {
-    let change = ''
-    if (i > 0) {
-      const prev = years[i - 1][1]
-      const pct = prev > 0 ? (((value - prev) / prev) * 100).toFixed(1) : 'N/A'
-      change = ` (${value >= prev ? '+' : ''}${pct}%)`
+/**
+ * Totals for the filtered rows, split by the unfiltered columns with only a
+ * few values (e.g. TradeType → exports vs imports; else the smallest with up
+ * to 12) and by year.
+ */
+function answerSummary(ctx) {
+  const { query, result, schema } = ctx
+  const format = valueFormatter(query)
+  const what = valueLabel(query)
+  const open = schema.dimensions
+    .filter((d) => !query.filters[d.column]?.length && d.cardinality >= 2 && d.cardinality <= DONUT_MAX)
+    .sort((a, b) => a.cardinality - b.cardinality)
+  const splits = open.filter((d) => d.cardinality <= 3).slice(0, 2)
+  if (!splits.length && open.length) splits.push(open[0])
+
+  let response = `${what}${describeScope(query.filters)}: ${format(result.total)} across ${result.rows.length.toLocaleString()} records in the ${schema.label} data.`
+  const attachments = []
+  const computed = [describeQuery(query)]
+
+  splits.forEach((split) => {
+    const { groups } = runQuery(result.rows, { ...query, filters: {}, groupBy: split.column, limit: null, order: 'desc' })
+    response += `\n\nBy ${columnLabel(split.column).toLowerCase()}:\n`
+    groups.forEach((g) => {
+      const share = query.agg === 'sum' && result.total > 0 ? ` (${formatPercent(g.value / result.total)})` : ''
+      response += `• ${g.label}: ${format(g.value)}${share}\n`
+    })
+    if (!attachments.length) {
+      attachments.push(donutAttachment(`${what} by ${columnLabel(split.column).toLowerCase()}`, groups, attachmentExtra(query)))
     }
-    response += `• ${year}: ${formatCurrency(value)}${change}\n`
+    computed.push(`by ${split.column}`)
   })
+  if (schema.time && !(query.filters[schema.time.column]?.length === 1)) {
+    const { groups } = runQuery(result.rows, { ...query, filters: {}, groupBy: schema.time.column, trend: true })
+    if (groups.length >= 2) {
+      const first = groups[0]
+      const last = groups[groups.length - 1]
+      response += `\nFrom ${first.label} to ${last.label} it changed by ${percentChange(first.value, last.value)} (${format(first.value)} → ${format(last.value)}).`
+      attachments.push(lineAttachment(`${what} by ${columnLabel(schema.time.column).toLowerCase()}`,
+        groups.map((g) => ({ year: g.label, value: g.value })), attachmentExtra(query)))
+      computed.push(`by ${schema.time.column}`)
+    }
+  }
 
-  const first = years[0][1]
-  const last = years[years.length - 1][1]
-  const overallPct = first > 0 ? (((last - first) / first) * 100).toFixed(1) : 'N/A'
-  response += `\nOverall change from ${years[0][0]} to ${years[years.length - 1][0]}: ${overallPct}%`
-
-  return response
+  return {
+    text: response.trimEnd(),
+    attachments,
+    provenance: createProvenance(ctx.sourceKey, query.filters, computed.join(', '), result.rows),
+  }
 }
 
-function answerTexas(store) {
-  const stateData = store.btsUsState
-  if (!stateData) return 'State-level data is not available.'
-
-  const txRows = stateData.filter((d) => d.State === 'Texas')
-  if (txRows.length === 0) return 'No data found for Texas.'
-
-  const total = sumTradeValue(txRows)
-  const exports = sumTradeValue(txRows.filter((d) => d.TradeType === 'Export'))
-  const imports = sumTradeValue(txRows.filter((d) => d.TradeType === 'Import'))
-  const byMode = groupAndSum(txRows, 'Mode')
-
-  // Calculate Texas share of total U.S. trade
-  const usTotal = sumTradeValue(stateData)
-  const txShare = usTotal > 0 ? ((total / usTotal) * 100).toFixed(1) : 'N/A'
-
-  let response = `Texas is the largest U.S. trading partner with Mexico, accounting for ${txShare}% of total trade.\n\n`
-  response += `• Total Texas–Mexico trade: ${formatCurrency(total)}\n`
-  response += `• Exports: ${formatCurrency(exports)}\n`
-  response += `• Imports: ${formatCurrency(imports)}\n\n`
-  response += 'By mode:\n'
-  byMode.forEach((m) => {
-    response += `• ${m.label}: ${formatCurrency(m.value)}\n`
-  })
-  return response
+/** Nothing recognised: describe the view and what can be asked of this dataset. */
+function answerGeneralSummary(ctx) {
+  const { query, result, schema } = ctx
+  const format = valueFormatter(query)
+  const dims = schema.dimensions.filter((d) => d.cardinality > 1)
+  const example = dims.find((d) => d.values.length > 2)
+  const name = (d) => plural(columnLabel(d.column).toLowerCase())
+  const measureWord = measureLabel(query.measure).toLowerCase()
+  const lastYear = schema.time?.values[schema.time.values.length - 1]
+
+  const examples = [
+    `• Totals — "total ${measureWord}${lastYear ? ` in ${lastYear}` : ''}"`,
+    example && `• Rankings — "top 5 ${name(example)} by ${measureWord}"`,
+    example && schema.time && `• Trends — "how has ${example.values[0].value} changed over time"`,
+    example && `• Comparisons — "${example.values[0].value} vs ${example.values[1].value}"`,
+    example && `• Counts — "how many ${name(example)}"`,
+  ].filter(Boolean)
+
+  return {
+    text: `You're viewing the ${ctx.currentPage} page${describeScope(query.filters)}. `
+      + `The ${schema.label} data in view has ${result.rows.length.toLocaleString()} records with a total ${measureWord} of ${format(result.total)}.\n\n`
+      + `You can ask me about:\n${examples.join('\n')}\n\n`
+      + `Break things down by ${dims.map((d) => columnLabel(d.column).toLowerCase()).join(', ')}`
+      + `${schema.time ? ` or ${columnLabel(schema.time.column).toLowerCase()}` : ''}, `
+      + `and measure ${schema.measures.map((m) => measureLabel(m.column).toLowerCase()).join(', ') || 'record counts'}.`,
+    provenance: createProvenance(ctx.sourceKey, query.filters, `Row count; ${describeQuery(query)}`, result.rows),
+  }
 }
 
-function answerGeneralSummary(data, ctx) {
-  const total = sumTradeValue(data)
-  const records = data.length
-  const filterDesc = describeFilters(ctx.activeFilters)
-
-  return `You're viewing the ${ctx.currentPage} page${filterDesc}. ` +
-    `The current view contains ${records.toLocaleString()} records with a total trade value of ${formatCurrency(total)}.\n\n` +
-    'You can ask me about:\n' +
-    '• Total trade values and balances\n' +
-    '• Top states, commodities, or border ports\n' +
-    '• Trade trends over time\n' +
-    '• Breakdown by transportation mode\n' +
-    '• Specific port details (Laredo, El Paso, etc.)\n' +
-    '• Texas trade with Mexico'
+function answerActions(actions) {
+  return 'Sure — click to update the dashboard:\n\n' + actions.map((a) => `• ${a.label}`).join('\n')
 }
 
 // ---------------------------------------------------------------------------
-// Utility helpers
+// Dashboard actions — the mock's stand-in for tool calls (lib/chatActions.js)
 // ---------------------------------------------------------------------------
 
-function matchesAny(text, keywords) {
-  return keywords.some((kw) => text.includes(kw))
-}
+/**
+ * Requests to change the view, not just to answer: the question has to
+ * open with the verb ("filter to rail", "can you open the ports page"),
+ * so "what was rail only in 2023?" stays a question.
+ */
+const REQUEST_START = '^(?:(?:please|can you|could you|would you|let\'s|now)\\s+)*'
+const NAVIGATE_INTENT = new RegExp(`${REQUEST_START}(?:open|go to|take me|navigate|switch to|jump to)\\b`)
+const FILTER_INTENT = new RegExp(`${REQUEST_START}(?:filter|set|apply|narrow|restrict|limit)\\b`)
 
-function sumTradeValue(data) {
-  return data.reduce((sum, d) => sum + (d.TradeValue || 0), 0)
+/**
+ * Patterns naming each page, from its label in lib/datasets.js `pages`:
+ * only words no other page's label has, so "Trade by Mode" answers to
+ * "mode" but not "trade". The root page also answers to "home".
+ */
+const PAGE_PATTERNS = (() => {
+  const words = Object.entries(PAGE_MAP).map(([path, page]) => [
+    path,
+    [...new Set([...page.label.toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length > 2), ...(path === '/' ? ['home'] : [])])],
+  ])
+  const pages = new Map()
+  words.forEach(([, list]) => list.forEach((word) => pages.set(word, (pages.get(word) || 0) + 1)))
+  return words.map(([path, list]) => [path, list.filter((word) => pages.get(word) === 1).map(wordPattern)])
+})()
+
+/** Whole-word pattern that also matches the plural ("ports", "commodities"). */
+function wordPattern(word) {
+  if (word.endsWith('y')) return new RegExp(`\\b${word.slice(0, -1)}(?:y|ies)\\b`)
+  if (word.endsWith('s')) return new RegExp(`\\b${word.slice(0, -1)}s?\\b`)
+  return new RegExp(`\\b${word}(?:e?s)?\\b`)
 }
 
-function groupAndSum(data, key) {
-  const map = new Map()
-  data.forEach((d) => {
-    const label = d[key]
-    if (!label) return
-    map.set(label, (map.get(label) || 0) + (d.TradeValue || 0))
+/** The page the question names the most words of, or null. */
+function namedPage(q) {
+  let best = null
+  PAGE_PATTERNS.forEach(([path, patterns]) => {
+    const hits = patterns.filter((pattern) => pattern.test(q)).length
+    if (hits && (!best || hits > best.hits)) best = { path, hits }
   })
-  return Array.from(map, ([label, value]) => ({ label, value })).sort(
-    (a, b) => b.value - a.value,
-  )
+  return best?.path ?? null
 }
 
-function describeFilters(filters) {
-  if (!filters) return ''
-  const parts = []
-  if (filters.year) parts.push(`Year: ${filters.year}`)
-  if (filters.tradeType) parts.push(filters.tradeType)
-  if (filters.mode) parts.push(`Mode: ${filters.mode}`)
-  if (filters.state) parts.push(`State: ${filters.state}`)
-  if (filters.commodityGroup) parts.push(`Commodity: ${filters.commodityGroup}`)
-  if (filters.port) parts.push(`Port: ${filters.port}`)
-  return parts.length > 0 ? ` (filtered by ${parts.join(', ')})` : ''
+/**
+ * Propose an action when the question asks to open a page or set filters,
+ * e.g. "open the commodities page for 2023" or "filter to rail exports".
+ * Filter values are whatever the query parser recognised in the question.
+ * The chips go under the normal answer; they don't replace it.
+ */
+function proposeActions(question, pageContext) {
+  const q = question.toLowerCase().trim()
+  const navigate = NAVIGATE_INTENT.test(q)
+  if (!navigate && !FILTER_INTENT.test(q)) return []
+
+  const source = pickDataset(question, pageContext)
+  // Naming every value of a column ("exports and imports") is no filter at all
+  const columnFilters = Object.fromEntries(Object.entries(source?.query.filters || {}).filter(([column, values]) =>
+    values.length < (source.schema.dimensions.find((d) => d.column === column)?.cardinality ?? Infinity)))
+  const filters = toFilterKeys(columnFilters)
+
+  const named = (navigate || /\bpage\b/.test(q)) ? namedPage(q) : null
+  const action = createAction(named || pageForFilters(Object.keys(filters), pageContext.currentPath), filters)
+  // Without a page to open, an action is only worth proposing if it sets something
+  return action && (named || Object.keys(action.filters).length) ? [action] : []
 }
 
-function extractFiltersFromQuestion(q) {
-  const filters = {}
-
-  // Extract year (4-digit number between 2013-2025)
-  const yearMatch = q.match(/\b(201[3-9]|202[0-5])\b/)
-  if (yearMatch) filters.year = yearMatch[1]
-
-  // Extract trade type
-  if (/\bexports?\b/.test(q) && !/\bimports?\b/.test(q)) filters.tradeType = 'Export'
-  if (/\bimports?\b/.test(q) && !/\bexports?\b/.test(q)) filters.tradeType = 'Import'
+/** The current page if it has every filter key, else the first page that does. */
+function pageForFilters(keys, currentPath) {
+  const hasAll = (path) => keys.every((key) => PAGE_MAP[path]?.filters.includes(key))
+  if (hasAll(currentPath)) return currentPath
+  return Object.keys(PAGE_MAP).find(hasAll) || currentPath
+}
 
-  // Extract mode
-  if (/\btruck\b/.test(q)) filters.mode = 'Truck'
-  if (/\brail\b/.test(q)) filters.mode = 'Rail'
-  if (/\bvessel\b/.test(q)) filters.mode = 'Vessel'
-  if (/\bair\b/.test(q)) filters.mode = 'Air'
+// ---------------------------------------------------------------------------
+// Utility helpers
+// ---------------------------------------------------------------------------
 
-  return filters
+/** A column as a plural noun for a question: 'states', 'ports of entry'. */
+function columnNoun(column) {
+  const [head, ...rest] = columnLabel(column).toLowerCase().split(' of ')
+  return [plural(head), ...rest].join(' of ')
 }
@@ -0,0 +1,22 @@
+/**
+ * ── cardView.js ─────────────────────────────────────────────────────────────
+ * Context between a ChartCard and the LineChart / DataTable inside it, for
+ * saved views (stores/viewStore.js) and the report builder (lib/report.js):
+ *
+ *   { restore: { zoom?, sort?, token } | null, cardId, setSort(sorts | null),
+ *     setTable(table | null) }
+ *
+ * `restore` is the card's state from a view being opened; `token` changes on
+ * every open so the same view can be re-applied. Tables report their sorts
+ * ([{ key, dir }], primary first) through setSort so "Save view" can store
+ * them, and share their table as { columns, rows, data, customized }
+ * (visible columns, matching rows in display order) through setTable so a
+ * report can include the whole table, not just the visible page, and
+ * downloads can follow the table's search and filters.
+ * `cardId` (route + title) keys a table's search, filters and layout. Outside
+ * a ChartCard the context is null and charts behave as before.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { createContext } from 'react'
+
+export const CardViewContext = createContext(null)
@@ -9,14 +9,14 @@
  *    Keep at least 9 colors so multi-series charts (StackedBarChart, LineChart)
  *    don't repeat colors for large category counts.
  *
- * 2. formatCurrency — if your dataset doesn't use dollar values, rename this to
- *    `formatValue` and adjust the prefix/suffix. For example:
- *      - Metric tons: `${sign}${abs.toFixed(0)} t`
- *      - Percentage:  use `formatPercent` instead
- *    Then update every import across chart + page files.
+ * 2. UNITS — prefix/suffix per measure unit. formatMeasure and
+ *    getAxisFormatter take a unit key, so charts follow the measure chosen
+ *    in the sidebar (see lib/measures.js). Add an entry for a new unit
+ *    (e.g. kwh: { prefix: '', suffix: ' kWh' }) rather than editing the
+ *    formatters. formatCurrency is formatMeasure with the 'usd' unit.
  *
- * 3. getAxisFormatter — follows the same currency convention; adapt the unit
- *    suffixes (T/B/M/K) if your value scale is different (e.g. counts, weight).
+ * 3. getAxisFormatter — compact scale suffixes (T/B/M/K); adapt them if your
+ *    value scale is different (e.g. counts).
  *
  * ────────────────────────────────────────────────────────────────────────────
  */
@@ -45,54 +45,71 @@ export const CHART_COLORS = [
 export const chartColorScale = d3.scaleOrdinal().range(CHART_COLORS)
 
 /**
- * Format a numeric value as a compact currency string.
+ * Value units: text placed before and after the compact number.
+ * Keys match the `unit` of each measure in lib/measures.js.
+ */
+export const UNITS = {
+  usd: { prefix: '$', suffix: '' },
+  tons: { prefix: '', suffix: ' t' },
+  lb: { prefix: '', suffix: ' lb' },
+  usdPerTon: { prefix: '$', suffix: '/t' },
+}
+
+/**
+ * Format a numeric value as a compact string in the given unit.
  * Handles null, NaN, and negative values correctly.
  *
- * Examples: 1500000000 → "$1.5B", -250000 → "-$250.0K", 0 → "$0"
- *
- * BOILERPLATE: Adjust prefix ('$') and unit thresholds if the data isn't USD.
+ * Examples: (1500000000) → "$1.5B", (-250000) → "-$250.0K",
+ *           (42300, 'tons') → "42.3K t", (812, 'usdPerTon') → "$812/t"
  *
  * @param {number} value – the numeric value to format
+ * @param {string} [unit='usd'] – a UNITS key
  * @returns {string} formatted string
  */
-export const formatCurrency = (value) => {
-  if (value == null || isNaN(value)) return '$0'
+export const formatMeasure = (value, unit = 'usd') => {
+  const { prefix, suffix } = UNITS[unit] || UNITS.usd
+  if (value == null || isNaN(value)) return `${prefix}0${suffix}`
   const abs = Math.abs(value)
   const sign = value < 0 ? '-' : ''
-  if (abs >= 1e12) return `${sign}$${(abs / 1e12).toFixed(1)}T`
-  if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(1)}B`
-  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`
-  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`
-  return `${sign}$${abs.toFixed(0)}`
+  if (abs >= 1e12) return `${sign}${prefix}${(abs / 1e12).toFixed(1)}T${suffix}`
+  if (abs >= 1e9) return `${sign}${prefix}${(abs / 1e9).toFixed(1)}B${suffix}`
+  if (abs >= 1e6) return `${sign}${prefix}${(abs / 1e6).toFixed(1)}M${suffix}`
+  if (abs >= 1e3) return `${sign}${prefix}${(abs / 1e3).toFixed(1)}K${suffix}`
+  return `${sign}${prefix}${abs.toFixed(0)}${suffix}`
 }
 
 /**
- * Returns a D3 axis tick formatter that picks the right unit (T/B/M/K) based
+ * Format a numeric value as a compact currency string.
+ * Examples: 1500000000 → "$1.5B", -250000 → "-$250.0K", 0 → "$0"
+ */
+export const formatCurrency = (value) => formatMeasure(value, 'usd')
+
+/**
+ * Returns a D3 axis tick formatter that picks the right scale (T/B/M/K) based
  * on tick granularity so labels are clean integers — e.g. $200B, $400B instead
  * of $0.2T. Zero ticks render as empty strings (no "$0" clutter).
  *
- * BOILERPLATE: If your axis values aren't currency, change the '$' prefix and
- * unit labels to match your domain (e.g. " tons", " kWh").
- *
  * @param {number} maxValue – the maximum data value (used to derive tick step)
+ * @param {string} [unit='usd'] – a UNITS key for the prefix/suffix
  * @returns {function} formatter function suitable for d3.axisLeft().tickFormat()
  */
-export const getAxisFormatter = (maxValue) => {
+export const getAxisFormatter = (maxValue, unit = 'usd') => {
+  const { prefix, suffix } = UNITS[unit] || UNITS.usd
   // Choose unit from the approximate tick step (maxValue / 5) so that
   // tick labels come out as whole numbers, not decimals.
   const step = maxValue / 5
-  let divisor, unit
-  if (step >= 1e12)     { divisor = 1e12; unit = 'T' }
-  else if (step >= 1e9) { divisor = 1e9;  unit = 'B' }
-  else if (step >= 1e6) { divisor = 1e6;  unit = 'M' }
-  else if (step >= 1e3) { divisor = 1e3;  unit = 'K' }
-  else                  { divisor = 1;    unit = '' }
+  let divisor, scale
+  if (step >= 1e12)     { divisor = 1e12; scale = 'T' }
+  else if (step >= 1e9) { divisor = 1e9;  scale = 'B' }
+  else if (step >= 1e6) { divisor = 1e6;  scale = 'M' }
+  else if (step >= 1e3) { divisor = 1e3;  scale = 'K' }
+  else                  { divisor = 1;    scale = '' }
 
   return (v) => {
     if (v === 0) return ''
     const n = v / divisor
     const str = n % 1 === 0 ? n.toLocaleString('en-US') : n.toFixed(1)
-    return `$${str}${unit}`
+    return `${prefix}${str}${scale}${suffix}`
   }
 }
 
@@ -0,0 +1,161 @@
+/**
+ * ── chatActions.js ──────────────────────────────────────────────────────────
+ * Dashboard actions the Ask AI assistant can propose: open a page and/or
+ * set its URL filters. They appear as confirmable chips under the answer
+ * (components/ai/ActionChips.jsx); nothing changes until the user clicks one.
+ *
+ *   { id, path: '/border-ports', filters: { year: ['2023'], mode: ['Rail'] }, label }
+ *
+ * Actions are checked against the page registry (`pages` in lib/datasets.js):
+ * unknown routes are dropped, and filters the target page doesn't declare are
+ * left out. Applying an action on the current page patches its query string
+ * (other filters stay); on another page it opens that page with just the
+ * action's filters.
+ *
+ * Where actions come from:
+ *   - mock provider   — "open …" / "filter …" questions, with values read by
+ *                       lib/queryParser.js (proposeActions in lib/aiClient.js)
+ *   - openai provider — the model calls DASHBOARD_TOOL; actionFromToolCall()
+ *                       turns the call into an action
+ *
+ * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────────
+ * Pages and their filter keys come from the registry. Add a label for any
+ * new filter key to FILTER_LABELS and describe it in FILTER_PARAMETERS
+ * (its type there decides whether actions set one value or a list).
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { buildPageMap } from '@/lib/datasets'
+import { buildFilterSearch, patchFilterSearch } from '@/lib/useUrlFilters'
+
+const PAGE_MAP = buildPageMap()
+
+/** Filter key → display name used in chip labels. */
+export const FILTER_LABELS = {
+  year: 'Year',
+  tradeType: 'Trade type',
+  mode: 'Mode',
+  state: 'State',
+  commodityGroup: 'Commodity group',
+  region: 'Region',
+  port: 'Port',
+}
+
+const list = (description) => ({ type: 'array', items: { type: 'string' }, description })
+
+/**
+ * DASHBOARD_TOOL's filter parameters. 'string' keys are single-select on
+ * their pages (a '' default in FILTER_DEFAULTS), 'array' keys are lists.
+ */
+const FILTER_PARAMETERS = {
+  year: list('Years, e.g. ["2023"]'),
+  tradeType: { type: 'string', enum: ['Export', 'Import'] },
+  mode: list('Transport modes, e.g. ["Truck", "Rail"]'),
+  state: list('U.S. state names'),
+  region: { type: 'string', description: 'Border region' },
+  port: { type: 'string', description: 'Port of entry name' },
+}
+
+/**
+ * Trim a filter value to the shape its filter takes: lists keep their
+ * non-empty entries; a single-select filter takes a lone value, and drops
+ * a list of several it couldn't show.
+ */
+function cleanValue(key, value) {
+  const type = FILTER_PARAMETERS[key]?.type ?? (Array.isArray(value) ? 'array' : 'string')
+  const values = [].concat(value ?? []).map((v) => String(v).trim()).filter(Boolean)
+  if (type === 'array') return values
+  return values.length === 1 ? values[0] : ''
+}
+
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : value === '')
+
+/** "Set Year 2023 · Mode Rail on TX Border Ports" / "Open Trade by Commodity". */
+export function actionLabel(path, filters) {
+  const page = PAGE_MAP[path]?.label || path
+  const parts = Object.entries(filters).map(([key, value]) =>
+    `${FILTER_LABELS[key] || key} ${Array.isArray(value) ? value.join(', ') : value}`)
+  return parts.length ? `Set ${parts.join(' · ')} on ${page}` : `Open ${page}`
+}
+
+/**
+ * Build an action for a registered page, keeping only the filters that page
+ * declares. Returns null for unknown routes.
+ *
+ * @param {string} path    – route, e.g. '/border-ports'
+ * @param {Object} filters – { key: string | string[] }
+ */
+export function createAction(path, filters = {}) {
+  const page = PAGE_MAP[path]
+  if (!page) return null
+  const kept = {}
+  page.filters.forEach((key) => {
+    const value = cleanValue(key, filters[key])
+    if (!isEmpty(value)) kept[key] = value
+  })
+  return { id: crypto.randomUUID(), path, filters: kept, label: actionLabel(path, kept) }
+}
+
+/** Re-check actions from a provider against the registry; drops invalid ones. */
+export function validActions(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((action) => action && createAction(action.path, action.filters))
+    .filter(Boolean)
+}
+
+/**
+ * Where applying `action` leads from the current location.
+ * @returns {{ pathname: string, search: string }}
+ */
+export function actionTarget(action, pathname, search) {
+  if (action.path === pathname) {
+    return { pathname, search: patchFilterSearch(search, action.filters) }
+  }
+  return { pathname: action.path, search: buildFilterSearch(action.filters) }
+}
+
+// ---------------------------------------------------------------------------
+// Tool definition for OpenAI-compatible providers
+// ---------------------------------------------------------------------------
+
+const TOOL_NAME = 'apply_dashboard_view'
+
+/** Function tool the model can call to propose an action (`tools` entry). */
+export const DASHBOARD_TOOL = {
+  type: 'function',
+  function: {
+    name: TOOL_NAME,
+    description: 'Propose opening a dashboard page and/or setting its filters. '
+      + 'The user confirms before anything changes. Use it when the user asks to '
+      + 'open, show, filter or narrow the dashboard.',
+    parameters: {
+      type: 'object',
+      properties: {
+        page: {
+          type: 'string',
+          enum: Object.keys(PAGE_MAP),
+          description: 'Route to open. Pages and their filters: '
+            + Object.entries(PAGE_MAP)
+              .map(([path, p]) => `${path} (${p.label}: ${p.filters.join(', ') || 'no filters'})`)
+              .join('; '),
+        },
+        filters: { type: 'object', properties: FILTER_PARAMETERS },
+      },
+      required: ['page'],
+    },
+  },
+}
+
+/**
+ * Turn a model tool call ({ name, arguments: JSON string }) into an action,
+ * or null if it isn't a valid DASHBOARD_TOOL call.
+ */
+export function actionFromToolCall(call) {
+  if (call?.name !== TOOL_NAME) return null
+  try {
+    const args = JSON.parse(call.arguments || '{}')
+    return createAction(args.page, args.filters || {})
+  } catch {
+    console.warn(`[chatActions] Ignoring ${TOOL_NAME} call with invalid arguments: ${call.arguments}`)
+    return null
+  }
+}
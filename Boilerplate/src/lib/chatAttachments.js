@@ -0,0 +1,63 @@
+/**
+ * ── chatAttachments.js ──────────────────────────────────────────────────────
+ * Typed attachments on assistant messages: small charts and tables the Ask AI
+ * drawer renders under the answer text (components/ai/ChatAttachment.jsx),
+ * which the user can pin to the current page or download as CSV.
+ *
+ * Attachments are plain, JSON-safe objects (no functions or React nodes) so
+ * they can be stored with the chat and in pinned-chart storage. Values are
+ * formatted by name through ATTACHMENT_FORMATS.
+ *
+ *   { id, type: 'bar',   title, subtitle?, data: [{ label, value }], format }
+ *   { id, type: 'donut', title, subtitle?, data: [{ label, value }], format }
+ *   { id, type: 'line',  title, subtitle?, data: [{ year, value, series? }], format }
+ *   { id, type: 'table', title, subtitle?, data: rows, columns: [{ key, label, format? }] }
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Build attachments with the helpers below from any answer that computes a
+ * ranking, share or series.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { UNITS, formatCurrency, formatMeasure, formatNumber, formatPercent } from '@/lib/chartColors'
+
+/**
+ * Format name → formatter (attachments refer to formatters by name). Every
+ * measure unit is a format too ('tons', 'usdPerTon', …).
+ */
+export const ATTACHMENT_FORMATS = {
+  ...Object.fromEntries(Object.keys(UNITS).map((unit) => [unit, (v) => formatMeasure(v, unit)])),
+  currency: formatCurrency,
+  number: formatNumber,
+  percent: formatPercent,
+  text: (v) => (v == null ? '' : String(v)),
+}
+
+export const ATTACHMENT_TYPES = ['bar', 'donut', 'line', 'table']
+
+function attachment(type, title, data, extra = {}) {
+  return { id: crypto.randomUUID(), type, title, data, format: 'currency', ...extra }
+}
+
+/** Ranked bars: data [{ label, value }]. */
+export const barAttachment = (title, data, extra) => attachment('bar', title, data, extra)
+
+/** Share of a total: data [{ label, value }]. */
+export const donutAttachment = (title, data, extra) => attachment('donut', title, data, extra)
+
+/** Time series: data [{ year, value, series? }] — `series` splits lines. */
+export const lineAttachment = (title, data, extra) => attachment('line', title, data, extra)
+
+/** Table: rows plus [{ key, label, format? }] columns. */
+export const tableAttachment = (title, data, columns, extra) =>
+  attachment('table', title, data, { columns, ...extra })
+
+/** File name (no extension) for an attachment's CSV download. */
+export function attachmentFilename(att) {
+  return `ai-${att.title || att.type}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '')
+}
+
+/** Drop anything that isn't a usable attachment (e.g. from a remote model). */
+export function validAttachments(list) {
+  return (Array.isArray(list) ? list : []).filter((att) =>
+    att && ATTACHMENT_TYPES.includes(att.type) && Array.isArray(att.data) && att.data.length > 0)
+}
@@ -0,0 +1,138 @@
+/**
+ * ── chatExport.js ───────────────────────────────────────────────────────────
+ * Export an Ask AI conversation (stores/chatStore.js) for reports:
+ *   - Markdown — readable transcript; each answer's charts and tables become
+ *                Markdown tables and the figures it quoted are listed
+ *   - JSON     — the full record (messages, attachment rows, proposed
+ *                actions, start page and filters) for re-use in other tools
+ *
+ * Each answer's provenance (dataset, filters, aggregation, row count — see
+ * lib/provenance.js) is included so the figures can be traced to their rows.
+ *
+ * "Figures quoted" are the dollar amounts and percentages found in the
+ * answer text ($1.2B, 12.5%), so numbers from a remote model's prose are
+ * kept even when the answer had no attachments.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { ATTACHMENT_FORMATS } from '@/lib/chatAttachments'
+import { describeFilterValues } from '@/lib/labels'
+import { downloadBlob } from '@/lib/downloadCsv'
+
+const FIGURE_PATTERN = /[-+]?\$\s?\d[\d,]*(?:\.\d+)?\s?[KMBT]?\b|[-+]?\d[\d,]*(?:\.\d+)?%/g
+
+/** Dollar amounts and percentages quoted in a message, in order, without repeats. */
+export function quotedFigures(text) {
+  return [...new Set((text || '').match(FIGURE_PATTERN) || [])].map((f) => f.trim())
+}
+
+/** "Source: btsUsState (…) · Filters: Year: 2023 · Sum of TradeValue by State · 1,234 rows". */
+export function describeProvenance(provenance) {
+  const { dataset, datasetLabel, filters, aggregation, rowCount } = provenance
+  return [
+    `Source: ${dataset}${datasetLabel && datasetLabel !== dataset ? ` (${datasetLabel})` : ''}`,
+    `Filters: ${describeFilterValues(filters)}`,
+    aggregation,
+    `${rowCount.toLocaleString()} rows`,
+  ].join(' · ')
+}
+
+const formatDate = (ts) => new Date(ts).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+
+/** Column definitions for an attachment: its own for tables, implied for charts. */
+function attachmentColumns(att) {
+  if (att.type === 'table') return att.columns
+  const valueColumn = { key: 'value', label: 'Value', format: att.format }
+  if (att.type === 'line') {
+    return [
+      { key: 'year', label: 'Year', format: 'text' },
+      ...(att.data.some((d) => d.series) ? [{ key: 'series', label: 'Series', format: 'text' }] : []),
+      valueColumn,
+    ]
+  }
+  return [{ key: 'label', label: 'Label', format: 'text' }, valueColumn]
+}
+
+function markdownTable(att) {
+  const columns = attachmentColumns(att)
+  const cell = (v) => String(v ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ')
+  const format = (col, v) => (ATTACHMENT_FORMATS[col.format] || ATTACHMENT_FORMATS.text)(v)
+  return [
+    `| ${columns.map((c) => cell(c.label)).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...att.data.map((row) => `| ${columns.map((c) => cell(format(c, row[c.key]))).join(' | ')} |`),
+  ].join('\n')
+}
+
+/** Markdown transcript of a conversation. */
+export function conversationToMarkdown(conversation) {
+  const { title, createdAt, startedOn, messages } = conversation
+  const lines = [
+    `# ${title}`,
+    '',
+    `- Started: ${formatDate(createdAt)} on ${startedOn?.page || 'the dashboard'} (\`${startedOn?.path || '/'}\`)`,
+    `- Filters: ${describeFilterValues(startedOn?.filters)}`,
+    `- Exported: ${formatDate(Date.now())}`,
+  ]
+
+  messages.forEach((m) => {
+    lines.push('', `## ${m.role === 'user' ? 'Question' : 'Answer'}`, '', m.content || '_(no answer)_')
+    if (m.role !== 'assistant') return
+    ;(m.attachments || []).forEach((att) => {
+      lines.push('', `**${att.title}**${att.subtitle ? ` — ${att.subtitle}` : ''}`, '', markdownTable(att))
+    })
+    const figures = quotedFigures(m.content)
+    if (figures.length) lines.push('', `_Figures quoted: ${figures.join(' · ')}_`)
+    if (m.provenance) lines.push('', `_${describeProvenance(m.provenance)}_`)
+    const applied = (m.actions || []).filter((a) => a.applied)
+    if (applied.length) lines.push('', ...applied.map((a) => `- Applied: ${a.label}`))
+  })
+  return `${lines.join('\n')}\n`
+}
+
+/** JSON export of a conversation (pretty-printed). */
+export function conversationToJson(conversation) {
+  const { id, title, createdAt, updatedAt, startedOn, messages } = conversation
+  return JSON.stringify({
+    format: 'dashboard-ai-conversation',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      id,
+      title,
+      createdAt: new Date(createdAt).toISOString(),
+      updatedAt: new Date(updatedAt).toISOString(),
+      startedOn,
+      messages: messages.map((m) => ({
+        role: m.role,
+        content: m.content,
+        timestamp: new Date(m.timestamp).toISOString(),
+        ...(m.role === 'assistant' ? {
+          figures: quotedFigures(m.content),
+          provenance: m.provenance || null,
+          attachments: m.attachments || [],
+          actions: (m.actions || []).map(({ label, path, filters, applied }) => ({ label, path, filters, applied: !!applied })),
+        } : {}),
+      })),
+    },
+  }, null, 2)
+}
+
+const EXPORTERS = {
+  markdown: { render: conversationToMarkdown, extension: 'md', type: 'text/markdown;charset=utf-8;' },
+  json: { render: conversationToJson, extension: 'json', type: 'application/json;charset=utf-8;' },
+}
+
+/**
+ * Download a conversation as 'markdown' or 'json'.
+ * The file is named after the conversation title.
+ */
+export function downloadConversation(conversation, format = 'markdown') {
+  const exporter = EXPORTERS[format]
+  if (!exporter || !conversation?.messages?.length) return
+
+  const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50)
+  const blob = new Blob([exporter.render(conversation)], { type: exporter.type })
+  downloadBlob(blob, `ask-ai-${slug || 'conversation'}.${exporter.extension}`)
+}
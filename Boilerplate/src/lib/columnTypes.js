@@ -0,0 +1,86 @@
+/**
+ * ── columnTypes.js ──────────────────────────────────────────────────────────
+ * Typed columns and summary footers for DataTable.
+ *
+ * A column can declare what its values are:
+ *   type: 'currency' → formatCurrency ("$1.2B")
+ *         'number'   → formatNumber   ("1,234,567")
+ *         'percent'  → formatPercent  (0.125 → "12.5%")
+ * Typed columns are right-aligned and, without a `render`, show their values
+ * through the type's formatter. `format: (value) => string` replaces the
+ * type's formatter, e.g. `measure.format` for a column in the sidebar's unit.
+ *
+ * A column can also ask for a footer over the rows matching the table's
+ * search and filters (every page, not just the one shown):
+ *   footer: 'sum' | 'avg' | 'min' | 'max' | 'range' | 'count'
+ * Blank and non-numeric values are skipped; 'count' counts the non-blank
+ * values, so it also works on text columns.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Data-agnostic: set `type`, `format` and `footer` on column definitions.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { formatCurrency, formatNumber, formatPercent } from '@/lib/chartColors'
+
+/** Formatter per column type. */
+export const COLUMN_TYPES = {
+  currency: formatCurrency,
+  number: formatNumber,
+  percent: formatPercent,
+}
+
+/** Footer aggregations and the label shown before their value. */
+export const FOOTERS = {
+  sum: 'Total',
+  avg: 'Avg',
+  min: 'Min',
+  max: 'Max',
+  range: 'Range',
+  count: 'Count',
+}
+
+/** The formatter for a column's values: its `format`, else its type's, else null. */
+export function columnFormatter(column) {
+  return column.format ?? COLUMN_TYPES[column.type] ?? null
+}
+
+/**
+ * A column ready for DataTable: typed columns without a `render` get one
+ * that formats their values (so search and filters match what they show).
+ */
+export function typedColumn(column) {
+  const format = columnFormatter(column)
+  if (column.render || !format) return column
+  return { ...column, render: (value) => (value == null || value === '' ? '' : format(value)) }
+}
+
+/**
+ * A column's footer text over these rows, or null without a `footer`.
+ * Values use the column's formatter (counts are plain numbers).
+ *
+ * @param {Object}   column
+ * @param {Object[]} rows – the rows matching the search and filters
+ * @returns {{ label: string, text: string }|null}
+ */
+export function columnFooter(column, rows) {
+  const op = column.footer
+  if (!FOOTERS[op]) return null
+  const label = FOOTERS[op]
+  const raw = rows.map((row) => row[column.key]).filter((v) => v != null && v !== '')
+  if (op === 'count') return { label, text: formatNumber(raw.length) }
+
+  const values = raw.filter((v) => typeof v === 'number' && !Number.isNaN(v))
+  if (!values.length) return { label, text: '–' }
+  const format = columnFormatter(column) ?? formatNumber
+  let min = Infinity
+  let max = -Infinity
+  let sum = 0
+  values.forEach((v) => {
+    sum += v
+    if (v < min) min = v
+    if (v > max) max = v
+  })
+  if (op === 'range') return { label, text: `${format(min)} – ${format(max)}` }
+  const value = { sum, avg: sum / values.length, min, max }[op]
+  return { label, text: format(value) }
+}
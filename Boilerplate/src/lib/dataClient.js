@@ -0,0 +1,144 @@
+/**
+ * ── dataClient.js ───────────────────────────────────────────────────────────
+ * Async API in front of the data worker (src/workers/dataWorker.js).
+ *
+ *   loadDatasets(baseUrl)      → Promise<{ key: rows }>  (used by tradeStore)
+ *   queryData(dataset, spec)   → Promise<rows>           (see lib/dataQuery.js)
+ *
+ * Pages normally use the useDataQuery hook instead of calling queryData.
+ *
+ * If the browser can't start the worker (no Worker support, blocked by a
+ * CSP, or it crashes while loading) everything falls back to running the
+ * same loader and query code on the main thread, so the dashboard still
+ * works — just without the responsiveness benefit.
+ *
+ * A worker that crashes after loading is started again and reloads the
+ * datasets (without posting them back — the page already has them); the
+ * queries it dropped are asked again once it's ready. If it crashes a
+ * second time, queries move to the main thread for the rest of the session.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { loadAllDatasets } from '@/lib/dataLoader'
+import { runQuery } from '@/lib/dataQuery'
+
+let worker = null
+let nextId = 0
+const pending = new Map()
+
+// Where the worker loaded the datasets from, to reload a restarted worker
+let loadedFrom = null
+// Resolves to the worker once it holds the datasets, or to null when
+// queries should run on the main thread instead
+let workerReady = null
+let restartsLeft = 1
+
+// Main-thread copy of the datasets (a promise), only set when running without the worker
+let fallbackData = null
+
+function rejectAll(message) {
+  pending.forEach(({ reject }) => reject(new Error(message)))
+  pending.clear()
+}
+
+function getWorker() {
+  if (worker || typeof Worker === 'undefined') return worker
+  try {
+    worker = new Worker(new URL('../workers/dataWorker.js', import.meta.url), { type: 'module' })
+  } catch (err) {
+    console.warn('[dataClient] Could not start data worker, using main thread:', err.message)
+    return null
+  }
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data
+    const entry = pending.get(id)
+    if (!entry) return
+    pending.delete(id)
+    if (error) entry.reject(new Error(error))
+    else entry.resolve(result)
+  }
+  worker.onerror = (event) => {
+    event.preventDefault()
+    console.warn('[dataClient] Data worker failed:', event.message)
+    worker.terminate()
+    worker = null
+    workerReady = null
+    rejectAll('Data worker stopped')
+  }
+  return worker
+}
+
+function callWorker(w, message) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextId
+    pending.set(id, { resolve, reject })
+    w.postMessage({ ...message, id })
+  })
+}
+
+/** The worker once it holds the datasets, restarting it after a crash; null → main thread. */
+function readyWorker() {
+  if (!workerReady) {
+    const w = restartsLeft-- > 0 ? getWorker() : null
+    workerReady = w
+      ? callWorker(w, { type: 'load', baseUrl: loadedFrom, reply: false }).then(() => w, (err) => {
+        console.warn('[dataClient] Could not restart data worker, using main thread:', err.message)
+        w.terminate()
+        if (worker === w) worker = null
+        return null
+      })
+      : Promise.resolve(null)
+  }
+  return workerReady
+}
+
+/**
+ * Load every registry dataset (in the worker when possible).
+ *
+ * @param {string} baseUrl – import.meta.env.BASE_URL
+ * @returns {Promise<Object>} dataset key → rows for the store
+ */
+export async function loadDatasets(baseUrl) {
+  const w = getWorker()
+  if (w) {
+    try {
+      const data = await callWorker(w, { type: 'load', baseUrl })
+      loadedFrom = baseUrl
+      workerReady = Promise.resolve(w)
+      return data
+    } catch (err) {
+      // A crashed worker falls through to the main thread; a data error
+      // (e.g. a required file is missing) would fail there too.
+      if (worker) throw err
+    }
+  }
+  fallbackData = loadAllDatasets(baseUrl)
+  return fallbackData
+}
+
+/**
+ * Run a filter/group-by query next to the data.
+ *
+ * @param {string} dataset – registry key, e.g. 'txBorderPorts'
+ * @param {Object} spec – query spec (see lib/dataQuery.js)
+ * @returns {Promise<Array>}
+ */
+export async function queryData(dataset, spec) {
+  if (!fallbackData) {
+    if (!loadedFrom) throw new Error('Datasets not loaded yet')
+    const w = await readyWorker()
+    if (w) {
+      try {
+        return await callWorker(w, { type: 'query', dataset, spec })
+      } catch (err) {
+        // Still the running worker: the query itself failed. Otherwise the
+        // worker crashed and is restarted (or replaced) for another try.
+        if (worker === w) throw err
+        return queryData(dataset, spec)
+      }
+    }
+    fallbackData ??= loadAllDatasets(loadedFrom)
+  }
+  const data = await fallbackData
+  if (!(dataset in data)) throw new Error(`Unknown dataset "${dataset}"`)
+  return runQuery(data[dataset], spec)
+}
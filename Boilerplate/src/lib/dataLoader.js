@@ -0,0 +1,209 @@
+/**
+ * ── dataLoader.js ───────────────────────────────────────────────────────────
+ * Fetch + normalize the datasets declared in `src/lib/datasets.js`.
+ *
+ * Runs inside the data worker (src/workers/dataWorker.js) so CSV parsing
+ * stays off the main thread, and on the main thread as a fallback when
+ * Web Workers are unavailable (see lib/dataClient.js). It must therefore
+ * not touch the DOM, React, the store, or import.meta.env — callers pass
+ * the base URL in.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Column renames and types live in the dataset registry; add a LOADERS
+ * entry here only when a new file format is needed. Arrow files already
+ * carry typed columns, so the registry `types` are no-ops for them (the
+ * parsers pass numbers through) but still tidy up text.
+ *
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import * as d3 from 'd3'
+import { DATASETS, DATASET_KEYS } from './datasets.js'
+
+/**
+ * Parse loose numeric strings safely.
+ * Supports values like "$1,234,567.89" and falls back to 0 for invalid input.
+ */
+function parseLooseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0
+  if (typeof value === 'string') {
+    const cleaned = value.replace(/[$,\s]/g, '').trim()
+    if (!cleaned) return 0
+    const parsed = Number(cleaned)
+    return Number.isFinite(parsed) ? parsed : 0
+  }
+  return 0
+}
+
+/**
+ * Parse a year from number/string values.
+ * Returns null when no valid year can be extracted.
+ */
+function parseLooseYear(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.trunc(value) : null
+  if (typeof value === 'string') {
+    const trimmed = value.trim()
+    if (!trimmed) return null
+    const direct = Number(trimmed)
+    if (Number.isFinite(direct)) return Math.trunc(direct)
+    const match = trimmed.match(/\d{4}/)
+    if (match) return Number(match[0])
+  }
+  return null
+}
+
+/** Trim strings and collapse empty strings to null for cleaner filtering. */
+function normalizeText(value) {
+  if (typeof value !== 'string') return value
+  const trimmed = value.trim()
+  return trimmed.length ? trimmed : null
+}
+
+/** Build a sampled key set so missing-column warnings survive sparse rows. */
+function collectColumns(rows, sampleSize = 200) {
+  const keys = new Set()
+  rows.slice(0, sampleSize).forEach((row) => {
+    if (!row || typeof row !== 'object') return
+    Object.keys(row).forEach((k) => keys.add(k))
+  })
+  return keys
+}
+
+/**
+ * Warn (non-fatal) when incoming datasets don't match expected schema.
+ * This helps future agents quickly see where adaptation is required.
+ * `requiredColumns` comes from the dataset's registry entry.
+ */
+function warnIfMissingColumns(datasetName, rows, requiredColumns) {
+  if (!rows?.length) {
+    console.warn(
+      `[dataLoader] ${datasetName} is empty. Charts/tables will render empty states until data is provided.`,
+    )
+    return
+  }
+  const keys = collectColumns(rows)
+  const missing = requiredColumns.filter((col) => !keys.has(col))
+  if (missing.length > 0) {
+    console.warn(
+      `[dataLoader] ${datasetName} missing expected columns: ${missing.join(', ')}. ` +
+      'Update the dataset\'s rename map in src/lib/datasets.js and page mappings for the new schema.',
+    )
+  }
+}
+
+/** Fetchers per registry `format`. Tabular formats use d3.autoType first. */
+const LOADERS = {
+  csv: (url) => d3.csv(url, d3.autoType),
+  tsv: (url) => d3.tsv(url, d3.autoType),
+  json: (url) => d3.json(url),
+}
+
+/** Coercions per registry column type. */
+const PARSERS = {
+  year: parseLooseYear,
+  number: parseLooseNumber,
+  text: normalizeText,
+}
+
+/**
+ * Apply a dataset's `rename` and `types` to each row in place.
+ * A rename is skipped when the canonical column already exists, and types
+ * are only applied to columns the row actually has, so a missing column
+ * still shows up in warnIfMissingColumns.
+ */
+function normalizeRows(rows, config) {
+  const renames = Object.entries(config.rename || {})
+  const types = Object.entries(config.types || {})
+  rows.forEach((d) => {
+    renames.forEach(([source, canonical]) => {
+      if (source in d && !(canonical in d)) {
+        d[canonical] = d[source]
+        delete d[source]
+      }
+    })
+    types.forEach(([column, type]) => {
+      if (column in d) d[column] = PARSERS[type](d[column])
+    })
+  })
+  return rows
+}
+
+/**
+ * Fetch an Arrow IPC file as plain row objects, or null when the file isn't
+ * there (404, or the dev server's index.html fallback). Columns keep their
+ * stored types; 64-bit integers are narrowed to Number so rows look the
+ * same downstream as CSV-parsed ones.
+ */
+async function loadArrow(url) {
+  const response = await fetch(url)
+  const contentType = response.headers.get('content-type') || ''
+  if (!response.ok || contentType.includes('text/html')) return null
+
+  // Loaded on demand so CSV-only dashboards don't ship the Arrow decoder
+  const { tableFromIPC } = await import('apache-arrow')
+  const table = tableFromIPC(new Uint8Array(await response.arrayBuffer()))
+  const names = table.schema.fields.map((field) => field.name)
+  const columns = names.map((name) => table.getChild(name))
+  const rows = new Array(table.numRows)
+  for (let i = 0; i < table.numRows; i++) {
+    const row = {}
+    names.forEach((name, c) => {
+      const value = columns[c].get(i)
+      row[name] = typeof value === 'bigint' ? Number(value) : value
+    })
+    rows[i] = row
+  }
+  return rows
+}
+
+/**
+ * Fetch one registry dataset from `${baseUrl}data/`. The typed `arrowFile`
+ * is tried first; when it is missing or unreadable the text `file` is used.
+ * Optional datasets resolve to [] (with a warning) when the file is
+ * missing; required ones reject.
+ */
+async function loadDataset(key, config, baseUrl = '/') {
+  if (config.arrowFile) {
+    try {
+      const rows = await loadArrow(`${baseUrl}data/${config.arrowFile}`)
+      if (rows) return rows
+    } catch (err) {
+      console.warn(`[dataLoader] ${key}: could not read ${config.arrowFile}, using ${config.file}: ${err.message}`)
+    }
+  }
+
+  const load = LOADERS[config.format || 'csv']
+  if (!load) throw new Error(`[dataLoader] ${key}: unsupported format "${config.format}"`)
+  try {
+    const rows = await load(`${baseUrl}data/${config.file}`)
+    return Array.isArray(rows) ? rows : []
+  } catch (err) {
+    if (!config.optional) throw err
+    console.warn(`[dataLoader] Optional dataset ${key} (${config.file}) not loaded: ${err.message}`)
+    return []
+  }
+}
+
+/**
+ * Load, normalize and schema-check every registry dataset.
+ *
+ * @param {string} baseUrl – app base URL (import.meta.env.BASE_URL)
+ * @returns {Promise<Object>} dataset key → normalized rows
+ */
+export async function loadAllDatasets(baseUrl) {
+  const results = await Promise.all(
+    DATASET_KEYS.map((key) => loadDataset(key, DATASETS[key], baseUrl)),
+  )
+
+  const loaded = {}
+  DATASET_KEYS.forEach((key, i) => {
+    const config = DATASETS[key]
+    const rows = normalizeRows(results[i], config)
+    // Schema checks are warnings only, so dashboards still load while adapting.
+    // An optional dataset that wasn't provided is already reported above.
+    if (rows.length || !config.optional) {
+      warnIfMissingColumns(key, rows, config.requiredColumns || [])
+    }
+    loaded[key] = rows
+  })
+  return loaded
+}
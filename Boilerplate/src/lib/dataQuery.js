@@ -0,0 +1,144 @@
+/**
+ * ── dataQuery.js ────────────────────────────────────────────────────────────
+ * Tiny declarative filter + group-by engine for the data worker.
+ *
+ * Pages describe the aggregation they need as a plain object (a "query
+ * spec"), and it runs next to the rows in src/workers/dataWorker.js, so
+ * the main thread never loops over hundreds of thousands of rows on a
+ * filter change. Query specs must be structured-cloneable (no functions).
+ *
+ * ── QUERY SPEC ──────────────────────────────────────────────────────────────
+ *   {
+ *     where:   { Year: ['2023', '2024'], TradeType: 'Export', Region: '' },
+ *     groupBy: 'POE' | ['POE', 'Year'],
+ *     measure: 'TradeValue',               // column to aggregate
+ *     op:      'sum' | 'count' | 'distinct' | 'ratio',
+ *     per:     'WeightTons',                // 'ratio' denominator column
+ *     first:   ['Lat', 'Lon'],             // per group: first non-null value
+ *     sort:    'desc' | 'asc',             // by value
+ *     limit:   10,
+ *   }
+ *   - where: arrays match any listed value, scalars match exactly; values
+ *     are compared as strings so URL filter values ("2024") match numbers.
+ *     { min, max } matches numbers in an inclusive range (a brushed year
+ *     range). Empty strings, empty arrays and null are ignored, so a page's
+ *     filter state can be passed straight through. A list of where objects
+ *     must all match — e.g. [sidebar filters, crossfilter selections],
+ *     which may both constrain the same column.
+ *   - op 'distinct' counts distinct values of `measure` per group.
+ *   - op 'ratio' is sum(measure) / sum(per) over rows where `per` > 0
+ *     (e.g. value per ton; see lib/measures.js), 0 when nothing qualifies.
+ *   - Result rows are { ...groupBy columns, value, ...first columns }; with
+ *     no groupBy the result is a single row [{ value }].
+ *
+ *   { distinct: 'Mode', where }  → sorted unique non-null values of a column
+ *                                  (for filter option lists)
+ *
+ *   { rows: true, where }        → the matching records themselves (record
+ *                                  tables, detail downloads, drill-downs)
+ *
+ *   { pivot: { rows: ['POE'], columns: ['TradeType'] }, where, measure, op, per }
+ *                                → a pivot table (see lib/pivot.js); `op` may
+ *                                  also be 'avg', 'min' or 'max' here
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { runPivot } from './pivot.js'
+
+/** Test for one `where` value: a list, an inclusive { min, max } range or a scalar. */
+function matcher(value) {
+  if (Array.isArray(value)) {
+    const values = new Set(value.map(String))
+    return (cell) => values.has(String(cell))
+  }
+  if (typeof value === 'object') {
+    return (cell) => {
+      const n = cell == null || cell === '' ? NaN : Number(cell)
+      return Number.isFinite(n) && (value.min == null || n >= value.min) && (value.max == null || n <= value.max)
+    }
+  }
+  const text = String(value)
+  return (cell) => String(cell) === text
+}
+
+/** Keep only the `where` entries (of one object or a list) that actually constrain rows. */
+function activeConditions(where = {}) {
+  return [].concat(where).flatMap((clause) => Object.entries(clause || {})
+    .filter(([, value]) => value != null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([column, value]) => [column, matcher(value)]))
+}
+
+/** Rows matching every active `where` condition. */
+export function filterRows(rows, where) {
+  const conditions = activeConditions(where)
+  if (!conditions.length) return rows
+  return rows.filter((row) => conditions.every(([column, match]) => match(row[column])))
+}
+
+/** Sorted unique non-null values of one column. Numbers sort numerically. */
+function distinctValues(rows, column) {
+  const values = [...new Set(rows.map((row) => row[column]).filter((v) => v != null && v !== ''))]
+  const numeric = values.every((v) => typeof v === 'number')
+  return values.sort(numeric ? (a, b) => a - b : (a, b) => String(a).localeCompare(String(b)))
+}
+
+/**
+ * Run a query spec against rows.
+ *
+ * @param {Object[]} rows – normalized dataset rows
+ * @param {Object} spec – see QUERY SPEC above
+ * @returns {Array} aggregated rows (or values, for { distinct })
+ */
+export function runQuery(rows, spec = {}) {
+  if (!rows) return []
+  const matched = filterRows(rows, spec.where)
+  if (spec.rows) return matched
+  if (spec.distinct) return distinctValues(matched, spec.distinct)
+  if (spec.pivot) return runPivot(matched, spec.pivot, spec)
+
+  const keys = [].concat(spec.groupBy || [])
+  const measure = spec.measure || 'TradeValue'
+  const op = spec.op || 'sum'
+  const first = spec.first || []
+  const groups = new Map()
+
+  matched.forEach((row) => {
+    // Rows with a blank group column are skipped, like the page-level rollups
+    if (keys.some((k) => row[k] == null || row[k] === '')) return
+    const id = keys.map((k) => row[k]).join('\u0000')
+    let group = groups.get(id)
+    if (!group) {
+      group = { row: {}, value: 0, per: 0, seen: op === 'distinct' ? new Set() : null }
+      keys.forEach((k) => { group.row[k] = row[k] })
+      first.forEach((k) => { group.row[k] = null })
+      groups.set(id, group)
+    }
+    if (op === 'count') group.value += 1
+    else if (op === 'distinct') { if (row[measure] != null) group.seen.add(row[measure]) }
+    else if (op === 'ratio') {
+      const den = Number(row[spec.per]) || 0
+      if (den > 0) {
+        group.value += Number(row[measure]) || 0
+        group.per += den
+      }
+    }
+    else group.value += Number(row[measure]) || 0
+    first.forEach((k) => {
+      if (group.row[k] == null && row[k] != null && row[k] !== '') group.row[k] = row[k]
+    })
+  })
+
+  // An ungrouped query always returns one total row, even over zero matches
+  if (!keys.length && !groups.size) groups.set('', { row: {}, value: 0, per: 0, seen: new Set() })
+
+  const finish = {
+    distinct: (g) => g.seen.size,
+    ratio: (g) => (g.per ? g.value / g.per : 0),
+  }[op] || ((g) => g.value)
+  let result = Array.from(groups.values(), (g) => ({ ...g.row, value: finish(g) }))
+  if (spec.sort === 'desc') result.sort((a, b) => b.value - a.value)
+  else if (spec.sort === 'asc') result.sort((a, b) => a.value - b.value)
+  if (spec.limit) result = result.slice(0, spec.limit)
+  return result
+}
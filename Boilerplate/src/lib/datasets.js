@@ -0,0 +1,219 @@
+/**
+ * ── datasets.js ─────────────────────────────────────────────────────────────
+ * Declarative dataset registry — the single place that describes every data
+ * file the dashboard loads. Everything that needs to know about datasets
+ * reads this module, so they can't drift apart:
+ *   - lib/dataLoader.js           — fetches, renames and types each one
+ *                                   (inside the data worker)
+ *   - warnIfMissingColumns        — runtime check against `requiredColumns`
+ *   - scripts/schema-check.js     — pre-flight CSV check (same contracts)
+ *   - lib/pageContext.js          — route → dataset map for the AI assistant
+ *   - lib/chatActions.js          — pages and filters the assistant can set
+ *   - lib/queryParser.js          — column roles and names for AI questions
+ *
+ * This file is plain data + tiny helpers with no imports, so Node scripts
+ * can import it directly (no Vite aliases or import.meta.env here).
+ *
+ * ════════════════════════════════════════════════════════════════════════════
+ * ██  BOILERPLATE: HOW TO ADAPT FOR A NEW PROJECT                         ██
+ * ════════════════════════════════════════════════════════════════════════════
+ * Add one entry per data file. The entry's key becomes the store property
+ * pages read (`const { salesData } = useTradeStore()`).
+ *
+ *   salesData: {
+ *     label: 'Sales',                       // human name (AI context, logs)
+ *     file: 'sales.csv',                    // path under public/data/
+ *     format: 'csv',                        // 'csv' | 'tsv' | 'json'
+ *     arrowFile: 'sales.arrow',             // optional typed copy, tried first
+ *     rename: { 'Net Sales': 'NetSales' },  // source header → canonical name
+ *     types: { Year: 'year', NetSales: 'number', Region: 'text' },
+ *     requiredColumns: ['Year', 'NetSales'],
+ *     optionalColumns: ['Region'],
+ *     optional: false,                      // true → a missing file is not fatal
+ *     workerOnly: false,                    // true → rows stay in the data worker
+ *     pages: [{ path: '/sales', label: 'Sales', filters: ['year', 'region'] }],
+ *   }
+ *
+ * Column types (applied after renames, only to columns that exist):
+ *   'year'   — integer year; accepts "2024", 2024.0, "FY2024"; else null
+ *   'number' — loose number; accepts "$1,234.50"; else 0
+ *   'text'   — trimmed string; empty string becomes null
+ * Columns without a type keep d3.autoType's parsing. Typing a column also
+ * declares it to lib/measures.js: a dataset with TradeValue and WeightTons
+ * types can be switched to weight and value-per-ton in the sidebar.
+ *
+ * arrowFile: an Apache Arrow IPC file written by `node scripts/convert-xlsx.js
+ * --arrow`. It keeps real column types and is much smaller than the CSV, so
+ * the loader tries it first and falls back to `file` when it isn't present.
+ *
+ * pages: the routes that read this dataset. `filters` lists the URL filter
+ * keys the page declares in its FILTER_DEFAULTS (see lib/useUrlFilters.js),
+ * so the assistant knows which filters it may set there.
+ *
+ * workerOnly: for files too large to copy to the page (tens of thousands of
+ * rows and up). The store property is an empty array and pages read the
+ * data only through useDataQuery aggregations (see lib/dataQuery.js);
+ * records are asked for only on demand — a detail download, an open
+ * drill-down drawer, a records table the user loads. The assistant fetches
+ * the rows once, the first time a question is asked (lib/aiClient.js).
+ *
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+/** Dataset key → config. Order is the load order. */
+export const DATASETS = {
+  usAggregated: {
+    label: 'U.S.–Mexico trade by commodity and mode',
+    file: 'us_aggregated.csv',
+    format: 'csv',
+    arrowFile: 'us_aggregated.arrow',
+    rename: {
+      'Trade Value': 'TradeValue',
+      'Trade Type': 'TradeType',
+      'Commodity Group': 'CommodityGroup',
+      'Shipwt Metric Ton': 'WeightTons',
+      'Shipwt Pound': 'WeightLbs',
+    },
+    types: {
+      Year: 'year',
+      TradeValue: 'number',
+      WeightTons: 'number',
+      WeightLbs: 'number',
+      TradeType: 'text',
+      Mode: 'text',
+      State: 'text',
+      Commodity: 'text',
+      CommodityGroup: 'text',
+    },
+    requiredColumns: ['Year', 'TradeType', 'TradeValue'],
+    optionalColumns: ['Mode', 'State', 'Commodity', 'CommodityGroup', 'WeightTons', 'WeightLbs'],
+    workerOnly: true,
+    pages: [
+      { path: '/', label: 'Overview', filters: [] },
+      { path: '/commodities', label: 'Trade by Commodity', filters: ['year', 'tradeType', 'mode'] },
+      { path: '/trade-by-mode', label: 'Trade by Mode', filters: ['year', 'tradeType'] },
+    ],
+  },
+
+  txBorderPorts: {
+    label: 'Texas border ports of entry',
+    file: 'tx_border_ports.csv',
+    format: 'csv',
+    arrowFile: 'tx_border_ports.arrow',
+    rename: {
+      'Trade Value': 'TradeValue',
+      'Trade Type': 'TradeType',
+      'Commodity Group': 'CommodityGroup',
+      'Shipwt Metric Ton': 'WeightTons',
+      'Shipwt Pound': 'WeightLbs',
+      'Port of Entry': 'POE',
+    },
+    types: {
+      Year: 'year',
+      TradeValue: 'number',
+      WeightTons: 'number',
+      WeightLbs: 'number',
+      TradeType: 'text',
+      Mode: 'text',
+      POE: 'text',
+      Region: 'text',
+      Commodity: 'text',
+      CommodityGroup: 'text',
+    },
+    requiredColumns: ['Year', 'POE', 'Region', 'Mode', 'TradeType', 'TradeValue'],
+    optionalColumns: ['Commodity', 'CommodityGroup', 'Lat', 'Lon', 'WeightTons', 'WeightLbs'],
+    workerOnly: true,
+    pages: [
+      { path: '/border-ports', label: 'TX Border Ports', filters: ['year', 'tradeType', 'mode', 'region', 'port'] },
+    ],
+  },
+
+  btsUsState: {
+    label: 'U.S. state trade with Mexico',
+    file: 'bts_us_state.csv',
+    format: 'csv',
+    arrowFile: 'bts_us_state.arrow',
+    rename: {
+      'Trade Value': 'TradeValue',
+      'Trade Type': 'TradeType',
+      USASTATE_NAME: 'State',
+    },
+    types: {
+      Year: 'year',
+      TradeValue: 'number',
+      TradeType: 'text',
+      Mode: 'text',
+      State: 'text',
+    },
+    requiredColumns: ['Year', 'State', 'Mode', 'TradeType', 'TradeValue'],
+    optionalColumns: ['StateCode'],
+    pages: [
+      { path: '/trade-by-state', label: 'Trade by State', filters: ['year', 'tradeType', 'mode', 'state'] },
+    ],
+  },
+
+  masterData: {
+    label: 'Master port-level trade',
+    file: 'master_data.csv',
+    format: 'csv',
+    arrowFile: 'master_data.arrow',
+    // Generated by scripts/convert-xlsx.js only when the master workbook is
+    // available, so the dashboard must still load without it.
+    optional: true,
+    rename: {
+      'Trade Value': 'TradeValue',
+      'Trade Type': 'TradeType',
+      'Commodity Group': 'CommodityGroup',
+      'Shipwt Metric Ton': 'WeightTons',
+      'Shipwt Pound': 'WeightLbs',
+    },
+    types: {
+      Year: 'year',
+      TradeValue: 'number',
+      WeightTons: 'number',
+      WeightLbs: 'number',
+      TradeType: 'text',
+      Mode: 'text',
+      State: 'text',
+      Port: 'text',
+      Region: 'text',
+      CommodityGroup: 'text',
+    },
+    requiredColumns: ['Year', 'TradeType', 'TradeValue'],
+    optionalColumns: ['Port', 'Region', 'Mode', 'CommodityGroup', 'WeightTons', 'WeightLbs'],
+    pages: [],
+  },
+}
+
+/** Dataset keys in load order. */
+export const DATASET_KEYS = Object.keys(DATASETS)
+
+/**
+ * Source headers accepted for a canonical column (the canonical name itself
+ * plus every `rename` alias that maps to it).
+ *
+ * @param {Object} config – a DATASETS entry
+ * @param {string} column – canonical column name, e.g. 'TradeValue'
+ * @returns {string[]} e.g. ['TradeValue', 'Trade Value']
+ */
+export function headerAliases(config, column) {
+  const aliases = Object.entries(config.rename || {})
+    .filter(([, canonical]) => canonical === column)
+    .map(([source]) => source)
+  return [column, ...aliases]
+}
+
+/**
+ * Route → { dataset, label, filters } for every page listed in the registry.
+ * Used by the AI assistant to know which data the user is looking at and
+ * which URL filters it can set there.
+ */
+export function buildPageMap() {
+  const map = {}
+  Object.entries(DATASETS).forEach(([key, config]) => {
+    ;(config.pages || []).forEach((page) => {
+      map[page.path] = { dataset: key, label: page.label, filters: page.filters || [] }
+    })
+  })
+  return map
+}
@@ -1,5 +1,6 @@
 /**
  * Convert an array of flat objects to a CSV string and trigger a browser download.
+ * Also home to downloadBlob(), which every file download in the app goes through.
  *
  * ── BOILERPLATE NOTE ────────────────────────────────────────────────────────
  * This utility is data-agnostic: it reads column names from the first row's
@@ -32,11 +33,20 @@ export function downloadCsv(data, filename = 'data') {
   const csv = [header, ...rows].join('\n')
   // Prefix with UTF-8 BOM so Excel opens the file with correct encoding
   const BOM = '\uFEFF'
-  const blob = new Blob([BOM + csv], { type: 'text/csv;charset=utf-8;' })
+  downloadBlob(new Blob([BOM + csv], { type: 'text/csv;charset=utf-8;' }), `${filename}.csv`)
+}
+
+/**
+ * Save a Blob as a file through a temporary object URL.
+ *
+ * @param {Blob}   blob     – file contents
+ * @param {string} filename – file name with extension
+ */
+export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob)
   const a = document.createElement('a')
   a.href = url
-  a.download = `${filename}.csv`
+  a.download = filename
   a.click()
   URL.revokeObjectURL(url)
 }
@@ -0,0 +1,152 @@
+/**
+ * ── downloadData.js ─────────────────────────────────────────────────────────
+ * Excel and JSON versions of the CSV downloads (lib/downloadCsv.js), offered
+ * by DownloadButton for a chart's summary or detail rows. Both carry
+ * metadata: the chart, page, filters, zoom range, measure, source and time.
+ *
+ *   Excel (.xlsx) — a "Data" sheet with numeric columns stored as numbers and
+ *                   formatted ($ for dollar columns, separators for weights,
+ *                   plain years), a frozen header row, and a "Metadata" sheet.
+ *   JSON          — { format: 'dashboard-data-export', version, metadata, rows }
+ *
+ * Column formats: the measure columns in lib/measures.js keep their own unit
+ * (TradeValue → $, WeightTons → t); year columns stay plain. In summary rows,
+ * other numeric columns (value, Exports, Balance…) are totals of the measure
+ * picked in the sidebar, so they take its unit.
+ *
+ * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────────
+ * Data-agnostic. For a new unit, add its Excel number format to UNIT_FORMATS
+ * (alongside its UNITS entry in chartColors.js). Columns matching
+ * PLAIN_COLUMNS are never given a unit.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { MEASURES, getMeasure } from '@/lib/measures'
+import { readFilterSearch } from '@/lib/useUrlFilters'
+import { columnLabel } from '@/lib/labels'
+import { viewPageLabel } from '@/lib/savedViews'
+import { dataSources } from '@/lib/report'
+import { buildXlsx } from '@/lib/xlsx'
+import { downloadBlob } from '@/lib/downloadCsv'
+
+/** Excel number format per UNITS key. */
+const UNIT_FORMATS = {
+  usd: '"$"#,##0',
+  tons: '#,##0.0',
+  lb: '#,##0',
+  usdPerTon: '"$"#,##0.00',
+}
+
+const YEAR_FORMAT = '0'
+
+/** Numeric columns that aren't amounts (coordinates, codes, counts, shares). */
+const PLAIN_COLUMNS = /lat|lon|lng|code|count|rank|share|pct|percent|id$/i
+
+/** Unit of a raw measure column ('TradeValue' → 'usd'), if it is one. */
+const COLUMN_UNITS = Object.fromEntries(
+  Object.values(MEASURES).filter((m) => !m.per).map((m) => [m.column, m.unit]),
+)
+
+/**
+ * Excel number format for each column of `data` (null = General).
+ *
+ * @param {Object[]} data
+ * @param {string}  [unit] – measure unit for other numeric columns (summary rows)
+ * @returns {{ key: string, numFmt: string|null }[]}
+ */
+export function columnFormats(data, unit) {
+  return Object.keys(data[0] || {}).map((key) => {
+    const numbers = data.map((d) => d[key]).filter((v) => typeof v === 'number')
+    if (!numbers.length) return { key, numFmt: null }
+    if (/year/i.test(key)) return { key, numFmt: YEAR_FORMAT }
+    const columnUnit = COLUMN_UNITS[key] || (!PLAIN_COLUMNS.test(key) && unit)
+    return { key, numFmt: UNIT_FORMATS[columnUnit] || null }
+  })
+}
+
+/**
+ * Describe an export for its metadata sheet / JSON block.
+ *
+ * @param {Object} options
+ * @param {string} [options.title]   – chart title
+ * @param {'summary'|'detail'} options.kind
+ * @param {string} options.path      – route the chart is on
+ * @param {string} options.search    – that route's query string
+ * @param {{ min, max }} [options.zoom] – zoom range the rows were cut to
+ * @param {string} options.measure   – MEASURES key picked in the sidebar
+ * @param {string|null} [options.unit] – UNITS key of the values, when not the measure's (null = none)
+ * @param {string} [options.aggregation] – how the values were aggregated, if not summed (e.g. 'Average')
+ * @param {number} options.rows
+ */
+export function exportMetadata({ title, kind, path, search, zoom, measure, unit, aggregation, rows }) {
+  const keys = [...new URLSearchParams(search).keys()]
+  const filters = Object.fromEntries(
+    Object.entries(readFilterSearch(search, keys)).filter(([, values]) => values.length),
+  )
+  const resolved = getMeasure(measure)
+  return {
+    chart: title || '',
+    data: kind,
+    page: viewPageLabel(path),
+    path,
+    filters,
+    zoom: zoom ? { min: zoom.min, max: zoom.max } : null,
+    measure: aggregation ? `${resolved.label} (${aggregation})` : resolved.label,
+    unit: unit === undefined ? resolved.unit : unit,
+    rows,
+    source: dataSources(path),
+    exportedAt: new Date().toISOString(),
+  }
+}
+
+/** Metadata as [label, value] rows for the "Metadata" sheet. */
+function metadataRows(meta) {
+  const filters = Object.entries(meta.filters)
+  return [
+    ['Chart', meta.chart],
+    ['Data', meta.data === 'detail' ? 'Detail (row-level records)' : 'Summary (chart totals)'],
+    ['Page', meta.page],
+    ...(filters.length
+      ? filters.map(([key, values]) => [`Filter: ${columnLabel(key)}`, values.join(', ')])
+      : [['Filters', 'none']]),
+    ['Zoom range', meta.zoom ? `${meta.zoom.min} – ${meta.zoom.max}` : 'full range'],
+    ['Measure', meta.measure],
+    ['Rows', meta.rows],
+    ['Source', meta.source.join('; ')],
+    ['Exported', new Date(meta.exportedAt).toLocaleString('en-US')],
+  ]
+}
+
+
+/**
+ * Download rows as an Excel workbook (Data + Metadata sheets).
+ *
+ * @param {Object[]} data     – rows to export (array of flat objects)
+ * @param {string}   filename – file name without extension
+ * @param {Object}   meta     – from exportMetadata()
+ */
+export function downloadXlsx(data, filename = 'data', meta) {
+  if (!data?.length) return
+  const formats = columnFormats(data, meta.data === 'summary' ? meta.unit : undefined)
+  const rows = data.map((row) => formats.map(({ key }) => {
+    const v = row[key]
+    return typeof v === 'number' || v == null ? v : String(v)
+  }))
+
+  downloadBlob(buildXlsx([
+    { name: 'Data', columns: formats.map(({ key, numFmt }) => ({ header: key, numFmt })), rows, freezeHeader: true },
+    { name: 'Metadata', columns: [{ header: 'Field' }, { header: 'Value', width: 60 }], rows: metadataRows(meta), freezeHeader: true },
+  ]), `${filename}.xlsx`)
+}
+
+/**
+ * Download rows as JSON with their metadata.
+ *
+ * @param {Object[]} data     – rows to export
+ * @param {string}   filename – file name without extension
+ * @param {Object}   meta     – from exportMetadata()
+ */
+export function downloadJson(data, filename = 'data', meta) {
+  if (!data?.length) return
+  const json = JSON.stringify({ format: 'dashboard-data-export', version: 1, metadata: meta, rows: data }, null, 2)
+  downloadBlob(new Blob([json], { type: 'application/json;charset=utf-8;' }), `${filename}.json`)
+}
@@ -0,0 +1,79 @@
+/**
+ * ── drillDown.js ────────────────────────────────────────────────────────────
+ * What's inside a bar: the summaries DrillDownDrawer shows for the records
+ * behind one chart element (see lib/useDrillDown.js), and the click
+ * handling charts share to open it.
+ *
+ * Charts (BarChart, DonutChart, TreemapChart) take `onDrillDown(datum)`.
+ * A click drills down; on a chart that also selects on click (click-to-
+ * filter / crossfilter), a plain click keeps selecting and shift-click
+ * drills down. Each element's hover title says which.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Data-agnostic: dimensions are column names, values follow the measure.
+ * The summaries are built from data-worker aggregates (lib/useDrillDown.js).
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+/** Items listed per breakdown; the rest are counted as "more". */
+export const BREAKDOWN_LIMIT = 5
+
+/**
+ * A chart element's click handler: `onSelect` on a plain click and
+ * `onDrillDown` on shift-click, or `onDrillDown` on any click when the
+ * chart doesn't select.
+ *
+ * @param {Function} [onSelect]
+ * @param {Function} [onDrillDown]
+ * @returns {(event: MouseEvent, datum: Object) => void}
+ */
+export function chartClick(onSelect, onDrillDown) {
+  return (event, datum) => {
+    if (onDrillDown && (!onSelect || event.shiftKey)) onDrillDown(datum)
+    else onSelect?.(datum)
+  }
+}
+
+/** How to drill down on a chart's elements, for their hover titles and tooltips. */
+export function drillHint(selectable) {
+  return `${selectable ? 'Shift-click' : 'Click'} to see the records`
+}
+
+/**
+ * The measure broken down by each dimension, largest first.
+ *
+ * @param {{ key: string, label: string, groups: Object[] }[]} dimensions –
+ *   each with its data-worker groupBy result ({ [key]: value, value },
+ *   sorted largest first)
+ * @param {number}   total     – the measure over all the drilled-down records
+ * @param {Object}   measure   – from getMeasure() / useMeasure()
+ * @param {number}  [limit=BREAKDOWN_LIMIT]
+ * @returns {{ key, label, items: { label, value, share }[], more: number }[]}
+ *   `share` is the part of the records' total (null for ratio measures);
+ *   dimensions with a single value are left out, they break nothing down
+ */
+export function drillBreakdowns(dimensions, total, measure, limit = BREAKDOWN_LIMIT) {
+  const shareOf = measure.additive && total ? total : 0
+  return dimensions.flatMap(({ key, label, groups }) => {
+    if (groups.length < 2) return []
+    const items = groups.slice(0, limit).map((d) => ({
+      label: String(d[key]),
+      value: d.value,
+      share: shareOf ? d.value / shareOf : null,
+    }))
+    return [{ key, label, items, more: Math.max(0, groups.length - limit) }]
+  })
+}
+
+/**
+ * The measure per year, in year order (for a Sparkline).
+ *
+ * @param {Object[]} rows – data-worker groupBy-year result ({ [yearKey], value })
+ * @param {string}  [yearKey='Year']
+ * @returns {{ year: number, value: number }[]}
+ */
+export function drillTrend(rows, yearKey = 'Year') {
+  return rows.map((d) => ({ year: Number(d[yearKey]), value: d.value }))
+    .filter((d) => Number.isFinite(d.year))
+    .sort((a, b) => a.year - b.year)
+}
@@ -1,47 +1,155 @@
 /**
  * ── exportPng.js ────────────────────────────────────────────────────────────
- * Export an SVG chart as a high-resolution PNG image with optional title and
- * subtitle rendered above the chart.
+ * Export an SVG chart as an image file: PNG at a chosen scale, or vector SVG
+ * for design tools. Either one can carry the chart's title and subtitle above
+ * it, a source / filter caption below it, and a white or transparent
+ * background. ChartCard and FullscreenChart offer these options through
+ * ExportMenu.
  *
  * ── HOW IT WORKS ────────────────────────────────────────────────────────────
  * 1. Clones the live SVG DOM node
  * 2. Inlines computed CSS styles (browsers strip external styles on export)
  * 3. Converts <foreignObject> → native SVG <text> (browser security blocks
- *    HTML inside SVG when loaded as an Image)
- * 4. Serializes to SVG blob → draws onto a 2× canvas → triggers PNG download
+ *    HTML inside SVG when loaded as an Image, and design tools ignore it)
+ * 4. Lays out title, subtitle and caption around the chart (long lines wrap
+ *    to the chart's width)
+ * 5. SVG: wraps the clone and the text in one standalone <svg> file.
+ *    PNG: draws the text and the serialized clone onto a canvas scaled
+ *    1×–4× and triggers a PNG download.
  *
  * ── BOILERPLATE: WHAT TO CHANGE FOR A NEW PROJECT ───────────────────────────
- * - Font family: Change "IBM Plex Sans" on lines drawing title/subtitle if
- *   your project uses a different typeface.
- * - Title color: Change '#333f48' to your brand's text-primary color.
- * - Scale factor: Change `scale = 2` for different DPI (3 for ultra-high-res).
- * - The function is data-agnostic — it exports whatever SVG it finds in the
+ * - Fonts and colors come from lib/tokens.js (brand.fontPrimary,
+ *   textPrimary, textSecondary) — change them there, not here.
+ * - Text sizes: TEXT_STYLES below.
+ * - The export is data-agnostic — it exports whatever SVG it finds in the
  *   container, so no changes are needed when swapping datasets.
- *
  * ────────────────────────────────────────────────────────────────────────────
+ */
+import { brand } from '@/lib/tokens'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/** PNG scale factors offered in the export menu (2× is retina quality). */
+export const EXPORT_SCALES = [1, 2, 3, 4]
+
+const PADDING = 20
+const GAP_AFTER_HEADER = 12
+const GAP_BEFORE_CAPTION = 10
+
+const TEXT_STYLES = {
+  title: { size: 18, weight: 600, lineHeight: 1.3, color: brand.textPrimary },
+  subtitle: { size: 13, weight: 400, lineHeight: 1.4, color: brand.textSecondary },
+  caption: { size: 11, weight: 400, lineHeight: 1.4, color: brand.textSecondary },
+}
+
+const fontFor = (style) => `${style.weight} ${style.size}px ${brand.fontPrimary}`
+
+/**
+ * Export the chart in `container` as a PNG or SVG download.
+ *
+ * @param {HTMLElement} container – DOM node that contains the SVG
+ * @param {Object}  [options]
+ * @param {'png'|'svg'} [options.format='png']
+ * @param {string}  [options.filename='chart'] – file name without extension
+ * @param {string}  [options.title]       – rendered above the chart
+ * @param {string}  [options.subtitle]    – rendered below the title
+ * @param {string}  [options.caption]     – rendered below the chart (e.g. source and filters)
+ * @param {number}  [options.scale=2]     – PNG pixel density, 1–4
+ * @param {boolean} [options.transparent=false] – leave out the white background
+ */
+export function exportChart(container, {
+  format = 'png',
+  filename = 'chart',
+  title,
+  subtitle,
+  caption,
+  scale = 2,
+  transparent = false,
+} = {}) {
+  const chart = chartSvgClone(container)
+  if (!chart) return
+  const layout = layoutText(chart.width, chart.height, { title, subtitle, caption })
+
+  if (format === 'svg') {
+    const markup = composeSvg(chart, layout, transparent)
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }))
+    download(url, `${filename}.svg`)
+    URL.revokeObjectURL(url)
+    return
+  }
+
+  const url = URL.createObjectURL(
+    new Blob([serialize(chart.clone)], { type: 'image/svg+xml;charset=utf-8' }),
+  )
+  const pixelScale = Math.min(4, Math.max(1, Number(scale) || 2))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = layout.width * pixelScale
+  canvas.height = layout.height * pixelScale
+  const ctx = canvas.getContext('2d')
+  ctx.scale(pixelScale, pixelScale)
+
+  if (!transparent) {
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, layout.width, layout.height)
+  }
+
+  // Canvas text uses the page's loaded web fonts, unlike an SVG drawn as an image
+  ctx.textBaseline = 'alphabetic'
+  layout.lines.forEach(({ text, style, y }) => {
+    ctx.fillStyle = style.color
+    ctx.font = fontFor(style)
+    ctx.fillText(text, PADDING, baseline(style, y))
+  })
+
+  const img = new Image()
+
+  img.onload = () => {
+    ctx.drawImage(img, PADDING, layout.chartY, chart.width, chart.height)
+    URL.revokeObjectURL(url)
+    download(canvas.toDataURL('image/png'), `${filename}.png`)
+  }
+
+  img.onerror = () => {
+    URL.revokeObjectURL(url)
+    console.warn('PNG export: failed to load SVG as image')
+  }
+
+  img.src = url
+}
+
+/**
+ * Standalone SVG markup for the chart in `container` (steps 1–3 above),
+ * also used by the report builder (lib/report.js) to embed charts.
  *
  * @param {HTMLElement} container – DOM node that contains the SVG
- * @param {string}      filename – file name without extension
- * @param {string}     [title]   – chart title to render above the image
- * @param {string}     [subtitle]– chart subtitle to render below the title
+ * @returns {{ markup: string, width: number, height: number } | null}
  */
-export function exportChartPng(container, filename = 'chart', title, subtitle) {
+export function chartSvgMarkup(container) {
+  const chart = chartSvgClone(container)
+  return chart && { markup: serialize(chart.clone), width: chart.width, height: chart.height }
+}
+
+/** Steps 1–3: a self-contained clone of the container's SVG and its size. */
+function chartSvgClone(container) {
   const svg = container?.querySelector('svg')
-  if (!svg) return
+  if (!svg) return null
 
   const clone = svg.cloneNode(true)
   const { width, height } = svg.getBoundingClientRect()
 
   // Guard against zero-dimension SVGs (e.g. chart not yet rendered)
   if (!width || !height) {
-    console.warn('PNG export: SVG has zero dimensions — chart may not be rendered yet')
-    return
+    console.warn('Chart export: SVG has zero dimensions — chart may not be rendered yet')
+    return null
   }
 
   // Set explicit dimensions so the image renders at the correct size
   clone.setAttribute('width', width)
   clone.setAttribute('height', height)
-  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('xmlns', SVG_NS)
+  // …and a viewBox so it can also be scaled down to fit a page
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`)
 
   // Remove elements marked as export-ignore (e.g. zoom reset button)
   clone.querySelectorAll('.export-ignore').forEach((el) => el.remove())
@@ -54,77 +162,104 @@ export function exportChartPng(container, filename = 'chart', title, subtitle) {
   // is loaded as an image (security restriction), which silently breaks export.
   replaceForeignObjects(clone)
 
-  const serializer = new XMLSerializer()
-  const svgString = serializer.serializeToString(clone)
-  const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' })
-  const url = URL.createObjectURL(svgBlob)
-
-  const scale = 2 // 2× for retina-quality export (BOILERPLATE: change to 3 for 3× DPI)
-  const padding = 20
-  const titleFontSize = 18
-  const subtitleFontSize = 13
-  const titleLineHeight = titleFontSize * 1.3
-  const subtitleLineHeight = subtitleFontSize * 1.4
-  const gapAfterHeader = 12
+  return { clone, width, height }
+}
 
-  // Calculate header height
-  let headerHeight = 0
-  if (title) headerHeight += titleLineHeight
-  if (subtitle) headerHeight += subtitleLineHeight
-  if (title || subtitle) headerHeight += gapAfterHeader
+const serialize = (node) => new XMLSerializer().serializeToString(node)
 
-  const totalWidth = width + padding * 2
-  const totalHeight = height + padding * 2 + headerHeight
+/** Alphabetic baseline for a line whose box starts at `top`. */
+const baseline = (style, top) => top + style.size
 
-  const canvas = document.createElement('canvas')
-  canvas.width = totalWidth * scale
-  canvas.height = totalHeight * scale
+/**
+ * Position title, subtitle and caption lines around a chart of the given
+ * size. Each text wraps to the chart's width.
+ *
+ * @returns {{ lines: { text, style, y }[], chartY: number, width: number, height: number }}
+ */
+function layoutText(chartWidth, chartHeight, { title, subtitle, caption }) {
+  const ctx = document.createElement('canvas').getContext('2d')
+  const lines = []
+  let y = PADDING
 
-  const ctx = canvas.getContext('2d')
-  ctx.scale(scale, scale)
-
-  // White background
-  ctx.fillStyle = '#ffffff'
-  ctx.fillRect(0, 0, totalWidth, totalHeight)
-
-  // Draw title (BOILERPLATE: change font-family if not using IBM Plex Sans)
-  let textY = padding
-  if (title) {
-    ctx.fillStyle = '#333f48'
-    ctx.font = `600 ${titleFontSize}px "IBM Plex Sans", system-ui, sans-serif`
-    ctx.textBaseline = 'top'
-    ctx.fillText(title, padding, textY)
-    textY += titleLineHeight
+  const add = (text, style) => {
+    ctx.font = fontFor(style)
+    wrapText(ctx, text, chartWidth).forEach((line) => {
+      lines.push({ text: line, style, y })
+      y += style.size * style.lineHeight
+    })
   }
 
-  // Draw subtitle
-  if (subtitle) {
-    ctx.fillStyle = '#6b7280'
-    ctx.font = `400 ${subtitleFontSize}px "IBM Plex Sans", system-ui, sans-serif`
-    ctx.textBaseline = 'top'
-    ctx.fillText(subtitle, padding, textY)
-    textY += subtitleLineHeight
+  if (title) add(title, TEXT_STYLES.title)
+  if (subtitle) add(subtitle, TEXT_STYLES.subtitle)
+  if (title || subtitle) y += GAP_AFTER_HEADER
+  const chartY = y
+  y += chartHeight
+  if (caption) {
+    y += GAP_BEFORE_CAPTION
+    add(caption, TEXT_STYLES.caption)
   }
 
-  const img = new Image()
+  return { lines, chartY, width: chartWidth + PADDING * 2, height: y + PADDING }
+}
 
-  img.onload = () => {
-    const chartY = padding + headerHeight
-    ctx.drawImage(img, padding, chartY, width, height)
-    URL.revokeObjectURL(url)
+/** Split text into lines no wider than maxWidth (in ctx's current font). */
+function wrapText(ctx, text, maxWidth) {
+  const lines = []
+  let line = ''
+  String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    const next = line ? `${line} ${word}` : word
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line)
+      line = word
+    } else {
+      line = next
+    }
+  })
+  if (line) lines.push(line)
+  return lines
+}
 
-    const a = document.createElement('a')
-    a.download = `${filename}.png`
-    a.href = canvas.toDataURL('image/png')
-    a.click()
-  }
+/** The SVG file: background, text and the chart clone nested in one <svg>. */
+function composeSvg(chart, layout, transparent) {
+  const root = document.createElementNS(SVG_NS, 'svg')
+  root.setAttribute('xmlns', SVG_NS)
+  root.setAttribute('width', layout.width)
+  root.setAttribute('height', layout.height)
+  root.setAttribute('viewBox', `0 0 ${layout.width} ${layout.height}`)
 
-  img.onerror = () => {
-    URL.revokeObjectURL(url)
-    console.warn('PNG export: failed to load SVG as image')
+  if (!transparent) {
+    const bg = document.createElementNS(SVG_NS, 'rect')
+    bg.setAttribute('width', '100%')
+    bg.setAttribute('height', '100%')
+    bg.setAttribute('fill', '#ffffff')
+    root.appendChild(bg)
   }
 
-  img.src = url
+  layout.lines.forEach(({ text, style, y }) => {
+    const el = document.createElementNS(SVG_NS, 'text')
+    el.setAttribute('x', PADDING)
+    el.setAttribute('y', baseline(style, y))
+    el.setAttribute('fill', style.color)
+    el.setAttribute('font-family', brand.fontPrimary)
+    el.setAttribute('font-size', `${style.size}px`)
+    el.setAttribute('font-weight', style.weight)
+    el.textContent = text
+    root.appendChild(el)
+  })
+
+  chart.clone.removeAttribute('xmlns')
+  chart.clone.setAttribute('x', PADDING)
+  chart.clone.setAttribute('y', layout.chartY)
+  root.appendChild(chart.clone)
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(root)}`
+}
+
+function download(href, filename) {
+  const a = document.createElement('a')
+  a.download = filename
+  a.href = href
+  a.click()
 }
 
 /**
@@ -196,7 +331,7 @@ function replaceForeignObjects(svgClone) {
       textEl.setAttribute('fill', leaf.color)
       textEl.setAttribute('font-size', `${fs}px`)
       textEl.setAttribute('font-weight', leaf.fontWeight)
-      textEl.setAttribute('font-family', '"IBM Plex Sans", system-ui, sans-serif')
+      textEl.setAttribute('font-family', brand.fontPrimary)
       // Truncate long labels to fit the cell width
       const maxChars = Math.max(1, Math.floor((w - pad * 2) / (fs * 0.6)))
       textEl.textContent =
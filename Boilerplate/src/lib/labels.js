@@ -0,0 +1,33 @@
+/**
+ * ── labels.js ───────────────────────────────────────────────────────────────
+ * Display names for filter keys and columns, and the one-line filter summary
+ * ("Year: 2023 · Mode: Rail") shown wherever a set of filters is described:
+ * saved views, downloads, Ask AI answers, provenance and chat exports.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Names come from FILTER_LABELS (lib/chatActions.js) for filter keys and
+ * their columns, and are derived from the column name otherwise.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { FILTER_LABELS } from '@/lib/chatActions'
+import { FILTER_COLUMNS } from '@/lib/provenance'
+import { columnWords } from '@/lib/queryParser'
+
+/**
+ * Display name of a filter key or column: 'port' and 'POE' → 'Port',
+ * 'CommodityGroup' → 'Commodity group', 'USASTATE_NAME' → 'Usastate name'.
+ */
+export function columnLabel(keyOrColumn) {
+  const key = Object.keys(FILTER_COLUMNS).find((k) => FILTER_COLUMNS[k] === keyOrColumn) || keyOrColumn
+  if (FILTER_LABELS[key]) return FILTER_LABELS[key]
+  const words = columnWords(keyOrColumn)
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+/** "Year: 2023 · Mode: Rail, Truck", or "none". Keys may be filter keys or columns. */
+export function describeFilterValues(filters) {
+  const parts = Object.entries(filters || {})
+    .filter(([, v]) => (Array.isArray(v) ? v.length > 0 : v))
+    .map(([key, v]) => `${columnLabel(key)}: ${Array.isArray(v) ? v.join(', ') : v}`)
+  return parts.length ? parts.join(' · ') : 'none'
+}
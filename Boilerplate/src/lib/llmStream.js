@@ -0,0 +1,137 @@
+/**
+ * ── llmStream.js ────────────────────────────────────────────────────────────
+ * HTTP streaming adapter for OpenAI-compatible chat endpoints
+ * (POST /v1/chat/completions with `stream: true`). Used by the "openai"
+ * provider in lib/aiClient.js.
+ *
+ * Works with anything that speaks the format: OpenAI, Azure OpenAI, vLLM,
+ * Ollama / LM Studio (OpenAI mode), a company proxy, or the local stand-in
+ * server (`npm run ai:mock`, scripts/mock-ai-server.js).
+ *
+ * Three response shapes are accepted:
+ *   - Server-Sent Events: `data: {chunk}` lines ending with `data: [DONE]`
+ *   - Chunked NDJSON:     one `{chunk}` JSON object per line
+ *   - Plain JSON:         a non-streamed `chat.completion` body
+ * A chunk's text is `choices[0].delta.content` (streamed) or
+ * `choices[0].message.content` (non-streamed).
+ *
+ * Tool calls: pass `tools` (OpenAI function-tool definitions) and any calls
+ * the model makes come back in `toolCalls`. Streamed calls arrive as
+ * fragments in `delta.tool_calls[]` (keyed by `index`) and are stitched
+ * together here.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Point the dashboard at an endpoint with VITE_AI_* variables (see
+ * .env.example). Don't ship a real API key in VITE_AI_API_KEY — Vite inlines
+ * it into the public bundle. Use a server-side proxy that adds the key.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+/** Text carried by one parsed chunk (streamed delta or full message). */
+function chunkText(payload) {
+  const choice = payload?.choices?.[0]
+  return choice?.delta?.content ?? choice?.message?.content ?? ''
+}
+
+/** Merge streamed `tool_calls` fragments into `calls` (index → { id, name, arguments }). */
+function collectToolCalls(payload, calls) {
+  const choice = payload?.choices?.[0]
+  const fragments = choice?.delta?.tool_calls ?? choice?.message?.tool_calls ?? []
+  fragments.forEach((fragment, i) => {
+    const index = fragment.index ?? i
+    const call = calls[index] || (calls[index] = { id: '', name: '', arguments: '' })
+    if (fragment.id) call.id = fragment.id
+    if (fragment.function?.name) call.name += fragment.function.name
+    if (fragment.function?.arguments) call.arguments += fragment.function.arguments
+  })
+}
+
+/**
+ * One line of an SSE or NDJSON body → parsed payload, 'done', or null
+ * (comments, `event:` lines, blank keep-alives).
+ */
+function parseLine(line) {
+  const trimmed = line.trim()
+  if (!trimmed || trimmed.startsWith(':')) return null
+  let data = trimmed
+  if (trimmed.startsWith('data:')) data = trimmed.slice(5).trim()
+  else if (!trimmed.startsWith('{')) return null
+  if (data === '[DONE]') return 'done'
+  return JSON.parse(data)
+}
+
+/**
+ * Stream a chat completion, calling `onChunk` with each piece of text.
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint – full URL of the chat completions route
+ * @param {Array<{ role, content }>} options.messages – system + conversation
+ * @param {string} [options.model] – sent as `model` when set
+ * @param {string} [options.apiKey] – sent as a Bearer token when set
+ * @param {Object[]} [options.tools] – function tools the model may call
+ * @param {Function} options.onChunk – (text) => void
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ content: string, toolCalls: Array<{ id, name, arguments }> }>}
+ *   the full response text and any tool calls (`arguments` is a JSON string)
+ */
+export async function streamChatCompletion({ endpoint, messages, model, apiKey, tools, onChunk, signal }) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream, application/x-ndjson, application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      ...(model ? { model } : {}),
+      messages,
+      ...(tools?.length ? { tools } : {}),
+      stream: true,
+    }),
+    signal,
+  })
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200)
+    throw new Error(`[llmStream] ${response.status} ${response.statusText}${detail ? `: ${detail}` : ''}`)
+  }
+
+  let full = ''
+  const calls = []
+  const handle = (payload) => {
+    collectToolCalls(payload, calls)
+    const text = chunkText(payload)
+    if (!text) return
+    full += text
+    onChunk(text)
+  }
+  const result = () => ({ content: full, toolCalls: calls.filter((c) => c?.name) })
+
+  // Non-streaming servers answer with one JSON body
+  const contentType = response.headers.get('content-type') || ''
+  if (contentType.includes('application/json') || !response.body) {
+    handle(await response.json())
+    return result()
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    buffer += decoder.decode(value, { stream: !done })
+    // Keep the trailing partial line for the next read
+    const lines = buffer.split(/\r?\n/)
+    buffer = done ? '' : lines.pop()
+    for (const line of lines) {
+      const payload = parseLine(line)
+      if (payload === 'done') {
+        reader.cancel().catch(() => {})
+        return result()
+      }
+      if (payload?.error) throw new Error(`[llmStream] ${payload.error.message || 'stream error'}`)
+      if (payload) handle(payload)
+    }
+    if (done) return result()
+  }
+}
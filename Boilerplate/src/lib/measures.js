@@ -0,0 +1,126 @@
+/**
+ * ── measures.js ─────────────────────────────────────────────────────────────
+ * What the dashboard adds up. Every page aggregation, axis label and
+ * tooltip follows the measure picked in the sidebar (MeasureToggle), which
+ * is global: it lives in tradeStore and carries across pages.
+ *
+ *   value        — Trade value in dollars (TradeValue)
+ *   tons         — Shipment weight in metric tons (WeightTons)
+ *   pounds       — Shipment weight in pounds (WeightLbs)
+ *   valuePerTon  — Derived: sum(TradeValue) / sum(WeightTons). Rows with no
+ *                  recorded weight are left out of both sums, so trade that
+ *                  isn't weighed (e.g. pipeline) doesn't inflate the ratio.
+ *
+ * A dataset supports a measure when its registry entry lists the measure's
+ * columns (see datasets.js); on other datasets the page falls back to
+ * `value` and the toggle says so.
+ *
+ * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────────
+ * Add one MEASURES entry per numeric column worth switching to, with a
+ * `unit` from UNITS in chartColors.js. Ratios set `per` to the denominator
+ * column. Then, in pages, aggregate with `measure.total(rows)` (or
+ * `rollupMeasure`) instead of summing TradeValue, spread `measure.query`
+ * into useDataQuery specs, and pass `measure.format` / `measure.unit` to
+ * charts.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const measure = useMeasure('usAggregated')     // lib/useMeasure.js
+ *   const total = measure.total(filtered)
+ *   const byMode = rollupMeasure(filtered, measure, (d) => d.Mode)
+ *   <LineChart formatValue={measure.format} unit={measure.unit} … />
+ *   <MeasureToggle dataset="usAggregated" />   // in the page's filter panel
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import * as d3 from 'd3'
+import { DATASETS } from '@/lib/datasets'
+import { formatMeasure } from '@/lib/chartColors'
+
+/**
+ * Measure key → definition. The first entry is the default.
+ * `label` titles charts, `short` is the toggle button text, `totalLabel`
+ * heads KPI cards and table total columns.
+ */
+export const MEASURES = {
+  value: {
+    label: 'Trade Value', short: 'Value', totalLabel: 'Total Trade Value',
+    unit: 'usd', column: 'TradeValue',
+  },
+  tons: {
+    label: 'Weight (metric tons)', short: 'Tons', totalLabel: 'Total Weight (t)',
+    unit: 'tons', column: 'WeightTons',
+  },
+  pounds: {
+    label: 'Weight (pounds)', short: 'Pounds', totalLabel: 'Total Weight (lb)',
+    unit: 'lb', column: 'WeightLbs',
+  },
+  valuePerTon: {
+    label: 'Value per Metric Ton', short: '$/ton', totalLabel: 'Value per Metric Ton',
+    unit: 'usdPerTon', column: 'TradeValue', per: 'WeightTons',
+  },
+}
+
+export const MEASURE_KEYS = Object.keys(MEASURES)
+export const DEFAULT_MEASURE = MEASURE_KEYS[0]
+
+/** Measure keys whose columns the dataset declares (in `types`). */
+export function datasetMeasures(datasetKey) {
+  const columns = DATASETS[datasetKey]?.types || {}
+  return MEASURE_KEYS.filter((key) => {
+    const { column, per } = MEASURES[key]
+    return column in columns && (!per || per in columns)
+  })
+}
+
+/**
+ * Resolve a measure key into the helpers pages aggregate with.
+ *
+ * @param {string} key – a MEASURES key (unknown keys fall back to the default)
+ * @returns {{ key, label, short, totalLabel, unit, column, per, additive,
+ *   format: (value) => string,
+ *   total: (rows) => number,
+ *   query: { measure, op, per } }}  – `query` spreads into a useDataQuery spec
+ */
+export function getMeasure(key) {
+  const resolvedKey = key in MEASURES ? key : DEFAULT_MEASURE
+  const def = MEASURES[resolvedKey]
+  const { column, per, unit } = def
+
+  const total = per
+    ? (rows) => {
+      let num = 0
+      let den = 0
+      rows.forEach((d) => {
+        const weight = Number(d[per]) || 0
+        if (weight <= 0) return
+        num += Number(d[column]) || 0
+        den += weight
+      })
+      return den ? num / den : 0
+    }
+    : (rows) => rows.reduce((s, d) => s + (Number(d[column]) || 0), 0)
+
+  return {
+    ...def,
+    key: resolvedKey,
+    // Ratios can't be summed, so part-of-whole charts (donut, stacked bars,
+    // treemap) don't apply to them
+    additive: !per,
+    format: (value) => formatMeasure(value, unit),
+    total,
+    query: per ? { measure: column, op: 'ratio', per } : { measure: column, op: 'sum' },
+  }
+}
+
+/**
+ * Group rows and total each group with the measure (d3.rollup semantics:
+ * one key function per nesting level). Rows with a blank key are skipped.
+ *
+ * @returns {Map} key → value (nested Maps for several keys)
+ */
+export function rollupMeasure(rows, measure, ...keys) {
+  const present = rows.filter((d) => keys.every((k) => {
+    const v = k(d)
+    return v != null && v !== ''
+  }))
+  return d3.rollup(present, measure.total, ...keys)
+}
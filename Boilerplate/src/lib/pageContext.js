@@ -1,23 +1,24 @@
 import { useTradeStore } from '@/stores/tradeStore'
+import { DATASETS, buildPageMap } from '@/lib/datasets'
+import { readFilterSearch } from '@/lib/useUrlFilters'
 
-const PAGE_MAP = {
-  '/': { dataset: 'usAggregated', label: 'Overview' },
-  '/trade-by-state': { dataset: 'btsUsState', label: 'Trade by State' },
-  '/commodities': { dataset: 'usAggregated', label: 'Trade by Commodity' },
-  '/trade-by-mode': { dataset: 'usAggregated', label: 'Trade by Mode' },
-  '/border-ports': { dataset: 'txBorderPorts', label: 'TX Border Ports' },
-}
+// Route → { dataset, label, filters }, derived from each dataset's `pages` list
+const PAGE_MAP = buildPageMap()
 
 export function gatherPageContext() {
   const state = useTradeStore.getState()
-  const path = window.location.pathname
+  // HashRouter keeps the route in the hash: "#/trade-by-state?year=2024"
+  const [path = '/', search = ''] = window.location.hash.slice(1).split('?')
   const page = PAGE_MAP[path] || PAGE_MAP['/']
 
   return {
     currentPage: page.label,
-    currentPath: path,
+    currentPath: path || '/',
     datasetKey: page.dataset,
-    activeFilters: { ...state.filters },
+    datasetLabel: DATASETS[page.dataset]?.label,
+    // The page's URL filters, each as a list ({ year: ['2023'], mode: [] })
+    activeFilters: readFilterSearch(search, page.filters),
+    pageFilters: page.filters,
     dataLoaded: !state.loading,
   }
 }
@@ -0,0 +1,74 @@
+/**
+ * ── persistStorage.js ───────────────────────────────────────────────────────
+ * localStorage for zustand's persist middleware (`storage` option) that
+ * never throws and, with a delay, writes at most once per `delay` ms.
+ *
+ * persist saves the whole persisted state after every set(), so a store
+ * updated many times a second (the Ask AI answer streaming in) would
+ * serialize all of it on every update. Delayed writes keep only the latest
+ * state and write it when the delay is up, or when the page is hidden or
+ * closed, so nothing is lost.
+ *
+ * A full or unavailable localStorage (quota exceeded, private mode) only
+ * logs a warning: the store keeps working, it just isn't saved.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   persist(store, { name: 'dashboard-ai-conversations', storage: persistStorage(1000) })
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+function write(name, value) {
+  try {
+    localStorage.setItem(name, JSON.stringify(value))
+  } catch (err) {
+    console.warn(`[persistStorage] Could not save "${name}": ${err.message}`)
+  }
+}
+
+/**
+ * @param {number} [delay=0] – ms to hold writes back; 0 writes right away
+ * @returns {{ getItem, setItem, removeItem }} a persist `storage`
+ */
+export function persistStorage(delay = 0) {
+  // name → latest value not yet written
+  const pending = new Map()
+  let timer = null
+
+  const flush = () => {
+    clearTimeout(timer)
+    timer = null
+    pending.forEach((value, name) => write(name, value))
+    pending.clear()
+  }
+  if (delay && typeof window !== 'undefined') window.addEventListener('pagehide', flush)
+
+  return {
+    getItem: (name) => {
+      try {
+        const text = localStorage.getItem(name)
+        return text == null ? null : JSON.parse(text)
+      } catch (err) {
+        console.warn(`[persistStorage] Could not read "${name}": ${err.message}`)
+        return null
+      }
+    },
+    setItem: (name, value) => {
+      if (!delay) {
+        write(name, value)
+        return
+      }
+      pending.set(name, value)
+      timer ??= setTimeout(flush, delay)
+    },
+    removeItem: (name) => {
+      pending.delete(name)
+      try {
+        localStorage.removeItem(name)
+      } catch (err) {
+        console.warn(`[persistStorage] Could not remove "${name}": ${err.message}`)
+      }
+    },
+  }
+}
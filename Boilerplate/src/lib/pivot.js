@@ -0,0 +1,246 @@
+/**
+ * ── pivot.js ────────────────────────────────────────────────────────────────
+ * Pivot-table engine behind PivotTable. runPivot() groups rows by the row
+ * dimensions (nested) and the column dimensions (crossed), and aggregates a
+ * measure for every cell, every group (subtotals) and the whole table (grand
+ * totals). It runs in the data worker as a query spec with `pivot`
+ * (see lib/dataQuery.js), so it must stay free of DOM and `@/` imports.
+ *
+ * Subtotals and totals are aggregated from the rows themselves, not from
+ * the cells below them, so averages, minimums and ratios stay correct.
+ *
+ * ── RESULT ──────────────────────────────────────────────────────────────────
+ *   {
+ *     rows: ['POE'], columns: ['TradeType'],
+ *     columnKeys:  [{ id, values: ['Export'], label: 'Export' }],
+ *     columnCount: 2,                       // before COLUMN_LIMIT
+ *     groups: [{ id, values: ['Laredo'], depth: 0, cells: { [id]: n }, total: n, children: [...] }],
+ *     totals: { cells: { [id]: n }, total: n },
+ *     range:  [min, max],                   // over the innermost groups' cells (heatmap)
+ *   }
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Data-agnostic: dimensions and the measure are column names.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+/** Aggregations a pivot offers (ratio measures always use 'ratio'). */
+export const AGGREGATIONS = {
+  sum: 'Sum',
+  avg: 'Average',
+  min: 'Minimum',
+  max: 'Maximum',
+  count: 'Count of records',
+}
+
+/** Most column combinations shown; the largest (by total) are kept. */
+export const COLUMN_LIMIT = 50
+
+const SEP = '\u0000'
+
+const blank = (v) => v == null || v === ''
+
+const compareLabels = (a, b) => String(a).localeCompare(String(b), 'en-US', { numeric: true })
+
+function accumulator() {
+  return { sum: 0, count: 0, min: Infinity, max: -Infinity, per: 0 }
+}
+
+function add(acc, row, { measure, op, per }) {
+  if (op === 'count') {
+    acc.count += 1
+    return
+  }
+  if (op === 'ratio') {
+    const den = Number(row[per]) || 0
+    if (den > 0) {
+      acc.sum += Number(row[measure]) || 0
+      acc.per += den
+    }
+    return
+  }
+  const value = Number(row[measure])
+  if (blank(row[measure]) || Number.isNaN(value)) return
+  acc.sum += value
+  acc.count += 1
+  if (value < acc.min) acc.min = value
+  if (value > acc.max) acc.max = value
+}
+
+function finish(acc, op) {
+  if (op === 'ratio') return acc.per ? acc.sum / acc.per : 0
+  if (op === 'count') return acc.count
+  if (!acc.count) return null
+  if (op === 'avg') return acc.sum / acc.count
+  if (op === 'min') return acc.min
+  if (op === 'max') return acc.max
+  return acc.sum
+}
+
+function newNode(values) {
+  return { values, total: accumulator(), cells: new Map(), children: new Map() }
+}
+
+/**
+ * Pivot rows (already filtered).
+ *
+ * @param {Object[]} rows
+ * @param {{ rows: string[], columns: string[] }} layout – dimension columns
+ * @param {{ measure: string, op?: string, per?: string }} aggregate – op is
+ *   an AGGREGATIONS key or 'ratio' (sum(measure) / sum(per), see measures.js)
+ * @returns {Object} see RESULT above
+ */
+export function runPivot(rows, layout, { measure = 'TradeValue', op = 'sum', per } = {}) {
+  const rowDims = layout.rows || []
+  const colDims = layout.columns || []
+  const aggregate = { measure, op, per }
+  const root = newNode([])
+  const columns = new Map()
+
+  const update = (node, columnId, row) => {
+    add(node.total, row, aggregate)
+    if (!node.cells.has(columnId)) node.cells.set(columnId, accumulator())
+    add(node.cells.get(columnId), row, aggregate)
+  }
+
+  rows.forEach((row) => {
+    // Rows with a blank dimension are skipped, like runQuery's groupBy
+    if (rowDims.some((d) => blank(row[d])) || colDims.some((d) => blank(row[d]))) return
+    const columnValues = colDims.map((d) => row[d])
+    const columnId = columnValues.join(SEP)
+    if (!columns.has(columnId)) columns.set(columnId, columnValues)
+
+    let node = root
+    update(node, columnId, row)
+    rowDims.forEach((d) => {
+      const value = row[d]
+      if (!node.children.has(value)) node.children.set(value, newNode([...node.values, value]))
+      node = node.children.get(value)
+      update(node, columnId, row)
+    })
+  })
+
+  // Column combinations in label order, capped to the largest COLUMN_LIMIT.
+  // Without column dimensions there are only the row totals.
+  let columnKeys = colDims.length
+    ? Array.from(columns, ([id, values]) => ({ id, values, label: values.join(' · ') }))
+    : []
+  const columnCount = columnKeys.length
+  if (columnCount > COLUMN_LIMIT) {
+    const size = (key) => finish(root.cells.get(key.id), op) ?? -Infinity
+    columnKeys = columnKeys.sort((a, b) => size(b) - size(a)).slice(0, COLUMN_LIMIT)
+  }
+  columnKeys.sort((a, b) => {
+    for (let i = 0; i < a.values.length; i++) {
+      const order = compareLabels(a.values[i], b.values[i])
+      if (order) return order
+    }
+    return 0
+  })
+
+  const cellsOf = (node) => Object.fromEntries(columnKeys
+    .filter((key) => node.cells.has(key.id))
+    .map((key) => [key.id, finish(node.cells.get(key.id), op)]))
+
+  let min = Infinity
+  let max = -Infinity
+  const build = (node, depth) => {
+    const cells = cellsOf(node)
+    const total = finish(node.total, op)
+    const leaf = depth === rowDims.length - 1
+    if (leaf) {
+      // Heatmap range: the cells, or the totals when there are no columns
+      const values = colDims.length ? Object.values(cells) : [total]
+      values.forEach((v) => {
+        if (v == null) return
+        if (v < min) min = v
+        if (v > max) max = v
+      })
+    }
+    const children = [...node.children.values()]
+    // Numeric dimensions (years) read in order; others largest first
+    const numeric = children.every((child) => typeof child.values[depth + 1] === 'number')
+    children.sort(numeric
+      ? (a, b) => a.values[depth + 1] - b.values[depth + 1]
+      : (a, b) => (finish(b.total, op) ?? -Infinity) - (finish(a.total, op) ?? -Infinity))
+    return {
+      id: node.values.join(SEP),
+      values: node.values,
+      depth,
+      cells,
+      total,
+      children: children.map((child) => build(child, depth + 1)),
+    }
+  }
+
+  const tree = build(root, -1)
+  return {
+    rows: rowDims,
+    columns: colDims,
+    columnKeys,
+    columnCount,
+    groups: tree.children,
+    totals: { cells: tree.cells, total: tree.total },
+    range: min <= max ? [min, max] : null,
+  }
+}
+
+/**
+ * Display rows for the groups that are open: each group, then its children
+ * when its id is in `expanded`; the grand total last.
+ *
+ * @param {Object} result – from runPivot()
+ * @param {Set<string>} expanded – open group ids
+ * @returns {Object[]} { id, label, depth, group, open, leaf, grand, cells, total }
+ */
+export function flattenPivot(result, expanded) {
+  const out = []
+  const walk = (groups) => groups.forEach((g) => {
+    const group = g.children.length > 0
+    const open = group && expanded.has(g.id)
+    out.push({
+      id: g.id, label: g.values[g.depth], depth: g.depth, group, open,
+      leaf: g.depth === result.rows.length - 1, cells: g.cells, total: g.total,
+    })
+    if (open) walk(g.children)
+  })
+  walk(result.groups)
+  out.push({ id: '', label: 'Grand total', depth: 0, grand: true, cells: result.totals.cells, total: result.totals.total })
+  return out
+}
+
+/** Every group id that can be expanded. */
+export function groupIds(result) {
+  const ids = []
+  const walk = (groups) => groups.forEach((g) => {
+    if (!g.children.length) return
+    ids.push(g.id)
+    walk(g.children)
+  })
+  walk(result.groups)
+  return ids
+}
+
+/**
+ * The whole pivot as flat records for download: one per group at every
+ * level (deeper dimensions read "All" on subtotal rows), then the grand
+ * total. Keys: the row dimensions, each column combination, "Total".
+ *
+ * @param {Object} result – from runPivot()
+ * @returns {Object[]}
+ */
+export function pivotRecords(result) {
+  const record = (values, cells, total, first) => ({
+    ...Object.fromEntries(result.rows.map((d, i) => [d, i < values.length ? values[i] : i === 0 ? first : 'All'])),
+    ...Object.fromEntries(result.columnKeys.map((key) => [key.label, cells[key.id] ?? null])),
+    Total: total,
+  })
+  const out = []
+  const walk = (groups) => groups.forEach((g) => {
+    out.push(record(g.values, g.cells, g.total, 'All'))
+    walk(g.children)
+  })
+  walk(result.groups)
+  out.push(record([], result.totals.cells, result.totals.total, 'Grand total'))
+  return out
+}
@@ -0,0 +1,92 @@
+/**
+ * ── provenance.js ───────────────────────────────────────────────────────────
+ * Where an Ask AI answer's numbers came from, so reviewers can audit them.
+ * Each assistant message carries one provenance record:
+ *
+ *   { dataset: 'btsUsState', datasetLabel, filters: { Year: ['2023'] },
+ *     aggregation: 'Sum of TradeValue by State, top 10', rowCount: 1234 }
+ *
+ * `filters` are keyed by column and are exactly the ones the answer applied
+ * (page filters plus values named in the question, e.g. POE = Laredo), so
+ * provenanceQuery() can re-select the same records in the data worker for
+ * the "Show the rows" table (components/ai/ProvenanceBlock.jsx). Rows aren't stored with the
+ * message — the history stays small, and re-selecting from the same data
+ * files gives the same rows.
+ *
+ * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────────
+ * Map any new filter key to its column in FILTER_COLUMNS.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { DATASETS } from '@/lib/datasets'
+
+/** URL filter key → column. Values may be a string or a list. */
+export const FILTER_COLUMNS = {
+  year: 'Year',
+  tradeType: 'TradeType',
+  mode: 'Mode',
+  state: 'State',
+  commodityGroup: 'CommodityGroup',
+  region: 'Region',
+  port: 'POE',
+}
+
+/** A filter value as a list of strings ('' and [] → []). */
+export const filterValues = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(String)
+
+/**
+ * URL filters ({ year: '2023', mode: ['Rail'] }) as column filters
+ * ({ Year: ['2023'], Mode: ['Rail'] }); keys that aren't data filters (the
+ * period comparison, say) are dropped. With `columns`, filters on other
+ * columns are dropped, so a port filter left over from the Border Ports page
+ * doesn't empty the state data.
+ */
+export function toColumnFilters(filters, columns) {
+  const result = {}
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    const column = FILTER_COLUMNS[key]
+    const values = filterValues(value)
+    if (column && values.length && (!columns || columns.includes(column))) result[column] = values
+  })
+  return result
+}
+
+/** Column filters back to URL filter keys; columns without a key are dropped. */
+export function toFilterKeys(columnFilters) {
+  const result = {}
+  Object.entries(FILTER_COLUMNS).forEach(([key, column]) => {
+    const values = filterValues(columnFilters?.[column])
+    if (values.length) result[key] = values
+  })
+  return result
+}
+
+/**
+ * Provenance for an answer computed from `rows` of `dataset`.
+ *
+ * @param {string} dataset     – registry key the rows came from
+ * @param {Object} filters     – column filters applied to get `rows`
+ *                               ({ Year: [2023] }; empty ones are dropped)
+ * @param {string} aggregation – what was computed, e.g. 'Sum of TradeValue by Mode'
+ * @param {Object[]} rows      – the records the figures were computed from
+ */
+export function createProvenance(dataset, filters, aggregation, rows) {
+  return {
+    dataset,
+    datasetLabel: DATASETS[dataset]?.label || dataset,
+    filters: Object.fromEntries(Object.entries(filters || {})
+      .map(([column, value]) => [column, filterValues(value)])
+      .filter(([, values]) => values.length)),
+    aggregation,
+    rowCount: rows.length,
+  }
+}
+
+/** The provenance record if it names a registered dataset, else null. */
+export function validProvenance(provenance) {
+  return provenance && provenance.dataset in DATASETS ? provenance : null
+}
+
+/** The data-worker query (lib/dataQuery.js) that re-selects the records behind an answer. */
+export function provenanceQuery(provenance) {
+  return { rows: true, where: provenance.filters }
+}
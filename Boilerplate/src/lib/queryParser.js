@@ -0,0 +1,394 @@
+/**
+ * ── queryParser.js ──────────────────────────────────────────────────────────
+ * Turns a plain-English question into a group / filter / sort query over any
+ * loaded dataset, for the offline Ask AI answers (lib/aiClient.js). Nothing
+ * here knows about trade data: the vocabulary is read from the dataset
+ * registry (column names, `rename` sources, `types`) and from the distinct
+ * values in the rows, so the mock assistant keeps working when new datasets
+ * are added.
+ *
+ *   const schema = getSchema('txBorderPorts', rows)
+ *   const query = parseQuestion('top 5 ports by weight in 2022', schema)
+ *   // { measure: 'WeightTons', agg: 'sum', groupBy: 'POE',
+ *   //   filters: { Year: [2022] }, limit: 5, order: 'desc', … }
+ *   const { groups, total, rows: matched } = runQuery(rows, query)
+ *   describeQuery(query)   // 'Sum of WeightTons by POE, top 5'
+ *
+ * What a question can contain:
+ *   - values   — any value of a text column ("Laredo", "rail", "exports")
+ *                filters that column; two or more values of one column
+ *                compare them (grouped by that column)
+ *   - columns  — a column name or alias ("states", "port of entry") groups
+ *                by it
+ *   - years    — "in 2022", "2019 to 2022", "since 2020" filter the year
+ *                column; "over time", "trend", "by year" group by it
+ *   - measures — a numeric column ("weight", "tons"); default is the first
+ *   - ranking  — "top 5", "bottom 3", "lowest" set the limit and order
+ *   - counts   — "average" / "mean"; "how many ports" counts distinct
+ *                values; "number of records by mode" counts rows
+ *
+ * Column roles come from registry `types` ('year' → time, 'number' →
+ * measure, 'text' → dimension), else from the values in the first rows.
+ * Filters are keyed by column ({ Year: [2022], Mode: ['Rail'] }) — see
+ * toColumnFilters() in lib/provenance.js for the URL filter keys.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Column names (and `rename` sources) in lib/datasets.js are the words the
+ * parser matches, so give columns readable names.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { DATASETS } from '@/lib/datasets'
+import { MEASURES } from '@/lib/measures'
+
+/** Text columns with more distinct values than this aren't matched by value. */
+const MAX_DISTINCT = 2000
+/** Rows inspected to guess the role of untyped columns. */
+const SAMPLE_SIZE = 50
+/** Limit for "top" / "bottom" without a number. */
+const DEFAULT_LIMIT = 10
+
+/** Values too generic (or too short) to read as a filter. */
+const STOP_VALUES = new Set(['all', 'other', 'others', 'total', 'none', 'unknown', 'n/a', 'and', 'the', 'for', 'not'])
+/** Words in column names that say nothing on their own. */
+const STOP_WORDS = new Set(['of', 'the', 'and', 'per', 'by', 'in', 'to', 'value', 'name', 'code', 'type', 'metric'])
+
+const TREND_INTENT = /\b(over time|trends?|by year|per year|each year|yearly|annual(?:ly)?|year[- ]over[- ]year|growth|grow(?:n|ing)?|changed?|history|historical)\b/
+const AVG_INTENT = /\b(average|avg|mean)\b/
+const COUNT_INTENT = /\b(how many|number of|count)\b/
+const SPLIT_INTENT = /\b(by|per|each)\b/
+const RANK = /\b(top|bottom|largest|biggest|highest|smallest|lowest|least|fewest)\s+(\d{1,3})\b/
+const RANK_WORDS = /\b(top|bottom)\b/
+const ASCENDING = /\b(bottom|smallest|lowest|least|fewest)\b/
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/** Words of a column name: 'CommodityGroup' → 'commodity group', 'POE' → 'poe'. */
+export function columnWords(column) {
+  return column
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/[_\-.]+/g, ' ')
+    .toLowerCase()
+    .trim()
+}
+
+/** Whole-word pattern for a term; the last word may be plural. */
+function termPattern(term) {
+  const words = term.split(/\s+/).map(escapeRegExp)
+  const last = words.pop()
+  const plural = last.endsWith('y') ? `${last.slice(0, -1)}(?:y|ies)` : `${last}(?:e?s)?`
+  return new RegExp(`(?<![\\w])${[...words, plural].join('\\s+')}(?![\\w])`, 'g')
+}
+
+/** Names a column answers to: its words, rename sources, the head of "port of entry". */
+function columnAliases(column, config, role) {
+  const aliases = new Set([columnWords(column)])
+  Object.entries(config.rename || {}).forEach(([source, canonical]) => {
+    if (canonical === column) aliases.add(columnWords(source))
+  })
+  if (role === 'measure') {
+    Object.values(MEASURES).forEach((m) => {
+      if (m.column === column && !m.per) aliases.add(m.label.toLowerCase().replace(/[()]/g, ''))
+    })
+  }
+  ;[...aliases].forEach((alias) => {
+    const head = alias.split(' of ')[0]
+    if (head !== alias) aliases.add(head)
+    // Measures also answer to their single words ("tons", "pounds")
+    if (role === 'measure') {
+      alias.split(' ').filter((w) => w.length > 2 && !STOP_WORDS.has(w)).forEach((w) => aliases.add(w))
+    }
+  })
+  return [...aliases]
+}
+
+/**
+ * Terms a value is matched by: itself, its short form ("El Paso + Ysleta" →
+ * "el paso") and its name without a code prefix ("84 - 85  Machinery").
+ */
+function valueTerms(value) {
+  const full = String(value).toLowerCase().trim()
+  const named = full.replace(/^[\d\s.\-–]+/, '')
+  const short = named.split(/\s+[+/(,]\s*|\s*\(/)[0].trim()
+  return [...new Set([full, named, short])].filter((t) => t.length >= 3 && !STOP_VALUES.has(t) && !/^\d+$/.test(t))
+}
+
+function columnRole(column, type, sample) {
+  if (type === 'year') return 'time'
+  if (type === 'number') return 'measure'
+  if (type === 'text') return 'dimension'
+  const value = sample.map((d) => d[column]).find((v) => v != null && v !== '')
+  if (typeof value === 'number') return /year/i.test(column) ? 'time' : 'measure'
+  return typeof value === 'string' ? 'dimension' : null
+}
+
+function buildSchema(datasetKey, rows) {
+  const config = DATASETS[datasetKey] || {}
+  const sample = rows.slice(0, SAMPLE_SIZE)
+  const columns = Object.keys(rows[0])
+  const roles = Object.fromEntries(columns.map((c) => [c, columnRole(c, config.types?.[c], sample)]))
+
+  // Registered measures first, in MEASURES order, so 'value' stays the default
+  const measureOrder = Object.values(MEASURES).map((m) => m.column)
+  const measures = columns
+    .filter((c) => roles[c] === 'measure')
+    .sort((a, b) => (measureOrder.indexOf(a) + 1 || Infinity) - (measureOrder.indexOf(b) + 1 || Infinity))
+    .map((column) => ({
+      column,
+      unit: Object.values(MEASURES).find((m) => m.column === column && !m.per)?.unit || null,
+      patterns: columnAliases(column, config, 'measure').map((a) => termPattern(a)),
+    }))
+
+  const dimensionColumns = columns.filter((c) => roles[c] === 'dimension')
+  const distinct = Object.fromEntries(dimensionColumns.map((c) => [c, new Set()]))
+  rows.forEach((d) => {
+    dimensionColumns.forEach((c) => {
+      const set = distinct[c]
+      if (set.size <= MAX_DISTINCT && d[c] != null && d[c] !== '') set.add(d[c])
+    })
+  })
+  // Columns the registry declares win ties over extra columns in the file
+  const declared = new Set([
+    ...Object.keys(config.types || {}), ...(config.requiredColumns || []), ...(config.optionalColumns || []),
+  ])
+  const dimensions = dimensionColumns.map((column) => {
+    const values = distinct[column].size > MAX_DISTINCT ? [] : [...distinct[column]]
+    return {
+      column,
+      rank: (declared.has(column) ? MAX_DISTINCT + 1 : 0) + distinct[column].size,
+      cardinality: distinct[column].size,
+      patterns: columnAliases(column, config, 'dimension').map((a) => termPattern(a)),
+      values: values.map((value) => ({ value, patterns: valueTerms(value).map((t) => termPattern(t)) })),
+    }
+  })
+
+  const timeColumn = columns.find((c) => roles[c] === 'time')
+  const time = timeColumn && {
+    column: timeColumn,
+    patterns: columnAliases(timeColumn, config, 'time').map((a) => termPattern(a)),
+    values: [...new Set(rows.map((d) => d[timeColumn]).filter((v) => v != null))].sort((a, b) => a - b),
+  }
+
+  return { dataset: datasetKey, label: config.label || datasetKey, columns, measures, dimensions, time }
+}
+
+const schemaCache = new WeakMap()
+
+/**
+ * Columns, roles, aliases and distinct values of a dataset's rows. Cached
+ * per rows array, so it is rebuilt only when the data is reloaded.
+ *
+ * @param {string} datasetKey – registry key (for types and rename sources)
+ * @param {Object[]} rows     – the loaded records
+ * @returns {Object|null} null when there are no rows
+ */
+export function getSchema(datasetKey, rows) {
+  if (!rows?.length) return null
+  if (!schemaCache.has(rows)) schemaCache.set(rows, buildSchema(datasetKey, rows))
+  return schemaCache.get(rows)
+}
+
+/** Every match of any pattern in `q`: [{ start, end }]. */
+function findAll(q, patterns) {
+  const found = []
+  patterns.forEach((pattern) => {
+    pattern.lastIndex = 0
+    for (const m of q.matchAll(pattern)) found.push({ start: m.index, end: m.index + m[0].length })
+  })
+  return found
+}
+
+/** Years the question names — single years, "2019 to 2022", "since 2020". */
+function parseYears(q, time, claim) {
+  const known = (y) => time.values.includes(y)
+  const range = q.match(/\bbetween\s+((?:19|20)\d\d)\s+and\s+((?:19|20)\d\d)\b/)
+    || q.match(/\b(?:from\s+)?((?:19|20)\d\d)\s*(?:-|–|to|through)\s*((?:19|20)\d\d)\b/)
+  if (range) {
+    claim(range.index, range.index + range[0].length)
+    const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b)
+    return time.values.filter((y) => y >= from && y <= to)
+  }
+  const open = q.match(/\b(since|after|from|before|until)\s+((?:19|20)\d\d)\b/)
+  if (open) {
+    claim(open.index, open.index + open[0].length)
+    const year = Number(open[2])
+    if (open[1] === 'after') return time.values.filter((y) => y > year)
+    if (open[1] === 'before') return time.values.filter((y) => y < year)
+    if (open[1] === 'until') return time.values.filter((y) => y <= year)
+    return time.values.filter((y) => y >= year)
+  }
+  const years = []
+  for (const m of q.matchAll(/\b(?:19|20)\d\d\b/g)) {
+    if (known(Number(m[0]))) {
+      claim(m.index, m.index + m[0].length)
+      years.push(Number(m[0]))
+    }
+  }
+  return [...new Set(years)]
+}
+
+/**
+ * Read a question against a schema.
+ *
+ * @returns {{ measure: string|null, unit: string|null, agg: 'sum'|'avg'|'count',
+ *   distinct: string|null, groupBy: string|null, trend: boolean,
+ *   filters: Object, limit: number|null, order: 'asc'|'desc', score: number }}
+ *   `score` counts the terms matched against this schema (0 → nothing
+ *   recognised); lib/aiClient.js uses it to pick the dataset to answer from.
+ */
+export function parseQuestion(question, schema) {
+  const q = question.toLowerCase()
+  const taken = []
+  const isFree = ({ start, end }) => !taken.some(([s, e]) => start < e && s < end)
+  const claim = (start, end) => taken.push([start, end])
+  const filters = {}
+  let score = 0
+
+  // Years first, so "2022" is never read as anything else
+  if (schema.time) {
+    const years = parseYears(q, schema.time, claim)
+    if (years.length) {
+      filters[schema.time.column] = years
+      score += 1
+    }
+  }
+
+  // Values, then column names — longest match first, no overlaps ("el paso +
+  // ysleta" before "el paso", "commodity group" before "commodity"). Equal
+  // value matches go to a declared column, then to the one with more values.
+  const longestFirst = (a, b) => (b.end - b.start) - (a.end - a.start) || b.rank - a.rank || a.start - b.start
+  schema.dimensions
+    .flatMap((dim) => dim.values.flatMap(({ value, patterns }) =>
+      findAll(q, patterns).map((m) => ({ ...m, column: dim.column, value, rank: dim.rank }))))
+    .sort(longestFirst)
+    .forEach((m) => {
+      if (!isFree(m)) return
+      claim(m.start, m.end)
+      filters[m.column] = [...new Set([...(filters[m.column] || []), m.value])]
+      score += 2
+    })
+
+  const columns = [
+    ...schema.dimensions.map((item) => ({ item, role: 'dimension' })),
+    ...schema.measures.map((item) => ({ item, role: 'measure' })),
+    ...(schema.time ? [{ item: schema.time, role: 'time' }] : []),
+  ]
+  const named = new Map()
+  columns
+    .flatMap((c, i) => findAll(q, c.item.patterns).map((m) => ({ ...m, ...c, rank: -i })))
+    .sort(longestFirst)
+    .forEach((m) => {
+      if (!isFree(m)) return
+      claim(m.start, m.end)
+      if (!named.has(m.item)) named.set(m.item, m)
+    })
+  const inOrder = [...named.values()].sort((a, b) => a.start - b.start)
+  const dimensions = inOrder.filter((m) => m.role === 'dimension')
+  const measures = inOrder.filter((m) => m.role === 'measure')
+  const timeNamed = inOrder.some((m) => m.role === 'time')
+  score += inOrder.length
+
+  // Group by: trend words → time; else a named column that isn't pinned to one value
+  const single = (column) => filters[column]?.length === 1
+  const trend = !!schema.time && TREND_INTENT.test(q) && !single(schema.time.column)
+  if (trend) score += 1
+  let groupBy = null
+  if (trend) groupBy = schema.time.column
+  else {
+    groupBy = dimensions.map(({ item }) => item.column).find((c) => !single(c))
+      || Object.keys(filters).find((c) => c !== schema.time?.column && filters[c].length > 1)
+      || (timeNamed && !single(schema.time.column) ? schema.time.column : null)
+  }
+
+  // Aggregation
+  let agg = AVG_INTENT.test(q) ? 'avg' : 'sum'
+  let distinct = null
+  if (COUNT_INTENT.test(q)) {
+    if (groupBy && groupBy !== schema.time?.column && !SPLIT_INTENT.test(q)) {
+      distinct = groupBy
+      groupBy = null
+    } else {
+      agg = 'count'
+    }
+  }
+
+  const measure = measures[0]?.item || schema.measures[0] || null
+  const rank = q.match(RANK)
+  const limit = rank ? Number(rank[2]) : RANK_WORDS.test(q) ? DEFAULT_LIMIT : null
+
+  return {
+    measure: measure?.column || null,
+    unit: measure?.unit || null,
+    agg: measure ? agg : 'count',
+    distinct,
+    groupBy,
+    trend,
+    filters,
+    limit: groupBy && !trend ? limit : null,
+    order: ASCENDING.test(q) ? 'asc' : 'desc',
+    score,
+  }
+}
+
+/**
+ * Rows matching every column filter ({ column: values[] }). Values compare as
+ * strings; filters on columns the rows don't have are ignored.
+ */
+export function applyColumnFilters(rows, filters) {
+  if (!rows?.length || !filters) return rows
+  const active = Object.entries(filters)
+    .filter(([column, values]) => column in rows[0] && values?.length)
+    .map(([column, values]) => [column, new Set(values.map(String))])
+  if (!active.length) return rows
+  return rows.filter((d) => active.every(([column, values]) => values.has(String(d[column]))))
+}
+
+function aggregate(rows, query) {
+  if (query.distinct) {
+    return new Set(rows.map((d) => d[query.distinct]).filter((v) => v != null && v !== '')).size
+  }
+  if (query.agg === 'count') return rows.length
+  const sum = rows.reduce((s, d) => s + (Number(d[query.measure]) || 0), 0)
+  return query.agg === 'avg' ? (rows.length ? sum / rows.length : 0) : sum
+}
+
+/**
+ * Run a parsed query.
+ *
+ * @returns {{ rows: Object[], total: number, groups: { label, value }[] }}
+ *   `rows` are the filtered records, `total` their aggregate, `groups` one
+ *   entry per `groupBy` value — by year for trends, else ranked and limited.
+ */
+export function runQuery(rows, query) {
+  const filtered = applyColumnFilters(rows, query.filters)
+  const total = aggregate(filtered, query)
+  if (!query.groupBy) return { rows: filtered, total, groups: [] }
+
+  const byKey = new Map()
+  filtered.forEach((d) => {
+    const key = d[query.groupBy]
+    if (key == null || key === '') return
+    if (!byKey.has(key)) byKey.set(key, [])
+    byKey.get(key).push(d)
+  })
+  let groups = [...byKey].map(([label, members]) => ({ label, value: aggregate(members, query) }))
+  if (query.trend) {
+    groups.sort((a, b) => a.label - b.label)
+  } else {
+    groups.sort((a, b) => (query.order === 'asc' ? a.value - b.value : b.value - a.value))
+    if (query.limit) groups = groups.slice(0, query.limit)
+  }
+  return { rows: filtered, total, groups }
+}
+
+/** 'Sum of TradeValue by POE, top 5' — the aggregation, for provenance. */
+export function describeQuery(query) {
+  const what = query.distinct
+    ? `Count of distinct ${query.distinct}`
+    : query.agg === 'count'
+      ? 'Count of rows'
+      : `${query.agg === 'avg' ? 'Average' : 'Sum'} of ${query.measure}`
+  const by = query.groupBy ? ` by ${query.groupBy}` : ''
+  const rank = query.limit ? `, ${query.order === 'asc' ? 'bottom' : 'top'} ${query.limit}` : ''
+  return `${what}${by}${rank}`
+}
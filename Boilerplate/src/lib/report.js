@@ -0,0 +1,241 @@
+/**
+ * ── report.js ───────────────────────────────────────────────────────────────
+ * Report builder: ChartCards ticked across pages plus text notes, turned into
+ * one print-ready HTML document — a title page with the filters used, then
+ * every chart and table with its page, filters and data source. Printing it
+ * with "Save as PDF" gives a paginated PDF; everything happens in the browser.
+ *
+ * Report items (kept in stores/reportStore.js, in the order shown):
+ *
+ *   { id, type: 'card', key, title, subtitle, path, search,
+ *     chart: { markup, width, height } | null,   — SVG snapshot (vector)
+ *     table: { columns: [label], rows: [[text]], total } | null,
+ *     capturedAt }
+ *   { id, type: 'note', text }
+ *
+ * Cards are captured when ticked, so each one keeps the filters, zoom and
+ * sort it had at that moment, even after moving to another page.
+ *
+ * ── BOILERPLATE: WHAT TO CHANGE FOR A NEW PROJECT ───────────────────────────
+ * - DATA_SOURCE: the agency / source line, as in components/layout/Footer.jsx.
+ * - Per-card sources come from the datasets registered for the card's page
+ *   in lib/datasets.js — nothing to change when swapping datasets.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { DATASETS } from '@/lib/datasets'
+import { brand } from '@/lib/tokens'
+import { chartSvgMarkup } from '@/lib/exportPng'
+import { describeViewFilters, viewPageLabel } from '@/lib/savedViews'
+import { cellText } from '@/lib/tableFilters'
+import { downloadBlob } from '@/lib/downloadCsv'
+
+const DATA_SOURCE = 'Bureau of Transportation Statistics (BTS), 2013–2024'
+
+/** Rows of a table printed in full; longer tables note the remainder. */
+const TABLE_ROW_LIMIT = 50
+
+/** Identifies a card across pages (titles are unique per page). */
+export const reportCardKey = (path, title) => `${path}::${title}`
+
+/** Datasets read by a page, as "Label (file.csv)". */
+function pageSources(path) {
+  return Object.values(DATASETS)
+    .filter((config) => (config.pages || []).some((page) => page.path === path))
+    .map((config) => `${config.label} (${config.file})`)
+}
+
+/** Everything a page's figures come from: its datasets, then DATA_SOURCE. */
+export const dataSources = (path) => [...pageSources(path), DATA_SOURCE]
+
+/** "Source: …. Filters: …." caption for a chart on `path` (image exports). */
+export function sourceCaption(path, search) {
+  return `Source: ${dataSources(path).join('; ')}. Filters: ${describeViewFilters(search)}.`
+}
+
+/**
+ * Plain-text copy of a DataTable ({ columns, rows } from CardViewContext),
+ * dropping columns that only render graphics (e.g. sparklines).
+ */
+function tableSnapshot(table) {
+  if (!table?.rows?.length) return null
+  const rows = table.rows.slice(0, TABLE_ROW_LIMIT)
+  const columns = table.columns.filter((col) => rows.some((row) => cellText(col, row) !== ''))
+  if (!columns.length) return null
+  return {
+    columns: columns.map((col) => col.label),
+    rows: rows.map((row) => columns.map((col) => cellText(col, row))),
+    total: table.rows.length,
+  }
+}
+
+/**
+ * Snapshot a ChartCard for the report. Returns null if the card shows
+ * neither a chart nor a table yet (e.g. still loading).
+ *
+ * @param {Object} card
+ * @param {HTMLElement} card.container – the card's chart area
+ * @param {Object}     [card.table]    – { columns, rows } of its DataTable
+ * @param {string}      card.title
+ * @param {string}     [card.subtitle]
+ * @param {string}      card.path      – route the card is on
+ * @param {string}      card.search    – that route's query string
+ */
+export function captureCard({ container, table, title, subtitle, path, search }) {
+  const snapshot = tableSnapshot(table)
+  // A table card has no chart of its own (only icons), so skip its SVGs
+  const chart = snapshot ? null : chartSvgMarkup(container)
+  if (!chart && !snapshot) return null
+  return {
+    id: crypto.randomUUID(),
+    type: 'card',
+    key: reportCardKey(path, title),
+    title,
+    subtitle: subtitle || '',
+    path,
+    search: search || '',
+    chart,
+    table: snapshot,
+    capturedAt: Date.now(),
+  }
+}
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+
+/** Notes keep their paragraphs and line breaks. */
+const noteHtml = (text) =>
+  text.trim().split(/\n{2,}/).map((para) => `<p>${escapeHtml(para).replace(/\n/g, '<br>')}</p>`).join('')
+
+function tableHtml(table) {
+  const head = table.columns.map((label) => `<th>${escapeHtml(label)}</th>`).join('')
+  const body = table.rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('')
+  const more = table.total > table.rows.length
+    ? `<p class="muted">First ${table.rows.length} of ${table.total.toLocaleString('en-US')} rows — download the CSV from the dashboard for all of them.</p>`
+    : ''
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>${more}`
+}
+
+function cardHtml(item) {
+  return `
+<section class="card">
+  <h2>${escapeHtml(item.title)}</h2>
+  ${item.subtitle ? `<p class="subtitle">${escapeHtml(item.subtitle)}</p>` : ''}
+  ${item.chart ? `<div class="chart">${item.chart.markup}</div>` : ''}
+  ${item.table ? tableHtml(item.table) : ''}
+  <footer>
+    <div>${escapeHtml(viewPageLabel(item.path))} · Filters: ${escapeHtml(describeViewFilters(item.search))}</div>
+    <div>Source: ${escapeHtml(dataSources(item.path).join('; '))}</div>
+  </footer>
+</section>`
+}
+
+/** The distinct page + filter combinations the report's cards were taken with. */
+function filterSummary(items) {
+  const seen = new Map()
+  items.filter((item) => item.type === 'card').forEach((item) => {
+    const key = `${item.path}${item.search}`
+    if (!seen.has(key)) {
+      seen.set(key, `<li><strong>${escapeHtml(viewPageLabel(item.path))}</strong> — ${escapeHtml(describeViewFilters(item.search))}</li>`)
+    }
+  })
+  return [...seen.values()].join('')
+}
+
+const STYLES = `
+  @page { size: letter; margin: 0.6in 0.6in 0.7in; }
+  @page { @bottom-right { content: counter(page) " / " counter(pages); font: 9pt ${brand.fontPrimary}; color: ${brand.textSecondary}; } }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 11pt/1.45 ${brand.fontPrimary}; color: ${brand.textPrimary}; }
+  main { max-width: 7.3in; margin: 0 auto; padding: 0.4in 0; }
+  h1 { font-size: 26pt; color: ${brand.primary}; margin: 1.6in 0 0.1in; }
+  h2 { font-size: 14pt; margin: 0 0 2pt; }
+  h3 { font-size: 11pt; text-transform: uppercase; letter-spacing: 0.05em; color: ${brand.textSecondary}; margin: 0.3in 0 4pt; }
+  .title-page { break-after: page; }
+  .title-page .date { color: ${brand.textSecondary}; font-size: 12pt; }
+  .title-page ol, .title-page ul { padding-left: 1.2em; margin: 0; }
+  .card, .note { break-inside: avoid; margin: 0 0 0.35in; }
+  .subtitle, .muted { color: ${brand.textSecondary}; margin: 0 0 6pt; }
+  .chart svg { display: block; max-width: 100%; height: auto; margin: 6pt auto 0; }
+  table { border-collapse: collapse; width: 100%; font-size: 9pt; margin-top: 6pt; }
+  th { text-align: left; background: ${brand.backgroundAlt}; border-bottom: 1px solid ${brand.border}; padding: 4pt 6pt; }
+  td { border-bottom: 1px solid ${brand.borderLight}; padding: 3pt 6pt; }
+  tr { break-inside: avoid; }
+  .card footer { margin-top: 6pt; padding-top: 4pt; border-top: 1px solid ${brand.borderLight}; font-size: 8.5pt; color: ${brand.textSecondary}; }
+  .note { border-left: 3px solid ${brand.primary}; padding: 2pt 0 2pt 10pt; }
+  .note p { margin: 0 0 6pt; }
+  @media screen { body { background: ${brand.backgroundAlt}; } main { background: #fff; padding: 0.6in; margin: 0.3in auto; box-shadow: 0 1px 4px rgba(0,0,0,0.1); } }
+`
+
+/**
+ * The report as a standalone HTML document.
+ *
+ * @param {{ title: string, items: Object[] }} report
+ * @returns {string}
+ */
+export function reportToHtml({ title, items }) {
+  const heading = title?.trim() || 'Dashboard report'
+  const cards = items.filter((item) => item.type === 'card')
+  const contents = cards.map((item) => `<li>${escapeHtml(item.title)}</li>`).join('')
+  const body = items.map((item) => (item.type === 'note'
+    ? `<section class="note">${noteHtml(item.text)}</section>`
+    : cardHtml(item))).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<section class="title-page">
+  <h1>${escapeHtml(heading)}</h1>
+  <p class="date">${formatDate(Date.now())}</p>
+  ${contents ? `<h3>Contents</h3><ol>${contents}</ol>` : ''}
+  ${cards.length ? `<h3>Filters</h3><ul>${filterSummary(items)}</ul>` : ''}
+  <h3>Data source</h3>
+  <p>${escapeHtml(DATA_SOURCE)}</p>
+</section>
+${body}
+</main>
+</body>
+</html>`
+}
+
+const reportFilename = (title) =>
+  (title?.trim() || 'dashboard-report').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'dashboard-report'
+
+/**
+ * Open the report in a new window and bring up the print dialog, where
+ * "Save as PDF" gives the PDF. Returns false if a popup blocker stopped it.
+ */
+export function printReport(report) {
+  const win = window.open('', '_blank')
+  if (!win) return false
+  win.document.open()
+  win.document.write(reportToHtml(report))
+  win.document.close()
+  // Let fonts and layout settle before printing (once, whichever comes first)
+  let printed = false
+  const print = () => {
+    if (printed) return
+    printed = true
+    win.focus()
+    win.print()
+  }
+  win.addEventListener('load', print, { once: true })
+  win.setTimeout(print, 500)
+  return true
+}
+
+/** Download the report as a standalone .html file. */
+export function downloadReport(report) {
+  const blob = new Blob([reportToHtml(report)], { type: 'text/html;charset=utf-8;' })
+  downloadBlob(blob, `${reportFilename(report.title)}.html`)
+}
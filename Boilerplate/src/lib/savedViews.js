@@ -0,0 +1,145 @@
+/**
+ * ── savedViews.js ───────────────────────────────────────────────────────────
+ * Saved views: named snapshots of a dashboard page that can be re-opened
+ * later or shared with a team as a JSON file.
+ *
+ *   { id, name, path: '/border-ports', search: '?year=2023&mode=Rail',
+ *     cards: { 'Trade by Port Over Time': { zoom: { min: 2019, max: 2023 } },
+ *              'Port Summary': { sort: [{ key: 'value', dir: 'desc' }] } },
+ *     selection: { port: 'Laredo', year: [2019, 2023] },
+ *     createdAt }
+ *
+ * `search` is the page's whole query string, so every URL filter
+ * (useUrlFilters, period comparison) is captured without knowing the page's
+ * keys. `cards` holds chart state that isn't in the URL, keyed by ChartCard
+ * title: the LineChart zoom range and the DataTable sort (a list of sorts,
+ * primary first; views saved before multi-column sorting hold a single
+ * { key, dir } and still open). `selection` holds the page's crossfilter
+ * selections (lib/useCrossfilter.js), keyed by dimension: a point value or
+ * an inclusive [min, max]. The views themselves live in stores/viewStore.js.
+ *
+ * Export file:
+ *   { format: 'dashboard-saved-views', version: 1, exportedAt, views: [...] }
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Any page with a FilterSidebar can be saved. Give ChartCards unique titles
+ * per page — the title is how chart state finds its card again.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { buildPageMap } from '@/lib/datasets'
+import { readFilterSearch } from '@/lib/useUrlFilters'
+import { describeFilterValues } from '@/lib/labels'
+import { normalizeSorts } from '@/lib/tableFilters'
+import { downloadBlob } from '@/lib/downloadCsv'
+
+const PAGE_MAP = buildPageMap()
+const FORMAT = 'dashboard-saved-views'
+const VERSION = 1
+const NAME_LENGTH = 60
+
+/** Page label for a route ('/border-ports' → 'TX Border Ports'). */
+export const viewPageLabel = (path) => PAGE_MAP[path]?.label || path
+
+/** "Year: 2023 · Mode: Rail" for a view's query string, or "none". */
+export function describeViewFilters(search) {
+  const keys = [...new URLSearchParams(search).keys()]
+  return describeFilterValues(readFilterSearch(search, keys))
+}
+
+const isRange = (zoom) => zoom && Number.isFinite(zoom.min) && Number.isFinite(zoom.max) && zoom.min <= zoom.max
+
+/** Keep only well-formed card state ({ zoom?, sort? } per title). */
+function cleanCards(cards) {
+  const result = {}
+  Object.entries(cards && typeof cards === 'object' ? cards : {}).forEach(([title, state]) => {
+    const kept = {}
+    if (isRange(state?.zoom)) kept.zoom = { min: state.zoom.min, max: state.zoom.max }
+    const sorts = normalizeSorts(state?.sort)
+    if (sorts.length) kept.sort = sorts
+    if (Object.keys(kept).length) result[title] = kept
+  })
+  return result
+}
+
+const isPoint = (value) => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))
+
+/** Keep only well-formed selections (a point value or a [min, max] per dimension). */
+function cleanSelection(selection) {
+  const result = {}
+  Object.entries(selection && typeof selection === 'object' ? selection : {}).forEach(([key, value]) => {
+    if (isPoint(value)) result[key] = value
+    else if (Array.isArray(value) && isRange({ min: value[0], max: value[1] })) result[key] = [value[0], value[1]]
+  })
+  return result
+}
+
+/**
+ * Build a view. Returns null without a name or a route.
+ *
+ * @param {string} name   – shown in the saved-views menu
+ * @param {string} path   – route, e.g. '/border-ports'
+ * @param {string} search – query string ('?year=2023' or '')
+ * @param {Object} cards  – { [ChartCard title]: { zoom?, sort? } }
+ * @param {Object} [selection] – { [crossfilter dimension]: value | [min, max] }
+ */
+export function createView(name, path, search, cards, selection) {
+  const trimmed = String(name ?? '').trim().slice(0, NAME_LENGTH)
+  if (!trimmed || typeof path !== 'string' || !path.startsWith('/')) return null
+  const query = typeof search === 'string' ? search : ''
+  return {
+    id: crypto.randomUUID(),
+    name: trimmed,
+    path,
+    search: query && !query.startsWith('?') ? `?${query}` : query,
+    cards: cleanCards(cards),
+    selection: cleanSelection(selection),
+    createdAt: Date.now(),
+  }
+}
+
+/** JSON export of views (pretty-printed). */
+export function viewsToJson(views) {
+  return JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    views: views.map(({ name, path, search, cards, selection, createdAt }) => ({
+      name, path, search, cards, selection, createdAt: new Date(createdAt).toISOString(),
+    })),
+  }, null, 2)
+}
+
+/**
+ * Read an export file. Views get fresh ids; malformed entries are skipped.
+ * Throws an Error with a readable message if the file isn't a views export.
+ *
+ * @returns {{ views: Object[], skipped: number }}
+ */
+export function parseViewsJson(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON.')
+  }
+  if (parsed?.format !== FORMAT || !Array.isArray(parsed.views)) {
+    throw new Error('The file is not a saved-views export.')
+  }
+  if (parsed.version > VERSION) {
+    throw new Error(`The file was written by a newer version (v${parsed.version}).`)
+  }
+  const views = parsed.views
+    .map((v) => {
+      const view = v && createView(v.name, v.path, v.search, v.cards, v.selection)
+      const createdAt = Date.parse(v?.createdAt)
+      return view && (Number.isNaN(createdAt) ? view : { ...view, createdAt })
+    })
+    .filter(Boolean)
+  return { views, skipped: parsed.views.length - views.length }
+}
+
+/** Download views as dashboard-views.json. */
+export function downloadViews(views) {
+  if (!views.length) return
+  downloadBlob(new Blob([viewsToJson(views)], { type: 'application/json;charset=utf-8;' }), 'dashboard-views.json')
+}
@@ -0,0 +1,88 @@
+/**
+ * ── tableClient.js ──────────────────────────────────────────────────────────
+ * Async API in front of the table worker (src/workers/tableWorker.js), used
+ * by virtual DataTables through the useTableQuery hook.
+ *
+ *   queryTable(id, table, query) → Promise<Int32Array>  (matching row indices, sorted)
+ *   releaseTable(id)                                      (the table unmounted)
+ *
+ * A table's column arrays (lib/tableFilters.js tableColumns()) are sent to
+ * the worker once and kept there; later queries on the same arrays only send
+ * the query. Like lib/dataClient.js, if the worker can't start or crashes,
+ * queries run on the main thread with the same code.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { queryRows } from '@/lib/tableFilters'
+
+let worker = null
+let failed = false
+let nextId = 0
+const pending = new Map()
+
+// Table id → the column arrays the worker holds for it
+const loaded = new Map()
+
+function getWorker() {
+  if (worker || failed || typeof Worker === 'undefined') return worker
+  try {
+    worker = new Worker(new URL('../workers/tableWorker.js', import.meta.url), { type: 'module' })
+  } catch (err) {
+    console.warn('[tableClient] Could not start table worker, using main thread:', err.message)
+    failed = true
+    return null
+  }
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data
+    const entry = pending.get(id)
+    if (!entry) return
+    pending.delete(id)
+    if (error) entry.reject(new Error(error))
+    else entry.resolve(result)
+  }
+  worker.onerror = (event) => {
+    event.preventDefault()
+    console.warn('[tableClient] Table worker failed, using main thread:', event.message)
+    worker.terminate()
+    worker = null
+    failed = true
+    loaded.clear()
+    pending.forEach(({ reject }) => reject(new Error('Table worker stopped')))
+    pending.clear()
+  }
+  return worker
+}
+
+/**
+ * Matching rows of a table, in sorted order.
+ *
+ * @param {string} id    – table id (one per mounted table)
+ * @param {Object} table – tableColumns() arrays
+ * @param {Object} query – { shown, search, filters, sorts } (see queryRows)
+ * @returns {Promise<Int32Array>} row indices
+ */
+export async function queryTable(id, table, query) {
+  const w = getWorker()
+  if (w) {
+    try {
+      if (loaded.get(id) !== table) {
+        w.postMessage({ type: 'load', table: id, columns: table })
+        loaded.set(id, table)
+      }
+      return await new Promise((resolve, reject) => {
+        const msgId = ++nextId
+        pending.set(msgId, { resolve, reject })
+        w.postMessage({ type: 'query', id: msgId, table: id, query })
+      })
+    } catch (err) {
+      // A crashed worker falls through to the main thread
+      if (worker) throw err
+    }
+  }
+  return queryRows(table, query)
+}
+
+/** Drop a table's arrays from the worker. */
+export function releaseTable(id) {
+  if (!loaded.delete(id)) return
+  worker?.postMessage({ type: 'release', table: id })
+}
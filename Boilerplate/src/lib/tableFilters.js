@@ -0,0 +1,202 @@
+/**
+ * ── tableFilters.js ─────────────────────────────────────────────────────────
+ * Search, per-column filters and sorting for DataTable. The table's state
+ * for them lives in stores/tableStore.js; this module only decides what
+ * matches and in which order.
+ *
+ * Each column gets a filter kind from its values (or its `filter` prop):
+ *   'number'   — every value is a number → min / max range
+ *   'category' — up to CATEGORY_LIMIT distinct values → pick from a list
+ *   'text'     — anything else → "contains"
+ *   null       — no values to filter (e.g. a Sparkline column)
+ *
+ * Filters:  { [column key]: { value } | { min, max } | { values: [] } }
+ *
+ * Sorts:    [{ key, dir: 'asc' | 'desc' }, ...] — the first is the primary
+ *           sort, later ones break its ties
+ *
+ * Text filters, category lists and the search box match the text a cell
+ * shows (its `render` output when that is a string, e.g. "$1.2B"); number
+ * ranges compare the underlying value, and accept "1.5B" / "$250K" style
+ * amounts.
+ *
+ * A virtual DataTable runs the same matching in the table worker
+ * (src/workers/tableWorker.js): tableColumns() turns its rows into plain
+ * per-column arrays the worker can hold, and queryRows() answers a query
+ * over them with the matching row indices in sorted order.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Data-agnostic. Set `filter: 'text' | 'number' | 'category' | false` on a
+ * column definition to override the detected kind.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+/** Columns with at most this many distinct values filter by value list. */
+export const CATEGORY_LIMIT = 30
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 }
+
+/**
+ * A cell as plain text: a string/number from `render`, else the raw value.
+ * Numbers read as the table shows them (2024, not "2,024").
+ */
+export function cellText(column, row) {
+  const value = row[column.key]
+  const rendered = column.render ? column.render(value, row) : value
+  const text = typeof rendered === 'string' || typeof rendered === 'number' ? rendered : value
+  if (text == null || typeof text === 'object') return ''
+  return String(text)
+}
+
+/** '1,500' → 1500, '$1.5B' → 1.5e9, '-250k' → -250000; '' or junk → null. */
+export function parseAmount(input) {
+  const match = String(input ?? '').trim().replace(/[$,\s]/g, '').match(/^(-?\d*\.?\d+)([kmbt])?$/i)
+  if (!match) return null
+  return Number(match[1]) * (match[2] ? SUFFIXES[match[2].toLowerCase()] : 1)
+}
+
+/** Filter kind of a column over these rows (see header). */
+export function columnKind(column, rows) {
+  if (column.filter === false) return null
+  if (column.filter) return column.filter
+  const values = rows.map((row) => row[column.key]).filter((v) => v != null && v !== '')
+  if (!values.length || values.some((v) => typeof v === 'object')) return null
+  if (values.every((v) => typeof v === 'number')) return 'number'
+  return new Set(rows.map((row) => cellText(column, row))).size <= CATEGORY_LIMIT ? 'category' : 'text'
+}
+
+/** Distinct shown values of a column, sorted. */
+export function categoryValues(column, rows) {
+  return [...new Set(rows.map((row) => cellText(column, row)).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b, 'en-US', { numeric: true }))
+}
+
+/** True if the filter narrows anything. */
+export function isActiveFilter(filter) {
+  if (!filter) return false
+  if ('values' in filter) return filter.values.length > 0
+  if ('value' in filter) return filter.value.trim() !== ''
+  return parseAmount(filter.min) != null || parseAmount(filter.max) != null
+}
+
+/** Sort order of two cell values; empty values always sort last. */
+export function compareValues(a, b, dir = 'asc') {
+  if (a == null) return b == null ? 0 : 1
+  if (b == null) return -1
+  if (typeof a === 'number') return dir === 'asc' ? a - b : b - a
+  return dir === 'asc' ? String(a).localeCompare(String(b)) : String(b).localeCompare(String(a))
+}
+
+/**
+ * Comparator for several sorts: the first sort that tells two items apart
+ * decides. `get(item, key)` reads an item's value for a column.
+ */
+export function sortComparator(sorts, get) {
+  return (a, b) => {
+    for (const { key, dir } of sorts) {
+      const order = compareValues(get(a, key), get(b, key), dir)
+      if (order) return order
+    }
+    return 0
+  }
+}
+
+const isSort = (sort) => sort && typeof sort.key === 'string' && (sort.dir === 'asc' || sort.dir === 'desc')
+
+/**
+ * Well-formed sorts from a stored value: a list, or a single { key, dir }
+ * (saved views from before multi-column sorting). Repeated keys are dropped.
+ */
+export function normalizeSorts(sort) {
+  const list = Array.isArray(sort) ? sort : [sort]
+  const seen = new Set()
+  return list.filter((s) => isSort(s) && !seen.has(s.key) && seen.add(s.key)).map(({ key, dir }) => ({ key, dir }))
+}
+
+const searchWords = (search) => search.trim().toLowerCase().split(/\s+/).filter(Boolean)
+
+// `text` is a function so number ranges never render the cell
+function matchesFilter(filter, text, value) {
+  if ('values' in filter) return filter.values.includes(text())
+  if ('value' in filter) return text().toLowerCase().includes(filter.value.trim().toLowerCase())
+  const min = parseAmount(filter.min)
+  const max = parseAmount(filter.max)
+  if (typeof value !== 'number') return false
+  return (min == null || value >= min) && (max == null || value <= max)
+}
+
+/**
+ * Rows that match the search (every word appears in some shown column) and
+ * every active column filter.
+ *
+ * @param {Object[]} rows
+ * @param {Object[]} columns – all column definitions
+ * @param {Object[]} shown   – the visible columns (searched)
+ * @param {string}   search
+ * @param {Object}   filters – { [key]: filter }
+ */
+export function filterRows(rows, columns, shown, search, filters) {
+  const words = searchWords(search)
+  const active = columns
+    .filter((col) => isActiveFilter(filters[col.key]))
+    .map((col) => [col, filters[col.key]])
+  if (!words.length && !active.length) return rows
+
+  return rows.filter((row) => {
+    if (!active.every(([col, filter]) => matchesFilter(filter, () => cellText(col, row), row[col.key]))) return false
+    if (!words.length) return true
+    const text = shown.map((col) => cellText(col, row).toLowerCase()).join('\u0000')
+    return words.every((word) => text.includes(word))
+  })
+}
+
+/**
+ * A table as plain per-column arrays (what the table worker holds): each
+ * column's raw values (objects dropped) and shown text, by column key.
+ *
+ * @param {Object[]} rows
+ * @param {Object[]} columns
+ * @returns {{ count: number, values: Object, texts: Object }}
+ */
+export function tableColumns(rows, columns) {
+  return {
+    count: rows.length,
+    values: Object.fromEntries(columns.map((col) => [
+      col.key,
+      rows.map((row) => (row[col.key] != null && typeof row[col.key] === 'object' ? null : row[col.key])),
+    ])),
+    texts: Object.fromEntries(columns.map((col) => [col.key, rows.map((row) => cellText(col, row))])),
+  }
+}
+
+/**
+ * Indices of the rows of a tableColumns() table that match the search and
+ * filters, in sorted order — the same result as filterRows() + sorting.
+ *
+ * @param {{ count, values, texts }} table
+ * @param {Object}   query
+ * @param {string[]} query.shown   – visible column keys (searched)
+ * @param {string}   query.search
+ * @param {Object}   query.filters – { [key]: filter }
+ * @param {{ key: string, dir: 'asc'|'desc' }[]} [query.sorts]
+ * @returns {Int32Array}
+ */
+export function queryRows({ count, values, texts }, { shown, search, filters, sorts = [] }) {
+  const words = searchWords(search)
+  const active = Object.keys(filters).filter((key) => key in values && isActiveFilter(filters[key]))
+  const searched = shown.filter((key) => key in texts)
+  const indices = []
+
+  for (let i = 0; i < count; i++) {
+    if (!active.every((key) => matchesFilter(filters[key], () => texts[key][i], values[key][i]))) continue
+    if (words.length) {
+      const text = searched.map((key) => texts[key][i].toLowerCase()).join('\u0000')
+      if (!words.every((word) => text.includes(word))) continue
+    }
+    indices.push(i)
+  }
+
+  const sortable = sorts.filter((sort) => values[sort.key])
+  if (sortable.length) indices.sort(sortComparator(sortable, (i, key) => values[key][i]))
+  return Int32Array.from(indices)
+}
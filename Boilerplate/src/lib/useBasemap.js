@@ -0,0 +1,68 @@
+/**
+ * ── useBasemap.js ───────────────────────────────────────────────────────────
+ * Loads a bundled TopoJSON basemap from `public/data/geo/` for the map chart
+ * components (PortMap, …). Files are fetched once per session and cached, so
+ * remounting a map (fullscreen toggle, route change) never refetches.
+ *
+ * Basemaps are generated offline by `scripts/build-basemaps.js` — no map
+ * tiles or external services are used at runtime.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * To use a different basemap, add it in build-basemaps.js and pass its file
+ * name to the map component's `basemap` prop.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const topology = useBasemap('tx-mx-border.json')
+ *   // null while loading (or on error), the parsed TopoJSON object after
+ *
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useState, useEffect } from 'react'
+import * as d3 from 'd3'
+
+/** file name → Promise<TopoJSON>; shared by every map on the page. */
+const cache = new Map()
+
+/**
+ * Fetch a basemap by file name (relative to public/data/geo/), memoized.
+ * A failed request is evicted from the cache so a later mount can retry.
+ *
+ * @param {string} file – e.g. 'tx-mx-border.json'
+ * @returns {Promise<Object>} parsed TopoJSON topology
+ */
+export function loadBasemap(file) {
+  if (!cache.has(file)) {
+    const url = `${import.meta.env.BASE_URL}data/geo/${file}`
+    const request = d3.json(url).catch((err) => {
+      cache.delete(file)
+      throw err
+    })
+    cache.set(file, request)
+  }
+  return cache.get(file)
+}
+
+/**
+ * React hook wrapper around loadBasemap().
+ *
+ * @param {string} file – basemap file name in public/data/geo/
+ * @returns {Object|null} TopoJSON topology, or null until loaded
+ */
+export function useBasemap(file) {
+  const [loaded, setLoaded] = useState({ file: null, topology: null })
+
+  useEffect(() => {
+    let cancelled = false
+    loadBasemap(file)
+      .then((topology) => {
+        if (!cancelled) setLoaded({ file, topology })
+      })
+      .catch((err) => {
+        console.warn(`[useBasemap] Failed to load ${file}:`, err)
+      })
+    return () => { cancelled = true }
+  }, [file])
+
+  // Ignore a stale topology while a newly requested file is loading
+  return loaded.file === file ? loaded.topology : null
+}
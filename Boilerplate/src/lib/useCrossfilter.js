@@ -0,0 +1,160 @@
+/**
+ * ── useCrossfilter.js ───────────────────────────────────────────────────────
+ * Page-level selection context for crossfilter-style linked brushing.
+ * Clicking a bar, slice, treemap cell or stacked segment — or brushing a
+ * range on a LineChart — records a selection on one "dimension" (a data
+ * column). Every other chart, KPI card and table on the page is then
+ * filtered by that selection.
+ *
+ * Crossfilter rule: a chart is filtered by every selection EXCEPT the ones
+ * on its own dimension, so the chart you clicked keeps showing all of its
+ * categories (with the selected one highlighted) and you can change your
+ * mind without clearing first.
+ *
+ * Selections are page state (not written to the URL) and sit on top of the
+ * sidebar filters from useUrlFilters:
+ *   raw data → sidebar filters → selections → charts / StatCards / DataTable
+ * "Save view" stores them with the view, and opening the view restores them
+ * (stores/viewStore.js).
+ *
+ * ── DIMENSIONS ──────────────────────────────────────────────────────────────
+ * Declared once per page as a module-level constant:
+ *   const CROSSFILTER_DIMENSIONS = {
+ *     mode: { label: 'Mode', field: 'Mode' },                 // point (click)
+ *     year: { label: 'Year', field: 'Year', type: 'range' },  // range (brush)
+ *   }
+ *   - point dimensions hold one value; selecting it again (or toggling
+ *     with null) clears it
+ *   - range dimensions hold an inclusive [min, max] of numeric values
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Point each dimension's `field` at a column in your dataset and wire the
+ * chart callbacks to toggle() / setRange() as in the USAGE block below.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const {
+ *     selection, toggle, setRange, clearAll,
+ *     where: selectionWhere, tags: selectionTags, activeCount: selectionCount,
+ *   } = useCrossfilter(CROSSFILTER_DIMENSIONS)
+ *
+ *   // Selections are passed to the data worker as a query `where`
+ *   // (lib/dataQuery.js), next to the sidebar filters.
+ *   // The donut: every selection except its own 'mode'
+ *   useDataQuery('usAggregated', { where: [pageWhere, selectionWhere('mode')], groupBy: 'Mode' })
+ *   // StatCards / DataTable: every selection
+ *   useDataQuery('usAggregated', { where: [pageWhere, selectionWhere()], groupBy: 'TradeType' })
+ *
+ *   <DonutChart data={modeData} selectedSlice={selection.mode}
+ *     onSliceClick={(d) => toggle('mode', d?.label)} clearOnOutsideClick={false} />
+ *   <LineChart data={trend} brushRange={selection.year}
+ *     onBrush={(r) => setRange('year', r)} />
+ *
+ *   // Sidebar: selections appear as removable tags next to the filters
+ *   activeTags={[...filterTags, ...selectionTags]}
+ *   activeCount={activeFilters + selectionCount}
+ *   onResetAll={() => { resetFilters(); clearAll() }}
+ *
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useState, useMemo, useCallback, useEffect } from 'react'
+import { useLocation } from 'react-router-dom'
+import { useViewStore } from '@/stores/viewStore'
+
+/** Tag text for a selection: "Truck", "2015–2019", or "2020" for a 1-value range. */
+function describe(dim, value) {
+  if (dim.type === 'range') {
+    return value[0] === value[1] ? String(value[0]) : `${value[0]}–${value[1]}`
+  }
+  return String(value)
+}
+
+/**
+ * Hold the linked-brushing selections for one page.
+ *
+ * @param {Object} dimensions – { key: { label, field, type?: 'point'|'range' } }.
+ *                              Should be a module-level constant (stable identity).
+ * @returns {{
+ *   selection: Object,
+ *   toggle: (key: string, value: string|number) => void,
+ *   setRange: (key: string, range: [number, number]|null) => void,
+ *   clear: (key: string) => void,
+ *   clearAll: () => void,
+ *   where: (except?: string|string[]) => Object,
+ *   tags: Array<{ group: string, label: string, onRemove: Function }>,
+ *   activeCount: number,
+ * }}
+ */
+export function useCrossfilter(dimensions) {
+  // key → point value or [min, max]; a missing/null key means "no selection"
+  const [state, setState] = useState({})
+
+  // Opening a saved view on this page replaces the selections with its own
+  const { pathname } = useLocation()
+  const restore = useViewStore((s) => (s.restore?.path === pathname ? s.restore : null))
+  const [restoredToken, setRestoredToken] = useState(null)
+  if (restore?.token && restore.token !== restoredToken) {
+    setRestoredToken(restore.token)
+    setState(Object.fromEntries(Object.entries(restore.selection || {}).filter(([key]) => key in dimensions)))
+  }
+
+  const selection = useMemo(() => {
+    const result = {}
+    Object.keys(dimensions).forEach((key) => {
+      result[key] = state[key] ?? null
+    })
+    return result
+  }, [state, dimensions])
+
+  const toggle = useCallback((key, value) => {
+    setState((prev) => ({
+      ...prev,
+      [key]: value == null || String(prev[key]) === String(value) ? null : value,
+    }))
+  }, [])
+
+  const setRange = useCallback((key, range) => {
+    setState((prev) => {
+      if (!range) return prev[key] == null ? prev : { ...prev, [key]: null }
+      const next = [Math.min(range[0], range[1]), Math.max(range[0], range[1])]
+      const cur = prev[key]
+      if (cur && cur[0] === next[0] && cur[1] === next[1]) return prev
+      return { ...prev, [key]: next }
+    })
+  }, [])
+
+  const clear = useCallback((key) => {
+    setState((prev) => (prev[key] == null ? prev : { ...prev, [key]: null }))
+  }, [])
+
+  const clearAll = useCallback(() => setState({}), [])
+
+  // Keep the selections available to "Save view"
+  const setSavedSelection = useViewStore((s) => s.setSelection)
+  useEffect(() => {
+    setSavedSelection(Object.fromEntries(Object.entries(selection).filter(([, value]) => value != null)))
+  }, [selection, setSavedSelection])
+  useEffect(() => () => setSavedSelection({}), [setSavedSelection])
+
+  // Every active selection except those on `except` (the caller's own
+  // dimension(s)) as a data-worker query `where`: { [field]: value } for
+  // points and { min, max } for ranges
+  const where = useCallback((except) => {
+    const skip = new Set([].concat(except || []))
+    return Object.fromEntries(Object.entries(dimensions)
+      .filter(([key]) => !skip.has(key) && selection[key] != null)
+      .map(([key, dim]) => [
+        dim.field,
+        dim.type === 'range' ? { min: selection[key][0], max: selection[key][1] } : selection[key],
+      ]))
+  }, [dimensions, selection])
+
+  const tags = useMemo(() => Object.entries(dimensions)
+    .filter(([key]) => selection[key] != null)
+    .map(([key, dim]) => ({
+      group: `Selected ${dim.label}`,
+      label: describe(dim, selection[key]),
+      onRemove: () => clear(key),
+    })), [dimensions, selection, clear])
+
+  return { selection, toggle, setRange, clear, clearAll, where, tags, activeCount: tags.length }
+}
@@ -0,0 +1,78 @@
+/**
+ * ── useDataQuery.js ─────────────────────────────────────────────────────────
+ * React hook that runs a query spec in the data worker and re-runs it when
+ * the spec changes. While a new result is on its way the previous one is
+ * kept, so charts don't flash empty on every filter change.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const { data: portData } = useDataQuery('txBorderPorts', {
+ *     where: { Year: yearFilter, TradeType: tradeTypeFilter },
+ *     groupBy: 'POE',
+ *     sort: 'desc',
+ *   })
+ *
+ * The spec can be written inline — it is compared by value (JSON), not by
+ * identity. See lib/dataQuery.js for the spec format. A null spec skips
+ * the query (data is empty) — for results only needed some of the time:
+ *   useDataQuery('txBorderPorts', drawerOpen ? { rows: true, where } : null)
+ *
+ * useDataQueries runs a set of named specs together and returns their
+ * results under the same names, for hooks that need a varying number of
+ * aggregates at once (usePeriodComparison, useDrillDown):
+ *   const { data } = useDataQueries('txBorderPorts', {
+ *     total: { where, ...measure.query },
+ *     byYear: { where, groupBy: 'Year', ...measure.query },
+ *   })
+ *   data.total?.[0].value
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useState, useEffect } from 'react'
+import { useTradeStore } from '@/stores/tradeStore'
+import { queryData } from '@/lib/dataClient'
+
+const EMPTY = []
+const NONE = {}
+
+/**
+ * @param {string} dataset – registry key, e.g. 'txBorderPorts'
+ * @param {Object|null} specs – { name: query spec }, or null to skip
+ * @returns {{ data: Object, loading: boolean, error: string|null }} data
+ *   holds each spec's result by name ({} until the first results arrive)
+ */
+export function useDataQueries(dataset, specs) {
+  // Queries wait until the store has finished loading the datasets
+  const ready = useTradeStore((s) => !s.loading && s[dataset] != null)
+  const key = ready && specs ? JSON.stringify([dataset, specs]) : null
+  const [state, setState] = useState({ key: null, data: NONE, error: null })
+
+  useEffect(() => {
+    if (!key) return
+    let cancelled = false
+    const [ds, named] = JSON.parse(key)
+    const names = Object.keys(named)
+    Promise.all(names.map((name) => queryData(ds, named[name])))
+      .then((results) => {
+        if (!cancelled) setState({ key, data: Object.fromEntries(names.map((name, i) => [name, results[i]])), error: null })
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error(`[useDataQuery] ${ds} query failed:`, err)
+        setState((prev) => ({ key, data: prev.data, error: err.message }))
+      })
+    // Newer specs supersede these; drop their results if they arrive late
+    return () => { cancelled = true }
+  }, [key])
+
+  if (!specs) return { data: NONE, loading: false, error: null }
+  return { data: state.data, loading: key !== state.key, error: state.error }
+}
+
+/**
+ * @param {string} dataset – registry key, e.g. 'txBorderPorts'
+ * @param {Object|null} spec – query spec, or null to skip the query
+ * @returns {{ data: Array, loading: boolean, error: string|null }}
+ */
+export function useDataQuery(dataset, spec) {
+  const { data, loading, error } = useDataQueries(dataset, spec ? { result: spec } : null)
+  return { data: data.result ?? EMPTY, loading, error }
+}
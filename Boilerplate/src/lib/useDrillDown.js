@@ -0,0 +1,102 @@
+/**
+ * ── useDrillDown.js ─────────────────────────────────────────────────────────
+ * State and data for a DrillDownDrawer: which chart element is open and
+ * the records behind it — the page's filtered rows where one column has the
+ * element's value — with their breakdowns by the other dimensions, trend
+ * and download.
+ *
+ * Everything is asked of the data worker while the drawer is open: the
+ * total, the trend and each breakdown as aggregates, and the records
+ * themselves for its table and download. The queries follow the page's
+ * `where`, so changing a sidebar filter while the drawer is open updates
+ * it. On crossfilter pages, where each chart leaves out its own selection,
+ * pass `where` as a function of the drilled column instead:
+ * (field) => [pageWhere, selectionWhere(DIMENSION_OF[field])].
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const drill = useDrillDown({
+ *     dataset: 'txBorderPorts',
+ *     where: pageWhere,                               // the page's query filters
+ *     dimensions: [{ key: 'POE', label: 'Port' }, { key: 'Mode', label: 'Mode' }],
+ *     columns: RECORD_COLUMNS,                        // memoized DataTable columns
+ *     measure,
+ *     filename: 'port-records',
+ *   })
+ *   <BarChart … onDrillDown={(d) => drill.open('POE', d.label, 'Trade by Port')} />
+ *   <DrillDownDrawer drill={drill} />
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useState, useMemo, useCallback } from 'react'
+import { useDataQueries } from '@/lib/useDataQuery'
+import { drillBreakdowns, drillTrend } from '@/lib/drillDown'
+
+const EMPTY = []
+
+/**
+ * @param {Object} options
+ * @param {string}   options.dataset    – registry key the records come from
+ * @param {Object|Object[]|Function} options.where – the page's query `where`,
+ *   or (field) => where when charts aggregate different rows
+ * @param {{ key: string, label: string }[]} options.dimensions – columns to break the records down by
+ * @param {Object[]} options.columns    – DataTable columns for the records (keep memoized)
+ * @param {Object}   options.measure    – from useMeasure()
+ * @param {string}  [options.yearKey='Year'] – column for the trend
+ * @param {string}  [options.filename='records'] – download file name prefix
+ */
+export function useDrillDown({ dataset, where, dimensions, columns, measure, yearKey = 'Year', filename = 'records' }) {
+  // { field, value, source } of the open element, or null
+  const [target, setTarget] = useState(null)
+
+  /** Open the drawer on the records where `field` is `value`; `source` names the chart. */
+  const open = useCallback((field, value, source) => {
+    if (value == null || value === '') return
+    setTarget({ field, value, source })
+  }, [])
+  const close = useCallback(() => setTarget(null), [])
+
+  const others = useMemo(
+    () => dimensions.filter((d) => d.key !== target?.field),
+    [dimensions, target],
+  )
+
+  let specs = null
+  if (target) {
+    const pageWhere = typeof where === 'function' ? where(target.field) : where
+    const drilled = [...[].concat(pageWhere || []), { [target.field]: [target.value] }]
+    specs = {
+      records: { where: drilled, rows: true },
+      total: { where: drilled, ...measure.query },
+      trend: { where: drilled, groupBy: yearKey, ...measure.query },
+      ...Object.fromEntries(others.map((d) => [`by.${d.key}`, { where: drilled, groupBy: d.key, sort: 'desc', ...measure.query }])),
+    }
+  }
+  const { data, loading } = useDataQueries(dataset, specs)
+
+  const records = target && !loading ? data.records ?? EMPTY : EMPTY
+  const total = data.total?.[0]?.value || 0
+  const breakdowns = useMemo(
+    () => (data.records ? drillBreakdowns(others.map((d) => ({ ...d, groups: data[`by.${d.key}`] || EMPTY })), total, measure) : EMPTY),
+    [data, others, total, measure],
+  )
+  const trend = useMemo(() => drillTrend(data.trend || EMPTY, yearKey), [data, yearKey])
+
+  const fieldLabel = target
+    ? dimensions.find((d) => d.key === target.field)?.label ?? target.field
+    : ''
+  const slug = target ? String(target.value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : ''
+
+  return {
+    target,
+    open,
+    close,
+    loading: Boolean(target) && loading,
+    fieldLabel,
+    records,
+    total,
+    breakdowns,
+    trend,
+    columns,
+    measure,
+    download: { data: records, filename: `${filename}-${slug || 'selection'}` },
+  }
+}
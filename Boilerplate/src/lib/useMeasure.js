@@ -0,0 +1,36 @@
+/**
+ * ── useMeasure.js ───────────────────────────────────────────────────────────
+ * The global sidebar measure (value, weight, value per ton — see
+ * lib/measures.js), limited to what the page's dataset supports.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ *   const measure = useMeasure('usAggregated')
+ *   measure.total(rows), measure.format(v), measure.unit, measure.query
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useTradeStore } from '@/stores/tradeStore'
+import { MEASURE_KEYS, DEFAULT_MEASURE, getMeasure, datasetMeasures } from '@/lib/measures'
+
+// One object per (shown measure, sidebar choice), so pages can list
+// `measure` as a memo dependency
+const cache = new Map()
+function resolve(shown, requested) {
+  const id = `${shown}|${requested}`
+  if (!cache.has(id)) {
+    cache.set(id, { ...getMeasure(shown), requested, fallback: shown !== requested })
+  }
+  return cache.get(id)
+}
+
+/**
+ * @param {string} datasetKey – registry key the page aggregates
+ * @returns {Object} resolved measure (see getMeasure) plus `requested` (the
+ *   sidebar choice) and `fallback` (true when the dataset can't show the
+ *   choice and `value` is shown instead)
+ */
+export function useMeasure(datasetKey) {
+  const stored = useTradeStore((s) => s.measure)
+  const requested = MEASURE_KEYS.includes(stored) ? stored : DEFAULT_MEASURE
+  const shown = datasetMeasures(datasetKey).includes(requested) ? requested : DEFAULT_MEASURE
+  return resolve(shown, requested)
+}
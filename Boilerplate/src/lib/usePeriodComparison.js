@@ -0,0 +1,161 @@
+/**
+ * ── usePeriodComparison.js ──────────────────────────────────────────────────
+ * Period-over-period comparison for KPI StatCards. The user picks a base
+ * period and a comparison period (a single year or a year range) in the
+ * filter sidebar (PeriodComparisonFilter); every KPI on the page then shows
+ * its comparison-period value, the absolute and percent change against the
+ * base period, and a sparkline of the metric across all years.
+ *
+ * Periods live in the URL next to the page's other filters:
+ *   #/trade-by-mode?compareBase=2019-2021&compareTo=2024
+ * A period is "2024" (one year) or "2019-2021" (inclusive range). A range
+ * value is the metric computed over all rows in the range (e.g. a sum over
+ * three years), not an average.
+ *
+ * Each KPI is a metric — a query (lib/dataQuery.js) the data worker runs
+ * once per period and once per year for the sparkline, under the page's
+ * filters EXCEPT Year (the two periods decide which years are compared).
+ * A range value is one query over the whole range, so distinct counts and
+ * ratios are right for ranges too.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Describe each KPI as a metric on the page and pass the result for that
+ * key to the matching StatCard's `comparison` prop.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const FILTER_DEFAULTS = { year: [], mode: [], ...COMPARISON_DEFAULTS }
+ *
+ *   const kpiMetrics = useMemo(() => ({
+ *     total: { ...measure.query, format: measure.format },
+ *     exports: { ...measure.query, where: { TradeType: 'Export' }, format: measure.format },
+ *     ports: { measure: 'POE', op: 'distinct', format: formatNumber },
+ *   }), [measure])
+ *   const comparison = usePeriodComparison('txBorderPorts', { ...where, Year: [] }, kpiMetrics, {
+ *     base: filters.compareBase,
+ *     compare: filters.compareTo,
+ *   })
+ *
+ *   <StatCard label="Total Trade" value={formatCurrency(stats.total)}
+ *     comparison={comparison?.total} />
+ *
+ * `comparison` is null until both periods are chosen and their figures have
+ * arrived from the worker, so cards fall back to their normal value; while
+ * newer figures are on their way the previous ones stay.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useMemo, useState } from 'react'
+import { formatCurrency } from '@/lib/chartColors'
+import { useDataQueries } from '@/lib/useDataQuery'
+
+/** URL filter keys (spread into a page's FILTER_DEFAULTS). */
+export const COMPARISON_DEFAULTS = { compareBase: '', compareTo: '' }
+
+/**
+ * "2024" → [2024, 2024], "2019-2021" → [2019, 2021]; anything else → null.
+ * Reversed ranges are put in order.
+ */
+export function parsePeriod(value) {
+  const match = String(value ?? '').trim().match(/^(\d{4})(?:\s*[-–]\s*(\d{4}))?$/)
+  if (!match) return null
+  const a = Number(match[1])
+  const b = match[2] ? Number(match[2]) : a
+  return [Math.min(a, b), Math.max(a, b)]
+}
+
+/** [start, end] → URL value ("2024" or "2019-2021"). */
+export function serializePeriod(period) {
+  if (!period) return ''
+  return period[0] === period[1] ? String(period[0]) : `${period[0]}-${period[1]}`
+}
+
+/** [start, end] → display text ("2024" or "2019–2021"). */
+export function formatPeriod(period) {
+  if (!period) return ''
+  return period[0] === period[1] ? String(period[0]) : `${period[0]}–${period[1]}`
+}
+
+/**
+ * Sidebar tag for the comparison (shown while either period is set).
+ *
+ * @param {{ base: string, compare: string }} periods – URL values
+ * @param {Function} onRemove – clears both periods, e.g.
+ *                              () => setFilters(COMPARISON_DEFAULTS)
+ * @returns {Array<{ group, label, onRemove }>} zero or one tag
+ */
+export function comparisonTags({ base, compare }, onRemove) {
+  if (!base && !compare) return []
+  const label = `${formatPeriod(parsePeriod(base)) || '—'} vs ${formatPeriod(parsePeriod(compare)) || '—'}`
+  return [{ group: 'Compare', label, onRemove }]
+}
+
+/** A metric's query under the page's `where`, its own and an extra condition. */
+function metricSpec({ measure, op, per, where: metricWhere }, where, extra) {
+  return { measure, op, per, where: [...[].concat(where || []), metricWhere, extra].filter(Boolean) }
+}
+
+/**
+ * Compare KPI metrics between two periods.
+ *
+ * @param {string} dataset – registry key the metrics are queried from
+ * @param {Object|Object[]} where – the page's filters and selections
+ *                                  (a query `where`), without Year
+ * @param {Object} metrics – { key: { measure, op, per, where?, format? } }:
+ *                           a query per KPI (`where` narrows it further,
+ *                           `format` defaults to formatCurrency)
+ * @param {Object} periods – { base, compare } as URL strings ("2024", "2019-2021")
+ * @param {string} [yearKey='Year'] – year column
+ * @returns {Object|null} key → {
+ *   value, baseValue, change, pctChange (null when the base is 0),
+ *   label, baseLabel, period, basePeriod, format,
+ *   series: [{ year, value }] across every year with data
+ * } — or null when either period is unset or nothing has arrived yet
+ */
+export function usePeriodComparison(dataset, where, metrics, { base, compare }, yearKey = 'Year') {
+  const periods = useMemo(() => {
+    const basePeriod = parsePeriod(base)
+    const comparePeriod = parsePeriod(compare)
+    return basePeriod && comparePeriod ? { basePeriod, comparePeriod } : null
+  }, [base, compare])
+
+  const inPeriod = (period) => ({ [yearKey]: { min: period[0], max: period[1] } })
+  const specs = periods
+    ? Object.fromEntries(Object.entries(metrics).flatMap(([key, metric]) => [
+      [`${key}.base`, metricSpec(metric, where, inPeriod(periods.basePeriod))],
+      [`${key}.compare`, metricSpec(metric, where, inPeriod(periods.comparePeriod))],
+      [`${key}.series`, { ...metricSpec(metric, where), groupBy: yearKey }],
+    ]))
+    : null
+  const { data, loading } = useDataQueries(dataset, specs)
+
+  const result = useMemo(() => {
+    if (!periods || loading || !Object.keys(data).length) return null
+    const compared = {}
+    Object.entries(metrics).forEach(([key, metric]) => {
+      if (!data[`${key}.series`]) return
+      const format = metric.format || formatCurrency
+      const baseValue = data[`${key}.base`][0]?.value || 0
+      const value = data[`${key}.compare`][0]?.value || 0
+      compared[key] = {
+        value,
+        baseValue,
+        change: value - baseValue,
+        pctChange: baseValue ? (value - baseValue) / Math.abs(baseValue) : null,
+        label: formatPeriod(periods.comparePeriod),
+        baseLabel: formatPeriod(periods.basePeriod),
+        period: periods.comparePeriod,
+        basePeriod: periods.basePeriod,
+        format,
+        series: data[`${key}.series`]
+          .map((d) => ({ year: Number(d[yearKey]), value: d.value }))
+          .filter((d) => Number.isFinite(d.year))
+          .sort((a, b) => a.year - b.year),
+      }
+    })
+    return compared
+  }, [data, loading, metrics, periods, yearKey])
+
+  // Hold the last figures while newer ones are on their way
+  const [held, setHeld] = useState(null)
+  if (!loading && result !== held) setHeld(result)
+  return loading ? held : result
+}
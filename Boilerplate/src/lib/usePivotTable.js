@@ -0,0 +1,95 @@
+/**
+ * ── usePivotTable.js ────────────────────────────────────────────────────────
+ * State and data for a PivotTable: which dimensions are on rows and
+ * columns, the measure and aggregation, and the pivot itself — computed in
+ * the data worker through useDataQuery (a `pivot` spec, see lib/pivot.js).
+ *
+ * The page owns the hook so it can pass the pivoted records to its
+ * ChartCard's download menu, the same way other cards get `downloadData`.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const pivot = usePivotTable('txBorderPorts', {
+ *     where,                                         // page filters
+ *     dimensions: [{ key: 'POE', label: 'Port' }, { key: 'Year', label: 'Year' }],
+ *     rows: ['POE'], columns: ['TradeType'],         // starting layout
+ *   })
+ *   <ChartCard downloadData={{ summary: pivot.download }}><PivotTable pivot={pivot} /></ChartCard>
+ *
+ * The measure starts as the sidebar measure and follows it until one is
+ * picked in the pivot. Ratio measures (value per ton) always divide sums,
+ * so they ignore the aggregation.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useState, useMemo } from 'react'
+import { useDataQuery } from '@/lib/useDataQuery'
+import { useMeasure } from '@/lib/useMeasure'
+import { getMeasure, datasetMeasures } from '@/lib/measures'
+import { AGGREGATIONS, pivotRecords } from '@/lib/pivot'
+
+/**
+ * @param {string} dataset – registry key, e.g. 'txBorderPorts'
+ * @param {Object} options
+ * @param {Object}   [options.where]      – page filters (useDataQuery `where`)
+ * @param {{ key: string, label: string }[]} options.dimensions – columns users can pivot by
+ * @param {string[]} [options.rows=[]]    – starting row dimensions
+ * @param {string[]} [options.columns=[]] – starting column dimensions
+ * @param {string}   [options.filename='pivot'] – download file name
+ */
+export function usePivotTable(dataset, { where, dimensions, rows = [], columns = [], filename = 'pivot' }) {
+  const sidebarMeasure = useMeasure(dataset)
+  const [layout, setLayout] = useState({ rows, columns })
+  const [measureKey, setMeasureKey] = useState(null)
+  const [aggregation, setAggregation] = useState('sum')
+
+  const measure = measureKey ? getMeasure(measureKey) : sidebarMeasure
+  const op = measure.per ? 'ratio' : aggregation
+  const { data, loading } = useDataQuery(dataset, {
+    where,
+    pivot: layout,
+    measure: measure.column,
+    op,
+    per: measure.per,
+  })
+  // useDataQuery starts out with an empty array
+  const result = data?.groups ? data : null
+
+  /** Put a dimension on 'rows' or 'columns' (before `beforeKey`, else last), or take it off (null). */
+  const moveDimension = (key, zone, beforeKey) => setLayout((prev) => {
+    if (key === beforeKey) return prev
+    const next = {
+      rows: prev.rows.filter((k) => k !== key),
+      columns: prev.columns.filter((k) => k !== key),
+    }
+    if (zone) {
+      const list = next[zone]
+      const at = list.indexOf(beforeKey)
+      list.splice(at < 0 ? list.length : at, 0, key)
+    }
+    return next
+  })
+
+  const download = useMemo(() => (result
+    ? {
+      data: pivotRecords(result),
+      filename,
+      measure: measure.key,
+      // Counts aren't in the measure's unit
+      unit: op === 'count' ? null : measure.unit,
+      aggregation: op === 'ratio' ? null : AGGREGATIONS[op],
+    }
+    : undefined), [result, filename, measure.key, measure.unit, op])
+
+  return {
+    dimensions,
+    layout,
+    moveDimension,
+    measure,
+    measures: datasetMeasures(dataset).map(getMeasure),
+    setMeasure: setMeasureKey,
+    aggregation: op,
+    setAggregation,
+    result,
+    loading,
+    download,
+  }
+}
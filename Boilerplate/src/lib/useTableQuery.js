@@ -0,0 +1,55 @@
+/**
+ * ── useTableQuery.js ────────────────────────────────────────────────────────
+ * React hook behind DataTable's virtual mode: searches, filters and sorts
+ * the rows in the table worker (lib/tableClient.js) and returns them in
+ * order. While a new result is on its way the previous one is kept, so the
+ * table doesn't flash empty on every keystroke; after `data` changes there
+ * are no rows until the first result for it arrives.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const { rows, table, loading } = useTableQuery(data, columns, {
+ *     shown: ['Port', 'Year'], search, filters, sorts,
+ *   })
+ *
+ * `data` and `columns` are indexed (lib/tableFilters.js tableColumns())
+ * whenever either changes identity, so keep both memoized. The query is
+ * compared by value. With `enabled` false the hook does nothing.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useState, useEffect, useMemo, useId } from 'react'
+import { queryTable, releaseTable } from '@/lib/tableClient'
+import { tableColumns } from '@/lib/tableFilters'
+
+/**
+ * @param {Object[]} data
+ * @param {Object[]} columns – DataTable column definitions
+ * @param {Object}   query   – { shown, search, filters, sorts }
+ * @param {boolean} [enabled=true]
+ * @returns {{ rows: Object[]|null, table: Object|null, loading: boolean }}
+ */
+export function useTableQuery(data, columns, query, enabled = true) {
+  const id = useId()
+  const table = useMemo(() => (enabled ? tableColumns(data, columns) : null), [enabled, data, columns])
+  const key = table ? JSON.stringify(query) : null
+  const [state, setState] = useState({ table: null, key: null, indices: null })
+
+  useEffect(() => {
+    if (!table) return
+    let cancelled = false
+    queryTable(id, table, JSON.parse(key))
+      .then((indices) => {
+        if (!cancelled) setState({ table, key, indices })
+      })
+      .catch((err) => {
+        if (!cancelled) console.error('[useTableQuery] Table query failed:', err)
+      })
+    // A newer query supersedes this one; drop its result if it arrives late
+    return () => { cancelled = true }
+  }, [id, table, key])
+
+  useEffect(() => () => releaseTable(id), [id])
+
+  const indices = state.table === table ? state.indices : null
+  const rows = useMemo(() => (indices ? Array.from(indices, (i) => data[i]) : null), [indices, data])
+  return { rows, table, loading: Boolean(table) && (state.table !== table || state.key !== key) }
+}
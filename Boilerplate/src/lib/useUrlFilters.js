@@ -0,0 +1,190 @@
+/**
+ * ── useUrlFilters.js ────────────────────────────────────────────────────────
+ * Keeps a page's filter state in the hash query string so every filtered
+ * view is shareable, bookmarkable, and restored by browser back/forward.
+ *
+ * The URL is the single source of truth: filters are parsed from
+ * `location.search` on every render and written back with `navigate()`.
+ * With HashRouter a filtered view looks like:
+ *   #/border-ports?year=2023,2024&mode=Rail&region=Laredo
+ *
+ * ── SERIALIZATION ───────────────────────────────────────────────────────────
+ * - The type of each key is taken from its default value:
+ *     array default  → comma-separated list  (year=2023,2024)
+ *     string default → single value          (tradeType=Export)
+ * - Individual values are URI-encoded, so a literal comma inside a value is
+ *   written as %2C and never confused with the list separator.
+ * - Keys equal to their default ("All") are omitted to keep links short.
+ * - Query keys the page doesn't declare are preserved untouched.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Declare the page's filter keys and defaults in a module-level constant and
+ * pass it to the hook. Adding a new filter is just a new key in that object.
+ *
+ * ── USAGE ───────────────────────────────────────────────────────────────────
+ *   const FILTER_DEFAULTS = { year: [], tradeType: '', mode: [] }
+ *
+ *   const { filters, setFilter, resetFilters } = useUrlFilters(FILTER_DEFAULTS)
+ *   // filters.year      → ['2023', '2024']
+ *   // setFilter('mode', ['Rail'])
+ *   // resetFilters()    → clears every declared key in one history entry
+ *
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { useMemo, useCallback } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+
+/**
+ * Parse a query string into a Map of raw (still comma-joined) values.
+ * Keeps insertion order so unknown keys round-trip in their original order.
+ */
+function parseQuery(search) {
+  const params = new Map()
+  const query = search.startsWith('?') ? search.slice(1) : search
+  if (!query) return params
+  query.split('&').forEach((pair) => {
+    if (!pair) return
+    const eq = pair.indexOf('=')
+    const key = decodeComponent(eq === -1 ? pair : pair.slice(0, eq))
+    const raw = eq === -1 ? '' : pair.slice(eq + 1)
+    if (key) params.set(key, raw)
+  })
+  return params
+}
+
+/** Decode a URI component, falling back to the raw text for malformed input. */
+function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '))
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Read one filter value from a raw query value, typed by its default.
+ * Arrays split on literal commas; empty segments are dropped.
+ */
+export function decodeFilterValue(raw, defaultValue) {
+  if (raw == null) return defaultValue
+  if (Array.isArray(defaultValue)) {
+    return raw.split(',').map(decodeComponent).filter((v) => v !== '')
+  }
+  return decodeComponent(raw)
+}
+
+/**
+ * Serialize one filter value for the query string.
+ * Returns null when the value is "All" (empty string / empty array).
+ */
+export function encodeFilterValue(value) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return null
+    return value.map((v) => encodeURIComponent(String(v))).join(',')
+  }
+  if (value == null || value === '') return null
+  return encodeURIComponent(String(value))
+}
+
+/**
+ * Build a query string ("?a=1&b=2" or "") from the parsed Map.
+ * Raw values are written as-is; they were encoded when they were set.
+ */
+function buildQuery(params) {
+  const parts = []
+  params.forEach((raw, key) => {
+    parts.push(`${encodeURIComponent(key)}=${raw}`)
+  })
+  return parts.length ? `?${parts.join('&')}` : ''
+}
+
+/**
+ * Build a full filter query string for a set of filter values.
+ * Useful for links that should open a page with filters pre-applied.
+ *
+ * @param {Object} values – { key: string | string[] }
+ * @returns {string} "?key=value&…" or "" when every value is "All"
+ */
+export function buildFilterSearch(values) {
+  const params = new Map()
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const raw = encodeFilterValue(value)
+    if (raw != null) params.set(key, raw)
+  })
+  return buildQuery(params)
+}
+
+/**
+ * Apply a filter patch to a query string, keeping every other key.
+ * "All" values (empty string / empty array) remove their key.
+ *
+ * @param {string} search – current query string ("?a=1" or "")
+ * @param {Object} patch  – { key: string | string[] }
+ * @returns {string} the new query string
+ */
+export function patchFilterSearch(search, patch) {
+  const params = parseQuery(search)
+  Object.entries(patch).forEach(([key, value]) => {
+    const raw = encodeFilterValue(value)
+    if (raw == null) params.delete(key)
+    else params.set(key, raw)
+  })
+  return buildQuery(params)
+}
+
+/**
+ * Read filter keys from a query string outside a page component (e.g. for
+ * the AI page context). Every key is read as a list; missing keys are [].
+ *
+ * @param {string}   search – query string ("?year=2023,2024&mode=Rail")
+ * @param {string[]} keys   – filter keys to read
+ * @returns {Object} { key: string[] }
+ */
+export function readFilterSearch(search, keys) {
+  const params = parseQuery(search)
+  return Object.fromEntries(keys.map((key) => [key, decodeFilterValue(params.get(key), [])]))
+}
+
+/**
+ * Sync a page's filters with the hash query string.
+ *
+ * @param {Object} defaults – { key: '' | [] } declaring each filter and its "All" value.
+ *                            Should be a module-level constant (stable identity).
+ * @returns {{
+ *   filters: Object,
+ *   setFilter: (key: string, value: string | string[]) => void,
+ *   setFilters: (patch: Object) => void,
+ *   resetFilters: () => void,
+ * }}
+ */
+export function useUrlFilters(defaults) {
+  const location = useLocation()
+  const navigate = useNavigate()
+
+  const filters = useMemo(() => {
+    const params = parseQuery(location.search)
+    const result = {}
+    Object.entries(defaults).forEach(([key, defaultValue]) => {
+      result[key] = decodeFilterValue(params.get(key), defaultValue)
+    })
+    return result
+  }, [location.search, defaults])
+
+  // Apply several key changes as a single history entry so back/forward
+  // steps through whole filter states rather than individual keys.
+  const setFilters = useCallback((patch) => {
+    const search = patchFilterSearch(location.search, patch)
+    if (search === location.search) return
+    navigate({ pathname: location.pathname, search })
+  }, [location.pathname, location.search, navigate])
+
+  const setFilter = useCallback((key, value) => {
+    setFilters({ [key]: value })
+  }, [setFilters])
+
+  const resetFilters = useCallback(() => {
+    setFilters(defaults)
+  }, [setFilters, defaults])
+
+  return { filters, setFilter, setFilters, resetFilters }
+}
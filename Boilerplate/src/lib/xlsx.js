@@ -0,0 +1,248 @@
+/**
+ * ── xlsx.js ─────────────────────────────────────────────────────────────────
+ * Minimal Excel (.xlsx) writer — enough for data exports, with no library.
+ * An .xlsx file is a zip of XML parts; this writes the few parts Excel needs
+ * (workbook, styles, one XML file per sheet) into an uncompressed zip.
+ *
+ *   buildXlsx([
+ *     { name: 'Data',
+ *       columns: [{ header: 'Year', numFmt: '0' }, { header: 'Trade Value', numFmt: '"$"#,##0' }],
+ *       rows: [[2023, 1234567], [2024, 2345678]],
+ *       freezeHeader: true },
+ *   ]) → Blob
+ *
+ * Numbers are written as numbers (so Excel can sum them) with the column's
+ * number format; everything else is written as text. The header row is bold.
+ *
+ * ── BOILERPLATE: NO CHANGES NEEDED ─────────────────────────────────────────
+ * Data-agnostic. Column formats for dashboard data are chosen in
+ * lib/downloadData.js.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+
+const MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+const MAX_COLUMN_WIDTH = 50
+/** Excel's first id for custom number formats. */
+const FIRST_CUSTOM_FORMAT = 164
+
+/** Control characters aren't allowed in XML; tab, newline and carriage return are. */
+const isAllowedChar = (c) => {
+  const code = c.charCodeAt(0)
+  return code >= 32 || code === 9 || code === 10 || code === 13
+}
+
+const escapeXml = (text) =>
+  Array.from(String(text)).filter(isAllowedChar).join('')
+    .replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+
+/** 0 → 'A', 27 → 'AB'. */
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+/** Sheet names: at most 31 characters, none of : \ / ? * [ ], unique. */
+function sheetNames(sheets) {
+  const used = new Set()
+  return sheets.map((sheet, i) => {
+    const base = String(sheet.name || `Sheet${i + 1}`).replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || `Sheet${i + 1}`
+    let name = base
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 28)} (${n})`
+    used.add(name.toLowerCase())
+    return name
+  })
+}
+
+/**
+ * Cell styles: 0 = default, 1 = bold header, then one per number format.
+ * Returns the styles.xml part and a numFmt → style index lookup.
+ */
+function buildStyles(sheets) {
+  const formats = [...new Set(sheets.flatMap((s) => s.columns.map((c) => c.numFmt).filter(Boolean)))]
+  const styleIndex = new Map(formats.map((fmt, i) => [fmt, i + 2]))
+  const numFmts = formats
+    .map((fmt, i) => `<numFmt numFmtId="${FIRST_CUSTOM_FORMAT + i}" formatCode="${escapeXml(fmt)}"/>`)
+    .join('')
+  const xfs = formats
+    .map((_, i) => `<xf numFmtId="${FIRST_CUSTOM_FORMAT + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`)
+    .join('')
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+${formats.length ? `<numFmts count="${formats.length}">${numFmts}</numFmts>` : ''}
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="${formats.length + 2}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>${xfs}</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`
+  return { xml, styleIndex }
+}
+
+function cellXml(ref, value, style) {
+  const s = style ? ` s="${style}"` : ''
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`
+  if (value == null || value === '') return ''
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+/** Width in characters: the longest header or value, within bounds. */
+function columnWidth(column, rows, index) {
+  const longest = rows.reduce((max, row) => {
+    const value = row[index]
+    const length = typeof value === 'number' ? value.toLocaleString('en-US').length + 2 : String(value ?? '').length
+    return Math.max(max, length)
+  }, String(column.header).length)
+  return Math.min(MAX_COLUMN_WIDTH, Math.max(8, longest + 2))
+}
+
+function sheetXml(sheet, styleIndex) {
+  const { columns, rows } = sheet
+  const header = `<row r="1">${columns.map((c, i) => cellXml(`${columnName(i)}1`, c.header, 1)).join('')}</row>`
+  const body = rows.map((row, r) => {
+    const cells = columns.map((c, i) => {
+      const value = row[i]
+      const style = typeof value === 'number' ? styleIndex.get(c.numFmt) : undefined
+      return cellXml(`${columnName(i)}${r + 2}`, value, style)
+    })
+    return `<row r="${r + 2}">${cells.join('')}</row>`
+  }).join('')
+  const cols = columns
+    .map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || columnWidth(c, rows, i)}" customWidth="1"/>`)
+    .join('')
+  const view = sheet.freezeHeader
+    ? '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView>'
+    : '<sheetView workbookViewId="0"/>'
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews>${view}</sheetViews>
+${cols ? `<cols>${cols}</cols>` : ''}
+<sheetData>${header}${body}</sheetData>
+</worksheet>`
+}
+
+/**
+ * Build an .xlsx workbook.
+ *
+ * @param {Array<{ name: string, columns: { header: string, numFmt?: string, width?: number }[],
+ *   rows: Array<Array<string|number|null>>, freezeHeader?: boolean }>} sheets
+ * @returns {Blob}
+ */
+export function buildXlsx(sheets) {
+  const names = sheetNames(sheets)
+  const { xml: styles, styleIndex } = buildStyles(sheets)
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+
+  const files = [
+    ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${names.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`],
+    ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`],
+    ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${rel}">
+<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`],
+    ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${rel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${names.length + 1}" Type="${rel}/styles" Target="styles.xml"/>
+</Relationships>`],
+    ['xl/styles.xml', styles],
+    ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet, styleIndex)]),
+  ]
+
+  return new Blob([zipStore(files)], { type: MIME })
+}
+
+// ── Zip (stored, no compression) ───────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/** Zip archive of [path, text] entries, as bytes. */
+function zipStore(entries) {
+  const encoder = new TextEncoder()
+  const now = new Date()
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1)
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+
+  const parts = []
+  const central = []
+  let offset = 0
+
+  entries.forEach(([path, text]) => {
+    const name = encoder.encode(path)
+    const data = encoder.encode(text)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true)      // stored
+    local.setUint16(10, dosTime, true)
+    local.setUint16(12, dosDate, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const header = new DataView(new ArrayBuffer(46))
+    header.setUint32(0, 0x02014b50, true)
+    header.setUint16(4, 20, true)
+    header.setUint16(6, 20, true)
+    header.setUint16(8, 0x0800, true)
+    header.setUint16(10, 0, true)
+    header.setUint16(12, dosTime, true)
+    header.setUint16(14, dosDate, true)
+    header.setUint32(16, crc, true)
+    header.setUint32(20, data.length, true)
+    header.setUint32(24, data.length, true)
+    header.setUint16(28, name.length, true)
+    header.setUint32(42, offset, true)
+
+    parts.push(new Uint8Array(local.buffer), name, data)
+    central.push(new Uint8Array(header.buffer), name)
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, entries.length, true)
+  end.setUint16(10, entries.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const all = [...parts, ...central, new Uint8Array(end.buffer)]
+  const bytes = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0))
+  let at = 0
+  all.forEach((part) => {
+    bytes.set(part, at)
+    at += part.length
+  })
+  return bytes
+}
@@ -4,26 +4,44 @@
  * Texas border port analysis page that renders:
  *   - PageHeader with breadcrumbs
  *   - KPI stat cards (total port trade, exports, imports, port count)
- *   - Horizontal bar chart — ports ranked by trade volume
- *   - Map placeholder — reserved for a future point map of port locations
- *   - Donut chart — trade by border region
+ *   - Horizontal bar chart — ports ranked by trade volume; shift-clicking a
+ *     bar (or a region slice or commodity group bar) opens a drawer with the
+ *     records behind it (useDrillDown + DrillDownDrawer)
+ *   - Port map — proportional symbols at each port's Lat/Lon, colored by
+ *     region; clicking a port filters the whole page to that port
+ *   - Donut chart — trade by border region (a MeasureNotice under value
+ *     per ton, which doesn't add up across regions)
  *   - Bar chart — top commodity groups at border ports
  *   - Line chart — top 5 port trends over time
- *   - DataTable — port detail with region, export/import breakdown
+ *   - DataTable — port detail with region, yearly trend sparkline, export/import breakdown
+ *   - PivotTable — drag port, region, mode, commodity group, trade type and
+ *     year into rows / columns, with subtotals and a heatmap
+ *   - DataTable (virtual) — every row-level record matching the filters,
+ *     loaded on request, scrolled rather than paged, sorted and searched in
+ *     the table worker
+ *
+ * Linked brushing (useCrossfilter): clicking a port bar, region slice or
+ * commodity group bar, or brushing a year range on the line chart, filters
+ * every other chart, the KPI cards, the tables and their downloads. The
+ * worker queries take the selections as a second `where` next to the
+ * sidebar filters. Selections show as removable tags in the sidebar.
  *
  * Filters (in right sidebar via DashboardLayout + FilterSidebar):
+ *   - Measure     (global: trade value, weight or value per ton — see lib/measures.js)
  *   - Year        (multi-select)
  *   - Trade Type  (single-select: Export / Import)
  *   - Mode        (multi-select)
  *   - Region      (single-select — unique to this page)
+ *   - Port        (single-select — also set by clicking the port map)
  *
  * Dataset used:
  *   - txBorderPorts — columns: Year, POE, Region, Mode, CommodityGroup,
- *                     Commodity, TradeType, TradeValue, Lat, Lon
+ *                     Commodity, TradeType, TradeValue, WeightTons,
+ *                     WeightLbs, Lat, Lon
  *
  * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────
  * 1. Change the dataset import from useTradeStore to match your new data
- * 2. Update the useMemo calculations to aggregate your data columns
+ * 2. Update the useDataQuery specs to aggregate your data columns
  * 3. Update filter options to match your data's filterable fields
  * 4. Update chart props (xKey, yKey, seriesKey, etc.) to match your columns
  * 5. Update DataTable column definitions
@@ -32,19 +50,46 @@
  * This page demonstrates a location-oriented breakdown with the most
  * filters (4 filter controls). It also shows how to add an extra
  * single-select filter (Region) beyond the standard Year/TradeType/Mode set.
- * The Lat/Lon columns in the dataset are available for a real map component.
+ * The Lat/Lon columns in the dataset drive the PortMap point map.
+ *
+ * Aggregations run in the data worker through useDataQuery (see
+ * lib/dataQuery.js for the query spec), so filter changes don't block the
+ * main thread. Use this page as the template for large datasets. Every
+ * aggregating spec spreads `measure.query`, so the worker sums (or, for
+ * value per ton, divides) the column the sidebar measure asks for. The
+ * dataset is `workerOnly`: the KPI cards, the period comparison and the
+ * drill-down drawer's summaries are worker aggregates too, and row-level
+ * records leave the worker only on demand — a detail download, an open
+ * drill-down drawer, or the records table once the user loads it.
  *
  * Key customization points:
- *   - "portData" useMemo         — Aggregation for the bar chart
- *   - "regionData" useMemo       — Aggregation for the donut chart
- *   - "topCommodities" useMemo   — Secondary breakdown aggregation
- *   - "portTrends" useMemo       — Time-series for the line chart
- *   - "tableData" useMemo        — Row calculations for the DataTable
- *   - "regionFilter" state       — Example of an additional filter dimension
- *   - MapPlaceholder             — Replace with a real map component (e.g., ChoroplethMap)
+ *   - FILTER_DEFAULTS            — Filter keys (synced to the URL query string)
+ *   - CROSSFILTER_DIMENSIONS     — Columns that chart clicks / brushes select on
+ *   - "where" / "portWhere"      — Filter state → dataset columns for queries
+ *   - "portRows" query           — Aggregation for the bar chart
+ *   - "regionRows" query         — Aggregation for the donut chart
+ *   - "commodityRows" query      — Secondary breakdown aggregation
+ *   - "trendRows" query          — Time-series for the line chart
+ *   - "portTypeRows" query       — Export/import split for the DataTable
+ *   - "portYearRows" query       — Per-port yearly series for the table's Sparklines
+ *   - "detail" helper            — Filters of each chart's detail download
+ *   - "selectedRows" query       — Records table rows (only once loaded)
+ *   - FILTER_DEFAULTS.region     — Example of an additional filter dimension
+ *   - "locationRows" query       — Per-port totals + coordinates for PortMap
+ *   - "kpiMetrics" useMemo       — KPI queries for the period comparison
+ *   - RECORD_COLUMNS             — Columns of the row-level records table
+ *   - PIVOT_DIMENSIONS           — Fields the pivot table offers
+ *   - DRILL_DIMENSIONS           — Breakdowns in the drill-down drawer
  */
 import { useMemo, useState } from 'react'
 import { useTradeStore } from '@/stores/tradeStore'
+import { useUrlFilters } from '@/lib/useUrlFilters'
+import { useDataQuery } from '@/lib/useDataQuery'
+import { usePeriodComparison, comparisonTags, COMPARISON_DEFAULTS } from '@/lib/usePeriodComparison'
+import { useCrossfilter } from '@/lib/useCrossfilter'
+import { useMeasure } from '@/lib/useMeasure'
+import { usePivotTable } from '@/lib/usePivotTable'
+import { useDrillDown } from '@/lib/useDrillDown'
 import DashboardLayout from '@/components/layout/DashboardLayout'
 import PageHeader from '@/components/ui/PageHeader'
 import SectionBlock from '@/components/ui/SectionBlock'
@@ -52,142 +97,257 @@ import StatCard from '@/components/ui/StatCard'
 import ChartCard from '@/components/ui/ChartCard'
 import FilterSelect from '@/components/filters/FilterSelect'
 import FilterMultiSelect from '@/components/filters/FilterMultiSelect'
+import PeriodComparisonFilter from '@/components/filters/PeriodComparisonFilter'
+import MeasureToggle from '@/components/filters/MeasureToggle'
 import DataTable from '@/components/ui/DataTable'
-import MapPlaceholder from '@/components/ui/MapPlaceholder'
+import PivotTable from '@/components/ui/PivotTable'
+import DrillDownDrawer from '@/components/ui/DrillDownDrawer'
+import MeasureNotice from '@/components/ui/MeasureNotice'
 import BarChart from '@/components/charts/BarChart'
 import LineChart from '@/components/charts/LineChart'
 import DonutChart from '@/components/charts/DonutChart'
-import { formatCurrency } from '@/lib/chartColors'
-import { Building2, DollarSign, ArrowUpRight, ArrowDownLeft } from 'lucide-react'
+import PortMap from '@/components/charts/PortMap'
+import Sparkline from '@/components/charts/Sparkline'
+import { formatNumber, formatMeasure } from '@/lib/chartColors'
+import { Building2, DollarSign, ArrowUpRight, ArrowDownLeft, Scale } from 'lucide-react'
+
+// Filter keys and their "All" values. Active filters are kept in the URL
+// query string (see useUrlFilters), e.g. #/border-ports?year=2023,2024&mode=Rail&region=Laredo
+const FILTER_DEFAULTS = { year: [], tradeType: '', mode: [], region: '', port: '', ...COMPARISON_DEFAULTS }
+
+// Linked-brushing dimensions: port, region and commodity group are picked
+// by clicking the bar, donut and commodity charts; year is brushed on the
+// line chart.
+const CROSSFILTER_DIMENSIONS = {
+  port: { label: 'Port', field: 'POE' },
+  region: { label: 'Region', field: 'Region' },
+  group: { label: 'Commodity Group', field: 'CommodityGroup' },
+  year: { label: 'Year', field: 'Year', type: 'range' },
+}
+
+// Row-level records table. Defined once so the virtual table doesn't
+// re-index its rows on every render.
+const RECORD_COLUMNS = [
+  { key: 'Year', label: 'Year' },
+  { key: 'POE', label: 'Port of Entry' },
+  { key: 'Region', label: 'Region' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+  { key: 'Commodity', label: 'Commodity', footer: 'count' },
+  { key: 'TradeValue', label: 'Trade Value', type: 'currency', footer: 'sum' },
+  { key: 'WeightTons', label: 'Weight', type: 'number', format: (v) => formatMeasure(v, 'tons'), footer: 'sum' },
+]
+
+// Fields users can drag into the pivot table's rows and columns
+const PIVOT_DIMENSIONS = [
+  { key: 'POE', label: 'Port of Entry' },
+  { key: 'Region', label: 'Region' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'Year', label: 'Year' },
+]
+
+// Breakdowns of a drilled-down bar's records (Year is the drawer's trend)
+const DRILL_DIMENSIONS = [
+  { key: 'POE', label: 'Port of Entry' },
+  { key: 'Region', label: 'Region' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+]
+
+// The crossfilter dimension that selects on a column ('POE' → 'port')
+const dimensionOf = (field) => Object.keys(CROSSFILTER_DIMENSIONS).find((key) => CROSSFILTER_DIMENSIONS[key].field === field)
 
 export default function BorderPortsPage() {
-  const { txBorderPorts, loading } = useTradeStore()
-  const [yearFilter, setYearFilter] = useState([])
-  const [tradeTypeFilter, setTradeTypeFilter] = useState('')
-  const [modeFilter, setModeFilter] = useState([])
-  const [regionFilter, setRegionFilter] = useState('')
+  const { loading } = useTradeStore()
+  const { filters, setFilter, setFilters, resetFilters } = useUrlFilters(FILTER_DEFAULTS)
+  const {
+    year: yearFilter, tradeType: tradeTypeFilter, mode: modeFilter, region: regionFilter, port: portFilter,
+    compareBase, compareTo,
+  } = filters
+  const {
+    selection, toggle, setRange, clearAll,
+    where: selectionWhere, tags: selectionTags, activeCount: selectionCount,
+  } = useCrossfilter(CROSSFILTER_DIMENSIONS)
+  const measure = useMeasure('txBorderPorts')
+  const { query: measureQuery } = measure
 
   // REQUIRED COLUMNS for this page:
   // Year, TradeType, Mode, Region, POE, CommodityGroup, TradeValue.
-  // Lat/Lon are optional right now (reserved for a future map implementation).
-
-  const years = useMemo(() => {
-    if (!txBorderPorts) return []
-    return [...new Set(
-      txBorderPorts
-        .map((d) => Number(d.Year))
-        .filter((y) => Number.isFinite(y)),
-    )].sort((a, b) => b - a)
-  }, [txBorderPorts])
-
-  const modes = useMemo(() => {
-    if (!txBorderPorts) return []
-    return [...new Set(txBorderPorts.map((d) => d.Mode))].filter(Boolean).sort()
-  }, [txBorderPorts])
-
-  const regions = useMemo(() => {
-    if (!txBorderPorts) return []
-    return [...new Set(txBorderPorts.map((d) => d.Region))].filter(Boolean).sort()
-  }, [txBorderPorts])
-
-  const filtered = useMemo(() => {
-    if (!txBorderPorts) return []
-    return txBorderPorts.filter((d) => {
-      // yearFilter stores string values because FilterMultiSelect emits string options.
-      if (yearFilter.length > 0 && !yearFilter.includes(String(d.Year))) return false
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return false
-      if (modeFilter.length > 0 && !modeFilter.includes(d.Mode)) return false
-      if (regionFilter && d.Region !== regionFilter) return false
-      return true
-    })
-  }, [txBorderPorts, yearFilter, tradeTypeFilter, modeFilter, regionFilter])
+  // Lat/Lon are optional — ports without coordinates are left off the map.
+
+  // Worker query filters: page filter state maps straight onto columns
+  // (empty values are ignored — see lib/dataQuery.js). `portWhere` adds the
+  // Port filter; the map keeps showing all ports so a different one can be
+  // picked while a port is selected.
+  const where = useMemo(
+    () => ({ Year: yearFilter, TradeType: tradeTypeFilter, Mode: modeFilter, Region: regionFilter }),
+    [yearFilter, tradeTypeFilter, modeFilter, regionFilter],
+  )
+  const portWhere = { ...where, POE: portFilter }
 
-  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, modeFilter.length > 0, regionFilter].filter(Boolean).length
+  // Filter options (distinct values, computed in the data worker)
+  const { data: yearValues } = useDataQuery('txBorderPorts', { distinct: 'Year' })
+  const { data: modes } = useDataQuery('txBorderPorts', { distinct: 'Mode' })
+  const { data: regions } = useDataQuery('txBorderPorts', { distinct: 'Region' })
+  const { data: ports } = useDataQuery('txBorderPorts', { distinct: 'POE' })
+  const years = useMemo(() => [...yearValues].reverse(), [yearValues])
 
+  // "Detail" downloads: the row-level records under a chart's filters,
+  // fetched from the worker when a format is picked (see DownloadButton).
+  // The tables take every selection; each chart leaves out its own, and the
+  // map the Port filter too.
+  const detail = (pageWhere, except, filename) => ({ dataset: 'txBorderPorts', where: [pageWhere, selectionWhere(except)], filename })
+
+  // The records table asks the worker for its rows only once it is loaded
+  const [showRecords, setShowRecords] = useState(false)
+  const { data: selectedRows, loading: recordsLoading } = useDataQuery('txBorderPorts', showRecords ? { where: [portWhere, selectionWhere()], rows: true } : null)
+
+  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, modeFilter.length > 0, regionFilter, portFilter, compareBase || compareTo].filter(Boolean).length
+
+  // Period comparison: every filter and selection except Year (filter or
+  // brushed range) — the periods pick the years. Each KPI is a worker query,
+  // run per period (see usePeriodComparison).
+  const kpiMetrics = useMemo(() => ({
+    total: { ...measure.query, format: measure.format },
+    exports: { ...measure.query, where: { TradeType: 'Export' }, format: measure.format },
+    imports: { ...measure.query, where: { TradeType: 'Import' }, format: measure.format },
+    portCount: { measure: 'POE', op: 'distinct', format: formatNumber },
+  }), [measure])
+  const comparison = usePeriodComparison('txBorderPorts', [{ ...where, Year: [], POE: portFilter }, selectionWhere('year')],
+    kpiMetrics, { base: compareBase, compare: compareTo })
+
+  // Bar chart: every selection except its own (port)
+  const { data: portRows } = useDataQuery('txBorderPorts', { where: [portWhere, selectionWhere('port')], groupBy: 'POE', sort: 'desc', ...measureQuery })
+  const portData = useMemo(() => portRows.map((d) => ({ label: d.POE, value: d.value })), [portRows])
+  // The ports under every selection: the port selection only drops the
+  // other ports, so this is the bar's rows without them
+  const selectedPorts = useMemo(
+    () => (selection.port ? portData.filter((d) => d.label === selection.port) : portData),
+    [portData, selection.port],
+  )
+
+  // The total is its own query: a ratio measure can't be summed from the
+  // per-trade-type rows
+  const { data: totalRows } = useDataQuery('txBorderPorts', { where: [portWhere, selectionWhere()], ...measureQuery })
+  const { data: tradeTypeRows } = useDataQuery('txBorderPorts', { where: [portWhere, selectionWhere()], groupBy: 'TradeType', ...measureQuery })
   const stats = useMemo(() => {
-    const total = filtered.reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const exports = filtered.filter((d) => d.TradeType === 'Export').reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const imports = filtered.filter((d) => d.TradeType === 'Import').reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const portCount = new Set(filtered.map((d) => d.POE).filter(Boolean)).size
-    return { total, exports, imports, portCount }
-  }, [filtered])
-
-  const portData = useMemo(() => {
-    const byPort = new Map()
-    filtered.forEach((d) => {
-      const p = d.POE
-      if (!p) return
-      if (!byPort.has(p)) byPort.set(p, 0)
-      byPort.set(p, byPort.get(p) + (d.TradeValue || 0))
-    })
-    return Array.from(byPort, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-  }, [filtered])
-
-  const regionData = useMemo(() => {
-    const byRegion = new Map()
-    filtered.forEach((d) => {
-      if (!d.Region) return
-      if (!byRegion.has(d.Region)) byRegion.set(d.Region, 0)
-      byRegion.set(d.Region, byRegion.get(d.Region) + (d.TradeValue || 0))
-    })
-    return Array.from(byRegion, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-  }, [filtered])
+    const byType = Object.fromEntries(tradeTypeRows.map((d) => [d.TradeType, d.value]))
+    const total = totalRows[0]?.value || 0
+    return { total, exports: byType.Export || 0, imports: byType.Import || 0, portCount: selectedPorts.length }
+  }, [totalRows, tradeTypeRows, selectedPorts])
 
+  // Donut: every selection except its own (region)
+  const { data: regionRows } = useDataQuery('txBorderPorts', { where: [portWhere, selectionWhere('region')], groupBy: 'Region', sort: 'desc', ...measureQuery })
+  const regionData = useMemo(() => regionRows.map((d) => ({ label: d.Region, value: d.value })), [regionRows])
+
+  // Top 5 ports over every year (the Year filter and the brushed range are
+  // intentionally not applied)
+  const topPorts = portData.slice(0, 5).map((d) => d.label)
+  const { data: trendRows } = useDataQuery('txBorderPorts', {
+    where: [{ ...where, Year: [], POE: topPorts }, selectionWhere('year')],
+    groupBy: ['POE', 'Year'],
+    ...measureQuery,
+  })
   const portTrends = useMemo(() => {
-    if (!txBorderPorts) return []
-    const topPorts = portData.slice(0, 5).map((d) => d.label)
-    const byPortYear = new Map()
-    txBorderPorts.forEach((d) => {
-      if (!topPorts.includes(d.POE)) return
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return
-      if (modeFilter.length > 0 && !modeFilter.includes(d.Mode)) return
-      if (regionFilter && d.Region !== regionFilter) return
-      const key = `${d.POE}|${d.Year}`
-      if (!byPortYear.has(key)) byPortYear.set(key, { year: d.Year, Port: d.POE, value: 0 })
-      byPortYear.get(key).value += d.TradeValue || 0
-    })
-    return Array.from(byPortYear.values())
-  }, [txBorderPorts, portData, tradeTypeFilter, modeFilter, regionFilter])
-
-  const topCommodities = useMemo(() => {
-    const byCom = new Map()
-    filtered.forEach((d) => {
-      const c = d.CommodityGroup
-      if (!c) return
-      if (!byCom.has(c)) byCom.set(c, 0)
-      byCom.set(c, byCom.get(c) + (d.TradeValue || 0))
+    if (!portData.length) return []
+    return trendRows.map((d) => ({ year: d.Year, Port: d.POE, value: d.value }))
+  }, [trendRows, portData])
+
+  // Per-port totals + coordinates (repeated on every row; the worker keeps
+  // the first non-null pair). Ports without coordinates are skipped by PortMap.
+  // Like the Port filter, the port selection leaves every port on the map.
+  const { data: locationRows } = useDataQuery('txBorderPorts', {
+    where: [where, selectionWhere('port')],
+    groupBy: 'POE',
+    first: ['Region', 'Lat', 'Lon'],
+    sort: 'desc',
+    ...measureQuery,
+  })
+  const portLocations = useMemo(() => locationRows.map((d) => ({
+    label: d.POE,
+    group: d.Region,
+    lat: Number.isFinite(d.Lat) && Number.isFinite(d.Lon) ? d.Lat : null,
+    lon: Number.isFinite(d.Lat) && Number.isFinite(d.Lon) ? d.Lon : null,
+    value: d.value,
+  })), [locationRows])
+
+  const handlePortClick = (d) => {
+    setFilter('port', portFilter === d.label ? '' : d.label)
+  }
+
+  // Commodity bar chart: every selection except its own (group)
+  const { data: commodityRows } = useDataQuery('txBorderPorts', { where: [portWhere, selectionWhere('group')], groupBy: 'CommodityGroup', sort: 'desc', limit: 10, ...measureQuery })
+  const topCommodities = useMemo(() => commodityRows.map((d) => ({ label: d.CommodityGroup, value: d.value })), [commodityRows])
+
+  // Per-port trend across every year for the table's Trend column (Year
+  // filter and brushed range not applied). Years a port has no rows for count as 0.
+  const { data: portYearRows } = useDataQuery('txBorderPorts', { where: [{ ...where, Year: [] }, selectionWhere('year')], groupBy: ['POE', 'Year'], ...measureQuery })
+  const trendByPort = useMemo(() => {
+    const byPort = new Map()
+    portYearRows.forEach((d) => {
+      if (!byPort.has(d.POE)) byPort.set(d.POE, new Map())
+      byPort.get(d.POE).set(d.Year, d.value)
     })
-    return Array.from(byCom, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 10)
-  }, [filtered])
+    return new Map(Array.from(byPort, ([port, byYear]) => [
+      port,
+      yearValues.map((year) => ({ year, value: byYear.get(year) || 0 })),
+    ]))
+  }, [portYearRows, yearValues])
 
+  // Table follows every selection, including a selected port
+  const { data: portTypeRows } = useDataQuery('txBorderPorts', { where: [portWhere, selectionWhere()], groupBy: ['POE', 'TradeType'], first: ['Region'], ...measureQuery })
   const tableData = useMemo(() => {
-    return portData.map((d) => {
-      const rows = filtered.filter((r) => r.POE === d.label)
-      const exp = rows.filter((r) => r.TradeType === 'Export').reduce((s, r) => s + (r.TradeValue || 0), 0)
-      const imp = rows.filter((r) => r.TradeType === 'Import').reduce((s, r) => s + (r.TradeValue || 0), 0)
-      const region = rows[0]?.Region || ''
-      return { Port: d.label, Region: region, Total: d.value, Exports: exp, Imports: imp }
+    const byPort = new Map()
+    portTypeRows.forEach((d) => {
+      if (!byPort.has(d.POE)) byPort.set(d.POE, { region: d.Region || '', Export: 0, Import: 0 })
+      const entry = byPort.get(d.POE)
+      if (d.TradeType in entry) entry[d.TradeType] += d.value
+    })
+    return selectedPorts.map((d) => {
+      const entry = byPort.get(d.label) || { region: '', Export: 0, Import: 0 }
+      return { Port: d.label, Region: entry.region, Total: d.value, Exports: entry.Export, Imports: entry.Import }
     })
-  }, [portData, filtered])
+  }, [selectedPorts, portTypeRows])
 
-  const resetFilters = () => {
-    setYearFilter([])
-    setTradeTypeFilter('')
-    setModeFilter([])
-    setRegionFilter('')
-  }
+  // Pivot over the same filters and selections, starting as ports × export / import
+  const pivot = usePivotTable('txBorderPorts', {
+    where: [portWhere, selectionWhere()],
+    dimensions: PIVOT_DIMENSIONS,
+    rows: ['POE'],
+    columns: ['TradeType'],
+    filename: 'port-pivot',
+  })
+
+  // Records behind a shift-clicked bar or slice: the rows that chart totals,
+  // leaving out the chart's own selection
+  const drill = useDrillDown({
+    dataset: 'txBorderPorts',
+    where: (field) => [portWhere, selectionWhere(dimensionOf(field))],
+    dimensions: DRILL_DIMENSIONS,
+    columns: RECORD_COLUMNS,
+    measure,
+    filename: 'port-records',
+  })
 
   const activeTags = [
-    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setYearFilter(yearFilter.filter((v) => v !== y)) })),
-    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setTradeTypeFilter('') }] : []),
-    ...modeFilter.map((m) => ({ group: 'Mode', label: m, onRemove: () => setModeFilter(modeFilter.filter((v) => v !== m)) })),
-    ...(regionFilter ? [{ group: 'Region', label: regionFilter, onRemove: () => setRegionFilter('') }] : []),
+    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setFilter('year', yearFilter.filter((v) => v !== y)) })),
+    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setFilter('tradeType', '') }] : []),
+    ...modeFilter.map((m) => ({ group: 'Mode', label: m, onRemove: () => setFilter('mode', modeFilter.filter((v) => v !== m)) })),
+    ...(regionFilter ? [{ group: 'Region', label: regionFilter, onRemove: () => setFilter('region', '') }] : []),
+    ...(portFilter ? [{ group: 'Port', label: portFilter, onRemove: () => setFilter('port', '') }] : []),
+    ...comparisonTags({ base: compareBase, compare: compareTo }, () => setFilters(COMPARISON_DEFAULTS)),
+    ...selectionTags,
   ]
 
+  const resetAll = () => {
+    resetFilters()
+    clearAll()
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[60vh]">
@@ -198,14 +358,18 @@ export default function BorderPortsPage() {
 
   const filterPanel = (
     <>
-      <FilterMultiSelect label="Year" value={yearFilter} onChange={setYearFilter}
+      <MeasureToggle dataset="txBorderPorts" />
+      <FilterMultiSelect label="Year" value={yearFilter} onChange={(v) => setFilter('year', v)}
         options={years.map((y) => ({ value: String(y), label: String(y) }))} />
-      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={setTradeTypeFilter}
+      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={(v) => setFilter('tradeType', v)}
         options={['Export', 'Import']} />
-      <FilterMultiSelect label="Mode" value={modeFilter} onChange={setModeFilter}
+      <FilterMultiSelect label="Mode" value={modeFilter} onChange={(v) => setFilter('mode', v)}
         options={modes} />
-      <FilterSelect label="Region" value={regionFilter} onChange={setRegionFilter}
+      <FilterSelect label="Region" value={regionFilter} onChange={(v) => setFilter('region', v)}
         options={regions} />
+      <FilterSelect label="Port of Entry" value={portFilter} onChange={(v) => setFilter('port', v)}
+        options={ports} />
+      <PeriodComparisonFilter years={years} base={compareBase} compare={compareTo} onChange={setFilter} />
     </>
   )
 
@@ -217,24 +381,27 @@ export default function BorderPortsPage() {
         breadcrumbs={[{ label: 'Overview', path: '/' }, { label: 'TX Border Ports' }]}
       />
 
-      <DashboardLayout filters={filterPanel} onResetAll={resetFilters} activeCount={activeFilters} activeTags={activeTags}>
+      <DashboardLayout filters={filterPanel} onResetAll={resetAll} activeCount={activeFilters + selectionCount} activeTags={activeTags}>
         <SectionBlock>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-            <StatCard label="Total Port Trade" value={formatCurrency(stats.total)} icon={DollarSign} highlight variant="primary" delay={0} />
-            <StatCard label="Exports" value={formatCurrency(stats.exports)} icon={ArrowUpRight} delay={100} />
-            <StatCard label="Imports" value={formatCurrency(stats.imports)} icon={ArrowDownLeft} delay={200} />
-            <StatCard label="Ports of Entry" value={String(stats.portCount)} icon={Building2} delay={300} />
+            <StatCard label={measure.key === 'value' ? 'Total Port Trade' : measure.totalLabel} value={measure.format(stats.total)} comparison={comparison?.total} icon={measure.unit === 'usd' ? DollarSign : Scale} highlight variant="primary" delay={0} />
+            <StatCard label="Exports" value={measure.format(stats.exports)} comparison={comparison?.exports} icon={ArrowUpRight} delay={100} />
+            <StatCard label="Imports" value={measure.format(stats.imports)} comparison={comparison?.imports} icon={ArrowDownLeft} delay={200} />
+            <StatCard label="Ports of Entry" value={String(stats.portCount)} comparison={comparison?.portCount} icon={Building2} delay={300} />
           </div>
         </SectionBlock>
 
         <SectionBlock alt>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
-            <ChartCard title="Trade by Port of Entry" subtitle="Ranked by total value"
-              downloadData={{ summary: { data: portData, filename: 'port-trade-summary' }, detail: { data: filtered, filename: 'port-trade-detail' } }}>
-              <BarChart data={portData} xKey="label" yKey="value" horizontal />
+            <ChartCard title="Trade by Port of Entry" subtitle={`Ranked by ${measure.label.toLowerCase()}`}
+              downloadData={{ summary: { data: portData, filename: 'port-trade-summary' }, detail: detail(portWhere, 'port', 'port-trade-detail') }}>
+              <BarChart data={portData} xKey="label" yKey="value" horizontal formatValue={measure.format}
+                onBarClick={(d) => toggle('port', d.label)} selectedBar={selection.port}
+                onDrillDown={(d) => drill.open('POE', d.label, 'Trade by Port of Entry')} />
             </ChartCard>
-            <ChartCard title="Border Ports Map" subtitle="Texas-Mexico border crossings">
-              <MapPlaceholder title="Border Ports Map" height={360} />
+            <ChartCard title="Border Ports Map" subtitle={`Texas-Mexico border crossings, sized by ${measure.label.toLowerCase()}`}
+              downloadData={{ summary: { data: portLocations, filename: 'port-map-summary' }, detail: detail(where, 'port', 'port-map-detail') }}>
+              <PortMap data={portLocations} formatValue={measure.format} onPointClick={handlePortClick} selectedPoint={portFilter || null} />
             </ChartCard>
           </div>
         </SectionBlock>
@@ -242,20 +409,28 @@ export default function BorderPortsPage() {
         <SectionBlock>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
             <ChartCard title="Trade by Region" subtitle="Grouped by border region"
-              downloadData={{ summary: { data: regionData, filename: 'port-region-summary' }, detail: { data: filtered, filename: 'port-region-detail' } }}>
-              <DonutChart data={regionData} />
+              downloadData={{ summary: { data: regionData, filename: 'port-region-summary' }, detail: detail(portWhere, 'region', 'port-region-detail') }}>
+              {measure.additive
+                ? <DonutChart data={regionData} formatValue={measure.format}
+                  onSliceClick={(d) => toggle('region', d?.label)} selectedSlice={selection.region} clearOnOutsideClick={false}
+                  onDrillDown={(d) => drill.open('Region', d.label, 'Trade by Region')} />
+                : <MeasureNotice measure={measure} />}
             </ChartCard>
             <ChartCard title="Top Commodity Groups" subtitle="Most traded commodities at border ports"
-              downloadData={{ summary: { data: topCommodities, filename: 'port-commodities-summary' }, detail: { data: filtered, filename: 'port-commodities-detail' } }}>
-              <BarChart data={topCommodities} xKey="label" yKey="value" horizontal />
+              downloadData={{ summary: { data: topCommodities, filename: 'port-commodities-summary' }, detail: detail(portWhere, 'group', 'port-commodities-detail') }}>
+              <BarChart data={topCommodities} xKey="label" yKey="value" horizontal formatValue={measure.format}
+                onBarClick={(d) => toggle('group', d.label)} selectedBar={selection.group}
+                onDrillDown={(d) => drill.open('CommodityGroup', d.label, 'Top Commodity Groups')} />
             </ChartCard>
           </div>
         </SectionBlock>
 
         <SectionBlock alt>
-          <ChartCard title="Port Trends Over Time" subtitle="Top 5 ports, annual trade volume"
-            downloadData={{ summary: { data: portTrends, filename: 'port-trends-summary' }, detail: { data: filtered, filename: 'port-trends-detail' } }}>
-            <LineChart data={portTrends} xKey="year" yKey="value" seriesKey="Port" />
+          <ChartCard title="Port Trends Over Time" subtitle={`Top 5 ports, annual ${measure.label.toLowerCase()}`}
+            downloadData={{ summary: { data: portTrends, filename: 'port-trends-summary' }, detail: detail(portWhere, 'year', 'port-trends-detail') }}>
+            <LineChart data={portTrends} xKey="year" yKey="value" seriesKey="Port"
+              formatValue={measure.format} unit={measure.unit}
+              onBrush={(r) => setRange('year', r)} brushRange={selection.year} />
           </ChartCard>
         </SectionBlock>
 
@@ -263,20 +438,57 @@ export default function BorderPortsPage() {
           <ChartCard title="Port Detail" subtitle={`${tableData.length} ports of entry`}
             className="w-fit mx-auto h-auto"
             minHeight={0}
-            downloadData={{ summary: { data: tableData, filename: 'port-detail-summary' }, detail: { data: filtered, filename: 'port-detail' } }}>
+            downloadData={{ summary: { data: tableData, filename: 'port-detail-summary' }, detail: detail(portWhere, null, 'port-detail') }}>
             <DataTable
               columns={[
                 { key: 'Port', label: 'Port of Entry' },
                 { key: 'Region', label: 'Region' },
-                { key: 'Total', label: 'Total Trade', render: (v) => formatCurrency(v) },
-                { key: 'Exports', label: 'Exports', render: (v) => formatCurrency(v) },
-                { key: 'Imports', label: 'Imports', render: (v) => formatCurrency(v) },
+                {
+                  key: 'Trend', label: `Trend ${yearValues.length ? `${yearValues[0]}–${yearValues[yearValues.length - 1]}` : ''}`, sortable: false,
+                  render: (_, row) => (
+                    <Sparkline data={trendByPort.get(row.Port)} width={120} height={20} formatValue={measure.format}
+                      className="text-brand-blue" ariaLabel={`${row.Port} ${measure.label.toLowerCase()} by year`} />
+                  ),
+                },
+                { key: 'Total', label: measure.totalLabel, render: (v) => measure.format(v) },
+                { key: 'Exports', label: 'Exports', render: (v) => measure.format(v) },
+                { key: 'Imports', label: 'Imports', render: (v) => measure.format(v) },
               ]}
               data={tableData}
             />
           </ChartCard>
         </SectionBlock>
+
+        <SectionBlock alt>
+          <ChartCard title="Port Pivot" subtitle="Drag fields into rows and columns to cross-tabulate port trade"
+            minHeight={0}
+            downloadData={{ summary: pivot.download, detail: detail(portWhere, null, 'port-pivot-detail') }}>
+            <PivotTable pivot={pivot} />
+          </ChartCard>
+        </SectionBlock>
+
+        <SectionBlock>
+          <ChartCard title="Port Records"
+            subtitle={showRecords && !recordsLoading
+              ? `${selectedRows.length.toLocaleString()} row-level records matching the filters`
+              : 'Row-level records matching the filters'}
+            minHeight={0}
+            downloadData={{ detail: showRecords ? { data: selectedRows, filename: 'port-records' } : detail(portWhere, null, 'port-records') }}>
+            {showRecords ? (
+              <DataTable columns={RECORD_COLUMNS} data={selectedRows} pageSize={12} virtual />
+            ) : (
+              <div className="flex justify-center py-6">
+                <button onClick={() => setShowRecords(true)}
+                  className="px-4 py-2 rounded-lg text-base font-medium text-brand-blue border border-border-light hover:bg-surface-alt transition-colors">
+                  Load records
+                </button>
+              </div>
+            )}
+          </ChartCard>
+        </SectionBlock>
       </DashboardLayout>
+
+      <DrillDownDrawer drill={drill} />
     </>
   )
 }
@@ -3,11 +3,15 @@
  *
  * Primary overview page that renders:
  *   - Hero section with project title and description
- *   - KPI stat cards (total trade, exports, imports for the latest year)
+ *   - KPI stat cards (total trade, exports, imports for the latest year,
+ *     compared with the previous year, with a sparkline across all years)
  *   - Trade Trends line chart (exports vs imports over time)
  *   - Trade by Transportation Mode donut chart (interactive — clicking a
- *     slice cross-filters the line chart and top-states bar chart)
+ *     slice cross-filters the KPI cards, line chart and top-states bar
+ *     chart via useCrossfilter)
  *   - Top 10 U.S. States horizontal bar chart (with link to TradeByState page)
+ *   - Drill-down drawers (useDrillDown + DrillDownDrawer): shift-clicking a
+ *     mode slice or bar, or clicking a state's bar, shows the records behind it
  *
  * Datasets used:
  *   - usAggregated  — drives KPI cards, line chart, and donut chart
@@ -16,9 +20,13 @@
  * Layout: This page does NOT use DashboardLayout / FilterSidebar because
  * it has no filter panel. It uses SectionBlock for alternating row backgrounds.
  *
+ * Measure: the charts follow the global measure picked in another page's
+ * sidebar (see lib/measures.js). Under value per ton, which doesn't add up
+ * across modes, the mode donut becomes a bar chart (still clickable).
+ *
  * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────
  * 1. Change the dataset import from useTradeStore to match your new data
- * 2. Update the useMemo calculations to aggregate your data columns
+ * 2. Update the useDataQuery specs to aggregate your data columns
  * 3. Update filter options to match your data's filterable fields
  * 4. Update chart props (xKey, yKey, seriesKey, etc.) to match your columns
  * 5. Update DataTable column definitions
@@ -30,115 +38,158 @@
  *
  * Key customization points (search for these in the code below):
  *   - "latestYear"       — How the most recent year is determined
- *   - "stats" useMemo    — KPI card calculations (total, exports, imports, change)
- *   - "trendLineData"    — Data transformation for the line chart
- *   - "modeData"         — Data transformation for the donut chart
- *   - "topStates"        — Data transformation for the bar chart
- *   - "handleModeClick"  — Cross-filter interaction between donut and other charts
+ *   - "latestTotals" queries — KPI card values for the latest year
+ *   - "kpiMetrics"       — KPI card calculations (total, exports, imports)
+ *   - "comparison"       — Which periods the KPI cards compare
+ *   - "trendRows" query  — Aggregation for the line chart
+ *   - "modeTotals" query — Aggregation for the donut chart
+ *   - "stateTotals" query — Aggregation for the bar chart
+ *   - CROSSFILTER_DIMENSIONS — Columns that chart clicks select on (mode)
+ *   - MODE_DRILL / STATE_DRILL — Breakdowns and record columns in the
+ *                          drill-down drawers
  *   - Hero section JSX   — Project title, subtitle, and description text
  *   - StatCard props     — Labels, icons, formatting
  */
-import { useMemo, useState } from 'react'
+import { useMemo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import {
-  DollarSign, ArrowUpRight, ArrowDownLeft
+  DollarSign, ArrowUpRight, ArrowDownLeft, Scale
 } from 'lucide-react'
 import { useTradeStore } from '@/stores/tradeStore'
+import { useCrossfilter } from '@/lib/useCrossfilter'
+import { useMeasure } from '@/lib/useMeasure'
+import { useDataQuery } from '@/lib/useDataQuery'
+import { usePeriodComparison } from '@/lib/usePeriodComparison'
+import { useDrillDown } from '@/lib/useDrillDown'
+import { formatMeasure } from '@/lib/chartColors'
 import StatCard from '@/components/ui/StatCard'
 import ChartCard from '@/components/ui/ChartCard'
 import SectionBlock from '@/components/ui/SectionBlock'
+import DrillDownDrawer from '@/components/ui/DrillDownDrawer'
 import LineChart from '@/components/charts/LineChart'
 import DonutChart from '@/components/charts/DonutChart'
 import BarChart from '@/components/charts/BarChart'
-import { formatCurrency } from '@/lib/chartColors'
+
+// Linked-brushing dimensions. Both datasets share the Mode column, so a
+// donut selection filters every chart on the page.
+const CROSSFILTER_DIMENSIONS = {
+  mode: { label: 'Mode', field: 'Mode' },
+}
+
+// Breakdowns (Year is the drawer's trend) and record columns of the
+// drill-down drawers, one per dataset. Record columns are defined once —
+// see DataTable's virtual mode.
+const MODE_DRILL = {
+  dimensions: [
+    { key: 'Mode', label: 'Mode' },
+    { key: 'TradeType', label: 'Trade Type' },
+    { key: 'CommodityGroup', label: 'Commodity Group' },
+    { key: 'State', label: 'State' },
+  ],
+  columns: [
+    { key: 'Year', label: 'Year' },
+    { key: 'Mode', label: 'Mode' },
+    { key: 'TradeType', label: 'Trade Type' },
+    { key: 'State', label: 'State' },
+    { key: 'CommodityGroup', label: 'Commodity Group' },
+    { key: 'Commodity', label: 'Commodity', footer: 'count' },
+    { key: 'TradeValue', label: 'Trade Value', type: 'currency', footer: 'sum' },
+    { key: 'WeightTons', label: 'Weight', type: 'number', format: (v) => formatMeasure(v, 'tons'), footer: 'sum' },
+  ],
+}
+const STATE_DRILL = {
+  dimensions: [
+    { key: 'State', label: 'State' },
+    { key: 'Mode', label: 'Mode' },
+    { key: 'TradeType', label: 'Trade Type' },
+  ],
+  columns: [
+    { key: 'Year', label: 'Year' },
+    { key: 'State', label: 'State' },
+    { key: 'Mode', label: 'Mode' },
+    { key: 'TradeType', label: 'Trade Type', footer: 'count' },
+    { key: 'TradeValue', label: 'Trade Value', type: 'currency', footer: 'sum' },
+  ],
+}
 
 export default function HomePage() {
-  const { usAggregated, btsUsState, loading } = useTradeStore()
+  const { loading } = useTradeStore()
   const navigate = useNavigate()
-  const [selectedMode, setSelectedMode] = useState(null)
+  const { selection, toggle, clearAll, where: selectionWhere } = useCrossfilter(CROSSFILTER_DIMENSIONS)
+  const selectedMode = selection.mode
+  const measure = useMeasure('usAggregated')
+  const stateMeasure = useMeasure('btsUsState')
 
   // REQUIRED COLUMNS (adaptation note for future datasets):
   // - usAggregated: Year, TradeType, TradeValue, Mode
   // - btsUsState:   State, Mode, TradeValue
-  // If your schema differs, update the useMemo blocks below (latestYear/stats/trendLineData/modeData/topStates).
+  // If your schema differs, update kpiMetrics and the query specs below (yearValues/trendRows/modeTotals/stateTotals).
 
-  const handleModeClick = (d) => {
-    if (!d) return setSelectedMode(null)
-    setSelectedMode((prev) => (prev === d.label ? null : d.label))
-  }
+  // Aggregations run in the data worker (see lib/useDataQuery.js)
+  const { data: yearValues } = useDataQuery('usAggregated', { distinct: 'Year' })
+  const latestYear = yearValues.length ? yearValues[yearValues.length - 1] : null
 
-  const latestYear = useMemo(() => {
-    if (!usAggregated?.length) return null
-    const years = usAggregated
-      .map((d) => Number(d.Year))
-      .filter((y) => Number.isFinite(y))
-    return years.length ? Math.max(...years) : null
-  }, [usAggregated])
+  // "Detail" downloads: the row-level records under the mode selection,
+  // fetched from the worker when a format is picked (see DownloadButton)
+  const detail = (dataset, except, filename) => ({ dataset, where: selectionWhere(except), filename })
 
+  // KPI cards: the latest year under the mode selection. The total is its
+  // own query: a ratio measure can't be summed from the per-trade-type rows.
+  const latestWhere = [selectionWhere(), { Year: latestYear }]
+  const { data: latestTotals } = useDataQuery('usAggregated', latestYear != null ? { where: latestWhere, ...measure.query } : null)
+  const { data: latestByType } = useDataQuery('usAggregated',
+    latestYear != null ? { where: latestWhere, groupBy: 'TradeType', ...measure.query } : null)
   const stats = useMemo(() => {
-    if (!usAggregated || !latestYear) return null
-
-    const prevYear = latestYear - 1
-    const latest = usAggregated.filter((d) => d.Year === latestYear)
-    const prev = usAggregated.filter((d) => d.Year === prevYear)
-
-    const totalLatest = latest.reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const totalPrev = prev.reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const exports = latest.filter((d) => d.TradeType === 'Export').reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const imports = latest.filter((d) => d.TradeType === 'Import').reduce((s, d) => s + (d.TradeValue || 0), 0)
+    if (!latestTotals.length) return null
+    const byType = Object.fromEntries(latestByType.map((d) => [d.TradeType, d.value]))
+    return { total: latestTotals[0].value || 0, exports: byType.Export || 0, imports: byType.Import || 0 }
+  }, [latestTotals, latestByType])
+  const kpiValue = (key) => (stats ? measure.format(stats[key]) : '—')
 
-    const change = totalPrev ? ((totalLatest - totalPrev) / totalPrev) : 0
+  // Home has no filter sidebar, so the KPI cards always compare the latest
+  // year with the one before it (other pages let the user pick periods —
+  // see usePeriodComparison). Each KPI is a worker query, run per period.
+  const kpiMetrics = useMemo(() => {
+    const byMeasure = (where) => ({ ...measure.query, where, format: measure.format })
+    return {
+      total: byMeasure(),
+      exports: byMeasure({ TradeType: 'Export' }),
+      imports: byMeasure({ TradeType: 'Import' }),
+    }
+  }, [measure])
+  const comparison = usePeriodComparison('usAggregated', selectionWhere(), kpiMetrics, {
+    base: latestYear ? String(latestYear - 1) : '',
+    compare: latestYear ? String(latestYear) : '',
+  })
 
-    return { totalLatest, totalPrev, exports, imports, change, latestYear, prevYear }
-  }, [usAggregated, latestYear])
-
-  const trendLineData = useMemo(() => {
-    if (!usAggregated) return []
-
-    const source = selectedMode
-      ? usAggregated.filter((d) => d.Mode === selectedMode)
-      : usAggregated
-
-    const byYearType = new Map()
-    source.forEach((d) => {
-      const key = `${d.Year}|${d.TradeType}`
-      if (!byYearType.has(key)) byYearType.set(key, { year: d.Year, value: 0, TradeType: d.TradeType })
-      byYearType.get(key).value += d.TradeValue || 0
-    })
-
-    return Array.from(byYearType.values()).sort((a, b) => a.year - b.year)
-  }, [usAggregated, selectedMode])
-
-  const modeData = useMemo(() => {
-    if (!usAggregated) return []
-    const byMode = new Map()
-    usAggregated.forEach((d) => {
-      if (!d.Mode) return
-      if (!byMode.has(d.Mode)) byMode.set(d.Mode, 0)
-      byMode.set(d.Mode, byMode.get(d.Mode) + (d.TradeValue || 0))
-    })
-    return Array.from(byMode, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-  }, [usAggregated])
+  const { data: trendRows } = useDataQuery('usAggregated', { where: selectionWhere(), groupBy: ['Year', 'TradeType'], ...measure.query })
+  const trendLineData = useMemo(
+    () => trendRows.map((d) => ({ year: d.Year, value: d.value, TradeType: d.TradeType })).sort((a, b) => a.year - b.year),
+    [trendRows],
+  )
 
-  const topStates = useMemo(() => {
-    if (!btsUsState) return []
+  const { data: modeTotals } = useDataQuery('usAggregated', { where: selectionWhere('mode'), groupBy: 'Mode', sort: 'desc', ...measure.query })
+  const modeData = useMemo(() => modeTotals.map((d) => ({ label: d.Mode, value: d.value })), [modeTotals])
 
-    const source = selectedMode
-      ? btsUsState.filter((d) => d.Mode === selectedMode)
-      : btsUsState
+  const { data: stateTotals } = useDataQuery('btsUsState', { where: selectionWhere(), groupBy: 'State', sort: 'desc', limit: 10, ...stateMeasure.query })
+  const topStates = useMemo(() => stateTotals.map((d) => ({ label: d.State, value: d.value })), [stateTotals])
 
-    const byState = new Map()
-    source.forEach((d) => {
-      if (!d.State) return
-      if (!byState.has(d.State)) byState.set(d.State, 0)
-      byState.set(d.State, byState.get(d.State) + (d.TradeValue || 0))
-    })
-    return Array.from(byState, ([label, value]) => ({ label, value }))
-      .filter((d) => d.label && d.label !== 'undefined')
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 10)
-  }, [btsUsState, selectedMode])
+  // Records behind a drilled-down chart element: the mode charts leave out
+  // their own selection, the states bar takes it
+  const modeDrill = useDrillDown({
+    dataset: 'usAggregated',
+    where: selectionWhere('mode'),
+    ...MODE_DRILL,
+    measure,
+    filename: 'mode-records',
+  })
+  const stateDrill = useDrillDown({
+    dataset: 'btsUsState',
+    where: selectionWhere(),
+    ...STATE_DRILL,
+    measure: stateMeasure,
+    filename: 'state-records',
+  })
 
   if (loading) {
     return (
@@ -171,25 +222,26 @@ export default function HomePage() {
       <SectionBlock>
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 max-w-5xl mx-auto">
           <StatCard
-            label={`Total Trade (${latestYear || '—'})`}
-            value={stats ? formatCurrency(stats.totalLatest) : '—'}
-            trend={stats?.change > 0 ? 'up' : 'down'}
-            trendLabel={stats ? `${(stats.change * 100).toFixed(1)}% vs ${stats.prevYear}` : ''}
+            label={`${measure.key === 'value' ? 'Total Trade' : measure.totalLabel}${selectedMode ? ` · ${selectedMode}` : ''}`}
+            value={kpiValue('total')}
+            comparison={comparison?.total}
             highlight
             variant="primary"
-            icon={DollarSign}
+            icon={measure.unit === 'usd' ? DollarSign : Scale}
             delay={0}
           />
           <StatCard
-            label={`Exports (${latestYear || '—'})`}
-            value={stats ? formatCurrency(stats.exports) : '—'}
+            label={`Exports${selectedMode ? ` · ${selectedMode}` : ''}`}
+            value={kpiValue('exports')}
+            comparison={comparison?.exports}
             highlight
             icon={ArrowUpRight}
             delay={100}
           />
           <StatCard
-            label={`Imports (${latestYear || '—'})`}
-            value={stats ? formatCurrency(stats.imports) : '—'}
+            label={`Imports${selectedMode ? ` · ${selectedMode}` : ''}`}
+            value={kpiValue('imports')}
+            comparison={comparison?.imports}
             highlight
             icon={ArrowDownLeft}
             delay={200}
@@ -203,10 +255,12 @@ export default function HomePage() {
           <div className="lg:col-span-2">
             <ChartCard
               title="Trade Trends Over Time"
-              subtitle={selectedMode ? `Filtered by: ${selectedMode}` : `Exports vs Imports (2013–${latestYear || '…'})`}
+              subtitle={selectedMode
+                ? `${measure.label} · Filtered by: ${selectedMode}`
+                : `${measure.label}, exports vs imports (2013–${latestYear || '…'})`}
               headerRight={selectedMode && (
                 <button
-                  onClick={() => setSelectedMode(null)}
+                  onClick={clearAll}
                   className="text-base text-brand-blue hover:text-brand-blue-dark font-medium transition-colors"
                 >
                   Clear filter &times;
@@ -214,7 +268,7 @@ export default function HomePage() {
               )}
               downloadData={{
                 summary: { data: trendLineData, filename: 'trade-trends-summary' },
-                detail: { data: selectedMode ? usAggregated?.filter((d) => d.Mode === selectedMode) : usAggregated, filename: 'trade-trends-detail' },
+                detail: detail('usAggregated', null, 'trade-trends-detail'),
               }}
             >
               <LineChart
@@ -222,23 +276,40 @@ export default function HomePage() {
                 xKey="year"
                 yKey="value"
                 seriesKey="TradeType"
+                formatValue={measure.format}
+                unit={measure.unit}
               />
             </ChartCard>
           </div>
           <div>
             <ChartCard
               title="Trade by Transportation Mode"
-              subtitle="All years combined"
+              subtitle={`${measure.label}, all years combined`}
               downloadData={{
                 summary: { data: modeData, filename: 'trade-by-mode-summary' },
-                detail: { data: usAggregated, filename: 'trade-by-mode-detail' },
+                detail: detail('usAggregated', 'mode', 'trade-by-mode-detail'),
               }}
             >
-              <DonutChart
-                data={modeData}
-                onSliceClick={handleModeClick}
-                selectedSlice={selectedMode}
-              />
+              {measure.additive ? (
+                <DonutChart
+                  data={modeData}
+                  formatValue={measure.format}
+                  onSliceClick={(d) => toggle('mode', d?.label)}
+                  selectedSlice={selectedMode}
+                  onDrillDown={(d) => modeDrill.open('Mode', d.label, 'Trade by Transportation Mode')}
+                />
+              ) : (
+                <BarChart
+                  data={modeData}
+                  xKey="label"
+                  yKey="value"
+                  horizontal
+                  formatValue={measure.format}
+                  onBarClick={(d) => toggle('mode', d?.label)}
+                  selectedBar={selectedMode}
+                  onDrillDown={(d) => modeDrill.open('Mode', d.label, 'Trade by Transportation Mode')}
+                />
+              )}
             </ChartCard>
           </div>
         </div>
@@ -247,8 +318,8 @@ export default function HomePage() {
       {/* Top States */}
       <SectionBlock>
         <ChartCard
-          title="Top 10 U.S. States by Trade Volume"
-          subtitle={selectedMode ? `Filtered by: ${selectedMode}` : `Total trade with Mexico (2013–${latestYear || '…'})`}
+          title={`Top 10 U.S. States by ${stateMeasure.label}`}
+          subtitle={selectedMode ? `Filtered by: ${selectedMode}` : `Total with Mexico (2013–${latestYear || '…'})`}
           headerRight={
             <button
               onClick={() => navigate('/trade-by-state')}
@@ -259,7 +330,7 @@ export default function HomePage() {
           }
           downloadData={{
             summary: { data: topStates, filename: 'top-states-summary' },
-            detail: { data: selectedMode ? btsUsState?.filter((d) => d.Mode === selectedMode) : btsUsState, filename: 'top-states-detail' },
+            detail: detail('btsUsState', null, 'top-states-detail'),
           }}
         >
           <BarChart
@@ -267,10 +338,15 @@ export default function HomePage() {
             xKey="label"
             yKey="value"
             horizontal
+            formatValue={stateMeasure.format}
+            onDrillDown={(d) => stateDrill.open('State', d.label, 'Top 10 U.S. States')}
           />
         </ChartCard>
       </SectionBlock>
 
+      <DrillDownDrawer drill={modeDrill} />
+      <DrillDownDrawer drill={stateDrill} />
+
     </>
   )
 }
@@ -3,24 +3,32 @@
  *
  * Commodity-level trade analysis page that renders:
  *   - PageHeader with breadcrumbs
- *   - KPI stat cards (total trade value, commodity group count, individual commodity count)
- *   - Treemap chart — commodity groups sized by trade value (top 12)
- *   - Horizontal bar chart — top 10 individual commodities by trade value
+ *   - KPI stat cards (total of the selected measure, commodity group count, individual commodity count)
+ *   - Treemap chart — commodity groups sized by the measure (top 12)
+ *   - Horizontal bar chart — top 10 individual commodities by the measure
  *   - Line chart — top 5 commodity group trends over time
  *   - DataTable — top commodities with export/import breakdown
  *
+ * Linked brushing (useCrossfilter): clicking a treemap cell (commodity
+ * group) or a bar (commodity), or brushing a year range on the line chart,
+ * filters every other chart, the KPI cards, the table and their downloads.
+ * Selections show as removable tags in the sidebar. Shift-clicking a cell
+ * or bar opens a drawer with the records behind it instead (useDrillDown +
+ * DrillDownDrawer).
+ *
  * Filters (in right sidebar via DashboardLayout + FilterSidebar):
+ *   - Measure     (global: trade value, weight or value per ton — see lib/measures.js)
  *   - Year        (multi-select)
  *   - Trade Type  (single-select: Export / Import)
  *   - Mode        (multi-select)
  *
  * Dataset used:
  *   - usAggregated — columns: Year, State, Commodity, Mode, CommodityGroup,
- *                    TradeType, TradeValue
+ *                    TradeType, TradeValue, WeightTons, WeightLbs
  *
  * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────
  * 1. Change the dataset import from useTradeStore to match your new data
- * 2. Update the useMemo calculations to aggregate your data columns
+ * 2. Update the useDataQuery specs to aggregate your data columns
  * 3. Update filter options to match your data's filterable fields
  * 4. Update chart props (xKey, yKey, seriesKey, etc.) to match your columns
  * 5. Update DataTable column definitions
@@ -29,16 +37,32 @@
  * This page demonstrates the treemap + bar + line + table pattern.
  * The treemap is useful for showing hierarchical or categorical breakdowns
  * where relative size matters (e.g., commodity groups, product categories).
+ * Aggregations run in the data worker through useDataQuery, like the
+ * Border Ports page; usAggregated is `workerOnly`, so row-level records are
+ * only fetched for a detail download or an open drill-down drawer.
  *
  * Key customization points:
- *   - "commodityGroups" useMemo  — Aggregation for the treemap
- *   - "topCommodities" useMemo   — Aggregation for the bar chart
- *   - "groupTrends" useMemo      — Aggregation for the line chart
- *   - "tableData" useMemo        — Row calculations for the DataTable
+ *   - FILTER_DEFAULTS            — Filter keys (synced to the URL query string)
+ *   - CROSSFILTER_DIMENSIONS     — Columns that chart clicks / brushes select on
+ *   - COUNT_METRICS / kpiMetrics — KPI queries for the period comparison
+ *   - "where" / "trendWhere"     — Filter state → dataset columns for queries
+ *   - "groupTotals" query        — Aggregation for the treemap
+ *   - "commodityTotals" query    — Aggregation for the bar chart
+ *   - "trendRows" query          — Aggregation for the line chart
+ *   - "tableData" useMemo        — Worker rows combined for the DataTable
+ *   - "detail" helper            — Filters of each chart's detail download
  *   - TreemapChart data prop     — Expects array of { label, value }
+ *   - DRILL_DIMENSIONS / RECORD_COLUMNS — Breakdowns and record columns in
+ *                                  the drill-down drawer
  */
-import { useMemo, useState } from 'react'
+import { useMemo } from 'react'
 import { useTradeStore } from '@/stores/tradeStore'
+import { useUrlFilters } from '@/lib/useUrlFilters'
+import { usePeriodComparison, comparisonTags, COMPARISON_DEFAULTS } from '@/lib/usePeriodComparison'
+import { useCrossfilter } from '@/lib/useCrossfilter'
+import { useDrillDown } from '@/lib/useDrillDown'
+import { useMeasure } from '@/lib/useMeasure'
+import { useDataQuery } from '@/lib/useDataQuery'
 import DashboardLayout from '@/components/layout/DashboardLayout'
 import PageHeader from '@/components/ui/PageHeader'
 import SectionBlock from '@/components/ui/SectionBlock'
@@ -46,118 +70,176 @@ import StatCard from '@/components/ui/StatCard'
 import ChartCard from '@/components/ui/ChartCard'
 import FilterSelect from '@/components/filters/FilterSelect'
 import FilterMultiSelect from '@/components/filters/FilterMultiSelect'
+import PeriodComparisonFilter from '@/components/filters/PeriodComparisonFilter'
+import MeasureToggle from '@/components/filters/MeasureToggle'
 import DataTable from '@/components/ui/DataTable'
+import MeasureNotice from '@/components/ui/MeasureNotice'
+import DrillDownDrawer from '@/components/ui/DrillDownDrawer'
 import BarChart from '@/components/charts/BarChart'
 import TreemapChart from '@/components/charts/TreemapChart'
 import LineChart from '@/components/charts/LineChart'
-import { formatCurrency } from '@/lib/chartColors'
+import { formatNumber, formatMeasure } from '@/lib/chartColors'
 import { Package, TrendingUp } from 'lucide-react'
 
+// Filter keys and their "All" values. Active filters are kept in the URL
+// query string (see useUrlFilters), e.g. #/commodities?year=2024&tradeType=Export
+const FILTER_DEFAULTS = { year: [], tradeType: '', mode: [], ...COMPARISON_DEFAULTS }
+
+// KPI queries for period comparison (see usePeriodComparison). The total
+// follows the sidebar measure, so it's added in the page (kpiMetrics).
+const COUNT_METRICS = {
+  groups: { measure: 'CommodityGroup', op: 'distinct', format: formatNumber },
+  commodities: { measure: 'Commodity', op: 'distinct', format: formatNumber },
+}
+
+// The crossfilter dimension that selects on a column ('Commodity' → 'commodity')
+const dimensionOf = (field) => Object.keys(CROSSFILTER_DIMENSIONS).find((key) => CROSSFILTER_DIMENSIONS[key].field === field)
+
+// Linked-brushing dimensions: group from the treemap, commodity from the
+// bar chart, year range from the line chart.
+const CROSSFILTER_DIMENSIONS = {
+  group: { label: 'Commodity Group', field: 'CommodityGroup' },
+  commodity: { label: 'Commodity', field: 'Commodity' },
+  year: { label: 'Year', field: 'Year', type: 'range' },
+}
+
+// Breakdowns of a drilled-down cell or bar's records (Year is the drawer's trend)
+const DRILL_DIMENSIONS = [
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+  { key: 'Commodity', label: 'Commodity' },
+  { key: 'State', label: 'State' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+]
+
+// Columns of the drawer's records table (defined once — see DataTable's virtual mode)
+const RECORD_COLUMNS = [
+  { key: 'Year', label: 'Year' },
+  { key: 'State', label: 'State' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+  { key: 'Commodity', label: 'Commodity', footer: 'count' },
+  { key: 'TradeValue', label: 'Trade Value', type: 'currency', footer: 'sum' },
+  { key: 'WeightTons', label: 'Weight', type: 'number', format: (v) => formatMeasure(v, 'tons'), footer: 'sum' },
+]
+
 export default function TradeByCommodityPage() {
-  const { usAggregated, loading } = useTradeStore()
-  const [yearFilter, setYearFilter] = useState([])
-  const [tradeTypeFilter, setTradeTypeFilter] = useState('')
-  const [modeFilter, setModeFilter] = useState([])
+  const { loading } = useTradeStore()
+  const { filters, setFilter, setFilters, resetFilters } = useUrlFilters(FILTER_DEFAULTS)
+  const { year: yearFilter, tradeType: tradeTypeFilter, mode: modeFilter, compareBase, compareTo } = filters
+  const {
+    selection, toggle, setRange, clearAll,
+    where: selectionWhere, tags: selectionTags, activeCount: selectionCount,
+  } = useCrossfilter(CROSSFILTER_DIMENSIONS)
+  const measure = useMeasure('usAggregated')
+  const { query: measureQuery } = measure
 
   // REQUIRED COLUMNS for this page: Year, TradeType, Mode, CommodityGroup, Commodity, TradeValue.
-  // If a new dataset uses different names, update the mapping in tradeStore + these useMemo blocks.
-
-  const years = useMemo(() => {
-    if (!usAggregated) return []
-    return [...new Set(
-      usAggregated
-        .map((d) => Number(d.Year))
-        .filter((y) => Number.isFinite(y)),
-    )].sort((a, b) => b - a)
-  }, [usAggregated])
-
-  const modes = useMemo(() => {
-    if (!usAggregated) return []
-    return [...new Set(usAggregated.map((d) => d.Mode))].filter(Boolean).sort()
-  }, [usAggregated])
-
-  const filtered = useMemo(() => {
-    if (!usAggregated) return []
-    return usAggregated.filter((d) => {
-      if (yearFilter.length > 0 && !yearFilter.includes(String(d.Year))) return false
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return false
-      if (modeFilter.length > 0 && !modeFilter.includes(d.Mode)) return false
-      return true
-    })
-  }, [usAggregated, yearFilter, tradeTypeFilter, modeFilter])
-
-  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, modeFilter.length > 0].filter(Boolean).length
-
-  const stats = useMemo(() => {
-    const total = filtered.reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const groups = new Set(filtered.map((d) => d.CommodityGroup).filter(Boolean)).size
-    const commodities = new Set(filtered.map((d) => d.Commodity).filter(Boolean)).size
-    return { total, groups, commodities }
-  }, [filtered])
-
-  const commodityGroups = useMemo(() => {
-    const byGroup = new Map()
-    filtered.forEach((d) => {
-      // Missing CommodityGroup values are skipped to avoid unlabeled treemap nodes.
-      const g = d.CommodityGroup
-      if (!g) return
-      if (!byGroup.has(g)) byGroup.set(g, 0)
-      byGroup.set(g, byGroup.get(g) + (d.TradeValue || 0))
-    })
-    return Array.from(byGroup, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-  }, [filtered])
-
-  const topCommodities = useMemo(() => {
-    const byCom = new Map()
-    filtered.forEach((d) => {
-      const c = d.Commodity
-      if (!c) return
-      if (!byCom.has(c)) byCom.set(c, 0)
-      byCom.set(c, byCom.get(c) + (d.TradeValue || 0))
-    })
-    return Array.from(byCom, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 15)
-  }, [filtered])
+  // If a new dataset uses different names, update the mapping in tradeStore + these query specs.
+
+  // Worker query filters (see lib/dataQuery.js). The trend chart spans all
+  // years, so `trendWhere` skips the Year filter.
+  const where = useMemo(
+    () => ({ Year: yearFilter, TradeType: tradeTypeFilter, Mode: modeFilter }),
+    [yearFilter, tradeTypeFilter, modeFilter],
+  )
+  const trendWhere = { TradeType: tradeTypeFilter, Mode: modeFilter }
+
+  // Filter options (distinct values, computed in the data worker)
+  const { data: yearValues } = useDataQuery('usAggregated', { distinct: 'Year' })
+  const { data: modes } = useDataQuery('usAggregated', { distinct: 'Mode' })
+  const years = useMemo(() => [...yearValues].reverse(), [yearValues])
 
+  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, modeFilter.length > 0, compareBase || compareTo].filter(Boolean).length
+
+  // "Detail" downloads: the row-level records under a chart's filters,
+  // fetched from the worker when a format is picked (see DownloadButton).
+  // The table takes every selection; each chart leaves out its own.
+  const detail = (pageWhere, except, filename) => ({ dataset: 'usAggregated', where: [pageWhere, selectionWhere(except)], filename })
+
+  const { data: totalRows } = useDataQuery('usAggregated', { where: [where, selectionWhere()], ...measureQuery })
+  const { data: groupCount } = useDataQuery('usAggregated', { where: [where, selectionWhere()], op: 'distinct', measure: 'CommodityGroup' })
+  const { data: commodityCount } = useDataQuery('usAggregated', { where: [where, selectionWhere()], op: 'distinct', measure: 'Commodity' })
+  const stats = {
+    total: totalRows[0]?.value || 0,
+    groups: groupCount[0]?.value || 0,
+    commodities: commodityCount[0]?.value || 0,
+  }
+
+  // Period comparison: every filter and selection except Year (filter or
+  // brushed range) — the periods pick the years. Each KPI is a worker query,
+  // run per period.
+  const kpiMetrics = useMemo(() => ({
+    total: { ...measure.query, format: measure.format },
+    ...COUNT_METRICS,
+  }), [measure])
+  const comparison = usePeriodComparison('usAggregated', [trendWhere, selectionWhere('year')], kpiMetrics,
+    { base: compareBase, compare: compareTo })
+
+  // Treemap: every selection except its own (group). Rows with a missing
+  // CommodityGroup are skipped, so there are no unlabeled treemap nodes.
+  const { data: groupTotals } = useDataQuery('usAggregated', { where: [where, selectionWhere('group')], groupBy: 'CommodityGroup', sort: 'desc', ...measureQuery })
+  const commodityGroups = useMemo(() => groupTotals.map((d) => ({ label: d.CommodityGroup, value: d.value })), [groupTotals])
+
+  // Bar chart: every selection except its own (commodity)
+  const { data: commodityTotals } = useDataQuery('usAggregated', { where: [where, selectionWhere('commodity')], groupBy: 'Commodity', sort: 'desc', limit: 15, ...measureQuery })
+  const topCommodities = useMemo(() => commodityTotals.map((d) => ({ label: d.Commodity, value: d.value })), [commodityTotals])
+
+  // Records behind a shift-clicked cell or bar: the rows that chart totals,
+  // leaving out the chart's own selection
+  const drill = useDrillDown({
+    dataset: 'usAggregated',
+    where: (field) => [where, selectionWhere(dimensionOf(field))],
+    dimensions: DRILL_DIMENSIONS,
+    columns: RECORD_COLUMNS,
+    measure,
+    filename: 'commodity-records',
+  })
+
+  // Top 5 groups over every year (the Year filter and the brushed range are
+  // intentionally not applied)
+  const topGroups = commodityGroups.slice(0, 5).map((d) => d.label)
+  const { data: trendRows } = useDataQuery('usAggregated', {
+    where: [{ ...trendWhere, CommodityGroup: topGroups }, selectionWhere('year')],
+    groupBy: ['CommodityGroup', 'Year'],
+    ...measureQuery,
+  })
   const groupTrends = useMemo(() => {
-    if (!usAggregated) return []
-    const top5 = commodityGroups.slice(0, 5).map((d) => d.label)
-    const byGroupYear = new Map()
-    usAggregated.forEach((d) => {
-      const g = d.CommodityGroup
-      if (!top5.includes(g)) return
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return
-      if (modeFilter.length > 0 && !modeFilter.includes(d.Mode)) return
-      const key = `${g}|${d.Year}`
-      if (!byGroupYear.has(key)) byGroupYear.set(key, { year: d.Year, CommodityGroup: g, value: 0 })
-      byGroupYear.get(key).value += d.TradeValue || 0
-    })
-    return Array.from(byGroupYear.values())
-  }, [usAggregated, commodityGroups, tradeTypeFilter, modeFilter])
+    if (!commodityGroups.length) return []
+    return trendRows.map((d) => ({ year: d.Year, CommodityGroup: d.CommodityGroup, value: d.value }))
+  }, [trendRows, commodityGroups])
 
+  // Table follows every selection, including a selected commodity
+  const { data: tableTotals } = useDataQuery('usAggregated', { where: [where, selectionWhere()], groupBy: 'Commodity', sort: 'desc', limit: 15, ...measureQuery })
+  const { data: commodityTypeRows } = useDataQuery('usAggregated', { where: [where, selectionWhere()], groupBy: ['Commodity', 'TradeType'], ...measureQuery })
   const tableData = useMemo(() => {
-    return topCommodities.map((d) => {
-      const rows = filtered.filter((r) => r.Commodity === d.label)
-      const exp = rows.filter((r) => r.TradeType === 'Export').reduce((s, r) => s + (r.TradeValue || 0), 0)
-      const imp = rows.filter((r) => r.TradeType === 'Import').reduce((s, r) => s + (r.TradeValue || 0), 0)
-      return { Commodity: d.label, Total: d.value, Exports: exp, Imports: imp }
+    const byType = new Map()
+    commodityTypeRows.forEach((d) => {
+      if (!byType.has(d.Commodity)) byType.set(d.Commodity, new Map())
+      byType.get(d.Commodity).set(d.TradeType, d.value)
     })
-  }, [topCommodities, filtered])
-
-  const resetFilters = () => {
-    setYearFilter([])
-    setTradeTypeFilter('')
-    setModeFilter([])
-  }
+    return tableTotals.map((d) => ({
+      Commodity: d.Commodity,
+      Total: d.value,
+      Exports: byType.get(d.Commodity)?.get('Export') || 0,
+      Imports: byType.get(d.Commodity)?.get('Import') || 0,
+    }))
+  }, [tableTotals, commodityTypeRows])
 
   const activeTags = [
-    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setYearFilter(yearFilter.filter((v) => v !== y)) })),
-    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setTradeTypeFilter('') }] : []),
-    ...modeFilter.map((m) => ({ group: 'Mode', label: m, onRemove: () => setModeFilter(modeFilter.filter((v) => v !== m)) })),
+    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setFilter('year', yearFilter.filter((v) => v !== y)) })),
+    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setFilter('tradeType', '') }] : []),
+    ...modeFilter.map((m) => ({ group: 'Mode', label: m, onRemove: () => setFilter('mode', modeFilter.filter((v) => v !== m)) })),
+    ...comparisonTags({ base: compareBase, compare: compareTo }, () => setFilters(COMPARISON_DEFAULTS)),
+    ...selectionTags,
   ]
 
+  const resetAll = () => {
+    resetFilters()
+    clearAll()
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[60vh]">
@@ -168,12 +250,14 @@ export default function TradeByCommodityPage() {
 
   const filterPanel = (
     <>
-      <FilterMultiSelect label="Year" value={yearFilter} onChange={setYearFilter}
+      <MeasureToggle dataset="usAggregated" />
+      <FilterMultiSelect label="Year" value={yearFilter} onChange={(v) => setFilter('year', v)}
         options={years.map((y) => ({ value: String(y), label: String(y) }))} />
-      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={setTradeTypeFilter}
+      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={(v) => setFilter('tradeType', v)}
         options={['Export', 'Import']} />
-      <FilterMultiSelect label="Mode" value={modeFilter} onChange={setModeFilter}
+      <FilterMultiSelect label="Mode" value={modeFilter} onChange={(v) => setFilter('mode', v)}
         options={modes} />
+      <PeriodComparisonFilter years={years} base={compareBase} compare={compareTo} onChange={setFilter} />
     </>
   )
 
@@ -185,32 +269,40 @@ export default function TradeByCommodityPage() {
         breadcrumbs={[{ label: 'Overview', path: '/' }, { label: 'Commodities' }]}
       />
 
-      <DashboardLayout filters={filterPanel} onResetAll={resetFilters} activeCount={activeFilters} activeTags={activeTags}>
+      <DashboardLayout filters={filterPanel} onResetAll={resetAll} activeCount={activeFilters + selectionCount} activeTags={activeTags}>
         <SectionBlock>
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
-            <StatCard label="Total Trade Value" value={formatCurrency(stats.total)} icon={TrendingUp} highlight variant="primary" delay={0} />
-            <StatCard label="Commodity Groups" value={String(stats.groups)} icon={Package} delay={100} />
-            <StatCard label="Individual Commodities" value={String(stats.commodities)} icon={Package} delay={200} />
+            <StatCard label={measure.totalLabel} value={measure.format(stats.total)} comparison={comparison?.total} icon={TrendingUp} highlight variant="primary" delay={0} />
+            <StatCard label="Commodity Groups" value={String(stats.groups)} comparison={comparison?.groups} icon={Package} delay={100} />
+            <StatCard label="Individual Commodities" value={String(stats.commodities)} comparison={comparison?.commodities} icon={Package} delay={200} />
           </div>
         </SectionBlock>
 
         <SectionBlock alt>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
-            <ChartCard title="Commodity Groups" subtitle="Trade value by HS classification group"
-              downloadData={{ summary: { data: commodityGroups.slice(0, 12), filename: 'commodity-groups-summary' }, detail: { data: filtered, filename: 'commodity-groups-detail' } }}>
-              <TreemapChart data={commodityGroups.slice(0, 12)} />
+            <ChartCard title="Commodity Groups" subtitle={`${measure.label} by HS classification group`}
+              downloadData={{ summary: { data: commodityGroups.slice(0, 12), filename: 'commodity-groups-summary' }, detail: detail(where, 'group', 'commodity-groups-detail') }}>
+              {measure.additive ? (
+                <TreemapChart data={commodityGroups.slice(0, 12)} formatValue={measure.format}
+                  onCellClick={(d) => toggle('group', d.label)} selectedCell={selection.group}
+                  onDrillDown={(d) => drill.open('CommodityGroup', d.label, 'Commodity Groups')} />
+              ) : <MeasureNotice measure={measure} />}
             </ChartCard>
-            <ChartCard title="Top Commodities" subtitle="Highest value individual commodities"
-              downloadData={{ summary: { data: topCommodities.slice(0, 10), filename: 'top-commodities-summary' }, detail: { data: filtered, filename: 'top-commodities-detail' } }}>
-              <BarChart data={topCommodities.slice(0, 10)} xKey="label" yKey="value" horizontal />
+            <ChartCard title="Top Commodities" subtitle={`Individual commodities by ${measure.label.toLowerCase()}`}
+              downloadData={{ summary: { data: topCommodities.slice(0, 10), filename: 'top-commodities-summary' }, detail: detail(where, 'commodity', 'top-commodities-detail') }}>
+              <BarChart data={topCommodities.slice(0, 10)} xKey="label" yKey="value" horizontal formatValue={measure.format}
+                onBarClick={(d) => toggle('commodity', d.label)} selectedBar={selection.commodity}
+                onDrillDown={(d) => drill.open('Commodity', d.label, 'Top Commodities')} />
             </ChartCard>
           </div>
         </SectionBlock>
 
         <SectionBlock>
-          <ChartCard title="Top 5 Commodity Group Trends" subtitle="Trade value by year"
-            downloadData={{ summary: { data: groupTrends, filename: 'commodity-trends-summary' }, detail: { data: filtered, filename: 'commodity-trends-detail' } }}>
-            <LineChart data={groupTrends} xKey="year" yKey="value" seriesKey="CommodityGroup" />
+          <ChartCard title="Top 5 Commodity Group Trends" subtitle={`${measure.label} by year`}
+            downloadData={{ summary: { data: groupTrends, filename: 'commodity-trends-summary' }, detail: detail(trendWhere, 'year', 'commodity-trends-detail') }}>
+            <LineChart data={groupTrends} xKey="year" yKey="value" seriesKey="CommodityGroup"
+              formatValue={measure.format} unit={measure.unit}
+              onBrush={(r) => setRange('year', r)} brushRange={selection.year} />
           </ChartCard>
         </SectionBlock>
 
@@ -218,19 +310,21 @@ export default function TradeByCommodityPage() {
           <ChartCard title="Commodity Detail" subtitle={`Top ${tableData.length} commodities`}
             className="w-fit mx-auto h-auto"
             minHeight={0}
-            downloadData={{ summary: { data: tableData, filename: 'commodity-detail-summary' }, detail: { data: filtered, filename: 'commodity-detail' } }}>
+            downloadData={{ summary: { data: tableData, filename: 'commodity-detail-summary' }, detail: detail(where, null, 'commodity-detail') }}>
             <DataTable
               columns={[
                 { key: 'Commodity', label: 'Commodity' },
-                { key: 'Total', label: 'Total Trade', render: (v) => formatCurrency(v) },
-                { key: 'Exports', label: 'Exports', render: (v) => formatCurrency(v) },
-                { key: 'Imports', label: 'Imports', render: (v) => formatCurrency(v) },
+                { key: 'Total', label: measure.totalLabel, render: (v) => measure.format(v) },
+                { key: 'Exports', label: 'Exports', render: (v) => measure.format(v) },
+                { key: 'Imports', label: 'Imports', render: (v) => measure.format(v) },
               ]}
               data={tableData}
             />
           </ChartCard>
         </SectionBlock>
       </DashboardLayout>
+
+      <DrillDownDrawer drill={drill} />
     </>
   )
 }
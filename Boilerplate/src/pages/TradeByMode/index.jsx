@@ -3,25 +3,36 @@
  *
  * Transportation mode analysis page that renders:
  *   - PageHeader with breadcrumbs
- *   - KPI stat cards (total trade + top 3 modes with dynamic icons)
+ *   - KPI stat cards (measure total + top 3 modes with dynamic icons)
  *   - Donut chart — mode share (proportion of trade by mode)
- *   - Vertical bar chart — mode comparison (trade value by mode)
+ *   - Vertical bar chart — mode comparison (the measure by mode)
+ *   Shift-clicking a donut slice or bar opens a drawer with the mode's
+ *   records (useDrillDown + DrillDownDrawer).
  *   - Multi-series line chart — mode trends over time
  *   - Stacked bar chart — mode composition by year (year on x-axis,
  *     each mode as a stacked segment)
  *   - DataTable — mode detail with export/import breakdown
  *
+ * Linked brushing (useCrossfilter): clicking a mode in the donut, bar or
+ * stacked chart, or brushing a year range on the line chart, filters every
+ * other chart, the KPI cards, the table and their downloads. Selections show
+ * as removable tags in the sidebar.
+ *
+ * Donut and stacked bar give way to a MeasureNotice under value per ton,
+ * which doesn't add up across modes.
+ *
  * Filters (in right sidebar via DashboardLayout + FilterSidebar):
+ *   - Measure     (global: trade value, weight or value per ton — see lib/measures.js)
  *   - Year        (multi-select)
  *   - Trade Type  (single-select: Export / Import)
  *
  * Dataset used:
  *   - usAggregated — columns: Year, State, Commodity, Mode, CommodityGroup,
- *                    TradeType, TradeValue
+ *                    TradeType, TradeValue, WeightTons, WeightLbs
  *
  * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────
  * 1. Change the dataset import from useTradeStore to match your new data
- * 2. Update the useMemo calculations to aggregate your data columns
+ * 2. Update the useDataQuery specs to aggregate your data columns
  * 3. Update filter options to match your data's filterable fields
  * 4. Update chart props (xKey, yKey, seriesKey, etc.) to match your columns
  * 5. Update DataTable column definitions
@@ -32,122 +43,192 @@
  * pivoted data shape where each row has { year, ModeA: val, ModeB: val, ... }
  * and a separate "keys" array listing the stack segments.
  *
+ * Aggregations run in the data worker through useDataQuery, like the
+ * Border Ports page; usAggregated is `workerOnly`, so row-level records are
+ * only fetched for a detail download or an open drill-down drawer.
+ *
  * Key customization points:
- *   - "modeData" useMemo       — Aggregation for the donut + bar charts
- *   - "modeTrends" useMemo     — Aggregation for the multi-series line chart
- *   - "stackedData" useMemo    — Pivoted data for StackedBarChart
+ *   - FILTER_DEFAULTS          — Filter keys (synced to the URL query string)
+ *   - CROSSFILTER_DIMENSIONS   — Columns that chart clicks / brushes select on
+ *   - "where" / "trendWhere"   — Filter state → dataset columns for queries
+ *   - "modeTotals" query       — Aggregation for the donut + bar charts
+ *   - "trendRows" query        — Aggregation for the multi-series line chart
+ *   - "stackedData" useMemo    — Worker rows pivoted for StackedBarChart
  *   - "modeByTradeType" useMemo — Export/import breakdown for the DataTable
  *   - "modeIcon" function      — Maps category names to Lucide icons for StatCards
+ *   - "detail" helper          — Filters of each chart's detail download
+ *   - "kpiMetrics" useMemo     — KPI queries for the period comparison
  *   - StackedBarChart props    — xKey="year", stackKeys={array of mode names}
+ *   - DRILL_DIMENSIONS / RECORD_COLUMNS — Breakdowns and record columns in
+ *                                the drill-down drawer
  */
-import { useMemo, useState } from 'react'
+import { useMemo } from 'react'
 import { useTradeStore } from '@/stores/tradeStore'
+import { useUrlFilters } from '@/lib/useUrlFilters'
+import { usePeriodComparison, comparisonTags, COMPARISON_DEFAULTS } from '@/lib/usePeriodComparison'
+import { useCrossfilter } from '@/lib/useCrossfilter'
+import { useMeasure } from '@/lib/useMeasure'
+import { useDataQuery } from '@/lib/useDataQuery'
+import { useDrillDown } from '@/lib/useDrillDown'
 import DashboardLayout from '@/components/layout/DashboardLayout'
 import PageHeader from '@/components/ui/PageHeader'
 import SectionBlock from '@/components/ui/SectionBlock'
 import StatCard from '@/components/ui/StatCard'
 import ChartCard from '@/components/ui/ChartCard'
 import FilterSelect from '@/components/filters/FilterSelect'
+import PeriodComparisonFilter from '@/components/filters/PeriodComparisonFilter'
 import FilterMultiSelect from '@/components/filters/FilterMultiSelect'
+import MeasureToggle from '@/components/filters/MeasureToggle'
 import DataTable from '@/components/ui/DataTable'
+import MeasureNotice from '@/components/ui/MeasureNotice'
+import DrillDownDrawer from '@/components/ui/DrillDownDrawer'
 import DonutChart from '@/components/charts/DonutChart'
 import BarChart from '@/components/charts/BarChart'
 import LineChart from '@/components/charts/LineChart'
 import StackedBarChart from '@/components/charts/StackedBarChart'
-import { formatCurrency } from '@/lib/chartColors'
-import { Truck, Ship, Train, DollarSign } from 'lucide-react'
+import { formatMeasure } from '@/lib/chartColors'
+import { Truck, Ship, Train, DollarSign, Scale } from 'lucide-react'
+
+// Filter keys and their "All" values. Active filters are kept in the URL
+// query string (see useUrlFilters), e.g. #/trade-by-mode?year=2023,2024
+const FILTER_DEFAULTS = { year: [], tradeType: '', ...COMPARISON_DEFAULTS }
+
+// Linked-brushing dimensions: mode is picked by clicking the donut, bar or
+// stacked chart; year is brushed on the line chart.
+const CROSSFILTER_DIMENSIONS = {
+  mode: { label: 'Mode', field: 'Mode' },
+  year: { label: 'Year', field: 'Year', type: 'range' },
+}
+
+// Breakdowns of a drilled-down slice or bar's records (Year is the drawer's trend)
+const DRILL_DIMENSIONS = [
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+  { key: 'State', label: 'State' },
+]
+
+// Columns of the drawer's records table (defined once — see DataTable's virtual mode)
+const RECORD_COLUMNS = [
+  { key: 'Year', label: 'Year' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'State', label: 'State' },
+  { key: 'CommodityGroup', label: 'Commodity Group' },
+  { key: 'Commodity', label: 'Commodity', footer: 'count' },
+  { key: 'TradeValue', label: 'Trade Value', type: 'currency', footer: 'sum' },
+  { key: 'WeightTons', label: 'Weight', type: 'number', format: (v) => formatMeasure(v, 'tons'), footer: 'sum' },
+]
 
 export default function TradeByModePage() {
-  const { usAggregated, loading } = useTradeStore()
-  const [yearFilter, setYearFilter] = useState([])
-  const [tradeTypeFilter, setTradeTypeFilter] = useState('')
+  const { loading } = useTradeStore()
+  const { filters, setFilter, setFilters, resetFilters } = useUrlFilters(FILTER_DEFAULTS)
+  const { year: yearFilter, tradeType: tradeTypeFilter, compareBase, compareTo } = filters
+  const {
+    selection, toggle, setRange, clearAll,
+    where: selectionWhere, tags: selectionTags, activeCount: selectionCount,
+  } = useCrossfilter(CROSSFILTER_DIMENSIONS)
+  const measure = useMeasure('usAggregated')
+  const { query: measureQuery } = measure
 
   // REQUIRED COLUMNS for this page: Year, TradeType, Mode, TradeValue.
   // This page is sensitive to Mode labels because they become dynamic stack keys.
 
-  const years = useMemo(() => {
-    if (!usAggregated) return []
-    return [...new Set(
-      usAggregated
-        .map((d) => Number(d.Year))
-        .filter((y) => Number.isFinite(y)),
-    )].sort((a, b) => b - a)
-  }, [usAggregated])
-
-  const filtered = useMemo(() => {
-    if (!usAggregated) return []
-    return usAggregated.filter((d) => {
-      if (yearFilter.length > 0 && !yearFilter.includes(String(d.Year))) return false
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return false
-      return true
-    })
-  }, [usAggregated, yearFilter, tradeTypeFilter])
+  // Worker query filters (see lib/dataQuery.js). Trend charts span all
+  // years, so `trendWhere` skips the Year filter.
+  const where = useMemo(() => ({ Year: yearFilter, TradeType: tradeTypeFilter }), [yearFilter, tradeTypeFilter])
+  const trendWhere = { TradeType: tradeTypeFilter }
 
-  const activeFilters = [yearFilter.length > 0, tradeTypeFilter].filter(Boolean).length
+  // Filter options and stack keys (distinct values, computed in the data worker)
+  const { data: yearValues } = useDataQuery('usAggregated', { distinct: 'Year' })
+  const { data: allModes } = useDataQuery('usAggregated', { distinct: 'Mode' })
+  const years = useMemo(() => [...yearValues].reverse(), [yearValues])
 
-  const modeData = useMemo(() => {
-    const byMode = new Map()
-    filtered.forEach((d) => {
-      if (!d.Mode) return
-      if (!byMode.has(d.Mode)) byMode.set(d.Mode, 0)
-      byMode.set(d.Mode, byMode.get(d.Mode) + (d.TradeValue || 0))
-    })
-    return Array.from(byMode, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-  }, [filtered])
-
-  const stats = useMemo(() => {
-    const total = filtered.reduce((s, d) => s + (d.TradeValue || 0), 0)
-    return { total }
-  }, [filtered])
-
-  const modeTrends = useMemo(() => {
-    if (!usAggregated) return []
-    const byModeYear = new Map()
-    usAggregated.forEach((d) => {
-      if (!d.Mode) return
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return
-      const key = `${d.Mode}|${d.Year}`
-      if (!byModeYear.has(key)) byModeYear.set(key, { year: d.Year, Mode: d.Mode, value: 0 })
-      byModeYear.get(key).value += d.TradeValue || 0
-    })
-    return Array.from(byModeYear.values())
-  }, [usAggregated, tradeTypeFilter])
+  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, compareBase || compareTo].filter(Boolean).length
+
+  // "Detail" downloads: the row-level records under a chart's filters,
+  // fetched from the worker when a format is picked (see DownloadButton).
+  // The table takes every selection; each chart leaves out its own.
+  const detail = (pageWhere, except, filename) => ({ dataset: 'usAggregated', where: [pageWhere, selectionWhere(except)], filename })
 
+  // Donut + bar: every selection except their own (mode)
+  const { data: modeTotals } = useDataQuery('usAggregated', { where: [where, selectionWhere('mode')], groupBy: 'Mode', sort: 'desc', ...measureQuery })
+  const modeData = useMemo(() => modeTotals.map((d) => ({ label: d.Mode, value: d.value })), [modeTotals])
+
+  // KPI cards and table: every selection. The total is its own query: a
+  // ratio measure can't be summed from the per-mode rows.
+  const { data: totalRows } = useDataQuery('usAggregated', { where: [where, selectionWhere()], ...measureQuery })
+  const { data: selectedModes } = useDataQuery('usAggregated', { where: [where, selectionWhere()], groupBy: 'Mode', sort: 'desc', ...measureQuery })
+  const { data: modeTypeRows } = useDataQuery('usAggregated', { where: [where, selectionWhere()], groupBy: ['Mode', 'TradeType'], ...measureQuery })
+  const stats = useMemo(() => ({
+    total: totalRows[0]?.value || 0,
+    topModes: selectedModes.slice(0, 3).map((d) => ({ label: d.Mode, value: d.value })),
+  }), [totalRows, selectedModes])
+
+  // Period comparison: the KPI cards are per mode, so the metrics follow
+  // whichever modes are currently in the top three. Each is a worker query
+  // under the trend filters (no Year filter) and every selection but the
+  // brushed year range — the periods pick the years.
+  const topModeKey = stats.topModes.map((m) => m.label).join('|')
+  const kpiMetrics = useMemo(() => ({
+    total: { ...measure.query, format: measure.format },
+    ...Object.fromEntries(topModeKey.split('|').filter(Boolean).map((mode) => [mode, {
+      ...measure.query,
+      where: { Mode: mode },
+      format: measure.format,
+    }])),
+  }), [topModeKey, measure])
+  const comparison = usePeriodComparison('usAggregated', [trendWhere, selectionWhere('year')], kpiMetrics,
+    { base: compareBase, compare: compareTo })
+
+  const { data: trendRows } = useDataQuery('usAggregated', { where: [trendWhere, selectionWhere('year')], groupBy: ['Mode', 'Year'], ...measureQuery })
+  const modeTrends = useMemo(() => trendRows.map((d) => ({ year: d.Year, Mode: d.Mode, value: d.value })), [trendRows])
+
+  const { data: yearModeRows } = useDataQuery('usAggregated', { where: [trendWhere, selectionWhere('mode')], groupBy: ['Year', 'Mode'], ...measureQuery })
   const stackedData = useMemo(() => {
-    if (!usAggregated) return { data: [], keys: [] }
     // StackedBarChart expects wide rows like:
     // { year: 2024, Truck: 123, Rail: 45, Vessel: 67, ... } plus stack key array.
-    const allModes = [...new Set(usAggregated.map((d) => d.Mode))].filter(Boolean)
     const byYear = new Map()
-    usAggregated.forEach((d) => {
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return
-      if (!byYear.has(d.Year)) {
-        const entry = { year: d.Year }
-        allModes.forEach((m) => (entry[m] = 0))
-        byYear.set(d.Year, entry)
-      }
-      if (d.Mode) byYear.get(d.Year)[d.Mode] += d.TradeValue || 0
+    yearModeRows.forEach((d) => {
+      if (!byYear.has(d.Year)) byYear.set(d.Year, new Map())
+      byYear.get(d.Year).set(d.Mode, d.value)
     })
     return {
-      data: Array.from(byYear.values()).sort((a, b) => a.year - b.year),
+      data: Array.from(byYear, ([year, byMode]) => ({
+        year,
+        ...Object.fromEntries(allModes.map((m) => [m, byMode.get(m) || 0])),
+      })).sort((a, b) => a.year - b.year),
       keys: allModes,
     }
-  }, [usAggregated, tradeTypeFilter])
+  }, [yearModeRows, allModes])
 
   const modeByTradeType = useMemo(() => {
-    const result = new Map()
-    filtered.forEach((d) => {
-      if (!d.Mode) return
-      if (!result.has(d.Mode)) result.set(d.Mode, { Mode: d.Mode, Export: 0, Import: 0, Total: 0 })
-      const entry = result.get(d.Mode)
-      // Explicit checks keep unknown trade labels from being misclassified as imports.
-      if (d.TradeType === 'Export') entry.Export += d.TradeValue || 0
-      if (d.TradeType === 'Import') entry.Import += d.TradeValue || 0
-      entry.Total += d.TradeValue || 0
+    const byType = new Map()
+    modeTypeRows.forEach((d) => {
+      if (!byType.has(d.Mode)) byType.set(d.Mode, new Map())
+      byType.get(d.Mode).set(d.TradeType, d.value)
     })
-    return Array.from(result.values()).sort((a, b) => b.Total - a.Total)
-  }, [filtered])
+    // Explicit lookups keep unknown trade labels from being misclassified as imports.
+    return selectedModes.map((d) => ({
+      Mode: d.Mode,
+      Export: byType.get(d.Mode)?.get('Export') || 0,
+      Import: byType.get(d.Mode)?.get('Import') || 0,
+      Total: d.value,
+    }))
+  }, [selectedModes, modeTypeRows])
+
+  const handleModeClick = (d) => toggle('mode', d?.label)
+
+  // Records behind a shift-clicked slice or bar: the rows the donut and bar
+  // chart total, leaving out the mode selection
+  const drill = useDrillDown({
+    dataset: 'usAggregated',
+    where: [where, selectionWhere('mode')],
+    dimensions: DRILL_DIMENSIONS,
+    columns: RECORD_COLUMNS,
+    measure,
+    filename: 'mode-records',
+  })
 
   const modeIcon = (mode) => {
     if (mode?.includes('Truck')) return Truck
@@ -156,16 +237,18 @@ export default function TradeByModePage() {
     return Truck
   }
 
-  const resetFilters = () => {
-    setYearFilter([])
-    setTradeTypeFilter('')
-  }
-
   const activeTags = [
-    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setYearFilter(yearFilter.filter((v) => v !== y)) })),
-    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setTradeTypeFilter('') }] : []),
+    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setFilter('year', yearFilter.filter((v) => v !== y)) })),
+    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setFilter('tradeType', '') }] : []),
+    ...comparisonTags({ base: compareBase, compare: compareTo }, () => setFilters(COMPARISON_DEFAULTS)),
+    ...selectionTags,
   ]
 
+  const resetAll = () => {
+    resetFilters()
+    clearAll()
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[60vh]">
@@ -176,10 +259,12 @@ export default function TradeByModePage() {
 
   const filterPanel = (
     <>
-      <FilterMultiSelect label="Year" value={yearFilter} onChange={setYearFilter}
+      <MeasureToggle dataset="usAggregated" />
+      <FilterMultiSelect label="Year" value={yearFilter} onChange={(v) => setFilter('year', v)}
         options={years.map((y) => ({ value: String(y), label: String(y) }))} />
-      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={setTradeTypeFilter}
+      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={(v) => setFilter('tradeType', v)}
         options={['Export', 'Import']} />
+      <PeriodComparisonFilter years={years} base={compareBase} compare={compareTo} onChange={setFilter} />
     </>
   )
 
@@ -191,12 +276,12 @@ export default function TradeByModePage() {
         breadcrumbs={[{ label: 'Overview', path: '/' }, { label: 'Transportation Mode' }]}
       />
 
-      <DashboardLayout filters={filterPanel} onResetAll={resetFilters} activeCount={activeFilters} activeTags={activeTags}>
+      <DashboardLayout filters={filterPanel} onResetAll={resetAll} activeCount={activeFilters + selectionCount} activeTags={activeTags}>
         <SectionBlock>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-            <StatCard label="Total Trade" value={formatCurrency(stats.total)} icon={DollarSign} highlight variant="primary" delay={0} />
-            {modeData.slice(0, 3).map((m, i) => (
-              <StatCard key={m.label} label={m.label} value={formatCurrency(m.value)} icon={modeIcon(m.label)} delay={(i + 1) * 100} />
+            <StatCard label={measure.totalLabel} value={measure.format(stats.total)} comparison={comparison?.total} icon={measure.unit === 'usd' ? DollarSign : Scale} highlight variant="primary" delay={0} />
+            {stats.topModes.map((m, i) => (
+              <StatCard key={m.label} label={m.label} value={measure.format(m.value)} comparison={comparison?.[m.label]} icon={modeIcon(m.label)} delay={(i + 1) * 100} />
             ))}
           </div>
         </SectionBlock>
@@ -204,25 +289,37 @@ export default function TradeByModePage() {
         <SectionBlock alt>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
             <ChartCard title="Mode Share" subtitle="Proportion of trade by transportation mode"
-              downloadData={{ summary: { data: modeData, filename: 'mode-share-summary' }, detail: { data: filtered, filename: 'mode-share-detail' } }}>
-              <DonutChart data={modeData} />
+              downloadData={{ summary: { data: modeData, filename: 'mode-share-summary' }, detail: detail(where, 'mode', 'mode-share-detail') }}>
+              {measure.additive ? (
+                <DonutChart data={modeData} formatValue={measure.format} onSliceClick={handleModeClick}
+                  selectedSlice={selection.mode} clearOnOutsideClick={false}
+                  onDrillDown={(d) => drill.open('Mode', d.label, 'Mode Share')} />
+              ) : <MeasureNotice measure={measure} />}
             </ChartCard>
-            <ChartCard title="Mode Comparison" subtitle="Trade value by mode"
-              downloadData={{ summary: { data: modeData, filename: 'mode-comparison-summary' }, detail: { data: filtered, filename: 'mode-comparison-detail' } }}>
-              <BarChart data={modeData} xKey="label" yKey="value" horizontal />
+            <ChartCard title="Mode Comparison" subtitle={`${measure.label} by mode`}
+              downloadData={{ summary: { data: modeData, filename: 'mode-comparison-summary' }, detail: detail(where, 'mode', 'mode-comparison-detail') }}>
+              <BarChart data={modeData} xKey="label" yKey="value" horizontal formatValue={measure.format}
+                onBarClick={handleModeClick} selectedBar={selection.mode}
+                onDrillDown={(d) => drill.open('Mode', d.label, 'Mode Comparison')} />
             </ChartCard>
           </div>
         </SectionBlock>
 
         <SectionBlock>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
-            <ChartCard title="Mode Trends Over Time" subtitle="Annual trade by transportation mode"
-              downloadData={{ summary: { data: modeTrends, filename: 'mode-trends-summary' }, detail: { data: filtered, filename: 'mode-trends-detail' } }}>
-              <LineChart data={modeTrends} xKey="year" yKey="value" seriesKey="Mode" />
+            <ChartCard title="Mode Trends Over Time" subtitle={`Annual ${measure.label.toLowerCase()} by transportation mode`}
+              downloadData={{ summary: { data: modeTrends, filename: 'mode-trends-summary' }, detail: detail(trendWhere, 'year', 'mode-trends-detail') }}>
+              <LineChart data={modeTrends} xKey="year" yKey="value" seriesKey="Mode"
+                formatValue={measure.format} unit={measure.unit}
+                onBrush={(r) => setRange('year', r)} brushRange={selection.year} />
             </ChartCard>
             <ChartCard title="Stacked View" subtitle="Mode composition by year"
-              downloadData={{ summary: { data: stackedData.data, filename: 'mode-stacked-summary' }, detail: { data: filtered, filename: 'mode-stacked-detail' } }}>
-              <StackedBarChart data={stackedData.data} xKey="year" stackKeys={stackedData.keys} />
+              downloadData={{ summary: { data: stackedData.data, filename: 'mode-stacked-summary' }, detail: detail(trendWhere, 'mode', 'mode-stacked-detail') }}>
+              {measure.additive ? (
+                <StackedBarChart data={stackedData.data} xKey="year" stackKeys={stackedData.keys}
+                  formatValue={measure.format} unit={measure.unit}
+                  onSegmentClick={(d) => toggle('mode', d.key)} selectedKey={selection.mode} />
+              ) : <MeasureNotice measure={measure} />}
             </ChartCard>
           </div>
         </SectionBlock>
@@ -231,19 +328,21 @@ export default function TradeByModePage() {
           <ChartCard title="Mode Detail" subtitle="Exports and imports by transportation mode"
             className="w-fit mx-auto h-auto"
             minHeight={0}
-            downloadData={{ summary: { data: modeByTradeType, filename: 'mode-detail-summary' }, detail: { data: filtered, filename: 'mode-detail' } }}>
+            downloadData={{ summary: { data: modeByTradeType, filename: 'mode-detail-summary' }, detail: detail(where, null, 'mode-detail') }}>
             <DataTable
               columns={[
                 { key: 'Mode', label: 'Mode' },
-                { key: 'Total', label: 'Total Trade', render: (v) => formatCurrency(v) },
-                { key: 'Export', label: 'Exports', render: (v) => formatCurrency(v) },
-                { key: 'Import', label: 'Imports', render: (v) => formatCurrency(v) },
+                { key: 'Total', label: measure.totalLabel, render: (v) => measure.format(v) },
+                { key: 'Export', label: 'Exports', render: (v) => measure.format(v) },
+                { key: 'Import', label: 'Imports', render: (v) => measure.format(v) },
               ]}
               data={modeByTradeType}
             />
           </ChartCard>
         </SectionBlock>
       </DashboardLayout>
+
+      <DrillDownDrawer drill={drill} />
     </>
   )
 }
@@ -4,22 +4,33 @@
  * State-level trade analysis page that renders:
  *   - PageHeader with breadcrumbs
  *   - KPI stat cards (total trade, exports, imports, state count)
- *   - Horizontal bar chart — states ranked by trade volume
- *   - Map placeholder — reserved for a future choropleth/geographic visual
+ *   - Horizontal bar chart — states ranked by trade volume; shift-clicking a
+ *     bar opens a drawer with the state's records (useDrillDown + DrillDownDrawer)
+ *   - Choropleth map — states shaded by trade volume (click to filter)
  *   - Line chart — top 5 state trends over time
- *   - DataTable — sortable table with state-level export/import breakdown
+ *   - DataTable — sortable table with state-level trend sparkline and export/import breakdown
+ *   - PivotTable — drag state, mode, trade type and year into rows / columns
+ *     (aggregated in the data worker, see lib/usePivotTable.js)
+ *
+ * Linked brushing (useCrossfilter): clicking a state's bar, or brushing a
+ * year range on the line chart, filters every other chart, the KPI cards,
+ * the tables and their downloads. Selections show as removable tags in the
+ * sidebar.
  *
  * Filters (in right sidebar via DashboardLayout + FilterSidebar):
+ *   - Measure     (global — btsUsState has no weight columns, so this page
+ *                  falls back to trade value; see lib/measures.js)
  *   - Year        (multi-select)
  *   - Trade Type  (single-select: Export / Import)
  *   - Mode        (multi-select)
+ *   - State       (multi-select; also set by clicking states on the map)
  *
  * Dataset used:
  *   - btsUsState  — columns: State, StateCode, Year, TradeType, Mode, TradeValue
  *
  * ── BOILERPLATE: HOW TO ADAPT ───────────────────────────────────────────
  * 1. Change the dataset import from useTradeStore to match your new data
- * 2. Update the useMemo calculations to aggregate your data columns
+ * 2. Update the useDataQuery specs to aggregate your data columns
  * 3. Update filter options to match your data's filterable fields
  * 4. Update chart props (xKey, yKey, seriesKey, etc.) to match your columns
  * 5. Update DataTable column definitions
@@ -29,17 +40,36 @@
  * entity-level breakdown page (e.g., "Trade by Country", "Sales by Region").
  * Copy this file, rename the component, swap the dataset, and adjust
  * the filter/aggregation/chart logic to match your entity's columns.
+ * Aggregations run in the data worker through useDataQuery, like the
+ * Border Ports page; row-level records are only fetched for a detail
+ * download or an open drill-down drawer.
  *
  * Key customization points:
- *   - "filtered" useMemo     — Where filter state is applied to raw data
- *   - "topStates" useMemo    — Aggregation that powers the bar chart
- *   - "stateTrends" useMemo  — Aggregation that powers the line chart
- *   - "tableData" useMemo    — Row-level calculations for the DataTable
+ *   - FILTER_DEFAULTS        — Filter keys (synced to the URL query string)
+ *   - CROSSFILTER_DIMENSIONS — Columns that chart clicks / brushes select on
+ *   - "where" / "stateWhere" — Filter state → dataset columns for queries
+ *   - "mapTotals" query      — Per-state totals that shade the choropleth
+ *   - "stateTotals" query    — Aggregation that powers the bar chart
+ *   - "trendRows" query      — Aggregation that powers the line chart
+ *   - "tableData" useMemo    — Worker rows combined for the DataTable
  *   - "filterPanel" JSX      — The filter controls rendered in the sidebar
- *   - DataTable columns      — Column definitions (key, label, render)
+ *   - "kpiMetrics" useMemo   — KPI queries for the period comparison
+ *   - "detail" helper        — Filters of each chart's detail download
+ *   - "stateYearRows" query  — Per-state yearly series for the table's Sparklines
+ *   - DataTable columns      — Column definitions (key, label, render, type, footer)
+ *   - PIVOT_DIMENSIONS       — Fields the pivot table offers
+ *   - DRILL_DIMENSIONS / RECORD_COLUMNS — Breakdowns and record columns in
+ *                              the drill-down drawer
  */
-import { useMemo, useState } from 'react'
+import { useMemo } from 'react'
 import { useTradeStore } from '@/stores/tradeStore'
+import { useUrlFilters } from '@/lib/useUrlFilters'
+import { usePeriodComparison, comparisonTags, COMPARISON_DEFAULTS } from '@/lib/usePeriodComparison'
+import { useCrossfilter } from '@/lib/useCrossfilter'
+import { useMeasure } from '@/lib/useMeasure'
+import { usePivotTable } from '@/lib/usePivotTable'
+import { useDrillDown } from '@/lib/useDrillDown'
+import { useDataQuery } from '@/lib/useDataQuery'
 import DashboardLayout from '@/components/layout/DashboardLayout'
 import PageHeader from '@/components/ui/PageHeader'
 import SectionBlock from '@/components/ui/SectionBlock'
@@ -47,103 +77,227 @@ import StatCard from '@/components/ui/StatCard'
 import ChartCard from '@/components/ui/ChartCard'
 import FilterSelect from '@/components/filters/FilterSelect'
 import FilterMultiSelect from '@/components/filters/FilterMultiSelect'
+import PeriodComparisonFilter from '@/components/filters/PeriodComparisonFilter'
+import MeasureToggle from '@/components/filters/MeasureToggle'
 import DataTable from '@/components/ui/DataTable'
-import MapPlaceholder from '@/components/ui/MapPlaceholder'
+import PivotTable from '@/components/ui/PivotTable'
+import DrillDownDrawer from '@/components/ui/DrillDownDrawer'
 import BarChart from '@/components/charts/BarChart'
+import ChoroplethMap from '@/components/charts/ChoroplethMap'
 import LineChart from '@/components/charts/LineChart'
-import { formatCurrency } from '@/lib/chartColors'
+import Sparkline from '@/components/charts/Sparkline'
+import { formatNumber } from '@/lib/chartColors'
 import { DollarSign, ArrowUpRight, ArrowDownLeft, Map as MapIcon } from 'lucide-react'
 
+// Filter keys and their "All" values. Active filters are kept in the URL
+// query string (see useUrlFilters), e.g. #/trade-by-state?year=2024&mode=Truck,Rail
+const FILTER_DEFAULTS = { year: [], tradeType: '', mode: [], state: [], ...COMPARISON_DEFAULTS }
+
+// Linked-brushing dimensions: state is picked by clicking the bar chart;
+// year is brushed on the line chart.
+const CROSSFILTER_DIMENSIONS = {
+  state: { label: 'State', field: 'State' },
+  year: { label: 'Year', field: 'Year', type: 'range' },
+}
+
+// Fields users can drag into the pivot table's rows and columns
+const PIVOT_DIMENSIONS = [
+  { key: 'State', label: 'State' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+  { key: 'Year', label: 'Year' },
+]
+
+// Breakdowns of a drilled-down bar's records (Year is the drawer's trend)
+const DRILL_DIMENSIONS = [
+  { key: 'State', label: 'State' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type' },
+]
+
+// Columns of the drawer's records table (defined once — see DataTable's virtual mode)
+const RECORD_COLUMNS = [
+  { key: 'Year', label: 'Year' },
+  { key: 'State', label: 'State' },
+  { key: 'Mode', label: 'Mode' },
+  { key: 'TradeType', label: 'Trade Type', footer: 'count' },
+  { key: 'TradeValue', label: 'Trade Value', type: 'currency', footer: 'sum' },
+]
+
+// KPI queries for period comparison (see usePeriodComparison). The trade
+// value ones follow the sidebar measure, so they're added in the page.
+const STATE_COUNT = { measure: 'State', op: 'distinct', format: formatNumber }
+
 export default function TradeByStatePage() {
-  const { btsUsState, loading } = useTradeStore()
-  const [yearFilter, setYearFilter] = useState([])
-  const [tradeTypeFilter, setTradeTypeFilter] = useState('')
-  const [modeFilter, setModeFilter] = useState([])
+  const { loading } = useTradeStore()
+  const { filters, setFilter, setFilters, resetFilters } = useUrlFilters(FILTER_DEFAULTS)
+  const { year: yearFilter, tradeType: tradeTypeFilter, mode: modeFilter, state: stateFilter, compareBase, compareTo } = filters
+  const {
+    selection, toggle, setRange, clearAll,
+    where: selectionWhere, tags: selectionTags, activeCount: selectionCount,
+  } = useCrossfilter(CROSSFILTER_DIMENSIONS)
+  const measure = useMeasure('btsUsState')
+  const { query: measureQuery } = measure
 
   // REQUIRED COLUMNS for this page: Year, TradeType, Mode, State, TradeValue.
-  // Adapt these useMemo blocks if your next project uses different field names.
-
-  const years = useMemo(() => {
-    if (!btsUsState) return []
-    return [...new Set(
-      btsUsState
-        .map((d) => Number(d.Year))
-        .filter((y) => Number.isFinite(y)),
-    )].sort((a, b) => b - a)
-  }, [btsUsState])
-
-  const modes = useMemo(() => {
-    if (!btsUsState) return []
-    return [...new Set(btsUsState.map((d) => d.Mode))].filter(Boolean).sort()
-  }, [btsUsState])
-
-  const filtered = useMemo(() => {
-    if (!btsUsState) return []
-    return btsUsState.filter((d) => {
-      // yearFilter stores string values because FilterMultiSelect emits string options.
-      if (yearFilter.length > 0 && !yearFilter.includes(String(d.Year))) return false
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return false
-      if (modeFilter.length > 0 && !modeFilter.includes(d.Mode)) return false
-      return true
-    })
-  }, [btsUsState, yearFilter, tradeTypeFilter, modeFilter])
+  // Adapt these query specs if your next project uses different field names.
 
-  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, modeFilter.length > 0].filter(Boolean).length
+  // Worker query filters (see lib/dataQuery.js). `where` is every filter
+  // except State — the map keeps showing all states so the user can see
+  // (and click) what's outside the current selection; `stateWhere` adds
+  // it. The trend charts span all years, so `trendWhere` skips Year.
+  const where = useMemo(
+    () => ({ Year: yearFilter, TradeType: tradeTypeFilter, Mode: modeFilter }),
+    [yearFilter, tradeTypeFilter, modeFilter],
+  )
+  const stateWhere = { ...where, State: stateFilter }
+  const trendWhere = { TradeType: tradeTypeFilter, Mode: modeFilter }
 
+  // Filter options (distinct values, computed in the data worker)
+  const { data: yearValues } = useDataQuery('btsUsState', { distinct: 'Year' })
+  const { data: modes } = useDataQuery('btsUsState', { distinct: 'Mode' })
+  const { data: states } = useDataQuery('btsUsState', { distinct: 'State' })
+  const years = useMemo(() => [...yearValues].reverse(), [yearValues])
+
+  // "Detail" downloads: the row-level records under a chart's filters,
+  // fetched from the worker when a format is picked (see DownloadButton).
+  // The tables take every selection; each chart leaves out its own (and the
+  // map the State filter too).
+  const detail = (pageWhere, except, filename) => ({ dataset: 'btsUsState', where: [pageWhere, selectionWhere(except)], filename })
+
+  // Period comparison uses every filter and selection except Year (filter
+  // or brushed range) — the periods pick the years. Each KPI is a worker
+  // query, run per period.
+  const kpiMetrics = useMemo(() => {
+    const byMeasure = (where) => ({ ...measureQuery, where, format: measure.format })
+    return {
+      total: byMeasure(),
+      exports: byMeasure({ TradeType: 'Export' }),
+      imports: byMeasure({ TradeType: 'Import' }),
+      stateCount: STATE_COUNT,
+    }
+  }, [measure, measureQuery])
+  const comparison = usePeriodComparison('btsUsState', [{ ...trendWhere, State: stateFilter }, selectionWhere('year')], kpiMetrics,
+    { base: compareBase, compare: compareTo })
+
+  const activeFilters = [yearFilter.length > 0, tradeTypeFilter, modeFilter.length > 0, stateFilter.length > 0, compareBase || compareTo].filter(Boolean).length
+
+  // KPI cards: every selection. The total is its own query: a ratio
+  // measure can't be summed from the per-trade-type rows.
+  const { data: totalRows } = useDataQuery('btsUsState', { where: [stateWhere, selectionWhere()], ...measureQuery })
+  const { data: tradeTypeRows } = useDataQuery('btsUsState', { where: [stateWhere, selectionWhere()], groupBy: 'TradeType', ...measureQuery })
+  const { data: stateCountRows } = useDataQuery('btsUsState', { where: [stateWhere, selectionWhere()], op: 'distinct', measure: 'State' })
   const stats = useMemo(() => {
-    const total = filtered.reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const exports = filtered.filter((d) => d.TradeType === 'Export').reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const imports = filtered.filter((d) => d.TradeType === 'Import').reduce((s, d) => s + (d.TradeValue || 0), 0)
-    const stateCount = new Set(filtered.map((d) => d.State).filter(Boolean)).size
-    return { total, exports, imports, stateCount }
-  }, [filtered])
-
-  const topStates = useMemo(() => {
-    const byState = new Map()
-    filtered.forEach((d) => {
-      if (!d.State) return
-      if (!byState.has(d.State)) byState.set(d.State, 0)
-      byState.set(d.State, byState.get(d.State) + (d.TradeValue || 0))
-    })
-    return Array.from(byState, ([label, value]) => ({ label, value }))
-      .sort((a, b) => b.value - a.value)
-  }, [filtered])
+    const byType = Object.fromEntries(tradeTypeRows.map((d) => [d.TradeType, d.value]))
+    return {
+      total: totalRows[0]?.value || 0,
+      exports: byType.Export || 0,
+      imports: byType.Import || 0,
+      stateCount: stateCountRows[0]?.value || 0,
+    }
+  }, [totalRows, tradeTypeRows, stateCountRows])
+
+  // Bar chart: every selection except its own (state)
+  const { data: stateTotals } = useDataQuery('btsUsState', { where: [stateWhere, selectionWhere('state')], groupBy: 'State', sort: 'desc', ...measureQuery })
+  const topStates = useMemo(() => stateTotals.map((d) => ({ label: d.State, value: d.value })), [stateTotals])
+
+  // Map: like the State filter, the state selection leaves every state on it
+  const { data: mapTotals } = useDataQuery('btsUsState', {
+    where: [where, selectionWhere('state')],
+    groupBy: 'State',
+    first: ['StateCode'],
+    sort: 'desc',
+    ...measureQuery,
+  })
+  const stateMap = useMemo(
+    () => mapTotals.map((d) => ({ label: d.State, code: d.StateCode, value: d.value })),
+    [mapTotals],
+  )
 
+  // Clicking a state on the map toggles it in the State filter
+  const handleStateClick = (d) => {
+    const name = d.label
+    setFilter('state', stateFilter.includes(name)
+      ? stateFilter.filter((s) => s !== name)
+      : [...stateFilter, name])
+  }
+
+  // Line chart: top 5 states over every year (no Year filter or brushed range)
+  const topFive = topStates.slice(0, 5).map((d) => d.label)
+  const { data: trendRows } = useDataQuery('btsUsState', {
+    where: [{ ...trendWhere, State: topFive }, selectionWhere('year')],
+    groupBy: ['State', 'Year'],
+    ...measureQuery,
+  })
   const stateTrends = useMemo(() => {
-    const top5 = topStates.slice(0, 5).map((d) => d.label)
-    const byStateYear = new Map()
-    btsUsState?.forEach((d) => {
-      if (!top5.includes(d.State)) return
-      if (tradeTypeFilter && d.TradeType !== tradeTypeFilter) return
-      if (modeFilter.length > 0 && !modeFilter.includes(d.Mode)) return
-      const key = `${d.State}|${d.Year}`
-      if (!byStateYear.has(key)) byStateYear.set(key, { year: d.Year, State: d.State, value: 0 })
-      byStateYear.get(key).value += d.TradeValue || 0
+    if (!topStates.length) return []
+    return trendRows.map((d) => ({ year: d.Year, State: d.State, value: d.value }))
+  }, [trendRows, topStates])
+
+  // Per-state trend across every year for the table's Trend column (Year
+  // filter and brushed range not applied). Years a state has no rows for count as 0.
+  const { data: stateYearRows } = useDataQuery('btsUsState', { where: [trendWhere, selectionWhere('year')], groupBy: ['State', 'Year'], ...measureQuery })
+  const trendByState = useMemo(() => {
+    const byState = new Map()
+    stateYearRows.forEach((d) => {
+      if (!byState.has(d.State)) byState.set(d.State, new Map())
+      byState.get(d.State).set(d.Year, d.value)
     })
-    return Array.from(byStateYear.values())
-  }, [btsUsState, topStates, tradeTypeFilter, modeFilter])
+    return new Map(Array.from(byState, ([state, byYear]) => [
+      state,
+      yearValues.map((year) => ({ year, value: byYear.get(year) || 0 })),
+    ]))
+  }, [stateYearRows, yearValues])
 
+  // Table follows every selection, including a selected state
+  const { data: tableTotals } = useDataQuery('btsUsState', { where: [stateWhere, selectionWhere()], groupBy: 'State', sort: 'desc', ...measureQuery })
+  const { data: stateTypeRows } = useDataQuery('btsUsState', { where: [stateWhere, selectionWhere()], groupBy: ['State', 'TradeType'], ...measureQuery })
   const tableData = useMemo(() => {
-    return topStates.map((d) => {
-      const stateRows = filtered.filter((r) => r.State === d.label)
-      const exp = stateRows.filter((r) => r.TradeType === 'Export').reduce((s, r) => s + (r.TradeValue || 0), 0)
-      const imp = stateRows.filter((r) => r.TradeType === 'Import').reduce((s, r) => s + (r.TradeValue || 0), 0)
-      return { State: d.label, TotalTrade: d.value, Exports: exp, Imports: imp, Balance: exp - imp }
+    const byType = new Map()
+    stateTypeRows.forEach((d) => {
+      if (!byType.has(d.State)) byType.set(d.State, new Map())
+      byType.get(d.State).set(d.TradeType, d.value)
+    })
+    return tableTotals.map((d) => {
+      const exp = byType.get(d.State)?.get('Export') || 0
+      const imp = byType.get(d.State)?.get('Import') || 0
+      return { State: d.State, TotalTrade: d.value, Exports: exp, Imports: imp, Balance: exp - imp }
     })
-  }, [topStates, filtered])
+  }, [tableTotals, stateTypeRows])
 
-  const resetFilters = () => {
-    setYearFilter([])
-    setTradeTypeFilter('')
-    setModeFilter([])
-  }
+  // Pivot over the same filters and selections, starting as states × export / import
+  const pivot = usePivotTable('btsUsState', {
+    where: [stateWhere, selectionWhere()],
+    dimensions: PIVOT_DIMENSIONS,
+    rows: ['State'],
+    columns: ['TradeType'],
+    filename: 'state-pivot',
+  })
+
+  // Records behind a shift-clicked bar: the rows the bar chart totals
+  const drill = useDrillDown({
+    dataset: 'btsUsState',
+    where: [stateWhere, selectionWhere('state')],
+    dimensions: DRILL_DIMENSIONS,
+    columns: RECORD_COLUMNS,
+    measure,
+    filename: 'state-records',
+  })
 
   const activeTags = [
-    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setYearFilter(yearFilter.filter((v) => v !== y)) })),
-    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setTradeTypeFilter('') }] : []),
-    ...modeFilter.map((m) => ({ group: 'Mode', label: m, onRemove: () => setModeFilter(modeFilter.filter((v) => v !== m)) })),
+    ...yearFilter.map((y) => ({ group: 'Year', label: y, onRemove: () => setFilter('year', yearFilter.filter((v) => v !== y)) })),
+    ...(tradeTypeFilter ? [{ group: 'Trade Type', label: tradeTypeFilter, onRemove: () => setFilter('tradeType', '') }] : []),
+    ...modeFilter.map((m) => ({ group: 'Mode', label: m, onRemove: () => setFilter('mode', modeFilter.filter((v) => v !== m)) })),
+    ...stateFilter.map((st) => ({ group: 'State', label: st, onRemove: () => setFilter('state', stateFilter.filter((v) => v !== st)) })),
+    ...comparisonTags({ base: compareBase, compare: compareTo }, () => setFilters(COMPARISON_DEFAULTS)),
+    ...selectionTags,
   ]
 
+  const resetAll = () => {
+    resetFilters()
+    clearAll()
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[60vh]">
@@ -154,12 +308,16 @@ export default function TradeByStatePage() {
 
   const filterPanel = (
     <>
-      <FilterMultiSelect label="Year" value={yearFilter} onChange={setYearFilter}
+      <MeasureToggle dataset="btsUsState" />
+      <FilterMultiSelect label="Year" value={yearFilter} onChange={(v) => setFilter('year', v)}
         options={years.map((y) => ({ value: String(y), label: String(y) }))} />
-      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={setTradeTypeFilter}
+      <FilterSelect label="Trade Type" value={tradeTypeFilter} onChange={(v) => setFilter('tradeType', v)}
         options={['Export', 'Import']} />
-      <FilterMultiSelect label="Mode" value={modeFilter} onChange={setModeFilter}
+      <FilterMultiSelect label="Mode" value={modeFilter} onChange={(v) => setFilter('mode', v)}
         options={modes} />
+      <FilterMultiSelect label="State" value={stateFilter} onChange={(v) => setFilter('state', v)}
+        options={states} />
+      <PeriodComparisonFilter years={years} base={compareBase} compare={compareTo} onChange={setFilter} />
     </>
   )
 
@@ -171,32 +329,38 @@ export default function TradeByStatePage() {
         breadcrumbs={[{ label: 'Overview', path: '/' }, { label: 'Trade by State' }]}
       />
 
-      <DashboardLayout filters={filterPanel} onResetAll={resetFilters} activeCount={activeFilters} activeTags={activeTags}>
+      <DashboardLayout filters={filterPanel} onResetAll={resetAll} activeCount={activeFilters + selectionCount} activeTags={activeTags}>
         <SectionBlock>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-            <StatCard label="Total Trade" value={formatCurrency(stats.total)} icon={DollarSign} highlight variant="primary" delay={0} />
-            <StatCard label="Total Exports" value={formatCurrency(stats.exports)} icon={ArrowUpRight} delay={100} />
-            <StatCard label="Total Imports" value={formatCurrency(stats.imports)} icon={ArrowDownLeft} delay={200} />
-            <StatCard label="States" value={String(stats.stateCount)} icon={MapIcon} delay={300} />
+            <StatCard label={measure.totalLabel} value={measure.format(stats.total)} comparison={comparison?.total} icon={DollarSign} highlight variant="primary" delay={0} />
+            <StatCard label="Total Exports" value={measure.format(stats.exports)} comparison={comparison?.exports} icon={ArrowUpRight} delay={100} />
+            <StatCard label="Total Imports" value={measure.format(stats.imports)} comparison={comparison?.imports} icon={ArrowDownLeft} delay={200} />
+            <StatCard label="States" value={String(stats.stateCount)} comparison={comparison?.stateCount} icon={MapIcon} delay={300} />
           </div>
         </SectionBlock>
 
         <SectionBlock alt>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
-            <ChartCard title="Trade by State" subtitle="Ranked by total trade volume"
-              downloadData={{ summary: { data: topStates.slice(0, 15), filename: 'trade-by-state-summary' }, detail: { data: filtered, filename: 'trade-by-state-detail' } }}>
-              <BarChart data={topStates.slice(0, 15)} xKey="label" yKey="value" horizontal />
+            <ChartCard title="Trade by State" subtitle={`Ranked by ${measure.label.toLowerCase()}`}
+              downloadData={{ summary: { data: topStates.slice(0, 15), filename: 'trade-by-state-summary' }, detail: detail(stateWhere, 'state', 'trade-by-state-detail') }}>
+              <BarChart data={topStates.slice(0, 15)} xKey="label" yKey="value" horizontal formatValue={measure.format}
+                onBarClick={(d) => toggle('state', d.label)} selectedBar={selection.state}
+                onDrillDown={(d) => drill.open('State', d.label, 'Trade by State')} />
             </ChartCard>
-            <ChartCard title="U.S.-Mexico Trade Map" subtitle="Geographic distribution">
-              <MapPlaceholder title="State Trade Volume Map" height={360} />
+            <ChartCard title="U.S.-Mexico Trade Map" subtitle={`${measure.label} by state — click a state to filter`}
+              downloadData={{ summary: { data: stateMap, filename: 'trade-by-state-map' }, detail: detail(where, 'state', 'trade-by-state-map-detail') }}>
+              <ChoroplethMap data={stateMap} scaleType="quantile" formatValue={measure.format}
+                onStateClick={handleStateClick} selectedStates={stateFilter} />
             </ChartCard>
           </div>
         </SectionBlock>
 
         <SectionBlock>
-          <ChartCard title="Top 5 State Trends" subtitle="Trade volume over time for the top 5 trading states"
-            downloadData={{ summary: { data: stateTrends, filename: 'state-trends-summary' }, detail: { data: filtered, filename: 'state-trends-detail' } }}>
-            <LineChart data={stateTrends} xKey="year" yKey="value" seriesKey="State" />
+          <ChartCard title="Top 5 State Trends" subtitle={`${measure.label} over time for the top 5 trading states`}
+            downloadData={{ summary: { data: stateTrends, filename: 'state-trends-summary' }, detail: detail(stateWhere, 'year', 'state-trends-detail') }}>
+            <LineChart data={stateTrends} xKey="year" yKey="value" seriesKey="State"
+              formatValue={measure.format} unit={measure.unit}
+              onBrush={(r) => setRange('year', r)} brushRange={selection.year} />
           </ChartCard>
         </SectionBlock>
 
@@ -204,18 +368,25 @@ export default function TradeByStatePage() {
           <ChartCard title="State Trade Details" subtitle={`${tableData.length} states`}
             className="w-fit mx-auto h-auto"
             minHeight={0}
-            downloadData={{ summary: { data: tableData, filename: 'state-details-summary' }, detail: { data: filtered, filename: 'state-details' } }}>
+            downloadData={{ summary: { data: tableData, filename: 'state-details-summary' }, detail: detail(stateWhere, null, 'state-details') }}>
             <DataTable
               columns={[
                 { key: 'State', label: 'State' },
-                { key: 'TotalTrade', label: 'Total Trade', render: (v) => formatCurrency(v) },
-                { key: 'Exports', label: 'Exports', render: (v) => formatCurrency(v) },
-                { key: 'Imports', label: 'Imports', render: (v) => formatCurrency(v) },
                 {
-                  key: 'Balance', label: 'Balance',
+                  key: 'Trend', label: `Trend ${years.length ? `${years[years.length - 1]}–${years[0]}` : ''}`, sortable: false,
+                  render: (_, row) => (
+                    <Sparkline data={trendByState.get(row.State)} width={120} height={20} formatValue={measure.format}
+                      className="text-brand-blue" ariaLabel={`${row.State} ${measure.label.toLowerCase()} by year`} />
+                  ),
+                },
+                { key: 'TotalTrade', label: measure.totalLabel, type: 'currency', format: measure.format, footer: 'sum' },
+                { key: 'Exports', label: 'Exports', type: 'currency', format: measure.format, footer: 'sum' },
+                { key: 'Imports', label: 'Imports', type: 'currency', format: measure.format, footer: 'sum' },
+                {
+                  key: 'Balance', label: 'Balance', type: 'currency', format: measure.format, footer: 'sum',
                   render: (v) => (
                     <span className={v >= 0 ? 'text-brand-green' : 'text-brand-red'}>
-                      {v >= 0 ? '+' : ''}{formatCurrency(v)}
+                      {v >= 0 ? '+' : ''}{measure.format(v)}
                     </span>
                   ),
                 },
@@ -224,7 +395,17 @@ export default function TradeByStatePage() {
             />
           </ChartCard>
         </SectionBlock>
+
+        <SectionBlock>
+          <ChartCard title="State Pivot" subtitle="Drag fields into rows and columns to cross-tabulate state trade"
+            minHeight={0}
+            downloadData={{ summary: pivot.download, detail: detail(stateWhere, null, 'state-pivot-detail') }}>
+            <PivotTable pivot={pivot} />
+          </ChartCard>
+        </SectionBlock>
       </DashboardLayout>
+
+      <DrillDownDrawer drill={drill} />
     </>
   )
 }
@@ -1,70 +1,174 @@
+/**
+ * chatStore.js — Ask AI conversations
+ * ------------------------------------
+ * Holds every conversation the user has had with the assistant, persisted to
+ * localStorage so history survives reloads. Each conversation records the
+ * page and filters it started on:
+ *
+ *   { id, title, createdAt, updatedAt,
+ *     startedOn: { path, page, dataset, filters },
+ *     messages: [{ id, role, content, timestamp, attachments?, actions?, provenance?, suggestions? }] }
+ *
+ * `activeId` is the conversation shown in the drawer; null means a new,
+ * empty chat that is created on its first question. Read the active
+ * conversation's messages with selectMessages.
+ *
+ * While an answer streams in, every chunk updates its message; the history
+ * is written to localStorage at most once a second (lib/persistStorage.js),
+ * not once per chunk.
+ *
+ * Export to Markdown / JSON lives in lib/chatExport.js.
+ */
 import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
 import { sendChatMessage, getFollowUpSuggestions } from '@/lib/aiClient'
 import { gatherPageContext } from '@/lib/pageContext'
+import { persistStorage } from '@/lib/persistStorage'
 
-export const useChatStore = create((set, get) => ({
-  isOpen: false,
-  messages: [],
-  isLoading: false,
-  error: null,
-
-  toggle: () => set((s) => ({ isOpen: !s.isOpen })),
-  open: () => set({ isOpen: true }),
-  close: () => set({ isOpen: false }),
-
-  sendMessage: async (text) => {
-    const userMsg = {
-      id: crypto.randomUUID(),
-      role: 'user',
-      content: text,
-      timestamp: Date.now(),
-    }
-
-    const assistantId = crypto.randomUUID()
-    set((s) => ({
-      messages: [
-        ...s.messages,
-        userMsg,
-        { id: assistantId, role: 'assistant', content: '', timestamp: Date.now() },
-      ],
-      isLoading: true,
+/** Oldest conversations beyond this are dropped to keep storage small. */
+const MAX_CONVERSATIONS = 50
+const TITLE_LENGTH = 60
+/** Longest wait (ms) before the history is saved while answers stream in. */
+const SAVE_DELAY = 1000
+const NO_MESSAGES = []
+
+/** Messages of the active conversation (stable [] when there is none). */
+export const selectMessages = (s) =>
+  s.conversations.find((c) => c.id === s.activeId)?.messages ?? NO_MESSAGES
+
+/** Apply `fn` to the message with `messageId`, wherever it lives. */
+function mapMessage(conversations, messageId, fn) {
+  return conversations.map((c) =>
+    c.messages.some((m) => m.id === messageId)
+      ? { ...c, updatedAt: Date.now(), messages: c.messages.map((m) => (m.id === messageId ? fn(m) : m)) }
+      : c,
+  )
+}
+
+function titleFrom(text) {
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1).trimEnd()}…` : text
+}
+
+export const useChatStore = create(
+  persist(
+    (set, get) => ({
+      isOpen: false,
+      conversations: [],
+      activeId: null,
+      isLoading: false,
       error: null,
-    }))
 
-    try {
-      const context = gatherPageContext()
-      const history = get()
-        .messages.filter((m) => m.content)
-        .slice(-10)
+      toggle: () => set((s) => ({ isOpen: !s.isOpen })),
+      open: () => set({ isOpen: true }),
+      close: () => set({ isOpen: false }),
+
+      sendMessage: async (text) => {
+        const context = gatherPageContext()
+        const userMsg = {
+          id: crypto.randomUUID(),
+          role: 'user',
+          content: text,
+          timestamp: Date.now(),
+        }
+        const assistantId = crypto.randomUUID()
+        const assistantMsg = { id: assistantId, role: 'assistant', content: '', timestamp: Date.now() }
+
+        // Start a conversation on the first question, remembering where it began
+        let conversationId = get().activeId
+        if (!get().conversations.some((c) => c.id === conversationId)) {
+          conversationId = crypto.randomUUID()
+          const conversation = {
+            id: conversationId,
+            title: titleFrom(text),
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            startedOn: {
+              path: context.currentPath,
+              page: context.currentPage,
+              dataset: context.datasetKey,
+              filters: context.activeFilters,
+            },
+            messages: [],
+          }
+          set((s) => ({
+            conversations: [conversation, ...s.conversations].slice(0, MAX_CONVERSATIONS),
+            activeId: conversationId,
+          }))
+        }
 
-      await sendChatMessage(text, context, history, (chunk) => {
         set((s) => ({
-          messages: s.messages.map((m) =>
-            m.id === assistantId ? { ...m, content: m.content + chunk } : m,
+          conversations: s.conversations.map((c) =>
+            c.id === conversationId
+              ? { ...c, updatedAt: Date.now(), messages: [...c.messages, userMsg, assistantMsg] }
+              : c,
           ),
+          isLoading: true,
+          error: null,
+        }))
+
+        try {
+          const history = get()
+            .conversations.find((c) => c.id === conversationId)
+            .messages.filter((m) => m.content)
+            .slice(-10)
+
+          const { attachments, actions, provenance } = await sendChatMessage(text, context, history, (chunk) => {
+            set((s) => ({
+              conversations: mapMessage(s.conversations, assistantId, (m) => ({ ...m, content: m.content + chunk })),
+            }))
+          })
+
+          // Attach charts/tables, proposed actions, provenance and follow-up suggestions to the completed assistant message
+          const suggestions = getFollowUpSuggestions(text, context)
+          set((s) => ({
+            conversations: mapMessage(s.conversations, assistantId, (m) => ({ ...m, attachments, actions, provenance, suggestions })),
+            isLoading: false,
+          }))
+        } catch (err) {
+          set((s) => ({
+            conversations: mapMessage(s.conversations, assistantId, (m) => ({
+              ...m,
+              content: 'Sorry, I could not process your question. Please try again.',
+            })),
+            isLoading: false,
+            error: err.message,
+          }))
+        }
+      },
+
+      /** Mark a proposed action as applied so its chip shows as done. */
+      markActionApplied: (messageId, actionId) =>
+        set((s) => ({
+          conversations: mapMessage(s.conversations, messageId, (m) => ({
+            ...m,
+            actions: m.actions.map((a) => (a.id === actionId ? { ...a, applied: true } : a)),
+          })),
+        })),
+
+      /** Show an empty chat; the conversation is created on its first question. */
+      newConversation: () => set({ activeId: null, error: null }),
+
+      selectConversation: (id) => set({ activeId: id, error: null }),
+
+      renameConversation: (id, title) => {
+        const trimmed = title.trim()
+        if (!trimmed) return
+        set((s) => ({
+          conversations: s.conversations.map((c) => (c.id === id ? { ...c, title: titleFrom(trimmed) } : c)),
         }))
-      })
-
-      // Attach follow-up suggestions to the completed assistant message
-      const suggestions = getFollowUpSuggestions(text)
-      set((s) => ({
-        messages: s.messages.map((m) =>
-          m.id === assistantId ? { ...m, suggestions } : m,
-        ),
-        isLoading: false,
-      }))
-    } catch (err) {
-      set((s) => ({
-        messages: s.messages.map((m) =>
-          m.id === assistantId
-            ? { ...m, content: 'Sorry, I could not process your question. Please try again.' }
-            : m,
-        ),
-        isLoading: false,
-        error: err.message,
-      }))
-    }
-  },
-
-  clearChat: () => set({ messages: [], error: null }),
-}))
+      },
+
+      deleteConversation: (id) =>
+        set((s) => ({
+          conversations: s.conversations.filter((c) => c.id !== id),
+          activeId: s.activeId === id ? null : s.activeId,
+        })),
+    }),
+    {
+      name: 'dashboard-ai-conversations',
+      storage: persistStorage(SAVE_DELAY),
+      // Only the history is stored; drawer and request state start fresh
+      partialize: (s) => ({ conversations: s.conversations, activeId: s.activeId }),
+    },
+  ),
+)
@@ -0,0 +1,30 @@
+/**
+ * pinStore.js — Ask AI answers pinned to dashboard pages
+ * -------------------------------------------------------
+ * A pin is an attachment from a chat answer (lib/chatAttachments.js) saved
+ * against the route it was pinned on. PinnedCharts shows the current
+ * route's pins below the page content.
+ *
+ * Pins persist in localStorage, so they survive reloads and clearing the chat.
+ */
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+export const usePinStore = create(
+  persist(
+    (set) => ({
+      pins: [],
+
+      /** Pin an attachment to a route; pinning the same one twice is a no-op. */
+      pin: (path, attachment) =>
+        set((s) =>
+          s.pins.some((p) => p.path === path && p.attachment.id === attachment.id)
+            ? s
+            : { pins: [...s.pins, { id: crypto.randomUUID(), path, attachment, pinnedAt: Date.now() }] },
+        ),
+
+      unpin: (id) => set((s) => ({ pins: s.pins.filter((p) => p.id !== id) })),
+    }),
+    { name: 'dashboard-pinned-answers' },
+  ),
+)
@@ -0,0 +1,52 @@
+/**
+ * reportStore.js — Report builder
+ * --------------------------------
+ * "Build report" mode and the report being assembled: ChartCards ticked on
+ * any page (captured by ChartCard, see lib/report.js) and text notes, in
+ * report order. ReportPanel edits the list and exports it.
+ *
+ * Not persisted: chart snapshots are full SVG markup and would quickly fill
+ * localStorage. The report lasts until the tab is closed or reloaded.
+ */
+import { create } from 'zustand'
+
+export const useReportStore = create((set) => ({
+  building: false,
+  title: '',
+  items: [],
+
+  start: () => set({ building: true }),
+  stop: () => set({ building: false }),
+  setTitle: (title) => set({ title }),
+
+  /** Add a captured card, replacing an earlier capture of the same card. */
+  addCard: (item) =>
+    set((s) => {
+      const index = s.items.findIndex((i) => i.key === item.key)
+      if (index < 0) return { items: [...s.items, item] }
+      const items = [...s.items]
+      items[index] = item
+      return { items }
+    }),
+
+  removeCard: (key) => set((s) => ({ items: s.items.filter((i) => i.key !== key) })),
+
+  addNote: () => set((s) => ({ items: [...s.items, { id: crypto.randomUUID(), type: 'note', text: '' }] })),
+
+  updateNote: (id, text) => set((s) => ({ items: s.items.map((i) => (i.id === id ? { ...i, text } : i)) })),
+
+  remove: (id) => set((s) => ({ items: s.items.filter((i) => i.id !== id) })),
+
+  /** Move an item one place up (-1) or down (+1). */
+  move: (id, step) =>
+    set((s) => {
+      const from = s.items.findIndex((i) => i.id === id)
+      const to = from + step
+      if (from < 0 || to < 0 || to >= s.items.length) return s
+      const items = [...s.items]
+      ;[items[from], items[to]] = [items[to], items[from]]
+      return { items }
+    }),
+
+  clear: () => set({ items: [], title: '' }),
+}))
@@ -0,0 +1,75 @@
+/**
+ * tableStore.js — DataTable search, filters and column layout
+ * ------------------------------------------------------------
+ * Per-table state, keyed by table id (the ChartCard's route + title, see
+ * DataTable). Keeping it here rather than inside DataTable lets the card's
+ * table and its fullscreen copy show the same view.
+ *
+ *   { search: '', filters: { [key]: filter }, hidden: [key], widths: { [key]: px } }
+ *
+ * Column widths and hidden columns persist to localStorage; the search and
+ * filters last for the session. Matching lives in lib/tableFilters.js.
+ */
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+const EMPTY = { search: '', filters: {}, hidden: [], widths: {} }
+
+/** A table's state (a stable empty one when it has none yet). */
+export const selectTable = (id) => (s) => s.tables[id] ?? EMPTY
+
+export const useTableStore = create(
+  persist(
+    (set) => {
+      const update = (id, change) =>
+        set((s) => {
+          const table = s.tables[id] ?? EMPTY
+          return { tables: { ...s.tables, [id]: { ...table, ...change(table) } } }
+        })
+
+      return {
+        tables: {},
+
+        setSearch: (id, search) => update(id, () => ({ search })),
+
+        /** Set (or with null, clear) one column's filter. */
+        setFilter: (id, key, filter) =>
+          update(id, (t) => {
+            const filters = { ...t.filters }
+            if (filter) filters[key] = filter
+            else delete filters[key]
+            return { filters }
+          }),
+
+        clearFilters: (id) => update(id, () => ({ search: '', filters: {} })),
+
+        setHidden: (id, key, hidden) =>
+          update(id, (t) => ({
+            hidden: hidden ? [...new Set([...t.hidden, key])] : t.hidden.filter((k) => k !== key),
+          })),
+
+        /** Set (or with null, reset) a column's width in px. */
+        setWidth: (id, key, width) =>
+          update(id, (t) => {
+            const widths = { ...t.widths }
+            if (width) widths[key] = Math.round(width)
+            else delete widths[key]
+            return { widths }
+          }),
+
+        resetLayout: (id) => update(id, () => ({ hidden: [], widths: {} })),
+      }
+    },
+    {
+      name: 'dashboard-table-layout',
+      // Only the layout outlives the session
+      partialize: (s) => ({
+        tables: Object.fromEntries(
+          Object.entries(s.tables)
+            .filter(([, t]) => t.hidden.length || Object.keys(t.widths).length)
+            .map(([id, t]) => [id, { ...EMPTY, hidden: t.hidden, widths: t.widths }]),
+        ),
+      }),
+    },
+  ),
+)
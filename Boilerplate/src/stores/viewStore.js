@@ -0,0 +1,71 @@
+/**
+ * viewStore.js — Saved views
+ * ---------------------------
+ * Named snapshots of a page (route, query string, chart zoom, table sort and
+ * crossfilter selections — see lib/savedViews.js), persisted to localStorage.
+ *
+ * Three pieces of state are not persisted:
+ *   - cards     — the live zoom / sort of every mounted ChartCard, keyed by
+ *                 title. ChartCard keeps it current; saveView() copies it.
+ *   - selection — the live crossfilter selections of the mounted page.
+ *                 useCrossfilter keeps it current; saveView() copies it.
+ *   - restore   — set by openView(): the card state and selections of the
+ *                 view being opened. ChartCards on that route hand theirs to
+ *                 their LineChart and DataTable, and the page's
+ *                 useCrossfilter takes the selections. `token` changes on
+ *                 every open, so re-opening the same view applies it again.
+ *
+ * Opening a view also needs a navigate() to its route with its query string
+ * — see useOpenView() in components/layout/SavedViewsMenu.jsx.
+ */
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { createView } from '@/lib/savedViews'
+
+/** Oldest views beyond this are dropped to keep storage small. */
+const MAX_VIEWS = 100
+
+export const useViewStore = create(
+  persist(
+    (set, get) => ({
+      views: [],
+      cards: {},
+      selection: {},
+      restore: null,
+
+      /** Record (or with null, forget) the live state of a mounted ChartCard. */
+      setCardState: (title, state) =>
+        set((s) => {
+          const cards = { ...s.cards }
+          if (state) cards[title] = state
+          else delete cards[title]
+          return { cards }
+        }),
+
+      /** Record the live crossfilter selections of the mounted page. */
+      setSelection: (selection) => set({ selection }),
+
+      /** Save the current page under `name`. Returns the view, or null. */
+      saveView: (name, path, search) => {
+        const view = createView(name, path, search, get().cards, get().selection)
+        if (view) set((s) => ({ views: [view, ...s.views].slice(0, MAX_VIEWS) }))
+        return view
+      },
+
+      /** Ask the charts on `view.path` to take on the view's zoom, sort and selections. */
+      openView: (view) => set({
+        restore: { path: view.path, cards: view.cards, selection: view.selection || {}, token: crypto.randomUUID() },
+      }),
+
+      deleteView: (id) => set((s) => ({ views: s.views.filter((v) => v.id !== id) })),
+
+      /** Add imported views (lib/savedViews.js parseViewsJson) ahead of the existing ones. */
+      importViews: (views) => set((s) => ({ views: [...views, ...s.views].slice(0, MAX_VIEWS) })),
+    }),
+    {
+      name: 'dashboard-saved-views',
+      // Live card state, selections and pending restores belong to this session only
+      partialize: (s) => ({ views: s.views }),
+    },
+  ),
+)
@@ -0,0 +1,51 @@
+/**
+ * ── dataWorker.js ───────────────────────────────────────────────────────────
+ * Web Worker that owns dataset parsing and aggregation, keeping both off
+ * the main thread. Talk to it through lib/dataClient.js — never post to it
+ * directly.
+ *
+ * Messages (each carries an `id`; the reply echoes it back):
+ *   { type: 'load', baseUrl }               → { id, result: { key: rows } }
+ *   { type: 'load', baseUrl, reply: false } → { id, result: null }
+ *                                             (reloading a restarted worker)
+ *   { type: 'query', dataset, spec }        → { id, result: [...] }
+ *   any failure                             → { id, error: 'message' }
+ *
+ * Datasets flagged `workerOnly` in the registry are kept here and left out
+ * of the 'load' reply (an empty array stands in), so large files aren't
+ * copied to the page; their records only leave the worker through
+ * { rows: true } queries the page asks for on demand.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { DATASETS } from '../lib/datasets.js'
+import { loadAllDatasets } from '../lib/dataLoader.js'
+import { runQuery } from '../lib/dataQuery.js'
+
+// Resolves to dataset key → rows once a 'load' message has been handled
+let datasets = null
+
+async function handle(message) {
+  if (message.type === 'load') {
+    datasets = loadAllDatasets(message.baseUrl)
+    const loaded = await datasets
+    if (message.reply === false) return null
+    return Object.fromEntries(Object.entries(loaded)
+      .map(([key, rows]) => [key, DATASETS[key].workerOnly ? [] : rows]))
+  }
+  if (message.type === 'query') {
+    if (!datasets) throw new Error('Datasets not loaded yet')
+    const loaded = await datasets
+    if (!(message.dataset in loaded)) throw new Error(`Unknown dataset "${message.dataset}"`)
+    return runQuery(loaded[message.dataset], message.spec)
+  }
+  throw new Error(`Unknown message type "${message.type}"`)
+}
+
+self.onmessage = async (event) => {
+  const { id } = event.data
+  try {
+    self.postMessage({ id, result: await handle(event.data) })
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+}
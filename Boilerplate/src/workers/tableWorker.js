@@ -0,0 +1,41 @@
+/**
+ * ── tableWorker.js ──────────────────────────────────────────────────────────
+ * Web Worker that sorts and filters the rows of virtual DataTables, so
+ * tables of tens of thousands of rows stay responsive while they search,
+ * filter and sort. Talk to it through lib/tableClient.js — never post to it
+ * directly.
+ *
+ * Messages:
+ *   { type: 'load', table, columns }      — hold a table (tableColumns() arrays)
+ *   { type: 'query', id, table, query }   → { id, result: Int32Array of row indices }
+ *   { type: 'release', table }            — drop a table
+ *   a failed query                        → { id, error: 'message' }
+ *
+ * Messages are handled in order, so a query always sees the table loaded
+ * just before it.
+ * ────────────────────────────────────────────────────────────────────────────
+ */
+import { queryRows } from '../lib/tableFilters.js'
+
+// Table id → { count, values, texts }
+const tables = new Map()
+
+self.onmessage = (event) => {
+  const { type, id, table } = event.data
+  if (type === 'load') {
+    tables.set(table, event.data.columns)
+    return
+  }
+  if (type === 'release') {
+    tables.delete(table)
+    return
+  }
+  try {
+    if (type !== 'query') throw new Error(`Unknown message type "${type}"`)
+    if (!tables.has(table)) throw new Error(`Unknown table "${table}"`)
+    const result = queryRows(tables.get(table), event.data.query)
+    self.postMessage({ id, result }, [result.buffer])
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+}
@@ -7,6 +7,11 @@ export default defineConfig({
   root: process.cwd(),
   base: '/Data-Dashboard-Boilerplate/',
   plugins: [react(), tailwindcss()],
+  // The data worker is a module worker (src/lib/dataClient.js) and lazily
+  // imports the Arrow decoder, which needs code-splitting.
+  worker: {
+    format: 'es',
+  },
   resolve: {
     alias: {
       '@': resolve(process.cwd(), 'src'),